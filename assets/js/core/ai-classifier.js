@@ -113,7 +113,7 @@ class AIClassifier {
                 isChinese: hasChineseFiles
             });
 
-            const result = await this.queryAI(batchPrompt, translationProvider);
+            const { response: result, provider, failures } = await this.queryAI(batchPrompt, translationProvider);
             console.log('AI分类请求返回结果', {
                 resultLength: result ? result.length : 0
             });
@@ -134,8 +134,10 @@ class AIClassifier {
                     }
                 }
 
-                // 缓存结果
+                // 记录产生结果的提供者，并缓存结果
                 if (classification) {
+                    classification.provider = provider;
+                    classification.providerFailures = failures;
                     this.cache.set(item.filename, classification);
                 }
 
@@ -316,12 +318,21 @@ Requirements:
 
     /**
      * 查询AI接口
+     * 翻译服务会在活动提供者失败时按分类的备用链尝试其他提供者
      * @param {string} prompt - 提示词
      * @param {Object} translationProvider - 翻译服务提供者
-     * @returns {Promise<string>} AI响应
+     * @returns {Promise<Object>} AI响应，包含response（响应文本）、provider（产生结果的提供者ID）和failures（失败的提供者）
      */
     async queryAI(prompt, translationProvider) {
         try {
+            const providerId = translationProvider && typeof translationProvider.getId === 'function' ? translationProvider.getId() : null;
+
+            // 翻译服务可以返回产生结果的提供者
+            if (translationProvider && typeof translationProvider.sendRequestDetailed === 'function') {
+                const detailed = await translationProvider.sendRequestDetailed(prompt, 'auto', 'auto', 'classification');
+                return { response: detailed.result, provider: detailed.provider, failures: detailed.failures };
+            }
+
             // 检查translationProvider是否有sendRequest方法
             if (!translationProvider || typeof translationProvider.sendRequest !== 'function') {
                 console.error('translationProvider无效或没有sendRequest方法');
@@ -329,7 +340,7 @@ Requirements:
                 // 如果translationProvider有translate方法，尝试使用translate方法
                 if (translationProvider && typeof translationProvider.translate === 'function') {
                     console.log('尝试使用translate方法代替sendRequest');
-                    return await translationProvider.translate(prompt, 'auto', 'auto');
+                    return { response: await translationProvider.translate(prompt, 'auto', 'auto'), provider: providerId, failures: [] };
                 }
 
                 throw new Error('translationProvider无效或没有可用的方法');
@@ -337,7 +348,7 @@ Requirements:
 
             // 使用现有的翻译服务提供者发送请求
             const response = await translationProvider.sendRequest(prompt, 'auto', 'auto', 'classification');
-            return response;
+            return { response, provider: providerId, failures: [] };
         } catch (error) {
             console.error('AI查询失败:', error);
             throw error;
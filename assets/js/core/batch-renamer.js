@@ -1,14 +1,427 @@
 /**
  * 批量重命名工具
  * 用于批量处理文件名，如去除特定词语、替换信息等
+ * 操作按列表顺序执行，可以调整顺序、临时停用，并保存为命名预设
  */
 class BatchRenamer {
+    /**
+     * 导出文件格式版本
+     */
+    static EXPORT_VERSION = 1;
+
+    /**
+     * 保存的正则执行结果（文本 -> 结果）条数上限，prepareRegex开始时超过上限则全部清除
+     */
+    static MAX_REGEX_RESULTS = 5000;
+
+    /**
+     * prepareRegex最多执行run的轮数
+     */
+    static MAX_REGEX_ROUNDS = 10;
+
+    /**
+     * 操作类型（类型 -> 名称），移除是替换为空的替换操作
+     */
+    static OPERATION_TYPES = {
+        replace: '替换',
+        regex: '正则替换',
+        case: '大小写',
+        removeSymbols: '去除符号',
+        removeNumbers: '去除数字',
+        prefix: '添加前缀',
+        suffix: '添加后缀'
+    };
+
+    /**
+     * 操作目标（目标 -> 名称和处理的字段）
+     * filename为命名规则生成的最终文件名（不含扩展名），在命名规则之后处理
+     */
+    static TARGETS = {
+        filename: { label: '最终文件名', fields: ['filename'] },
+        name: { label: '原文件名', fields: ['name'] },
+        fxName: { label: '英文描述', fields: ['standardizedName'] },
+        fxName_zh: { label: '中文描述', fields: ['translatedName'] },
+        both: { label: '英文和中文描述', fields: ['standardizedName', 'translatedName'] }
+    };
+
+    /**
+     * 按文件对象字段名指定目标时对应的目标
+     */
+    static TARGET_ALIASES = {
+        formattedName: 'filename',
+        standardizedName: 'fxName',
+        translatedName: 'fxName_zh'
+    };
+
+    /**
+     * 大小写类型（类型 -> 名称）
+     */
+    static CASE_TYPES = {
+        upper: '全部大写',
+        lower: '全部小写',
+        title: '单词首字母大写',
+        sentence: '句首大写'
+    };
+
     /**
      * 构造函数
+     * @param {string|null} storageKey - 本地存储键名，为null时不保存
      */
-    constructor() {
+    constructor(storageKey = 'batch-renamer') {
+        this.storageKey = storageKey;
         this.operations = [];
         this.files = [];
+        this.presets = [];
+        this.settings = {
+            enabled: true
+        };
+        this.onChange = null; // 操作列表或设置变化回调
+        this.operationErrors = new Map(); // 正则表达式执行超时或出错而被跳过的操作（ID -> 原因），不保存
+        this.regexResults = new Map(); // 在后台线程中执行过的正则操作结果（正则 -> 文本 -> 结果），不保存
+        this.pendingRegexTexts = null; // prepareRegex执行run时记下的未执行过的文本
+        this.regexRunnerOptions = {}; // 传给RegexRunner.test的选项
+
+        this._load();
+    }
+
+    /**
+     * 从本地存储加载操作列表和预设
+     * @private
+     */
+    _load() {
+        if (!this.storageKey) return;
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.operations = Array.isArray(data.operations) ? this._normalizeValid(data.operations) : [];
+                this.presets = Array.isArray(data.presets) ? data.presets : [];
+                this.settings = { ...this.settings, ...(data.settings || {}) };
+            }
+        } catch (error) {
+            Logger.error('加载批量重命名规则失败', error);
+            this.operations = [];
+            this.presets = [];
+        }
+    }
+
+    /**
+     * 保存操作列表和预设并通知变化
+     * @private
+     */
+    _save() {
+        if (this.storageKey) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify({
+                    operations: this.operations,
+                    presets: this.presets,
+                    settings: this.settings,
+                    lastUpdated: Date.now()
+                }));
+            } catch (error) {
+                Logger.error('保存批量重命名规则失败', error);
+            }
+        }
+
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * 规范化操作列表，跳过无效的操作
+     * @param {Array<Object>} operations - 操作列表
+     * @returns {Array<Object>} 有效的操作
+     * @private
+     */
+    _normalizeValid(operations) {
+        return operations.reduce((valid, operation) => {
+            try {
+                valid.push(this._normalizeOperation(operation));
+            } catch (error) {
+                Logger.warn(`跳过无效的批量重命名操作: ${error.message}`);
+            }
+            return valid;
+        }, []);
+    }
+
+    /**
+     * 规范化并验证操作
+     * @param {Object} operation - 操作
+     * @returns {Object} 规范化后的操作，包含id和enabled
+     * @private
+     */
+    _normalizeOperation(operation) {
+        const { type } = operation || {};
+        if (!BatchRenamer.OPERATION_TYPES[type]) {
+            throw new Error(`未知的操作类型: ${type}`);
+        }
+
+        const defaultTarget = type === 'case' ? 'fxName' : 'both';
+        const options = { target: defaultTarget, ...(operation.options || {}) };
+        options.target = BatchRenamer.TARGET_ALIASES[options.target] || options.target;
+        if (!BatchRenamer.TARGETS[options.target]) {
+            throw new Error(`未知的操作目标: ${options.target}`);
+        }
+
+        const normalized = {
+            id: operation.id || `op-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            type,
+            enabled: operation.enabled !== false,
+            options
+        };
+
+        switch (type) {
+            case 'replace':
+                if (!operation.searchText) {
+                    throw new Error('查找文本不能为空');
+                }
+                normalized.searchText = String(operation.searchText);
+                normalized.replaceText = operation.replaceText ? String(operation.replaceText) : '';
+                normalized.options = { caseSensitive: false, wholeWord: false, useRegex: false, ...options };
+                if (normalized.options.useRegex) {
+                    RegexRunner.compile(normalized.searchText);
+                }
+                break;
+            case 'regex':
+                normalized.pattern = String(operation.pattern || '');
+                normalized.flags = operation.flags !== undefined ? String(operation.flags) : 'g';
+                normalized.replacement = operation.replacement ? String(operation.replacement) : '';
+                RegexRunner.compile(normalized.pattern, normalized.flags);
+                break;
+            case 'case':
+                if (!BatchRenamer.CASE_TYPES[operation.caseType]) {
+                    throw new Error(`未知的大小写类型: ${operation.caseType}`);
+                }
+                normalized.caseType = operation.caseType;
+                break;
+            case 'removeSymbols':
+                normalized.options = { preserveSpaces: true, ...options };
+                break;
+            case 'prefix':
+            case 'suffix':
+                if (!operation[type]) {
+                    throw new Error(`${BatchRenamer.OPERATION_TYPES[type]}的内容不能为空`);
+                }
+                normalized[type] = String(operation[type]);
+                break;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 生成操作说明
+     * @param {Object} operation - 操作
+     * @returns {string} 说明，例如“替换 "SFX" 为 "FX"”
+     */
+    static describeOperation(operation) {
+        switch (operation.type) {
+            case 'replace': {
+                const flags = [
+                    operation.options.useRegex ? '正则' : '',
+                    operation.options.caseSensitive ? '区分大小写' : '',
+                    operation.options.wholeWord ? '整词' : ''
+                ].filter(Boolean);
+                const text = operation.replaceText
+                    ? `替换 "${operation.searchText}" 为 "${operation.replaceText}"`
+                    : `移除 "${operation.searchText}"`;
+                return flags.length > 0 ? `${text}（${flags.join('、')}）` : text;
+            }
+            case 'regex': {
+                const regex = `/${operation.pattern}/${operation.flags}`;
+                return operation.replacement ? `正则 ${regex} 替换为 "${operation.replacement}"` : `正则移除 ${regex}`;
+            }
+            case 'case':
+                return `大小写: ${BatchRenamer.CASE_TYPES[operation.caseType] || operation.caseType}`;
+            case 'removeSymbols':
+                return operation.options.preserveSpaces ? '去除符号（保留空格）' : '去除符号和空格';
+            case 'prefix':
+                return `添加前缀 "${operation.prefix}"`;
+            case 'suffix':
+                return `添加后缀 "${operation.suffix}"`;
+            default:
+                return BatchRenamer.OPERATION_TYPES[operation.type] || operation.type;
+        }
+    }
+
+    /**
+     * 获取操作使用的正则表达式：正则替换操作，或使用正则表达式的替换操作
+     * @param {Object} operation - 规范化后的操作
+     * @returns {Object|null} 包含pattern、flags和replacement，不使用正则表达式时为null
+     */
+    static getOperationRegex(operation) {
+        if (operation.type === 'regex') {
+            return { pattern: operation.pattern, flags: operation.flags, replacement: operation.replacement };
+        }
+        if (operation.type === 'replace' && operation.options.useRegex) {
+            return {
+                pattern: operation.searchText,
+                flags: operation.options.caseSensitive ? 'g' : 'gi',
+                replacement: operation.replaceText
+            };
+        }
+        return null;
+    }
+
+    /**
+     * 获取文件中操作目标字段的文本
+     * @param {Array<Object>} files - 文件列表
+     * @param {string} target - 操作目标
+     * @returns {Array<Object>} 样本（file为原文件名，text为字段文本）
+     */
+    static getSampleTexts(files, target) {
+        const samples = [];
+        (files || []).forEach(file => {
+            BatchRenamer.TARGETS[target].fields.forEach(field => {
+                let text = file[field];
+                if (field === 'filename') {
+                    text = file.formattedName && file.extension
+                        ? file.formattedName.replace(new RegExp(`\\.${file.extension}$`, 'i'), '')
+                        : file.formattedName;
+                }
+                if (text) {
+                    samples.push({ file: file.originalName || file.name, text });
+                }
+            });
+        });
+        return samples;
+    }
+
+    /**
+     * 在文件上测试操作中的正则表达式，执行超时或出错时抛出错误
+     * 添加、载入或导入操作前先在后台线程中用当前的文件测试，超时的表达式不进入操作列表；
+     * 文件中没有操作目标的文本时无法测试，这些操作生成文件名时仍由prepareRegex在后台线程中执行
+     * @param {Array<Object>} operations - 操作列表
+     * @param {Array<Object>} files - 测试用的文件，通常是预览中的文件
+     * @param {Object} [options] - RegexRunner.test的选项，默认使用regexRunnerOptions
+     * @returns {Promise<Array<Object>>} 因没有可测试的文本而未测试的正则操作
+     */
+    async checkRegexOperations(operations, files, options = this.regexRunnerOptions) {
+        const untested = [];
+        for (const operation of operations || []) {
+            const normalized = this._normalizeOperation(operation);
+            const regex = BatchRenamer.getOperationRegex(normalized);
+            if (!regex) continue;
+
+            const texts = BatchRenamer.getSampleTexts(files, normalized.options.target).map(sample => sample.text);
+            if (texts.length === 0) {
+                untested.push(normalized);
+                continue;
+            }
+
+            try {
+                await RegexRunner.test(regex.pattern, regex.flags, regex.replacement, texts, options);
+            } catch (error) {
+                throw new Error(`${BatchRenamer.describeOperation(normalized)}: ${error.message}`);
+            }
+        }
+        return untested;
+    }
+
+    /**
+     * 执行生成文件名的函数，其中的正则操作在后台线程中执行
+     * 命名规则在主线程中同步生成文件名，正则表达式在主线程中执行时无法中断，灾难性回溯会让插件卡死。
+     * 有Worker时正则操作只使用后台线程中执行的结果：run执行时记下没有结果的文本并跳过这些操作，
+     * 在后台线程中执行后再执行run；后面的操作处理前面操作的结果，因此重复到没有新的文本为止。
+     * 执行超时或出错的操作被跳过，原因显示在操作列表中
+     * @param {Function} run - 生成文件名的函数，可能执行多次，最后一次使用所有正则操作的结果
+     * @returns {Promise<void>}
+     */
+    async prepareRegex(run) {
+        if (!this._usesBackgroundRegex()) {
+            run();
+            return;
+        }
+
+        if (this._countRegexResults() > BatchRenamer.MAX_REGEX_RESULTS) {
+            this.regexResults.clear();
+        }
+
+        for (let round = 0; ; round++) {
+            this.pendingRegexTexts = new Map();
+            let pending;
+            try {
+                run();
+            } finally {
+                pending = this.pendingRegexTexts;
+                this.pendingRegexTexts = null;
+            }
+
+            if (pending.size === 0) return;
+            if (round >= BatchRenamer.MAX_REGEX_ROUNDS) {
+                Logger.warn(`正则操作执行 ${round} 轮后仍有未执行的文本，这些文本跳过正则操作`);
+                return;
+            }
+
+            for (const [key, item] of pending) {
+                try {
+                    const results = await RegexRunner.test(item.pattern, item.flags, item.replacement, [...item.texts], this.regexRunnerOptions);
+                    const saved = this.regexResults.get(key) || new Map();
+                    results.forEach(result => saved.set(result.text, result.output));
+                    this.regexResults.set(key, saved);
+                } catch (error) {
+                    item.operations.forEach(operation => {
+                        this.operationErrors.set(operation.id, error.message);
+                        Logger.warn(`正则操作 ${BatchRenamer.describeOperation(operation)} 已跳过: ${error.message}`);
+                    });
+                }
+            }
+        }
+    }
+
+    /**
+     * 是否在后台线程中执行正则操作：有Worker或提供了createWorker时
+     * @returns {boolean} 是否在后台线程中执行
+     * @private
+     */
+    _usesBackgroundRegex() {
+        return !!(this.regexRunnerOptions.createWorker || RegexRunner.canTestInBackground());
+    }
+
+    /**
+     * 保存的正则执行结果条数
+     * @returns {number} 条数
+     * @private
+     */
+    _countRegexResults() {
+        let count = 0;
+        this.regexResults.forEach(results => {
+            count += results.size;
+        });
+        return count;
+    }
+
+    /**
+     * 对文本执行操作的正则表达式
+     * 在后台线程中执行时使用prepareRegex保存的结果，没有结果的文本不在主线程中执行，原样返回
+     * @param {Object} operation - 操作对象
+     * @param {string} text - 文本
+     * @returns {string} 结果
+     * @private
+     */
+    _replaceWithRegex(operation, text) {
+        const { pattern, flags, replacement } = BatchRenamer.getOperationRegex(operation);
+        if (!this._usesBackgroundRegex()) {
+            return text.replace(new RegExp(pattern, flags), replacement);
+        }
+
+        const key = JSON.stringify([pattern, flags, replacement]);
+        const results = this.regexResults.get(key);
+        if (results && results.has(text)) {
+            return results.get(text);
+        }
+
+        if (this.pendingRegexTexts) {
+            const item = this.pendingRegexTexts.get(key) || { pattern, flags, replacement, operations: new Set(), texts: new Set() };
+            item.operations.add(operation);
+            item.texts.add(text);
+            this.pendingRegexTexts.set(key, item);
+        } else {
+            Logger.warn(`正则操作 ${BatchRenamer.describeOperation(operation)} 未在后台线程中执行过，已跳过: ${text}`);
+        }
+        return text;
     }
 
     /**
@@ -29,7 +442,7 @@ class BatchRenamer {
      * @param {boolean} options.caseSensitive - 是否区分大小写
      * @param {boolean} options.wholeWord - 是否匹配整个单词
      * @param {boolean} options.useRegex - 是否使用正则表达式
-     * @param {string} options.target - 替换目标 ('fxName', 'fxName_zh', 'both')
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')
      */
     addReplaceOperation(searchText, replaceText, options = {}) {
         const defaultOptions = {
@@ -41,7 +454,7 @@ class BatchRenamer {
 
         const mergedOptions = { ...defaultOptions, ...options };
 
-        this.operations.push({
+        this.addOperation({
             type: 'replace',
             searchText,
             replaceText,
@@ -59,7 +472,7 @@ class BatchRenamer {
      * @param {boolean} options.caseSensitive - 是否区分大小写
      * @param {boolean} options.wholeWord - 是否匹配整个单词
      * @param {boolean} options.useRegex - 是否使用正则表达式
-     * @param {string} options.target - 替换目标 ('fxName', 'fxName_zh', 'both')
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')
      */
     addRemoveOperation(text, options = {}) {
         return this.addReplaceOperation(text, '', options);
@@ -69,7 +482,7 @@ class BatchRenamer {
      * 添加大小写转换操作
      * @param {string} caseType - 大小写类型 ('upper', 'lower', 'title', 'sentence')
      * @param {Object} options - 转换选项
-     * @param {string} options.target - 替换目标 ('fxName', 'fxName_zh', 'both')
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')
      */
     addCaseOperation(caseType, options = {}) {
         const defaultOptions = {
@@ -78,7 +491,7 @@ class BatchRenamer {
 
         const mergedOptions = { ...defaultOptions, ...options };
 
-        this.operations.push({
+        this.addOperation({
             type: 'case',
             caseType,
             options: mergedOptions
@@ -92,7 +505,7 @@ class BatchRenamer {
      * 添加去除符号操作
      * @param {Object} options - 选项
      * @param {boolean} options.preserveSpaces - 是否保留空格
-     * @param {string} options.target - 替换目标 ('fxName', 'fxName_zh', 'both')
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')
      */
     addRemoveSymbolsOperation(options = {}) {
         const defaultOptions = {
@@ -102,7 +515,7 @@ class BatchRenamer {
 
         const mergedOptions = { ...defaultOptions, ...options };
 
-        this.operations.push({
+        this.addOperation({
             type: 'removeSymbols',
             options: mergedOptions
         });
@@ -114,7 +527,7 @@ class BatchRenamer {
     /**
      * 添加去除数字操作
      * @param {Object} options - 选项
-     * @param {string} options.target - 替换目标 ('fxName', 'fxName_zh', 'both')
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')
      */
     addRemoveNumbersOperation(options = {}) {
         const defaultOptions = {
@@ -123,7 +536,7 @@ class BatchRenamer {
 
         const mergedOptions = { ...defaultOptions, ...options };
 
-        this.operations.push({
+        this.addOperation({
             type: 'removeNumbers',
             options: mergedOptions
         });
@@ -136,7 +549,7 @@ class BatchRenamer {
      * 添加前缀操作
      * @param {string} prefix - 要添加的前缀
      * @param {Object} options - 选项
-     * @param {string} options.target - 替换目标 ('fxName', 'fxName_zh', 'both')
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')
      */
     addPrefixOperation(prefix, options = {}) {
         const defaultOptions = {
@@ -145,7 +558,7 @@ class BatchRenamer {
 
         const mergedOptions = { ...defaultOptions, ...options };
 
-        this.operations.push({
+        this.addOperation({
             type: 'prefix',
             prefix,
             options: mergedOptions
@@ -159,7 +572,7 @@ class BatchRenamer {
      * 添加后缀操作
      * @param {string} suffix - 要添加的后缀
      * @param {Object} options - 选项
-     * @param {string} options.target - 替换目标 ('fxName', 'fxName_zh', 'both')
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')
      */
     addSuffixOperation(suffix, options = {}) {
         const defaultOptions = {
@@ -168,7 +581,7 @@ class BatchRenamer {
 
         const mergedOptions = { ...defaultOptions, ...options };
 
-        this.operations.push({
+        this.addOperation({
             type: 'suffix',
             suffix,
             options: mergedOptions
@@ -178,15 +591,335 @@ class BatchRenamer {
         return this;
     }
 
+    /**
+     * 添加正则替换操作
+     * @param {string} pattern - 正则表达式
+     * @param {string} replacement - 替换文本，支持$1、$<name>等反向引用
+     * @param {string} flags - 标志，默认为g（替换所有匹配）
+     * @param {Object} options - 选项
+     * @param {string} options.target - 替换目标 ('filename', 'name', 'fxName', 'fxName_zh', 'both')，
+     *     也可以使用字段名 ('formattedName', 'standardizedName', 'translatedName')
+     */
+    addRegexOperation(pattern, replacement = '', flags = 'g', options = {}) {
+        const defaultOptions = {
+            target: 'filename'
+        };
+
+        const mergedOptions = { ...defaultOptions, ...options };
+
+        this.addOperation({
+            type: 'regex',
+            pattern,
+            replacement,
+            flags,
+            options: mergedOptions
+        });
+
+        Logger.info(`添加正则替换操作: /${pattern}/${flags} -> "${replacement}"`, mergedOptions);
+        return this;
+    }
+
+    /**
+     * 添加操作到列表末尾
+     * @param {Object} operation - 操作（type、options及各类型的参数）
+     * @returns {Object} 添加的操作
+     */
+    addOperation(operation) {
+        const normalized = this._normalizeOperation(operation);
+        this.operations.push(normalized);
+        this._save();
+        return normalized;
+    }
+
+    /**
+     * 修改操作
+     * @param {string} id - 操作ID
+     * @param {Object} changes - 要修改的字段，options会与原有选项合并
+     * @returns {Object} 修改后的操作
+     */
+    updateOperation(id, changes) {
+        const index = this.operations.findIndex(operation => operation.id === id);
+        if (index === -1) {
+            throw new Error(`找不到批量重命名操作: ${id}`);
+        }
+
+        const current = this.operations[index];
+        this.operations[index] = this._normalizeOperation({
+            ...current,
+            ...changes,
+            id,
+            options: { ...current.options, ...(changes.options || {}) }
+        });
+        this.operationErrors.delete(id);
+        this._save();
+        return this.operations[index];
+    }
+
+    /**
+     * 删除操作
+     * @param {string} id - 操作ID
+     */
+    removeOperation(id) {
+        this.operations = this.operations.filter(operation => operation.id !== id);
+        this._save();
+    }
+
+    /**
+     * 移动操作，调整执行顺序
+     * @param {string} id - 操作ID
+     * @param {number} offset - 移动的位置数，负数向前
+     * @returns {boolean} 是否移动
+     */
+    moveOperation(id, offset) {
+        const index = this.operations.findIndex(operation => operation.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.operations.length || offset === 0) {
+            return false;
+        }
+
+        const [operation] = this.operations.splice(index, 1);
+        this.operations.splice(target, 0, operation);
+        this._save();
+        return true;
+    }
+
+    /**
+     * 替换整个操作列表
+     * @param {Array<Object>} operations - 操作列表
+     */
+    setOperations(operations) {
+        this.operations = (operations || []).map(operation => this._normalizeOperation(operation));
+        this.operationErrors.clear();
+        this._save();
+    }
+
     /**
      * 清除所有操作
      */
     clearOperations() {
         this.operations = [];
+        this._save();
         Logger.info('已清除所有批量重命名操作');
         return this;
     }
 
+    /**
+     * 更新设置
+     * @param {Object} settings - 设置（enabled）
+     */
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this._save();
+    }
+
+    /**
+     * 是否有需要执行的操作
+     * @returns {boolean} 已启用且至少有一个启用的操作
+     */
+    isActive() {
+        return !!this.settings.enabled && this.operations.some(operation => operation.enabled);
+    }
+
+    /**
+     * 对文件对象的副本执行描述字段（英文和中文描述）上的操作，原对象不变
+     * 命名规则使用副本生成文件名，修改或停用操作后可以重新生成
+     * @param {Object} file - 文件对象
+     * @returns {Object} 处理后的副本，没有需要执行的操作时返回原对象
+     */
+    applyToFields(file) {
+        const operations = this._getActiveOperations(target => target !== 'filename' && (!file.renameOnly || target !== 'name'));
+        if (operations.length === 0) {
+            return file;
+        }
+
+        const copy = { ...file };
+        operations.forEach(operation => this._applyOperation(copy, operation));
+        return copy;
+    }
+
+    /**
+     * 对文件名执行最终文件名上的操作
+     * @param {string} name - 文件名（不含扩展名）
+     * @returns {string} 处理后的文件名
+     */
+    applyToName(name) {
+        const operations = this._getActiveOperations(target => target === 'filename');
+        const target = { filename: name };
+        operations.forEach(operation => this._applyOperation(target, operation));
+        return target.filename;
+    }
+
+    /**
+     * 不翻译，直接对原文件名执行所有启用的操作
+     * 先执行处理原文件名的操作，再按语言作为英文或中文描述处理，最后作为最终文件名处理
+     * @param {Object} file - 文件对象（name不含扩展名）
+     * @returns {string} 新文件名（含扩展名）
+     */
+    renameOriginal(file) {
+        // 处理原文件名的操作先执行
+        const renamed = { name: file.name || '' };
+        this._getActiveOperations(target => target === 'name').forEach(operation => this._applyOperation(renamed, operation));
+
+        const name = renamed.name;
+        const isChinese = typeof file.isChinese === 'boolean' ? file.isChinese : /[\u4e00-\u9fa5]/.test(name);
+        const fields = this.applyToFields({
+            ...file,
+            name,
+            standardizedName: isChinese ? '' : name,
+            translatedName: isChinese ? name : ''
+        });
+        const base = this.applyToName((isChinese ? fields.translatedName : fields.standardizedName) || name);
+        return base + (file.extension ? `.${file.extension}` : '');
+    }
+
+    /**
+     * 获取启用的操作
+     * @param {Function} filter - 按操作目标筛选
+     * @returns {Array<Object>} 操作列表
+     * @private
+     */
+    _getActiveOperations(filter) {
+        if (!this.settings.enabled) {
+            return [];
+        }
+        return this.operations.filter(operation => operation.enabled && !this.operationErrors.has(operation.id) &&
+            filter(operation.options.target));
+    }
+
+    /**
+     * 获取操作被跳过的原因
+     * @param {string} id - 操作ID
+     * @returns {string|null} 原因，正常执行时为null
+     */
+    getOperationError(id) {
+        return this.operationErrors.get(id) || null;
+    }
+
+    /**
+     * 获取所有预设
+     * @returns {Array<Object>} 预设列表（name、operations、updatedAt）
+     */
+    getPresets() {
+        return [...this.presets];
+    }
+
+    /**
+     * 将当前操作列表保存为预设，同名预设会被覆盖
+     * @param {string} name - 预设名称
+     * @returns {Object} 保存的预设
+     */
+    savePreset(name) {
+        const presetName = String(name || '').trim();
+        if (!presetName) {
+            throw new Error('预设名称不能为空');
+        }
+
+        const preset = {
+            name: presetName,
+            operations: this.operations.map(operation => ({ ...operation, options: { ...operation.options } })),
+            updatedAt: Date.now()
+        };
+        this.presets = [...this.presets.filter(item => item.name !== presetName), preset];
+        this._save();
+        return preset;
+    }
+
+    /**
+     * 使用预设替换当前操作列表
+     * @param {string} name - 预设名称
+     */
+    loadPreset(name) {
+        const preset = this.presets.find(item => item.name === name);
+        if (!preset) {
+            throw new Error(`找不到预设: ${name}`);
+        }
+        this.setOperations(preset.operations);
+    }
+
+    /**
+     * 删除预设
+     * @param {string} name - 预设名称
+     */
+    deletePreset(name) {
+        this.presets = this.presets.filter(item => item.name !== name);
+        this._save();
+    }
+
+    /**
+     * 导出预设为JSON文本
+     * @param {string|null} name - 预设名称，为null时导出所有预设
+     * @returns {string} JSON文本
+     */
+    exportJSON(name = null) {
+        const presets = name ? this.presets.filter(item => item.name === name) : this.presets;
+        return JSON.stringify({
+            version: BatchRenamer.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets: presets.map(preset => ({
+                name: preset.name,
+                operations: preset.operations.map(({ id, ...operation }) => operation)
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * 从JSON文本导入预设，同名预设会被覆盖
+     * @param {string} text - JSON文本
+     * @returns {Object} 导入结果，包含imported、skipped
+     */
+    importJSON(text) {
+        return this.importPresets(BatchRenamer.parseJSON(text));
+    }
+
+    /**
+     * 解析预设JSON文本
+     * @param {string} text - JSON文本
+     * @returns {Array<Object>} 预设列表（未验证）
+     */
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`批量重命名预设JSON格式错误: ${error.message}`);
+        }
+
+        // 也接受单个预设
+        const presets = data && Array.isArray(data.presets) ? data.presets : (data && data.name ? [data] : null);
+        if (!presets) {
+            throw new Error('批量重命名预设文件中没有presets列表');
+        }
+
+        return presets;
+    }
+
+    /**
+     * 导入预设列表，同名预设会被覆盖，无效的预设跳过
+     * @param {Array<Object>} presets - 预设列表（name、operations）
+     * @returns {Object} 导入结果，包含imported、skipped
+     */
+    importPresets(presets) {
+        const result = { imported: 0, skipped: 0 };
+        presets.forEach(preset => {
+            try {
+                const name = String((preset && preset.name) || '').trim();
+                if (!name || !Array.isArray(preset.operations)) {
+                    throw new Error('预设缺少名称或操作列表');
+                }
+
+                const operations = preset.operations.map(({ id, ...operation }) => this._normalizeOperation(operation));
+                this.presets = [...this.presets.filter(item => item.name !== name), { name, operations, updatedAt: Date.now() }];
+                result.imported++;
+            } catch (error) {
+                Logger.warn(`跳过无效的批量重命名预设: ${error.message}`);
+                result.skipped++;
+            }
+        });
+
+        this._save();
+        return result;
+    }
+
     /**
      * 执行所有操作
      * @returns {Array} 处理后的文件
@@ -214,9 +947,11 @@ class BatchRenamer {
             const originalTranslatedName = file.translatedName;
 
             try {
-                // 执行每个操作
+                // 按顺序执行每个启用的操作
                 for (const operation of this.operations) {
-                    this._applyOperation(file, operation);
+                    if (operation.enabled !== false) {
+                        this._applyOperation(file, operation);
+                    }
                 }
 
                 Logger.debug(`文件 "${file.name}" 批量重命名完成: FXName="${file.standardizedName}", FXName_zh="${file.translatedName}"`);
@@ -241,19 +976,17 @@ class BatchRenamer {
         const { type, options } = operation;
 
         // 确定要处理的字段
-        const processFields = [];
-        if (options.target === 'fxName' || options.target === 'both') {
-            processFields.push('standardizedName');
-        }
-        if (options.target === 'fxName_zh' || options.target === 'both') {
-            processFields.push('translatedName');
-        }
+        const target = BatchRenamer.TARGETS[options.target];
+        const processFields = target ? target.fields : [];
 
         // 根据操作类型处理
         switch (type) {
             case 'replace':
                 this._applyReplaceOperation(file, operation, processFields);
                 break;
+            case 'regex':
+                this._applyRegexOperation(file, operation, processFields);
+                break;
             case 'case':
                 this._applyCaseOperation(file, operation, processFields);
                 break;
@@ -274,6 +1007,21 @@ class BatchRenamer {
         }
     }
 
+    /**
+     * 应用正则替换操作，见_replaceWithRegex
+     * @param {Object} file - 文件对象
+     * @param {Object} operation - 操作对象
+     * @param {Array} fields - 要处理的字段
+     * @private
+     */
+    _applyRegexOperation(file, operation, fields) {
+        for (const field of fields) {
+            if (typeof file[field] === 'string' && file[field]) {
+                file[field] = this._replaceWithRegex(operation, file[field]);
+            }
+        }
+    }
+
     /**
      * 应用替换操作
      * @param {Object} file - 文件对象
@@ -284,30 +1032,24 @@ class BatchRenamer {
     _applyReplaceOperation(file, operation, fields) {
         const { searchText, replaceText, options } = operation;
 
-        // 创建正则表达式
-        let regex;
+        // 使用正则表达式的替换与正则替换操作一样执行
         if (options.useRegex) {
-            try {
-                const flags = options.caseSensitive ? 'g' : 'gi';
-                regex = new RegExp(searchText, flags);
-            } catch (error) {
-                Logger.error(`创建正则表达式失败: ${error.message}`);
-                return;
-            }
-        } else {
-            let pattern = searchText;
-            // 转义正则表达式特殊字符
-            pattern = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            
-            // 如果需要匹配整个单词，添加单词边界
-            if (options.wholeWord) {
-                pattern = `\\b${pattern}\\b`;
-            }
-            
-            const flags = options.caseSensitive ? 'g' : 'gi';
-            regex = new RegExp(pattern, flags);
+            this._applyRegexOperation(file, operation, fields);
+            return;
         }
 
+        let pattern = searchText;
+        // 转义正则表达式特殊字符
+        pattern = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+        // 如果需要匹配整个单词，添加单词边界
+        if (options.wholeWord) {
+            pattern = `\\b${pattern}\\b`;
+        }
+
+        const flags = options.caseSensitive ? 'g' : 'gi';
+        const regex = new RegExp(pattern, flags);
+
         // 应用替换
         for (const field of fields) {
             if (file[field]) {
@@ -363,7 +1105,12 @@ class BatchRenamer {
         for (const field of fields) {
             if (!file[field]) continue;
 
-            if (field === 'translatedName') {
+            if (field === 'filename') {
+                // 对于最终文件名，保留中文、字母数字和命名规则使用的分隔符
+                file[field] = options.preserveSpaces
+                    ? file[field].replace(/[^\u4e00-\u9fa5a-zA-Z0-9_\-\s]/g, '')
+                    : file[field].replace(/[^\u4e00-\u9fa5a-zA-Z0-9_-]/g, '');
+            } else if (field === 'translatedName') {
                 // 对于中文描述，保留中文和字母数字
                 file[field] = options.preserveSpaces
                     ? file[field].replace(/[^\u4e00-\u9fa5a-zA-Z0-9\s]/g, '')
@@ -0,0 +1,424 @@
+/**
+ * 分类准确率评估
+ * 用标注了正确CatID的文件名集合运行当前的匹配策略，统计Top-1/Top-3准确率、
+ * 每个匹配策略和每个分类的准确率，以及最常见的错误分类，并可对比两套匹配策略配置
+ */
+class ClassificationEvaluator {
+    /**
+     * 错误分类列表的最大条数
+     */
+    static MAX_CONFUSIONS = 20;
+
+    /**
+     * 构造函数
+     * @param {SmartClassifier} smartClassifier - 智能分类器（使用其中的匹配器）
+     * @param {TranslationService} translationService - 翻译服务，用于为缺少译文的文件名生成双语匹配所需的译文
+     */
+    constructor(smartClassifier, translationService = null) {
+        this.smartClassifier = smartClassifier;
+        this.translationService = translationService;
+    }
+
+    /**
+     * 解析标注集
+     * 支持CSV（每行"文件名,CatID[,译文]"，可有表头）、JSON对象（文件名 -> CatID）
+     * 和JSON数组（[{filename或name, catID, translation}]，也接受 {files: [...]}）
+     * @param {string} text - 标注集内容
+     * @returns {Object} 包含entries（[{filename, catID, translation}]）和errors
+     */
+    static parseLabelledSet(text) {
+        const content = String(text || '').replace(/^\uFEFF/, '').trim();
+        const entries = [];
+        const errors = [];
+
+        const addEntry = (filename, catID, translation, line) => {
+            const name = String(filename || '').trim();
+            const id = String(catID || '').trim();
+            if (!name || !id) {
+                errors.push(`${line}: 缺少文件名或CatID`);
+                return;
+            }
+            entries.push({ filename: name, catID: id, translation: String(translation || '').trim() });
+        };
+
+        if (content.startsWith('{') || content.startsWith('[')) {
+            let data;
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                throw new Error(`标注集JSON格式错误: ${error.message}`);
+            }
+
+            const list = Array.isArray(data) ? data : (Array.isArray(data.files) ? data.files : null);
+            if (list) {
+                list.forEach((item, index) => {
+                    const entry = item || {};
+                    addEntry(entry.filename || entry.name, entry.catID || entry.expected, entry.translation, `第 ${index + 1} 项`);
+                });
+            } else {
+                Object.entries(data).forEach(([filename, catID]) => addEntry(filename, catID, '', filename));
+            }
+        } else {
+            const parsed = Papa.parse(content, { skipEmptyLines: true });
+            parsed.data.forEach((row, index) => {
+                // 跳过表头
+                if (index === 0 && /^(cat\s*id|分类)/i.test(String(row[1] || '').trim())) {
+                    return;
+                }
+                addEntry(row[0], row[1], row[2], `第 ${index + 1} 行`);
+            });
+        }
+
+        return { entries, errors };
+    }
+
+    /**
+     * 获取当前匹配器
+     * @returns {Object} 匹配器
+     * @private
+     */
+    _getMatcher() {
+        if (!this.smartClassifier || !this.smartClassifier.csvMatcher) {
+            throw new Error('匹配器尚未加载');
+        }
+        return this.smartClassifier.csvMatcher;
+    }
+
+    /**
+     * 创建使用指定匹配策略配置的匹配器和智能分类器
+     * 评估期间可能开始翻译，不能修改正在使用的匹配器；新对象以当前匹配器和分类器为原型，
+     * 共享术语表和索引，只有匹配策略配置不同
+     * @param {MatchingStrategyConfig} config - 匹配策略配置，为空时使用当前配置
+     * @returns {Object} 包含matcher和classifier
+     * @private
+     */
+    _createClassifier(config) {
+        const baseMatcher = this._getMatcher();
+        const matcher = Object.create(baseMatcher);
+        if (config && 'matchingStrategyConfig' in baseMatcher) {
+            matcher.matchingStrategyConfig = config;
+        }
+
+        const classifier = Object.create(this.smartClassifier);
+        classifier.csvMatcher = matcher;
+        return { matcher, classifier };
+    }
+
+    /**
+     * 准备评估样本：提取序号、补充译文并分析词性，对比多套配置时只需准备一次
+     * @param {Array<Object>} entries - 标注集条目
+     * @param {Object} options - 选项
+     * @param {boolean} options.translate - 条目没有译文时是否调用翻译服务，默认true（结果会写入翻译缓存）
+     * @param {Function} options.onProgress - 进度回调 (已完成数, 总数)
+     * @returns {Promise<Object>} 包含samples（可评估的样本）和invalid（CatID不在当前术语表中的条目）
+     */
+    async prepare(entries, options = {}) {
+        const matcher = this._getMatcher();
+        const translate = options.translate !== false && !!this.translationService;
+        const samples = [];
+        const invalid = [];
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+
+            if (!matcher.isValidCatID(entry.catID)) {
+                invalid.push(entry);
+            } else {
+                // 去掉扩展名后按插件的方式提取序号
+                const name = entry.filename.replace(/\.[a-z0-9]{2,5}$/i, '');
+                const file = NamingUtils.processFileName({ name });
+                const text = file.nameWithoutNumber || name;
+
+                let translatedText = entry.translation;
+                if (!translatedText && translate) {
+                    try {
+                        translatedText = file.isChinese
+                            ? await this.translationService.reverseTranslate(text)
+                            : await this.translationService.translate(text);
+                    } catch (error) {
+                        Logger.warn(`评估样本翻译失败，只使用原文匹配: ${text}`, error);
+                        translatedText = '';
+                    }
+                }
+
+                samples.push({
+                    filename: entry.filename,
+                    expected: entry.catID,
+                    text,
+                    isChinese: file.isChinese,
+                    translatedText: translatedText || '',
+                    posAnalysis: this.smartClassifier.analyzePos(text)
+                });
+            }
+
+            if (options.onProgress) {
+                options.onProgress(i + 1, entries.length);
+            }
+        }
+
+        return { samples, invalid };
+    }
+
+    /**
+     * 评估一套匹配策略配置
+     * @param {Array<Object>} samples - prepare生成的样本
+     * @param {MatchingStrategyConfig} config - 匹配策略配置，为空时使用匹配器当前的配置
+     * @param {Object} options - 选项
+     * @param {Function} options.onProgress - 进度回调 (已完成数, 总数)，每个样本在完整流程和每个策略中各计一次
+     * @returns {Promise<Object>} 评估报告，包含top1、top3、byStrategy、byCategory、confusions和results
+     */
+    async evaluate(samples, config = null, options = {}) {
+        const { matcher, classifier } = this._createClassifier(config);
+        const activeConfig = matcher.matchingStrategyConfig;
+        const strategyCount = this._canEvaluateStrategies(activeConfig) ? Object.keys(activeConfig.strategies).length : 0;
+        const progress = this._createProgress(samples.length * (1 + strategyCount), options.onProgress);
+
+        const results = [];
+        for (const sample of samples) {
+            const classification = await classifier.classifyFile(sample.text, null, {
+                matchStrategy: 'auto',
+                translatedText: sample.translatedText,
+                isChinese: sample.isChinese
+            });
+
+            const candidates = this._getCandidates(classification);
+            results.push({
+                filename: sample.filename,
+                expected: sample.expected,
+                predicted: candidates[0] || null,
+                candidates,
+                correct: candidates[0] === sample.expected,
+                inTop3: candidates.includes(sample.expected)
+            });
+            await progress();
+        }
+
+        return {
+            total: samples.length,
+            top1: this._accuracy(results.filter(result => result.correct).length, results.length),
+            top3: this._accuracy(results.filter(result => result.inTop3).length, results.length),
+            byStrategy: await this._evaluateStrategies(samples, activeConfig, progress),
+            byCategory: this._groupByCategory(results),
+            confusions: this._collectConfusions(results),
+            results
+        };
+    }
+
+    /**
+     * 对比两套匹配策略配置
+     * @param {Array<Object>} samples - prepare生成的样本
+     * @param {MatchingStrategyConfig} configA - 配置A，为空时使用当前配置
+     * @param {MatchingStrategyConfig} configB - 配置B，为空时使用当前配置
+     * @param {Object} options - 选项
+     * @param {Function} options.onProgress - 进度回调 (配置名'a'或'b', 已完成数, 总数)
+     * @returns {Promise<Object>} 包含a、b两份报告和changes（两套配置结果不同的文件）
+     */
+    async compare(samples, configA, configB, options = {}) {
+        const onProgress = label => options.onProgress
+            ? (done, total) => options.onProgress(label, done, total)
+            : null;
+        const a = await this.evaluate(samples, configA, { onProgress: onProgress('a') });
+        const b = await this.evaluate(samples, configB, { onProgress: onProgress('b') });
+
+        const changes = [];
+        a.results.forEach((resultA, index) => {
+            const resultB = b.results[index];
+            if (resultA.predicted === resultB.predicted) {
+                return;
+            }
+
+            let change = 'changed';
+            if (!resultA.correct && resultB.correct) {
+                change = 'fixed';
+            } else if (resultA.correct && !resultB.correct) {
+                change = 'broken';
+            }
+
+            changes.push({
+                filename: resultA.filename,
+                expected: resultA.expected,
+                a: resultA.predicted,
+                b: resultB.predicted,
+                change
+            });
+        });
+
+        return { a, b, changes };
+    }
+
+    /**
+     * 获取按排名排列的候选CatID（去重），第一个为分类结果
+     * @param {Object|null} classification - classifyFile的结果
+     * @returns {Array<string>} 最多3个CatID
+     * @private
+     */
+    _getCandidates(classification) {
+        if (!classification) {
+            return [];
+        }
+
+        const candidates = [classification.catID];
+        (classification.matchResults || []).forEach(match => {
+            const catID = match.catID || (match.term && match.term.catID);
+            if (catID && !candidates.includes(catID)) {
+                candidates.push(catID);
+            }
+        });
+
+        return candidates.slice(0, 3);
+    }
+
+    /**
+     * 分别只启用每个匹配策略进行评估
+     * 只有支持匹配策略配置的匹配器（Fuse匹配器）才能单独评估，否则返回空数组
+     * @param {Array<Object>} samples - 样本
+     * @param {MatchingStrategyConfig} config - 被评估的配置
+     * @param {Function} progress - 每评估一个样本调用一次
+     * @returns {Promise<Array<Object>>} 每个策略的结果，包含key、enabled、matched（有结果的数量）、correct、total、accuracy
+     * @private
+     */
+    async _evaluateStrategies(samples, config, progress) {
+        if (!this._canEvaluateStrategies(config)) {
+            return [];
+        }
+
+        const stats = [];
+
+        for (const [key, strategy] of Object.entries(config.strategies)) {
+            const strategies = {};
+            Object.keys(config.strategies).forEach(other => {
+                strategies[other] = { ...config.strategies[other], enabled: other === key };
+            });
+            const { matcher } = this._createClassifier(new MatchingStrategyConfig({ strategies, persist: false }));
+
+            let matched = 0;
+            let correct = 0;
+            for (const sample of samples) {
+                const catID = await matcher.identifyCategory(sample.text, null, sample.posAnalysis, {
+                    translatedText: sample.translatedText,
+                    isChinese: sample.isChinese
+                });
+                if (catID) {
+                    matched++;
+                    if (catID === sample.expected) {
+                        correct++;
+                    }
+                }
+                await progress();
+            }
+
+            stats.push({
+                key,
+                enabled: !!strategy.enabled,
+                matched,
+                ...this._accuracy(correct, samples.length)
+            });
+        }
+
+        return stats;
+    }
+
+    /**
+     * 是否可以单独评估每个匹配策略
+     * @param {Object} config - 匹配策略配置
+     * @returns {boolean} 配置有效且匹配器支持匹配策略配置
+     * @private
+     */
+    _canEvaluateStrategies(config) {
+        return !!(config && config.strategies && 'matchingStrategyConfig' in this._getMatcher());
+    }
+
+    /**
+     * 创建进度计数器
+     * 匹配是同步计算，每20个样本让出一次主线程，以便界面更新进度
+     * @param {number} total - 总数
+     * @param {Function} onProgress - 进度回调 (已完成数, 总数)
+     * @returns {Function} 每完成一个样本调用一次的异步函数
+     * @private
+     */
+    _createProgress(total, onProgress) {
+        let done = 0;
+        return async () => {
+            done++;
+            if (onProgress) {
+                onProgress(done, total);
+            }
+            if (done % 20 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        };
+    }
+
+    /**
+     * 按正确分类的大类统计Top-1准确率
+     * @param {Array<Object>} results - 评估结果
+     * @returns {Array<Object>} 每个大类的结果，按文件数从多到少排列
+     * @private
+     */
+    _groupByCategory(results) {
+        const matcher = this._getMatcher();
+        const groups = new Map();
+
+        results.forEach(result => {
+            const term = matcher.findTermByCatID(result.expected);
+            const category = term ? term.category : result.expected;
+            if (!groups.has(category)) {
+                groups.set(category, {
+                    category,
+                    categoryZh: term ? term.categoryNameZh || '' : '',
+                    correct: 0,
+                    total: 0
+                });
+            }
+
+            const group = groups.get(category);
+            group.total++;
+            if (result.correct) {
+                group.correct++;
+            }
+        });
+
+        return Array.from(groups.values())
+            .map(group => ({ ...group, ...this._accuracy(group.correct, group.total) }))
+            .sort((a, b) => b.total - a.total || a.category.localeCompare(b.category));
+    }
+
+    /**
+     * 统计最常见的错误分类
+     * @param {Array<Object>} results - 评估结果
+     * @returns {Array<Object>} 包含expected、actual（null表示没有结果）、count和filenames，按次数从多到少排列
+     * @private
+     */
+    _collectConfusions(results) {
+        const confusions = new Map();
+
+        results.filter(result => !result.correct).forEach(result => {
+            const key = `${result.expected}\u0000${result.predicted || ''}`;
+            if (!confusions.has(key)) {
+                confusions.set(key, { expected: result.expected, actual: result.predicted, count: 0, filenames: [] });
+            }
+
+            const confusion = confusions.get(key);
+            confusion.count++;
+            confusion.filenames.push(result.filename);
+        });
+
+        return Array.from(confusions.values())
+            .sort((a, b) => b.count - a.count || a.expected.localeCompare(b.expected))
+            .slice(0, ClassificationEvaluator.MAX_CONFUSIONS);
+    }
+
+    /**
+     * 计算准确率
+     * @param {number} correct - 正确数
+     * @param {number} total - 总数
+     * @returns {Object} 包含correct、total和accuracy（0-1）
+     * @private
+     */
+    _accuracy(correct, total) {
+        return { correct, total, accuracy: total > 0 ? correct / total : 0 };
+    }
+}
+
+// 导出ClassificationEvaluator
+window.ClassificationEvaluator = ClassificationEvaluator;
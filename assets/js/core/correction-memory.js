@@ -0,0 +1,373 @@
+/**
+ * 纠正记忆
+ * 记录用户在预览中确认的纠正：文件名词组 -> CatID（分类规则），原文 -> 译文（翻译规则）
+ * 分类规则作为匹配策略learnedCorrectionMatch使用，翻译规则在调用翻译服务之前查找
+ */
+class CorrectionMemory {
+    /**
+     * 导出文件格式版本
+     */
+    static EXPORT_VERSION = 1;
+
+    /**
+     * 构造函数
+     * @param {string} storageKey - 本地存储键名
+     */
+    constructor(storageKey = 'learned-corrections') {
+        this.storageKey = storageKey;
+        this.rules = [];
+        this.settings = {
+            enabled: true
+        };
+        this.onChange = null; // 规则变化回调
+
+        this._load();
+    }
+
+    /**
+     * 将文本拆分为词组：小写、去重、排序，忽略纯数字
+     * @param {string} text - 文本
+     * @returns {Array<string>} 词组
+     */
+    static tokenize(text) {
+        if (!text) return [];
+
+        const tokens = String(text)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^a-z0-9\u4e00-\u9fa5]+/)
+            .filter(token => token && !/^\d+$/.test(token));
+
+        return Array.from(new Set(tokens)).sort();
+    }
+
+    /**
+     * 规范化翻译原文：小写、移除特殊符号、合并空格
+     * 与NamingUtils.normalizeEnglishText(text, true)的结果对应，翻译时传入的清理后文本也能命中
+     * @param {string} text - 原文
+     * @returns {string} 规范化后的原文
+     */
+    static normalizeSource(text) {
+        if (!text) return '';
+
+        return String(text)
+            .toLowerCase()
+            .replace(/[^a-z0-9\u4e00-\u9fa5\s]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * 从本地存储加载规则
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.rules = Array.isArray(data.rules) ? data.rules : [];
+                this.settings = { ...this.settings, ...(data.settings || {}) };
+            }
+        } catch (error) {
+            Logger.error('加载纠正记忆失败', error);
+            this.rules = [];
+        }
+    }
+
+    /**
+     * 保存规则并通知变化
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                rules: this.rules,
+                settings: this.settings,
+                lastUpdated: Date.now()
+            }));
+        } catch (error) {
+            Logger.error('保存纠正记忆失败', error);
+        }
+
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * 获取规则，最近更新的在前
+     * @param {string} [type] - 规则类型（category或translation），省略时返回全部
+     * @returns {Array<Object>} 规则列表
+     */
+    getRules(type = null) {
+        return this.rules
+            .filter(rule => !type || rule.type === type)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * 根据ID获取规则
+     * @param {string} id - 规则ID
+     * @returns {Object|null} 规则
+     */
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * 添加或更新规则，已有相同键的规则时更新结果和确认次数
+     * @param {Object} rule - 不含id和时间的规则
+     * @param {string} valueKey - 规则结果的字段名（catID或translation）
+     * @param {boolean} save - 是否立即保存
+     * @returns {Object} 保存的规则
+     * @private
+     */
+    _upsert(rule, valueKey, save = true) {
+        const now = Date.now();
+        const existing = this.rules.find(item => item.type === rule.type && item.key === rule.key &&
+            item.language === rule.language);
+
+        let saved;
+        if (existing) {
+            // 同一结果再次确认时累加次数，结果改变时重新计数
+            const count = existing[valueKey] === rule[valueKey] ? (existing.count || 1) + 1 : 1;
+            saved = Object.assign(existing, rule, { count, updatedAt: now });
+        } else {
+            saved = {
+                id: `rule-${now}-${Math.random().toString(36).slice(2, 8)}`,
+                ...rule,
+                count: 1,
+                createdAt: now,
+                updatedAt: now
+            };
+            this.rules.push(saved);
+        }
+
+        if (save) {
+            this._save();
+        }
+        return saved;
+    }
+
+    /**
+     * 记录分类纠正
+     * @param {string} text - 文件名（不含序号）
+     * @param {string} catID - 用户选择的CatID
+     * @param {boolean} [save=true] - 是否立即保存
+     * @returns {Object|null} 保存的规则，文件名中没有可用的词时返回null
+     */
+    learnCategory(text, catID, save = true) {
+        const tokens = CorrectionMemory.tokenize(text);
+        if (tokens.length === 0 || !catID) {
+            return null;
+        }
+
+        return this._upsert({
+            type: 'category',
+            key: tokens.join(' '),
+            tokens,
+            catID: String(catID).trim(),
+            example: String(text).trim()
+        }, 'catID', save);
+    }
+
+    /**
+     * 记录翻译纠正
+     * @param {string} text - 原文
+     * @param {string} language - 译文语言（如zh-CN、en）
+     * @param {string} translation - 用户确认的译文
+     * @param {boolean} [save=true] - 是否立即保存
+     * @returns {Object|null} 保存的规则，原文或译文为空时返回null
+     */
+    learnTranslation(text, language, translation, save = true) {
+        const key = CorrectionMemory.normalizeSource(text);
+        const value = translation ? String(translation).trim() : '';
+        if (!key || !value || !language) {
+            return null;
+        }
+
+        return this._upsert({
+            type: 'translation',
+            key,
+            language,
+            source: String(text).trim(),
+            translation: value
+        }, 'translation', save);
+    }
+
+    /**
+     * 记录文件上的纠正（file.corrections，由预览面板在用户修改时设置）
+     * @param {Object} file - 文件对象
+     * @param {Object} options - 选项
+     * @param {string} options.targetLanguage - 中文描述的语言
+     * @param {boolean} [options.save=true] - 是否立即保存
+     * @returns {number} 记录的规则数
+     */
+    learnFromFile(file, options = {}) {
+        const corrections = file && file.corrections;
+        if (!corrections || !file.nameWithoutNumber) {
+            return 0;
+        }
+
+        let learned = 0;
+        if (corrections.catID && this.learnCategory(file.nameWithoutNumber, corrections.catID, false)) {
+            learned++;
+        }
+
+        // 英文描述：中文文件名为反向翻译结果，英文文件名为标准化结果
+        if (corrections.fxName && this.learnTranslation(file.nameWithoutNumber, 'en', corrections.fxName, false)) {
+            learned++;
+        }
+
+        // 中文描述：只记录英文文件名的翻译，去掉末尾的序号
+        if (corrections.fxNameZh && !file.isChinese) {
+            let translation = corrections.fxNameZh;
+            if (file.numberPart && translation.endsWith(file.numberPart)) {
+                translation = translation.slice(0, -file.numberPart.length);
+            }
+            if (this.learnTranslation(file.nameWithoutNumber, options.targetLanguage || 'zh-CN', translation, false)) {
+                learned++;
+            }
+        }
+
+        if (learned > 0 && options.save !== false) {
+            this._save();
+        }
+        return learned;
+    }
+
+    /**
+     * 记录多个文件上的纠正，只保存一次
+     * @param {Array<Object>} files - 文件对象数组
+     * @param {Object} options - 选项，同learnFromFile
+     * @returns {number} 记录的规则数
+     */
+    learnFromFiles(files, options = {}) {
+        const learned = files.reduce((sum, file) => sum + this.learnFromFile(file, { ...options, save: false }), 0);
+        if (learned > 0) {
+            this._save();
+        }
+        return learned;
+    }
+
+    /**
+     * 查找文本对应的分类规则
+     * 词组完全相同的规则优先，其次是词组全部包含在文本中的规则（词越多越具体），再按确认次数
+     * @param {string} text - 文件名（不含序号）
+     * @returns {Object|null} 分类规则，未启用或没有规则时返回null
+     */
+    findCategory(text) {
+        if (!this.settings.enabled) return null;
+
+        const tokens = CorrectionMemory.tokenize(text);
+        if (tokens.length === 0) return null;
+
+        const tokenSet = new Set(tokens);
+        const candidates = this.rules.filter(rule => rule.type === 'category' &&
+            Array.isArray(rule.tokens) && rule.tokens.length > 0 &&
+            rule.tokens.every(token => tokenSet.has(token)));
+
+        if (candidates.length === 0) return null;
+
+        candidates.sort((a, b) =>
+            (b.tokens.length - a.tokens.length) || ((b.count || 1) - (a.count || 1)) || (b.updatedAt - a.updatedAt));
+        return candidates[0];
+    }
+
+    /**
+     * 查找原文对应的翻译规则
+     * @param {string} text - 原文
+     * @param {string} language - 译文语言
+     * @returns {Object|null} 翻译规则，未启用或没有规则时返回null
+     */
+    findTranslation(text, language) {
+        if (!this.settings.enabled) return null;
+
+        const key = CorrectionMemory.normalizeSource(text);
+        if (!key) return null;
+
+        return this.rules.find(rule => rule.type === 'translation' && rule.key === key &&
+            rule.language === language) || null;
+    }
+
+    /**
+     * 删除规则
+     * @param {string} id - 规则ID
+     */
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this._save();
+    }
+
+    /**
+     * 清空规则
+     * @param {string} [type] - 只清空指定类型的规则，省略时清空全部
+     */
+    clear(type = null) {
+        this.rules = type ? this.rules.filter(rule => rule.type !== type) : [];
+        this._save();
+    }
+
+    /**
+     * 更新设置
+     * @param {Object} settings - 设置
+     */
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this._save();
+    }
+
+    /**
+     * 导出为JSON文本
+     * @returns {string} JSON文本
+     */
+    exportJSON() {
+        return JSON.stringify({
+            version: CorrectionMemory.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            rules: this.getRules()
+        }, null, 2);
+    }
+
+    /**
+     * 从JSON文本导入规则，相同的规则会被更新
+     * @param {string} text - JSON文本
+     * @returns {Object} 导入结果，包含imported、skipped
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`纠正记忆JSON格式错误: ${error.message}`);
+        }
+
+        const rules = Array.isArray(data) ? data : (data && data.rules);
+        if (!Array.isArray(rules)) {
+            throw new Error('纠正记忆文件中没有rules列表');
+        }
+
+        const result = { imported: 0, skipped: 0 };
+        rules.forEach(rule => {
+            let saved = null;
+            if (rule && rule.type === 'category') {
+                saved = this.learnCategory(rule.example || (rule.tokens || []).join(' '), rule.catID, false);
+            } else if (rule && rule.type === 'translation') {
+                saved = this.learnTranslation(rule.source, rule.language, rule.translation, false);
+            }
+
+            if (saved) {
+                result.imported++;
+            } else {
+                result.skipped++;
+            }
+        });
+
+        this._save();
+        return result;
+    }
+}
+
+// 导出CorrectionMemory
+window.CorrectionMemory = CorrectionMemory;
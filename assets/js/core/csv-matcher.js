@@ -6,9 +6,16 @@ class CSVMatcher {
     /**
      * 构造函数
      * @param {string} csvPath - CSV文件路径
+     * @param {Object} options - 配置选项
+     * @param {string} options.csvText - 用户选择的UCS文件内容，提供时不再加载csvPath
+     * @param {Object} options.columnMapping - 列映射（字段名 -> 列名）
      */
-    constructor(csvPath) {
+    constructor(csvPath, options = {}) {
         this.terms = [];
+        this.stockTerms = []; // 内置术语（未合并用户术语库）
+        this.userGlossary = null; // 用户术语库
+        this.correctionMemory = null; // 纠正记忆
+        this.columnMapping = options.columnMapping || UCSSchema.DEFAULT_MAPPING; // CSV列映射
         this.categories = [];
         this.loaded = false;
         this.aiClassifier = null; // AI辅助分类器
@@ -36,6 +43,12 @@ class CSVMatcher {
             useAIClassification: false
         };
 
+        // 用户选择的UCS文件内容，按列映射解析
+        if (options.csvText) {
+            this.loadDatabase(options.csvText, this.columnMapping);
+            return;
+        }
+
         // 确保路径有效
         if (!csvPath) {
             console.warn('CSV路径为空，使用默认路径 ./assets/data/UCSv8.2.1.csv');
@@ -67,7 +80,8 @@ class CSVMatcher {
                 if (xhr.readyState === 4) {
                     if (xhr.status === 200) {
                         try {
-                            self.terms = self.parseCSV(xhr.responseText);
+                            self.stockTerms = self.parseCSV(xhr.responseText);
+                            self.terms = self._mergeUserGlossary(self.stockTerms);
                             self.loaded = true;
 
                             // 提取所有分类
@@ -126,7 +140,8 @@ class CSVMatcher {
                     if (xhr.readyState === 4) {
                         if (xhr.status === 200) {
                             try {
-                                self.terms = self.parseCSV(xhr.responseText);
+                                self.stockTerms = self.parseCSV(xhr.responseText);
+                                self.terms = self._mergeUserGlossary(self.stockTerms);
                                 self.loaded = true;
 
                                 // 提取所有分类
@@ -198,15 +213,16 @@ class CSVMatcher {
             var headers = this.splitCSVLine(lines[0]);
             console.log('解析到的头部:', headers);
 
-            // 查找列索引 - 使用实际的CSV列名
-            var sourceIndex = headers.indexOf('SubCategory');
-            var targetIndex = headers.indexOf('SubCategory_zh');
-            var catIDIndex = headers.indexOf('CatID');
-            var catShortIndex = headers.indexOf('CatShort');
-            var categoryIndex = headers.indexOf('Category');
-            var categoryNameZhIndex = headers.indexOf('Category_zh');
-            var synonymsIndex = headers.indexOf('Synonyms - Comma Separated');
-            var synonymsZhIndex = headers.indexOf('Synonyms_zh');
+            // 查找列索引 - 按列映射查找实际的CSV列名
+            var mapping = this.columnMapping;
+            var sourceIndex = headers.indexOf(mapping.source);
+            var targetIndex = headers.indexOf(mapping.target);
+            var catIDIndex = headers.indexOf(mapping.catID);
+            var catShortIndex = headers.indexOf(mapping.catShort);
+            var categoryIndex = headers.indexOf(mapping.category);
+            var categoryNameZhIndex = headers.indexOf(mapping.categoryNameZh);
+            var synonymsIndex = headers.indexOf(mapping.synonyms);
+            var synonymsZhIndex = headers.indexOf(mapping.synonymsZh);
 
             console.log('解析CSV列索引:', {
                 sourceIndex,
@@ -1328,6 +1344,15 @@ class CSVMatcher {
 
         // 恢复完整匹配策略 - 保持高效的同时确保覆盖率
         const matchStrategies = [
+            // 0. 纠正记忆 - 用户在预览中确认过的分类
+            async () => {
+                const learnedCatID = this.matchLearnedCorrection(text);
+                if (learnedCatID) {
+                    Logger.info(`[匹配引擎] 纠正记忆匹配成功: "${text}" -> ${learnedCatID}`);
+                }
+                return learnedCatID;
+            },
+
             // 1. AI智能分类 - 主要策略，利用大模型强大的理解能力
             async () => {
                 if (this.matchSettings.useAIClassification && this.aiClassifier && translationProvider) {
@@ -1489,6 +1514,88 @@ class CSVMatcher {
         return '';
     }
 
+    /**
+     * 从CSV文本加载术语表（用于其他版本或本地化的UCS文件）
+     * @param {string} text - CSV文本
+     * @param {Object} mapping - 列映射（字段名 -> 列名）
+     * @returns {number} 加载的术语数量
+     */
+    loadDatabase(text, mapping) {
+        mapping = mapping || UCSSchema.DEFAULT_MAPPING;
+
+        var parsed = UCSSchema.parse(text);
+        var validation = UCSSchema.validate(mapping, parsed.headers, parsed.rows);
+        if (!validation.valid) {
+            throw new Error('UCS术语表格式无效: ' + validation.errors.join('; '));
+        }
+
+        this.columnMapping = mapping;
+        this.stockTerms = UCSSchema.mapRows(parsed.rows, mapping);
+        this.loaded = true;
+        this.refreshUserGlossary();
+
+        console.log('UCS术语表加载完成，共 ' + this.terms.length + ' 个术语，' + this.categories.length + ' 个分类');
+        return this.stockTerms.length;
+    }
+
+    /**
+     * 设置用户术语库，已加载时立即重新合并术语
+     * @param {UserGlossary} userGlossary - 用户术语库实例
+     */
+    setUserGlossary(userGlossary) {
+        this.userGlossary = userGlossary;
+        this.refreshUserGlossary();
+    }
+
+    /**
+     * 设置纠正记忆，学习到的分类规则优先于其他匹配策略
+     * @param {CorrectionMemory} correctionMemory - 纠正记忆实例
+     */
+    setCorrectionMemory(correctionMemory) {
+        this.correctionMemory = correctionMemory;
+    }
+
+    /**
+     * 使用纠正记忆中学习到的规则匹配分类
+     * @param {string} text - 文件名（不含序号）
+     * @returns {string|null} CatID，没有可用的规则时返回null
+     */
+    matchLearnedCorrection(text) {
+        if (!this.correctionMemory || !text) {
+            return null;
+        }
+
+        var rule = this.correctionMemory.findCategory(text);
+        return rule && this.isValidCatID(rule.catID) ? rule.catID : null;
+    }
+
+    /**
+     * 用户术语库变化后重新合并术语和分类
+     */
+    refreshUserGlossary() {
+        if (!this.loaded) return;
+
+        this.terms = this._mergeUserGlossary(this.stockTerms);
+        this.categories = [];
+        for (var i = 0; i < this.terms.length; i++) {
+            var category = this.terms[i].category;
+            if (category && this.categories.indexOf(category) === -1) {
+                this.categories.push(category);
+            }
+        }
+    }
+
+    /**
+     * 将用户术语库合并到内置术语
+     * 匹配时按术语顺序遍历，因此优先级由合并后的顺序决定
+     * @param {Array<Object>} stockTerms - 内置术语
+     * @returns {Array<Object>} 合并后的术语
+     * @private
+     */
+    _mergeUserGlossary(stockTerms) {
+        return this.userGlossary ? this.userGlossary.mergeTerms(stockTerms || []) : (stockTerms || []);
+    }
+
     /**
      * 获取所有分类
      * @returns {Array<string>} 分类列表
@@ -4,6 +4,30 @@
  * 用于处理音效文件的获取、筛选和重命名
  */
 class FileProcessor {
+    /**
+     * 写入注释时使用的行前缀
+     */
+    static ANNOTATION_ORIGINAL_NAME = '原文件名: ';
+    static ANNOTATION_MATCH_SOURCE = '匹配来源: ';
+
+    /**
+     * 翻译和重命名的进度阶段
+     */
+    static TRANSLATION_PHASES = [
+        { id: 'preprocess', label: '预处理' },
+        { id: 'classify', label: 'AI分类' },
+        { id: 'prefetch', label: '批量翻译' },
+        { id: 'process', label: '匹配和翻译' }
+    ];
+    static RENAME_PHASES = [
+        { id: 'rename', label: '应用文件名' }
+    ];
+
+    /**
+     * 批量AI分类每批之间的等待时间（毫秒），避免触发接口限制
+     */
+    static AI_BATCH_DELAY = 1000;
+
     /**
      * 构造函数
      * @param {TranslationService} translationService - 翻译服务实例
@@ -17,8 +41,29 @@ class FileProcessor {
         this.files = [];
         this.isProcessing = false;
         this.pauseTranslation = false;
+        this.abortController = null; // 当前翻译任务的取消控制器
         this.useCSV = true; // 默认启用CSV术语库
         this.smartClassifier = null; // 智能分类器
+        this.renameJournal = null; // 重命名日志
+
+        // 元数据写入设置
+        this.metadataSettings = {
+            enabled: false,
+            rename: true, // 写入元数据时是否同时重命名
+            tags: {
+                catID: true,
+                category: true,
+                category_zh: true,
+                subCategory: true,
+                subCategory_zh: true
+            },
+            annotation: {
+                originalName: true,
+                matchSource: true
+            },
+            moveToCatIDFolder: false,
+            catIDFolderParent: ''
+        };
 
         // 初始化智能分类器
         this._initSmartClassifier();
@@ -175,6 +220,7 @@ class FileProcessor {
                     formattedName: '',
                     category: '',
                     tags: item.tags || [],
+                    folders: item.folders || [],
                     status: 'pending',
                     errorMessage: '',
                     selected: true, // 默认选中
@@ -261,6 +307,16 @@ class FileProcessor {
         file.numberPart = processedFile.numberPart;
         file.numberFormat = processedFile.numberFormat;
 
+        // 各项结果的提供者，重新翻译时重新记录
+        file.resultProviders = {};
+        file.providerFailures = {};
+
+        // 用户在预览中的纠正，重新翻译时清除
+        file.corrections = null;
+
+        // 翻译记忆中相似的译文，在预览中提示
+        file.tmMatch = null;
+
         // 确保originalName不被覆盖
         if (!file.originalName) {
             file.originalName = file.name + (file.extension ? '.' + file.extension : '');
@@ -281,12 +337,25 @@ class FileProcessor {
                 }
 
                 // 反向翻译为英文，用于分类匹配和标准化
-                const englishName = await this.translationService.reverseTranslate(file.nameWithoutNumber);
+                let reversed;
+                try {
+                    reversed = await this.translationService.reverseTranslateDetailed(file.nameWithoutNumber);
+                } catch (error) {
+                    this._recordProviderFailures(file, 'reverseTranslate', error.failures);
+                    throw error;
+                }
+                this._recordProvider(file, 'reverseTranslate', reversed);
+
+                const englishName = reversed.result;
                 file.reversedEnglishName = englishName;
+                file.untranslatedWords = this.translationService.getUntranslatedWords(file.nameWithoutNumber, 'zh-CN', 'en', reversed.provider);
 
                 // 标准化英文名
                 file.standardizedName = NamingUtils.normalizeEnglishText(englishName, false);
 
+                this._findMemoryMatch(file, file.nameWithoutNumber, 'zh-CN', 'en', reversed,
+                    target => NamingUtils.normalizeEnglishText(target, false));
+
                 // 使用中心化的匹配逻辑处理中文文件名
                 if (this.useCSV && this.csvMatcher && this.csvMatcher.loaded && this.smartClassifier) {
                     try {
@@ -322,18 +391,21 @@ class FileProcessor {
     /**
      * 处理非中文文件名的翻译和标准化
      * @param {Object} file - 文件对象
+     * @param {Object} [prefetched] - 批量阶段的结果，包含translation和standardized
      * @returns {Promise<void>}
      * @private
      */
-    async _processNonChineseFileName(file) {
+    async _processNonChineseFileName(file, prefetched = null) {
         // 🔥 关键修复：如果AI已经设置了英文描述，不要覆盖它
-        const hasAIDescription = file.standardizedName && file.matchSuccessful && file.standardizedName !== file.nameWithoutNumber;
+        const hasAIDescription = this._hasAIDescription(file);
 
         // 处理标准化名称
         if (this.translationService.settings.standardizeEnglish && !hasAIDescription) {
             try {
                 // 生成标准化的英文描述
-                let standardizedName = await this.translationService.standardize(file.nameWithoutNumber);
+                const standardized = await this._getPrefetchedResult(file, 'standardize', prefetched && prefetched.standardized,
+                    () => this.translationService.standardizeDetailed(file.nameWithoutNumber));
+                let standardizedName = standardized.result;
 
                 // 应用命名风格和规范化
                 const options = this._buildNamingOptions(true);
@@ -382,7 +454,10 @@ class FileProcessor {
             let cleanName = NamingUtils.normalizeEnglishText(file.nameWithoutNumber, true);
 
             // 翻译清理后的文件名
-            file.translatedName = await this.translationService.translate(cleanName);
+            const translated = await this._getPrefetchedResult(file, 'translate', prefetched && prefetched.translation,
+                () => this.translationService.translateDetailed(cleanName));
+            file.translatedName = translated.result;
+            file.untranslatedWords = this.translationService.getUntranslatedWords(cleanName, null, null, translated.provider);
 
             // 处理翻译结果
             if (file.translatedName) {
@@ -395,6 +470,10 @@ class FileProcessor {
                 if (file.numberPart) {
                     file.translatedName = `${file.translatedName}${file.numberPart}`;
                 }
+
+                const settings = this.translationService.settings;
+                this._findMemoryMatch(file, cleanName, settings.sourceLanguage, settings.targetLanguage, translated,
+                    target => `${NamingUtils.normalizeChineseText(target, options.keepSpaces)}${file.numberPart || ''}`);
             }
         } catch (error) {
             Logger.error(`文件 "${file.name}" 翻译失败`, error);
@@ -403,6 +482,164 @@ class FileProcessor {
         }
     }
 
+    /**
+     * 文件是否已有AI分类生成的英文描述
+     * @param {Object} file - 文件对象
+     * @returns {boolean} 是否已有AI描述
+     * @private
+     */
+    _hasAIDescription(file) {
+        return !!(file.standardizedName && file.matchSuccessful && file.standardizedName !== file.nameWithoutNumber);
+    }
+
+    /**
+     * 批量翻译和标准化非中文文件名
+     * 每次请求发送多个文件名，缺失的结果由翻译服务逐个补齐
+     * @param {Array} fileObjects - 文件对象数组
+     * @param {ProgressTracker} [progress] - 进度跟踪，不需要批量处理时不进入批量翻译阶段
+     * @returns {Promise<Map<Object, Object>>} 文件对象到批量结果的映射，结果包含translation和standardized
+     * @private
+     */
+    async _batchTranslateNames(fileObjects, progress = null) {
+        const prefetched = new Map();
+        const service = this.translationService;
+        if (!service || typeof service.canBatch !== 'function') {
+            return prefetched;
+        }
+
+        const files = fileObjects.filter(file => !file.isChinese && file.nameWithoutNumber);
+        if (files.length < 2) {
+            return prefetched;
+        }
+
+        files.forEach(file => prefetched.set(file, {}));
+        if (progress) {
+            progress.startPhase('prefetch', files.length);
+        }
+
+        try {
+            if (service.canBatch('translate')) {
+                const translations = await service.translateBatch(
+                    files.map(file => NamingUtils.normalizeEnglishText(file.nameWithoutNumber, true))
+                );
+                files.forEach((file, index) => {
+                    prefetched.get(file).translation = translations[index];
+                });
+            }
+
+            // 已有AI描述的文件不需要标准化
+            const toStandardize = service.settings.standardizeEnglish && service.canBatch('standardize')
+                ? files.filter(file => !this._hasAIDescription(file))
+                : [];
+            if (toStandardize.length > 1 && !this.pauseTranslation) {
+                const standardized = await service.standardizeBatch(toStandardize.map(file => file.nameWithoutNumber));
+                toStandardize.forEach((file, index) => {
+                    prefetched.get(file).standardized = standardized[index];
+                });
+            }
+        } catch (error) {
+            // 批量请求被取消或无法进行时，第三阶段逐个处理
+            Logger.warn(`批量翻译文件名失败: ${error.message}`);
+        }
+
+        if (progress) {
+            progress.advance(files.length);
+        }
+        return prefetched;
+    }
+
+    /**
+     * 获取批量阶段的结果，没有结果时执行单独请求，并记录产生结果的提供者
+     * @param {Object} file - 文件对象
+     * @param {string} operation - 操作（translate或standardize）
+     * @param {Object|null} entry - 批量结果
+     * @param {Function} request - 单独请求函数，返回包含result和provider的结果
+     * @returns {Promise<Object>} 结果，包含result、provider和failures
+     * @private
+     */
+    async _getPrefetchedResult(file, operation, entry, request) {
+        let detailed;
+        try {
+            if (!entry) {
+                detailed = await request();
+            } else if (entry.error) {
+                const error = new Error(entry.error);
+                error.failures = entry.failures;
+                throw error;
+            } else {
+                detailed = entry;
+            }
+        } catch (error) {
+            this._recordProviderFailures(file, operation, error.failures);
+            throw error;
+        }
+
+        this._recordProvider(file, operation, detailed);
+        return detailed;
+    }
+
+    /**
+     * 在翻译记忆中查找相似的译文，记录到file.tmMatch供预览提示
+     * 结果已来自纠正记忆或翻译记忆，或与记忆中的译文相同时不记录
+     * 英文文件名对应中文描述，中文文件名对应英文描述
+     * @param {Object} file - 文件对象
+     * @param {string} text - 翻译的原文
+     * @param {string} from - 原文语言
+     * @param {string} to - 译文语言
+     * @param {Object} detailed - 翻译结果，包含result和provider
+     * @param {Function} format - 将记忆中的译文转换为描述列的值
+     * @private
+     */
+    _findMemoryMatch(file, text, from, to, detailed, format) {
+        const providers = [TranslationService.MEMORY_PROVIDER, TranslationService.TRANSLATION_MEMORY_PROVIDER];
+        if (!detailed || providers.includes(detailed.provider) ||
+            typeof this.translationService.findMemoryMatch !== 'function') {
+            return;
+        }
+
+        const match = this.translationService.findMemoryMatch(text, from, to);
+        if (!match || match.target === detailed.result) {
+            return;
+        }
+
+        file.tmMatch = {
+            ...match,
+            field: file.isChinese ? 'standardizedName' : 'translatedName',
+            value: format(match.target)
+        };
+    }
+
+    /**
+     * 记录产生结果的提供者，以及在它之前失败的提供者
+     * @param {Object} file - 文件对象
+     * @param {string} operation - 操作（translate、reverseTranslate、standardize、classification）
+     * @param {Object} detailed - 包含provider和failures的结果
+     * @private
+     */
+    _recordProvider(file, operation, detailed) {
+        if (!detailed || !detailed.provider) return;
+
+        file.resultProviders = { ...(file.resultProviders || {}), [operation]: detailed.provider };
+        this._recordProviderFailures(file, operation, detailed.failures);
+    }
+
+    /**
+     * 记录失败的提供者及错误
+     * @param {Object} file - 文件对象
+     * @param {string} operation - 操作
+     * @param {Array<Object>} failures - 失败的提供者及错误
+     * @private
+     */
+    _recordProviderFailures(file, operation, failures) {
+        const providerFailures = { ...(file.providerFailures || {}) };
+        if (Array.isArray(failures) && failures.length > 0) {
+            providerFailures[operation] = failures;
+        } else {
+            delete providerFailures[operation];
+        }
+        file.providerFailures = providerFailures;
+    }
+
     /**
      * 应用匹配结果到文件
      * @param {Object} file - 文件对象
@@ -439,10 +676,11 @@ class FileProcessor {
     /**
      * 批量AI分类处理
      * @param {Array} fileItems - 需要分类的文件项数组 [{file, index}]
+     * @param {ProgressTracker} [progress] - 进度跟踪，每批完成后更新
      * @returns {Promise<void>}
      * @private
      */
-    async _batchClassifyWithAI(fileItems) {
+    async _batchClassifyWithAI(fileItems, progress = null) {
         if (!fileItems || fileItems.length === 0) return;
 
         try {
@@ -451,6 +689,11 @@ class FileProcessor {
             // 按批次大小分组处理
             const batchSize = 10;
             for (let i = 0; i < fileItems.length; i += batchSize) {
+                if (this.pauseTranslation) {
+                    console.log('翻译已暂停，停止批量AI分类');
+                    break;
+                }
+
                 const batch = fileItems.slice(i, i + batchSize);
                 console.log(`处理批次 ${Math.floor(i/batchSize) + 1}，文件 ${i + 1}-${Math.min(i + batchSize, fileItems.length)}`);
 
@@ -468,6 +711,10 @@ class FileProcessor {
                 // 等待当前批次完成
                 const batchResults = await Promise.all(batchPromises);
 
+                if (progress) {
+                    progress.advance(batch.length, batchResults.filter(item => item.error).length);
+                }
+
                 // 处理批次结果
                 batchResults.forEach(({ file, success }) => {
                     file.matchAttempted = true;
@@ -480,9 +727,9 @@ class FileProcessor {
                     }
                 });
 
-                // 批次间添加短暂延迟，避免API限制
+                // 批次间添加短暂延迟，避免API限制；取消时立即结束等待
                 if (i + batchSize < fileItems.length) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
+                    await this._wait(FileProcessor.AI_BATCH_DELAY);
                 }
             }
 
@@ -637,6 +884,7 @@ class FileProcessor {
             }
 
             file.matchSuccessful = true;
+            this._recordProvider(file, 'classification', { provider: aiResult.provider, failures: aiResult.providerFailures });
 
             return fileCategory;
         } catch (aiError) {
@@ -647,17 +895,39 @@ class FileProcessor {
 
     /**
      * 处理文件翻译
+     * 分为预处理、AI分类、批量翻译和逐个匹配翻译四个阶段，通过onProgress报告进度
      * @param {Array} files - 要处理的文件
      * @param {Function} onFileProcessed - 文件处理完成后的回调函数
+     * @param {Object} [options] - 选项
+     * @param {Function} [options.onProgress] - 进度回调，参数为ProgressTracker的进度快照
+     * @param {AbortSignal} [options.signal] - 取消信号，取消时停止处理并中止进行中的网络请求
      * @returns {Promise<Array>} 处理后的文件
      */
-    async processTranslation(files, onFileProcessed = null) {
+    async processTranslation(files, onFileProcessed = null, options = {}) {
         if (this.isProcessing) {
             throw new Error('已有翻译任务正在进行中');
         }
 
         this.isProcessing = true;
         this.pauseTranslation = false;
+        this.abortController = new AbortController();
+
+        const cancel = () => this.cancelTranslation();
+        if (options.signal) {
+            if (options.signal.aborted) {
+                cancel();
+            } else {
+                options.signal.addEventListener('abort', cancel, { once: true });
+            }
+        }
+
+        const service = this.translationService;
+        const progress = new ProgressTracker(FileProcessor.TRANSLATION_PHASES, {
+            onProgress: options.onProgress,
+            getRequestStatus: service && typeof service.getRequestStatus === 'function'
+                ? () => service.getRequestStatus()
+                : null
+        });
 
         try {
             Logger.info(`开始处理 ${files.length} 个文件的翻译`);
@@ -674,7 +944,13 @@ class FileProcessor {
             const needsAIClassification = [];
 
             // 第一阶段：预处理和收集需要AI分类的文件
+            progress.startPhase('preprocess', fileObjects.length);
             for (let i = 0; i < fileObjects.length; i++) {
+                if (this.pauseTranslation) {
+                    Logger.info(`翻译已暂停，已预处理 ${i} 个文件`);
+                    break;
+                }
+
                 const file = fileObjects[i];
                 try {
                     // 处理文件名，提取序号和准备翻译
@@ -694,18 +970,30 @@ class FileProcessor {
                         // 收集需要AI分类的文件
                         needsAIClassification.push({ file, index: i });
                     }
+                    progress.advance();
                 } catch (error) {
                     Logger.error(`文件 "${file.name}" 预处理失败`, error);
+                    progress.advance(1, 1);
                 }
             }
 
             // 第二阶段：批量AI分类
-            if (needsAIClassification.length > 0) {
+            if (needsAIClassification.length > 0 && !this.pauseTranslation) {
                 console.log(`🤖 开始批量AI分类，共 ${needsAIClassification.length} 个文件`);
-                await this._batchClassifyWithAI(needsAIClassification);
+                progress.startPhase('classify', needsAIClassification.length);
+                await this._batchClassifyWithAI(needsAIClassification, progress);
+            }
+
+            // 批量翻译和标准化非中文文件名，结果在第三阶段使用
+            let prefetched = new Map();
+            if (!this.pauseTranslation) {
+                prefetched = await this._batchTranslateNames(fileObjects, progress);
             }
 
             // 第三阶段：处理每个文件的后续逻辑
+            if (!this.pauseTranslation) {
+                progress.startPhase('process', fileObjects.length);
+            }
             for (let i = 0; i < fileObjects.length; i++) {
                 // 检查是否暂停
                 if (this.pauseTranslation) {
@@ -746,8 +1034,6 @@ class FileProcessor {
                                 // 使用智能分类器的中心化匹配逻辑
                                 const smartResult = await this.smartClassifier.classifyFile(file.nameWithoutNumber, null, options);
                                 if (smartResult) {
-                                    fileCategory = smartResult;
-
                                     // 应用匹配结果到文件
                                     this._applyMatchResult(file, smartResult);
 
@@ -776,11 +1062,21 @@ class FileProcessor {
 
                     // 处理非中文文件名的翻译和标准化
                     if (!file.isChinese) {
-                        await this._processNonChineseFileName(file);
+                        await this._processNonChineseFileName(file, prefetched.get(file));
+                    }
+
+                    // 停止翻译时当前文件的请求已被取消，结果不完整
+                    if (this.pauseTranslation) {
+                        file.status = 'pending';
+                        Logger.info(`翻译已暂停，文件 "${file.name}" 未完成`);
+                        break;
                     }
 
-                    // 应用命名规则
-                    file.formattedName = this.namingRules.formatFilename(file);
+                    // 应用命名规则（翻译过的文件不再按原文件名重命名）
+                    file.renameOnly = false;
+                    await this.namingRules.runFormatting(() => {
+                        file.formattedName = this.namingRules.formatFilename(file);
+                    });
                     Logger.debug(`文件名格式化: 原始="${file.name}", 翻译="${file.translatedName}", 分类="${file.category}", 最终="${file.formattedName}"`);
 
                     // 更新状态
@@ -825,41 +1121,167 @@ class FileProcessor {
                     Logger.error(`文件 "${file.name}" 翻译失败`, error);
                 }
 
+                progress.advance(1, file.status === 'error' ? 1 : 0);
+
                 // 如果提供了回调函数，则调用它通知文件处理完成
                 if (typeof onFileProcessed === 'function') {
                     onFileProcessed(fileObjects, i);
                 }
             }
 
+            // 整批分配序号并检测重名
+            try {
+                await this.resolveNameConflicts(fileObjects);
+            } catch (error) {
+                Logger.warn('检测重名失败', error);
+            }
+
             return fileObjects;
         } catch (error) {
             Logger.error('处理文件翻译失败', error);
+            progress.finish('failed');
             throw error;
         } finally {
+            progress.finish(this.pauseTranslation ? 'cancelled' : 'completed');
+            if (options.signal) {
+                options.signal.removeEventListener('abort', cancel);
+            }
             this.isProcessing = false;
         }
     }
 
+    /**
+     * 取消正在进行的翻译：不再处理剩余文件，并中止排队和进行中的网络请求
+     */
+    cancelTranslation() {
+        this.pauseTranslationProcess();
+        if (this.translationService && typeof this.translationService.cancelRequests === 'function') {
+            this.translationService.cancelRequests();
+        }
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * 等待一段时间，取消翻译时立即结束
+     * @param {number} ms - 等待时间（毫秒）
+     * @returns {Promise<void>}
+     * @private
+     */
+    _wait(ms) {
+        const signal = this.abortController ? this.abortController.signal : null;
+        return new Promise(resolve => {
+            if (signal && signal.aborted) {
+                resolve();
+                return;
+            }
+
+            const done = () => {
+                clearTimeout(timer);
+                if (signal) {
+                    signal.removeEventListener('abort', done);
+                }
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            if (signal) {
+                signal.addEventListener('abort', done, { once: true });
+            }
+        });
+    }
+
+    /**
+     * 设置重命名日志
+     * @param {RenameJournal} renameJournal - 重命名日志实例
+     */
+    setRenameJournal(renameJournal) {
+        this.renameJournal = renameJournal;
+    }
+
+    /**
+     * 获取当前设置快照（不包含API密钥）
+     * @returns {Object} 设置快照，包含provider、translation、naming、useCSV
+     */
+    getSettingsSnapshot() {
+        const translationSettings = this.translationService && typeof this.translationService.getSettings === 'function'
+            ? this.translationService.getSettings()
+            : {};
+        delete translationSettings.apiKeys;
+
+        // 自定义请求头可能包含密钥，不写入快照
+        if (translationSettings.openaiCompatible) {
+            const { headers, ...openaiCompatible } = translationSettings.openaiCompatible;
+            translationSettings.openaiCompatible = openaiCompatible;
+        }
+
+        const activeProvider = this.translationService && this.translationService.activeProvider;
+
+        return {
+            provider: activeProvider && typeof activeProvider.getId === 'function'
+                ? activeProvider.getId()
+                : (translationSettings.provider || null),
+            translation: translationSettings,
+            naming: this.namingRules ? JSON.parse(JSON.stringify(this.namingRules.settings)) : {},
+            useCSV: this.useCSV
+        };
+    }
+
+    /**
+     * 获取重命名时使用的提供者和设置快照（不包含API密钥）
+     * @returns {Object} 上下文信息
+     * @private
+     */
+    _getRenameContext() {
+        const { provider, ...settings } = this.getSettingsSnapshot();
+        return { provider, settings };
+    }
+
     /**
      * 执行重命名
      * @param {Array} files - 要重命名的文件
+     * @param {Object} options - 选项
+     * @param {boolean} options.rename - 是否修改文件名，默认使用元数据设置中的rename
+     * @param {Object|null} options.metadata - 元数据写入设置，默认使用this.metadataSettings（未启用时不写入）
+     * @param {Function} [options.onProgress] - 进度回调，参数为ProgressTracker的进度快照
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后剩余的文件不再处理，结果为已取消
      * @returns {Promise<Array>} 重命名结果
      */
-    async executeRename(files) {
+    async executeRename(files, options = {}) {
+        const progress = new ProgressTracker(FileProcessor.RENAME_PHASES, { onProgress: options.onProgress });
+
         try {
-            Logger.info(`开始重命名 ${files.length} 个文件`);
+            const metadata = options.metadata !== undefined
+                ? options.metadata
+                : (this.metadataSettings.enabled ? this.metadataSettings : null);
+            const rename = options.rename !== undefined
+                ? options.rename
+                : (metadata ? metadata.rename !== false : true);
+
+            Logger.info(`开始处理 ${files.length} 个文件`, { rename, metadata: !!metadata });
 
             // 确保文件是数组
             if (!Array.isArray(files) || files.length === 0) {
                 throw new Error('没有文件可以重命名');
             }
 
+            if (!rename && !metadata) {
+                throw new Error('未选择重命名或写入元数据');
+            }
+
             const results = [];
+            const journalEntries = [];
+            const folderCache = new Map();
 
+            progress.startPhase('rename', files.length);
             for (const file of files) {
+                if (options.signal && options.signal.aborted) {
+                    break;
+                }
+
                 try {
                     // 跳过未翻译或出错的文件
-                    if (file.status !== 'success' || !file.formattedName) {
+                    if (file.status !== 'success' || (rename && !file.formattedName)) {
                         results.push({
                             id: file.id,
                             success: false,
@@ -868,9 +1290,6 @@ class FileProcessor {
                         continue;
                     }
 
-                    // 构建新的文件名（包含扩展名）
-                    const newName = file.formattedName;
-
                     // 获取文件信息
                     const item = await eagle.item.getById(file.id);
 
@@ -878,19 +1297,47 @@ class FileProcessor {
                         throw new Error(`找不到ID为 ${file.id} 的文件`);
                     }
 
+                    // 记录原名称和元数据，用于撤销
+                    const oldName = item.name;
+                    const oldMetadata = metadata ? {
+                        tags: Array.isArray(item.tags) ? [...item.tags] : [],
+                        annotation: item.annotation || '',
+                        folders: Array.isArray(item.folders) ? [...item.folders] : []
+                    } : null;
+
+                    // 构建新的文件名（包含扩展名）
+                    const newName = rename ? file.formattedName : oldName;
+
                     // 更新文件名
                     item.name = newName;
 
+                    // 写入标签、注释和文件夹
+                    if (metadata) {
+                        await this._applyMetadata(item, file, metadata, folderCache);
+                    }
+
                     // 调用Eagle API保存文件修改
                     await item.save();
 
+                    journalEntries.push({
+                        itemId: file.id,
+                        oldName,
+                        newName,
+                        oldMetadata,
+                        timestamp: Date.now()
+                    });
+
+                    const actions = [];
+                    if (rename) actions.push(`重命名成功: ${file.originalName} -> ${newName}`);
+                    if (metadata) actions.push('元数据已写入');
+
                     results.push({
                         id: file.id,
                         success: true,
-                        message: `重命名成功: ${file.originalName} -> ${newName}`
+                        message: actions.join('，')
                     });
 
-                    Logger.info(`文件重命名成功: ${file.originalName} -> ${newName}`);
+                    Logger.info(`文件处理成功: ${file.originalName} -> ${newName}`);
                 } catch (error) {
                     results.push({
                         id: file.id,
@@ -899,16 +1346,241 @@ class FileProcessor {
                     });
 
                     Logger.error(`文件 ${file.id} 重命名失败`, error);
+                } finally {
+                    progress.advance(1, results[results.length - 1].success ? 0 : 1);
+                }
+            }
+
+            // 取消后剩余的文件保持原样
+            files.slice(results.length).forEach(file => {
+                results.push({
+                    id: file.id,
+                    success: false,
+                    cancelled: true,
+                    message: '已取消'
+                });
+            });
+
+            // 写入重命名日志
+            if (this.renameJournal && journalEntries.length > 0) {
+                const batch = this.renameJournal.recordBatch(journalEntries, this._getRenameContext());
+                if (batch) {
+                    results.batchId = batch.id;
                 }
             }
 
+            progress.finish(results.some(result => result.cancelled) ? 'cancelled' : 'completed');
             return results;
         } catch (error) {
             Logger.error('执行重命名失败', error);
+            progress.finish('failed');
             throw error;
         }
     }
 
+    /**
+     * 设置元数据写入选项
+     * @param {Object} settings - 元数据设置
+     */
+    setMetadataSettings(settings) {
+        this.metadataSettings = {
+            ...this.metadataSettings,
+            ...settings,
+            tags: { ...this.metadataSettings.tags, ...(settings.tags || {}) },
+            annotation: { ...this.metadataSettings.annotation, ...(settings.annotation || {}) }
+        };
+        Logger.info('元数据写入设置已更新', this.metadataSettings);
+    }
+
+    /**
+     * 将分类信息写入Eagle项目的标签、注释和文件夹
+     * @param {Object} item - Eagle项目
+     * @param {Object} file - 文件对象
+     * @param {Object} settings - 元数据设置
+     * @param {Map} folderCache - CatID文件夹缓存
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _applyMetadata(item, file, settings, folderCache) {
+        // 标签：与现有标签合并去重
+        const tagSources = {
+            catID: file.catID,
+            category: file.categoryName,
+            category_zh: file.categoryNameZh,
+            subCategory: file.subCategory,
+            subCategory_zh: file.subCategoryTranslated
+        };
+
+        const tags = Array.isArray(item.tags) ? [...item.tags] : [];
+        Object.keys(tagSources).forEach(key => {
+            const value = tagSources[key];
+            if (settings.tags && settings.tags[key] && value && !tags.includes(value)) {
+                tags.push(value);
+            }
+        });
+        item.tags = tags;
+
+        // 注释：保留已有的原文件名记录，更新匹配来源
+        const annotationSettings = settings.annotation || {};
+        if (annotationSettings.originalName || annotationSettings.matchSource) {
+            const lines = (item.annotation || '').split('\n').filter(line => line.length > 0);
+            const hasOriginalName = lines.some(line => line.startsWith(FileProcessor.ANNOTATION_ORIGINAL_NAME));
+            const keptLines = lines.filter(line => !line.startsWith(FileProcessor.ANNOTATION_MATCH_SOURCE));
+
+            if (annotationSettings.originalName && !hasOriginalName) {
+                keptLines.push(`${FileProcessor.ANNOTATION_ORIGINAL_NAME}${file.originalName}`);
+            }
+
+            const matchSource = this._getMatchSource(file);
+            if (annotationSettings.matchSource && matchSource) {
+                keptLines.push(`${FileProcessor.ANNOTATION_MATCH_SOURCE}${matchSource}${file.catID ? ` (${file.catID})` : ''}`);
+            }
+
+            item.annotation = keptLines.join('\n');
+        }
+
+        // 文件夹：移动到以CatID命名的文件夹
+        if (settings.moveToCatIDFolder && file.catID) {
+            const folderId = await this._getCatIDFolderId(file.catID, settings.catIDFolderParent, folderCache);
+            if (folderId) {
+                item.folders = [folderId];
+            }
+        }
+    }
+
+    /**
+     * 获取文件当前所选匹配结果的来源
+     * @param {Object} file - 文件对象
+     * @returns {string} 匹配来源
+     * @private
+     */
+    _getMatchSource(file) {
+        if (!Array.isArray(file.matchResults) || file.matchResults.length === 0) {
+            return '';
+        }
+        const match = file.matchResults[file.currentMatchRank || 0] || file.matchResults[0];
+        return (match && match.matchSource) || '';
+    }
+
+    /**
+     * 获取（必要时创建）CatID文件夹
+     * @param {string} catID - 分类ID
+     * @param {string} parentName - 父文件夹名称（为空时创建在根目录）
+     * @param {Map} folderCache - 文件夹缓存
+     * @returns {Promise<string|null>} 文件夹ID
+     * @private
+     */
+    async _getCatIDFolderId(catID, parentName, folderCache) {
+        if (folderCache.has(catID)) {
+            return folderCache.get(catID);
+        }
+
+        // 扁平化文件夹树，便于按名称查找
+        if (!folderCache.has('__folders__')) {
+            const flatten = (folders, parentId = null, list = []) => {
+                (folders || []).forEach(folder => {
+                    list.push({ id: folder.id, name: folder.name, parentId });
+                    flatten(folder.children, folder.id, list);
+                });
+                return list;
+            };
+            folderCache.set('__folders__', flatten(await eagle.folder.getAll()));
+        }
+        const allFolders = folderCache.get('__folders__');
+
+        let parentId = null;
+        if (parentName) {
+            const parent = allFolders.find(folder => folder.name === parentName && folder.parentId === null);
+            if (parent) {
+                parentId = parent.id;
+            } else {
+                const created = await eagle.folder.create({ name: parentName });
+                parentId = created.id;
+                allFolders.push({ id: created.id, name: parentName, parentId: null });
+            }
+        }
+
+        let folder = allFolders.find(f => f.name === catID && f.parentId === parentId);
+        if (!folder) {
+            const created = await eagle.folder.create(parentId ? { name: catID, parent: parentId } : { name: catID });
+            folder = { id: created.id, name: catID, parentId };
+            allFolders.push(folder);
+            Logger.info(`已创建CatID文件夹: ${catID}`);
+        }
+
+        folderCache.set(catID, folder.id);
+        return folder.id;
+    }
+
+    /**
+     * 对整批文件分配序号并检测重名（包括目标文件夹中已有的文件）和过长的文件名
+     * @param {Array} files - 文件列表
+     * @param {Object} options - 选项
+     * @param {boolean} options.renumber - 是否重新分配序号，为false时只检测重名
+     * @returns {Promise<Object>} 统计结果，包含numbered、duplicates、existing、tooLong
+     */
+    async resolveNameConflicts(files, options = {}) {
+        const existingNames = await this._getExistingNames(files);
+
+        if (options.renumber === false) {
+            return {
+                numbered: 0,
+                ...this.namingRules.detectConflicts(files, existingNames),
+                tooLong: this.namingRules.detectLengthIssues(files)
+            };
+        }
+
+        let result;
+        await this.namingRules.runFormatting(() => {
+            result = this.namingRules.applyBatchNumbering(files, existingNames);
+        });
+        if (result.duplicates > 0 || result.existing > 0) {
+            Logger.warn(`检测到重名: 本批次内 ${result.duplicates} 个, 与已有文件 ${result.existing} 个`);
+        }
+
+        result.tooLong = this.namingRules.detectLengthIssues(files);
+        if (result.tooLong > 0) {
+            Logger.warn(`检测到 ${result.tooLong} 个过长的文件名`);
+        }
+        return result;
+    }
+
+    /**
+     * 获取目标文件夹（文件当前所在的文件夹）中已有的文件名，不包括本批次的文件
+     * @param {Array} files - 文件列表
+     * @returns {Promise<Array<string>>} 已有文件名（同时包含带扩展名和不带扩展名的形式）
+     * @private
+     */
+    async _getExistingNames(files) {
+        if (typeof eagle === 'undefined' || !eagle.item || typeof eagle.item.get !== 'function') {
+            return [];
+        }
+
+        const batchIds = new Set(files.map(file => file.id));
+        const folderIds = new Set();
+        files.forEach(file => {
+            (file.folders || []).forEach(folderId => folderIds.add(folderId));
+        });
+
+        const names = [];
+        for (const folderId of folderIds) {
+            try {
+                const items = await eagle.item.get({ folders: [folderId] });
+                (items || []).forEach(item => {
+                    if (batchIds.has(item.id) || !item.name) return;
+                    names.push(item.name);
+                    if (item.ext) {
+                        names.push(`${item.name}.${item.ext}`);
+                    }
+                });
+            } catch (error) {
+                Logger.warn(`获取文件夹 ${folderId} 中的文件失败`, error);
+            }
+        }
+
+        return names;
+    }
+
     /**
      * 暂停翻译处理
      */
@@ -957,6 +1629,20 @@ class FileProcessor {
         // 应用命名规则并返回结果
         return this.namingRules.formatFilename(file);
     }
+
+    /**
+     * 清除已分配的序号并重新生成文件名，批量重命名中的正则操作在后台线程中执行
+     * @param {Array} files - 文件列表
+     * @returns {Promise<void>}
+     */
+    async formatFileNames(files) {
+        await this.namingRules.runFormatting(() => {
+            files.forEach(file => {
+                file.serialNumber = null;
+                file.formattedName = this.namingRules.formatFilename(file);
+            });
+        });
+    }
 }
 
 // 导出FileProcessor
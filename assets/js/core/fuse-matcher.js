@@ -11,11 +11,15 @@ class FuseMatcher {
      */
     constructor(source, options = {}) {
         this.terms = [];
+        this.stockTerms = []; // 内置术语（未合并用户术语库）
         this.categories = [];
         this.loaded = false;
         this.initialized = false;
         this.fuseIndex = null;
         this.options = options;
+        this.userGlossary = options.userGlossary || null;
+        this.correctionMemory = null; // 纠正记忆
+        this.columnMapping = options.columnMapping || UCSSchema.DEFAULT_MAPPING;
 
         // 初始化AI分类器和匹配设置
         this.useAIClassification = false;
@@ -58,12 +62,16 @@ class FuseMatcher {
         }
 
         // 初始化数据源
-        if (typeof source === 'string') {
+        if (options.csvText) {
+            // 用户选择的UCS文件内容，按列映射解析
+            this.loadDatabase(options.csvText, this.columnMapping);
+        } else if (typeof source === 'string') {
             // 如果是字符串，则当作 CSV 文件路径
             this.loadFromCsv(source);
         } else if (Array.isArray(source)) {
             // 如果是数组，则直接使用
-            this.terms = source;
+            this.stockTerms = source;
+            this.terms = this._mergeUserGlossary(source);
             this.loaded = true;
             this.extractCategories();
             this.initialize();
@@ -101,7 +109,8 @@ class FuseMatcher {
                 }
 
                 // 处理解析结果
-                self.terms = self.processCSVData(results.data);
+                self.stockTerms = self.processCSVData(results.data);
+                self.terms = self._mergeUserGlossary(self.stockTerms);
                 self.loaded = true;
 
                 // 提取分类
@@ -127,41 +136,33 @@ class FuseMatcher {
     processCSVData(data) {
         console.log('开始处理 CSV 数据...');
 
-        const terms = [];
-
-        // 遍历每一行数据
-        for (let i = 0; i < data.length; i++) {
-            const row = data[i];
-
-            // 提取必要字段
-            const source = row.SubCategory ? row.SubCategory.trim() : '';
-            const target = row.SubCategory_zh ? row.SubCategory_zh.trim() : '';
-            const catID = row.CatID ? row.CatID.trim() : '';
-            const catShort = row.CatShort ? row.CatShort.trim() : '';
-            const category = row.Category ? row.Category.trim() : '';
-            const categoryNameZh = row.Category_zh ? row.Category_zh.trim() : '';
-            const synonyms = row['Synonyms - Comma Separated'] ? row['Synonyms - Comma Separated'].trim() : '';
-            const synonymsZh = row.Synonyms_zh ? row.Synonyms_zh.trim() : '';
-
-            // 至少需要有 source 和 catID
-            if (source && catID) {
-                terms.push({
-                    source: source,
-                    target: target || source, // 如果没有 target，使用 source
-                    catID: catID,
-                    catShort: catShort || catID.substring(0, 4), // 如果没有 catShort，使用 catID 的前 4 个字符
-                    category: category || '',
-                    categoryNameZh: categoryNameZh || category || '',
-                    synonyms: synonyms || '',
-                    synonymsZh: synonymsZh || ''
-                });
-            }
-        }
+        // 按列映射提取字段，至少需要有 source 和 catID
+        const terms = UCSSchema.mapRows(data, this.columnMapping);
 
         console.log('处理完成，共 ' + terms.length + ' 个术语');
         return terms;
     }
 
+    /**
+     * 从CSV文本加载术语表（用于其他版本或本地化的UCS文件）
+     * @param {string} text - CSV文本
+     * @param {Object} mapping - 列映射（字段名 -> 列名）
+     * @returns {number} 加载的术语数量
+     */
+    loadDatabase(text, mapping = UCSSchema.DEFAULT_MAPPING) {
+        const { headers, rows } = UCSSchema.parse(text);
+        const validation = UCSSchema.validate(mapping, headers, rows);
+        if (!validation.valid) {
+            throw new Error(`UCS术语表格式无效: ${validation.errors.join('; ')}`);
+        }
+
+        this.columnMapping = mapping;
+        this.stockTerms = this.processCSVData(rows);
+        this.loaded = true;
+        this.refreshUserGlossary();
+        return this.stockTerms.length;
+    }
+
     /**
      * 从术语数据中提取分类
      */
@@ -310,11 +311,82 @@ class FuseMatcher {
      * @param {Array} termsData - 术语数据数组
      */
     setTermsData(termsData) {
-        this.terms = termsData || [];
+        this.stockTerms = termsData || [];
+        this.terms = this._mergeUserGlossary(this.stockTerms);
         this.extractCategories();
         this.initialize();
     }
 
+    /**
+     * 设置用户术语库，已加载时立即重建索引
+     * @param {UserGlossary} userGlossary - 用户术语库实例
+     */
+    setUserGlossary(userGlossary) {
+        this.userGlossary = userGlossary;
+        this.refreshUserGlossary();
+    }
+
+    /**
+     * 设置纠正记忆，用于纠正记忆匹配策略
+     * @param {CorrectionMemory} correctionMemory - 纠正记忆实例
+     */
+    setCorrectionMemory(correctionMemory) {
+        this.correctionMemory = correctionMemory;
+    }
+
+    /**
+     * 使用纠正记忆中学习到的规则匹配分类
+     * 匹配策略配置中关闭了纠正记忆匹配时不使用
+     * @param {string} text - 文件名（不含序号）
+     * @returns {string|null} CatID，没有可用的规则时返回null
+     */
+    matchLearnedCorrection(text) {
+        if (!this.correctionMemory || !text) {
+            return null;
+        }
+
+        const strategies = this.matchingStrategyConfig && this.matchingStrategyConfig.strategies;
+        if (strategies && strategies.learnedCorrectionMatch && !strategies.learnedCorrectionMatch.enabled) {
+            return null;
+        }
+
+        const rule = this.correctionMemory.findCategory(text);
+        return rule && this.isValidCatID(rule.catID) ? rule.catID : null;
+    }
+
+    /**
+     * 用户术语库变化后重新合并术语并重建索引
+     */
+    refreshUserGlossary() {
+        if (!this.loaded) return;
+
+        this.terms = this._mergeUserGlossary(this.stockTerms);
+        this.extractCategories();
+        this.initialize();
+    }
+
+    /**
+     * 将用户术语库合并到内置术语
+     * @param {Array} stockTerms - 内置术语
+     * @returns {Array} 合并后的术语
+     * @private
+     */
+    _mergeUserGlossary(stockTerms) {
+        return this.userGlossary ? this.userGlossary.mergeTerms(stockTerms || []) : (stockTerms || []);
+    }
+
+    /**
+     * 搜索Fuse索引，并按用户术语库优先级调整结果
+     * @param {string} text - 搜索文本
+     * @param {Object} options - Fuse.js搜索选项
+     * @returns {Array} 搜索结果
+     * @private
+     */
+    _search(text, options) {
+        const results = options ? this.fuseIndex.search(text, options) : this.fuseIndex.search(text);
+        return this.userGlossary ? this.userGlossary.rankResults(results) : results;
+    }
+
     /**
      * 查找匹配
      * @param {string} text - 要匹配的文本
@@ -356,7 +428,7 @@ class FuseMatcher {
                     console.log(`[匹配引擎] 使用增强搜索文本进行匹配`);
 
                     // 使用增强的文本执行搜索
-                    const searchResults = this.fuseIndex.search(enhancedText);
+                    const searchResults = this._search(enhancedText);
 
                     // 如果有结果，处理它们
                     if (searchResults && searchResults.length > 0) {
@@ -396,7 +468,7 @@ class FuseMatcher {
             // 使用默认搜索选项
             let searchOptions = {};
 
-            const searchResults = this.fuseIndex.search(text, searchOptions);
+            const searchResults = this._search(text, searchOptions);
 
             // 如果没有结果，返回未匹配
             if (!searchResults || searchResults.length === 0) {
@@ -448,7 +520,7 @@ class FuseMatcher {
 
         try {
             // 执行搜索
-            const searchResults = this.fuseIndex.search(text);
+            const searchResults = this._search(text);
 
             // 如果没有结果，返回空数组
             if (!searchResults || searchResults.length === 0) {
@@ -464,6 +536,7 @@ class FuseMatcher {
                 catID: result.item.catID,
                 score: (1 - result.score) * 1000, // 转换为 0-1000 范围
                 matchType: 'fuse',
+                matchSource: result.item.isCustom ? 'glossary' : 'fuse',
                 term: result.item,
                 matchedWords: [{ word: text, score: (1 - result.score) * 1000 }]
             }));
@@ -491,8 +564,8 @@ class FuseMatcher {
 
         try {
             // 分别搜索原始文本和翻译文本
-            const originalResults = originalText ? this.fuseIndex.search(originalText) : [];
-            const translatedResults = translatedText ? this.fuseIndex.search(translatedText) : [];
+            const originalResults = originalText ? this._search(originalText) : [];
+            const translatedResults = translatedText ? this._search(translatedText) : [];
 
             // 简化的调试日志
             if (originalResults.length > 0 || translatedResults.length > 0) {
@@ -866,6 +939,15 @@ class FuseMatcher {
 
             // 根据策略类型执行不同的匹配逻辑
             switch (strategy.key) {
+                case 'learnedCorrectionMatch':
+                    // 纠正记忆匹配
+                    matchResult = this.matchLearnedCorrection(text);
+                    if (matchResult) {
+                        console.log(`[匹配引擎] 纠正记忆匹配成功: ${matchResult}`);
+                        return matchResult;
+                    }
+                    break;
+
                 case 'nounDirectMatch':
                     // 单词级直接匹配
                     if (hasValidPosAnalysis && nouns.length > 0) {
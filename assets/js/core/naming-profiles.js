@@ -0,0 +1,517 @@
+/**
+ * 命名配置方案
+ * 将命名规则、翻译设置、匹配策略和批量重命名操作打包为命名的方案，
+ * 为不同客户的命名约定一键切换，并通过JSON在团队中共享
+ */
+class NamingProfiles {
+    /**
+     * 导出文件的格式版本
+     */
+    static EXPORT_VERSION = 1;
+
+    /**
+     * 方案中保存的命名规则设置
+     */
+    static NAMING_KEYS = [
+        'useUCS', 'elements', 'separator', 'creatorID', 'sourceID',
+        'serialPadding', 'serialStart', 'lengthLimits', 'format', 'template'
+    ];
+
+    /**
+     * 方案中保存的翻译设置，不包含翻译服务、模型和API密钥等与个人环境有关的设置
+     */
+    static TRANSLATION_KEYS = [
+        'sourceLanguage', 'targetLanguage', 'standardizeEnglish', 'namingStyle',
+        'customSeparator', 'charLimitEn', 'charLimitZh', 'customPrompt'
+    ];
+
+    /**
+     * 构造函数
+     * @param {string|null} storageKey - 本地存储键名，为null时不保存
+     */
+    constructor(storageKey = 'naming-profiles') {
+        this.storageKey = storageKey;
+        this.profiles = [];
+        this.activeProfile = null; // 最近切换或保存的方案名称
+        this.onChange = null; // 方案变化回调
+
+        this._load();
+    }
+
+    /**
+     * 从本地存储加载方案
+     * @private
+     */
+    _load() {
+        if (!this.storageKey) return;
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.profiles = [];
+                (Array.isArray(data.profiles) ? data.profiles : []).forEach(item => {
+                    // 本地存储可能被旧版本或手动修改过，无效的方案不加载
+                    try {
+                        this.profiles.push({ ...this._normalizeProfile(item), updatedAt: item.updatedAt });
+                    } catch (error) {
+                        Logger.warn(`跳过无效的命名配置方案: ${error.message}`);
+                    }
+                });
+                this.activeProfile = this.profiles.some(profile => profile.name === data.activeProfile) ? data.activeProfile : null;
+            }
+        } catch (error) {
+            Logger.error('加载命名配置方案失败', error);
+            this.profiles = [];
+            this.activeProfile = null;
+        }
+    }
+
+    /**
+     * 保存方案并通知变化
+     * @private
+     */
+    _save() {
+        if (this.storageKey) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify({
+                    profiles: this.profiles,
+                    activeProfile: this.activeProfile,
+                    lastUpdated: Date.now()
+                }));
+            } catch (error) {
+                Logger.error('保存命名配置方案失败', error);
+            }
+        }
+
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * 从当前设置生成方案内容，未提供的部分不包含在方案中
+     * @param {Object} sources - 设置来源
+     * @param {NamingRules} [sources.namingRules] - 命名规则引擎
+     * @param {Object} [sources.translationSettings] - 翻译设置
+     * @param {MatchingStrategyConfig} [sources.matchingStrategyConfig] - 匹配策略配置
+     * @param {BatchRenamer} [sources.batchRenamer] - 批量重命名工具
+     * @returns {Object} 方案内容（naming、translation、matchingStrategies、batchRenamer）
+     */
+    static capture(sources = {}) {
+        const content = {};
+
+        if (sources.namingRules) {
+            content.naming = NamingProfiles._pick(sources.namingRules.settings, NamingProfiles.NAMING_KEYS);
+        }
+
+        if (sources.translationSettings) {
+            content.translation = NamingProfiles._pick(sources.translationSettings, NamingProfiles.TRANSLATION_KEYS);
+        }
+
+        if (sources.matchingStrategyConfig && sources.matchingStrategyConfig.strategies) {
+            content.matchingStrategies = {};
+            Object.entries(sources.matchingStrategyConfig.strategies).forEach(([key, strategy]) => {
+                // 说明文字随版本变化，不保存
+                const { description, ...values } = strategy;
+                content.matchingStrategies[key] = values;
+            });
+        }
+
+        if (sources.batchRenamer) {
+            content.batchRenamer = {
+                enabled: !!sources.batchRenamer.settings.enabled,
+                operations: NamingProfiles._stripIds(sources.batchRenamer.getOperations()),
+                presets: sources.batchRenamer.getPresets().map(preset => ({
+                    name: preset.name,
+                    operations: NamingProfiles._stripIds(preset.operations)
+                }))
+            };
+        }
+
+        return JSON.parse(JSON.stringify(content));
+    }
+
+    /**
+     * 选取设置中的指定键，跳过未设置的键
+     * @param {Object} settings - 设置
+     * @param {Array<string>} keys - 键名
+     * @returns {Object} 选取的设置
+     * @private
+     */
+    static _pick(settings, keys) {
+        const picked = {};
+        keys.forEach(key => {
+            if (settings && settings[key] !== undefined) {
+                picked[key] = settings[key];
+            }
+        });
+        return picked;
+    }
+
+    /**
+     * 去掉操作ID，ID在载入时重新生成，比较和导出时不需要
+     * @param {Array<Object>} operations - 操作列表
+     * @returns {Array<Object>} 不含ID的操作列表
+     * @private
+     */
+    static _stripIds(operations) {
+        return (operations || []).map(({ id, ...operation }) => operation);
+    }
+
+    /**
+     * 规范化并验证方案
+     * @param {Object} profile - 方案
+     * @returns {Object} 规范化后的方案
+     * @private
+     */
+    _normalizeProfile(profile) {
+        const name = String((profile && profile.name) || '').trim();
+        if (!name) {
+            throw new Error('方案名称不能为空');
+        }
+
+        const normalized = { name };
+
+        if (profile.naming && typeof profile.naming === 'object') {
+            normalized.naming = NamingProfiles._normalizeNaming(profile.naming);
+
+            const template = normalized.naming.template;
+            if (template !== undefined && typeof NamingTemplate !== 'undefined') {
+                const validation = NamingTemplate.validate(template);
+                if (!validation.valid) {
+                    throw new Error(`自定义模板无效: ${validation.error}`);
+                }
+            }
+        }
+
+        if (profile.translation && typeof profile.translation === 'object') {
+            normalized.translation = NamingProfiles._pick(profile.translation, NamingProfiles.TRANSLATION_KEYS);
+        }
+
+        if (profile.matchingStrategies && typeof profile.matchingStrategies === 'object') {
+            normalized.matchingStrategies = NamingProfiles._normalizeStrategies(profile.matchingStrategies);
+        }
+
+        if (profile.batchRenamer && typeof profile.batchRenamer === 'object') {
+            // 使用不保存的批量重命名工具验证操作，操作无效时整个方案无效
+            const validator = new BatchRenamer(null);
+            validator.setOperations(profile.batchRenamer.operations || []);
+            validator.importPresets(Array.isArray(profile.batchRenamer.presets) ? profile.batchRenamer.presets : []);
+
+            normalized.batchRenamer = {
+                ...NamingProfiles.capture({ batchRenamer: validator }).batchRenamer,
+                enabled: profile.batchRenamer.enabled !== false
+            };
+        }
+
+        if (!normalized.naming && !normalized.translation && !normalized.matchingStrategies && !normalized.batchRenamer) {
+            throw new Error(`方案"${name}"中没有任何设置`);
+        }
+
+        return JSON.parse(JSON.stringify(normalized));
+    }
+
+    /**
+     * 验证命名规则设置
+     * elements和lengthLimits只接受默认设置中有的键，可以只包含部分键；其他设置的类型与默认设置相同
+     * @param {Object} naming - 命名规则设置
+     * @returns {Object} 验证后的设置
+     * @private
+     */
+    static _normalizeNaming(naming) {
+        const defaults = new NamingRules().settings;
+        const normalized = NamingProfiles._pick(naming, NamingProfiles.NAMING_KEYS);
+
+        const checkObject = (key, isValid, expected) => {
+            const value = normalized[key];
+            if (value === undefined) return;
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`命名规则的${key}必须是对象`);
+            }
+            Object.entries(value).forEach(([name, item]) => {
+                if (!(name in defaults[key])) {
+                    throw new Error(`命名规则的${key}中有未知的键: ${name}`);
+                }
+                if (!isValid(item)) {
+                    throw new Error(`命名规则的${key}.${name}必须是${expected}`);
+                }
+            });
+        };
+        checkObject('elements', item => typeof item === 'boolean', 'true或false');
+        checkObject('lengthLimits', item => Number.isFinite(item) && item >= 0, '不小于0的数字');
+
+        if (normalized.useUCS !== undefined && typeof normalized.useUCS !== 'boolean') {
+            throw new Error('命名规则的useUCS必须是true或false');
+        }
+        ['serialPadding', 'serialStart'].forEach(key => {
+            if (normalized[key] !== undefined && !(Number.isInteger(normalized[key]) && normalized[key] >= 0)) {
+                throw new Error(`命名规则的${key}必须是不小于0的整数`);
+            }
+        });
+        ['separator', 'creatorID', 'sourceID', 'format', 'template'].forEach(key => {
+            if (normalized[key] !== undefined && typeof normalized[key] !== 'string') {
+                throw new Error(`命名规则的${key}必须是字符串`);
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * 验证匹配策略设置
+     * 只接受默认配置中有的策略，enabled为布尔值，priority和其他参数为数字；默认配置中没有的参数忽略
+     * @param {Object} strategies - 策略键名 -> 设置
+     * @returns {Object} 验证后的设置
+     * @private
+     */
+    static _normalizeStrategies(strategies) {
+        const defaults = new MatchingStrategyConfig({ persist: false }).strategies;
+        const normalized = {};
+
+        Object.entries(strategies).forEach(([key, strategy]) => {
+            if (!defaults[key]) {
+                throw new Error(`未知的匹配策略: ${key}`);
+            }
+            if (!strategy || typeof strategy !== 'object' || typeof strategy.enabled !== 'boolean') {
+                throw new Error(`匹配策略 ${key} 的enabled必须是true或false`);
+            }
+            if (!Number.isFinite(strategy.priority) || strategy.priority < 0) {
+                throw new Error(`匹配策略 ${key} 的priority必须是不小于0的数字`);
+            }
+
+            normalized[key] = { enabled: strategy.enabled, priority: strategy.priority };
+            Object.keys(defaults[key]).forEach(param => {
+                if (param === 'enabled' || param === 'priority' || param === 'description' || strategy[param] === undefined) {
+                    return;
+                }
+                if (!Number.isFinite(strategy[param])) {
+                    throw new Error(`匹配策略 ${key} 的${param}必须是数字`);
+                }
+                normalized[key][param] = strategy[param];
+            });
+        });
+
+        return normalized;
+    }
+
+    /**
+     * 获取所有方案
+     * @returns {Array<Object>} 方案列表
+     */
+    getProfiles() {
+        return [...this.profiles];
+    }
+
+    /**
+     * 根据名称获取方案
+     * @param {string} name - 方案名称
+     * @returns {Object|null} 方案
+     */
+    getProfile(name) {
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * 获取当前方案
+     * @returns {Object|null} 最近切换或保存的方案
+     */
+    getActiveProfile() {
+        return this.activeProfile ? this.getProfile(this.activeProfile) : null;
+    }
+
+    /**
+     * 将当前设置保存为方案，同名方案会被覆盖，保存后成为当前方案
+     * @param {string} name - 方案名称
+     * @param {Object} sources - 设置来源，见capture
+     * @returns {Object} 保存的方案
+     */
+    saveProfile(name, sources) {
+        const profile = {
+            ...this._normalizeProfile({ name, ...NamingProfiles.capture(sources) }),
+            updatedAt: Date.now()
+        };
+
+        this.profiles = [...this.profiles.filter(item => item.name !== profile.name), profile];
+        this.activeProfile = profile.name;
+        this._save();
+        Logger.info(`已保存命名配置方案: ${profile.name}`);
+        return profile;
+    }
+
+    /**
+     * 切换到方案，将方案中的设置应用到提供的对象，切换后成为当前方案
+     * @param {string} name - 方案名称
+     * @param {Object} targets - 应用目标，未提供的部分跳过
+     * @param {NamingRules} [targets.namingRules] - 命名规则引擎
+     * @param {Object} [targets.translation] - 提供setSettings的翻译面板或翻译服务
+     * @param {MatchingStrategyConfig} [targets.matchingStrategyConfig] - 匹配策略配置
+     * @param {BatchRenamer} [targets.batchRenamer] - 批量重命名工具
+     * @returns {Object} 应用的方案
+     */
+    applyProfile(name, targets = {}) {
+        const profile = this.getProfile(name);
+        if (!profile) {
+            throw new Error(`找不到命名配置方案: ${name}`);
+        }
+
+        const { namingRules, translation, matchingStrategyConfig, batchRenamer } = targets;
+
+        if (namingRules && profile.naming) {
+            const naming = JSON.parse(JSON.stringify(profile.naming));
+            if (naming.elements) {
+                naming.elements = { ...(namingRules.settings.elements || {}), ...naming.elements };
+            }
+            namingRules.setSettings(naming);
+        }
+
+        if (translation && profile.translation) {
+            translation.setSettings({ ...profile.translation });
+
+            // 命名风格保存在翻译设置中，同时由命名规则引擎使用
+            const { namingStyle, customSeparator } = profile.translation;
+            if (namingRules && namingStyle !== undefined) {
+                namingRules.setSettings({ namingStyle, customSeparator: customSeparator || '_' });
+            }
+        }
+
+        if (matchingStrategyConfig && profile.matchingStrategies) {
+            Object.entries(profile.matchingStrategies).forEach(([key, values]) => {
+                if (matchingStrategyConfig.strategies[key]) {
+                    matchingStrategyConfig.strategies[key] = { ...matchingStrategyConfig.strategies[key], ...values };
+                }
+            });
+            if (typeof matchingStrategyConfig.saveToLocalStorage === 'function') {
+                matchingStrategyConfig.saveToLocalStorage();
+            }
+        }
+
+        if (batchRenamer && profile.batchRenamer) {
+            // 方案中的预设合并到已有预设中，不删除其他预设
+            batchRenamer.importPresets(profile.batchRenamer.presets);
+            batchRenamer.setOperations(profile.batchRenamer.operations);
+            batchRenamer.setSettings({ enabled: profile.batchRenamer.enabled });
+        }
+
+        this.activeProfile = profile.name;
+        this._save();
+        Logger.info(`已切换到命名配置方案: ${profile.name}`);
+        return profile;
+    }
+
+    /**
+     * 当前设置是否与方案不同
+     * @param {string} name - 方案名称
+     * @param {Object} sources - 设置来源，见capture，只比较提供的部分
+     * @returns {boolean} 是否有未保存的修改
+     */
+    isModified(name, sources) {
+        const profile = this.getProfile(name);
+        if (!profile) {
+            return false;
+        }
+
+        const current = NamingProfiles.capture(sources);
+        return Object.keys(current).some(section => {
+            const saved = profile[section];
+            if (!saved) return false;
+
+            // 切换时预设合并到已有预设中，只比较操作列表和启用状态；其他部分只比较方案中保存的键
+            const compared = section === 'batchRenamer'
+                ? { enabled: current[section].enabled, operations: current[section].operations }
+                : NamingProfiles._pick(current[section], Object.keys(saved));
+            const expected = section === 'batchRenamer'
+                ? { enabled: saved.enabled, operations: saved.operations }
+                : saved;
+            return JSON.stringify(compared) !== JSON.stringify(expected);
+        });
+    }
+
+    /**
+     * 删除方案
+     * @param {string} name - 方案名称
+     * @returns {boolean} 是否删除
+     */
+    deleteProfile(name) {
+        if (!this.getProfile(name)) {
+            return false;
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.name !== name);
+        if (this.activeProfile === name) {
+            this.activeProfile = null;
+        }
+        this._save();
+        return true;
+    }
+
+    /**
+     * 导出方案为JSON文本
+     * @param {string|null} name - 方案名称，为null时导出所有方案
+     * @returns {string} JSON文本
+     */
+    exportJSON(name = null) {
+        const profiles = name ? this.profiles.filter(profile => profile.name === name) : this.profiles;
+        return JSON.stringify({
+            version: NamingProfiles.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            profiles: profiles.map(({ updatedAt, ...profile }) => profile)
+        }, null, 2);
+    }
+
+    /**
+     * 从JSON文本导入方案，同名方案会被覆盖
+     * @param {string} text - JSON文本
+     * @returns {Object} 导入结果，包含imported、skipped
+     */
+    importJSON(text) {
+        return this.importProfiles(NamingProfiles.parseJSON(text));
+    }
+
+    /**
+     * 解析方案JSON文本
+     * @param {string} text - JSON文本
+     * @returns {Array<Object>} 方案列表（未验证）
+     */
+    static parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`命名配置方案JSON格式错误: ${error.message}`);
+        }
+
+        // 也接受单个方案
+        const profiles = data && Array.isArray(data.profiles) ? data.profiles : (data && data.name ? [data] : null);
+        if (!profiles) {
+            throw new Error('命名配置方案文件中没有profiles列表');
+        }
+
+        return profiles;
+    }
+
+    /**
+     * 导入方案列表，同名方案会被覆盖，无效的方案跳过
+     * @param {Array<Object>} profiles - 方案列表
+     * @returns {Object} 导入结果，包含imported、skipped
+     */
+    importProfiles(profiles) {
+        const result = { imported: 0, skipped: 0 };
+        profiles.forEach(item => {
+            try {
+                const profile = { ...this._normalizeProfile(item), updatedAt: Date.now() };
+                this.profiles = [...this.profiles.filter(existing => existing.name !== profile.name), profile];
+                result.imported++;
+            } catch (error) {
+                Logger.warn(`跳过无效的命名配置方案: ${error.message}`);
+                result.skipped++;
+            }
+        });
+
+        this._save();
+        return result;
+    }
+}
+
+// 导出NamingProfiles
+window.NamingProfiles = NamingProfiles;
@@ -5,6 +5,7 @@
  *
  * 依赖：
  * - NamingUtils: 命名工具类，提供文本规范化和命名风格处理
+ * - NamingTemplate: 自定义命名模板的解析和渲染
  */
 // 确保NamingUtils已加载
 if (typeof NamingUtils === 'undefined') {
@@ -12,6 +13,29 @@ if (typeof NamingUtils === 'undefined') {
 }
 
 class NamingRules {
+    /**
+     * Windows路径长度限制（MAX_PATH，包含结尾的空字符）
+     */
+    static WINDOWS_MAX_PATH = 260;
+
+    /**
+     * 预览自定义模板时使用的示例文件
+     */
+    static PREVIEW_FILE = {
+        name: 'door_wood_slam_01',
+        catID: 'DOORWood',
+        category: 'DOOR',
+        categoryName: 'DOORS',
+        categoryNameZh: '门',
+        subCategory: 'WOOD',
+        subCategoryTranslated: '木门',
+        standardizedName: 'Door Wood Slam',
+        translatedName: '摔木门',
+        numberPart: '',
+        tags: ['Door', 'Wood'],
+        extension: 'wav'
+    };
+
     /**
      * 构造函数
      * @param {Object} settings - 命名规则设置
@@ -37,7 +61,16 @@ class NamingRules {
                 serialNumber: false
             },
             creatorID: 'SFX',
-            sourceID: 'UCS'
+            sourceID: 'UCS',
+            // 序号设置：同一CatID+FXName分组内按顺序编号
+            serialPadding: 3,
+            serialStart: 1,
+            // UCS命名的长度上限（字符数，0表示不限制）：英文描述、中文描述和不含扩展名的整个文件名
+            lengthLimits: {
+                fxName: 0,
+                fxName_zh: 0,
+                total: 0
+            }
         };
 
         // 分类ID映射表 - 用于自定义分类ID映射
@@ -45,6 +78,30 @@ class NamingRules {
 
         // 分类中文名映射表 - 用于自定义分类中文名映射
         this.categoryChineseMap = {};
+
+        // 批量重命名操作，在命名规则前后执行
+        this.batchRenamer = null;
+    }
+
+    /**
+     * 设置批量重命名工具
+     * @param {BatchRenamer|null} batchRenamer - 批量重命名工具
+     */
+    setBatchRenamer(batchRenamer) {
+        this.batchRenamer = batchRenamer;
+    }
+
+    /**
+     * 执行生成文件名的函数，批量重命名中的正则操作在后台线程中执行，见BatchRenamer.prepareRegex
+     * @param {Function} run - 生成文件名的函数，可能执行多次
+     * @returns {Promise<void>}
+     */
+    async runFormatting(run) {
+        if (this.batchRenamer) {
+            await this.batchRenamer.prepareRegex(run);
+        } else {
+            run();
+        }
     }
 
     /**
@@ -66,6 +123,16 @@ class NamingRules {
             return '';
         }
 
+        // 不翻译的文件直接对原文件名执行批量重命名操作
+        if (file.renameOnly && this.batchRenamer) {
+            return Validator.sanitizeFilename(this.batchRenamer.renameOriginal(file));
+        }
+
+        // 批量重命名中处理描述字段的操作在命名规则之前执行
+        if (this.batchRenamer) {
+            file = this.batchRenamer.applyToFields(file);
+        }
+
         let formattedName = '';
 
         // 如果启用UCS命名规则，使用UCS格式
@@ -87,6 +154,11 @@ class NamingRules {
             }
         }
 
+        // 批量重命名中处理最终文件名的操作在命名规则之后执行
+        if (this.batchRenamer) {
+            formattedName = this.batchRenamer.applyToName(formattedName);
+        }
+
         // 添加扩展名
         if (file.extension) {
             formattedName += '.' + file.extension;
@@ -128,51 +200,77 @@ class NamingRules {
     }
 
     /**
-     * 根据自定义模板格式化文件名
+     * 根据自定义模板格式化文件名，模板语法见NamingTemplate
      * @param {Object} file - 文件对象
      * @returns {string} 格式化后的文件名
      * @private
      */
     _formatCustom(file) {
-        let template = this.settings.template || '{category}_{name}';
-
-        // 替换模板变量
-        let result = template;
-
-        // 替换分类
-        if (result.includes('{category}')) {
-            if (file.category && this.settings.includeCategory) {
-                result = result.replace('{category}', file.category);
-            } else {
-                result = result.replace('{category}', '');
-                // 清理多余的分隔符
-                result = result.replace(/^[-_]+|[-_]{2,}|[-_]+$/g, '');
-            }
+        let template;
+        try {
+            template = this._getTemplate();
+        } catch (error) {
+            throw new Error(`自定义模板无效: ${error.message}`);
         }
 
-        // 替换名称
-        if (result.includes('{name}')) {
-            result = result.replace('{name}', file.translatedName || file.name);
-        }
+        // 去掉变量为空时留在开头和结尾的分隔符
+        return template.render(this._getTemplateValues(file)).replace(/^[\s_-]+|[\s_-]+$/g, '');
+    }
 
-        // 替换标签
-        if (result.includes('{tags}')) {
-            if (file.tags && file.tags.length > 0) {
-                // 最多添加3个标签
-                const tagsPart = file.tags.slice(0, 3).join(this.settings.separator);
-                result = result.replace('{tags}', tagsPart);
-            } else {
-                result = result.replace('{tags}', '');
-                // 清理多余的分隔符
-                result = result.replace(/^[-_]+|[-_]{2,}|[-_]+$/g, '');
-            }
+    /**
+     * 获取解析后的自定义模板，模板不变时复用
+     * @returns {NamingTemplate} 命名模板
+     * @private
+     */
+    _getTemplate() {
+        const source = this.settings.template || '{category}_{name}';
+        if (!this._template || this._template.template !== source) {
+            this._template = new NamingTemplate(source);
         }
+        return this._template;
+    }
 
-        return result;
+    /**
+     * 验证自定义模板
+     * @param {string} template - 模板
+     * @returns {Object} 验证结果，包含valid和error
+     */
+    validateTemplate(template) {
+        return NamingTemplate.validate(template);
+    }
+
+    /**
+     * 获取文件在模板中可用的变量值
+     * @param {Object} file - 文件对象
+     * @returns {Object} 变量值（变量名 -> 文本）
+     * @private
+     */
+    _getTemplateValues(file) {
+        const category = file.categoryName || file.category || '';
+        const categoryZh = file.categoryNameZh || (category ? this._getCategoryChineseName(category) : '');
+
+        return {
+            catID: file.catID || (category ? this._getCategoryID(category) : ''),
+            // 与分类_名称格式一致：分类缩写，关闭includeCategory时为空
+            category: this.settings.includeCategory ? file.category || '' : '',
+            category_zh: categoryZh ? NamingUtils.normalizeChineseText(categoryZh, false) : '',
+            subCategory: file.subCategory ? NamingUtils.normalizeEnglishText(file.subCategory, false) : '',
+            subCategory_zh: file.subCategoryTranslated ? NamingUtils.normalizeChineseText(file.subCategoryTranslated, false) : '',
+            fxName: this._getFxName(file),
+            fxName_zh: file.translatedName ? NamingUtils.normalizeChineseText(file.translatedName, false) : '',
+            creatorID: this.settings.creatorID || '',
+            sourceID: this.settings.sourceID || '',
+            serial: file.numberPart || file.serialNumber || this.formatSerial(this._getSerialStart()),
+            name: file.translatedName || file.name || '',
+            originalName: file.name || '',
+            tags: Array.isArray(file.tags) ? file.tags.slice(0, 3).join(this.settings.separator || '_') : '',
+            ext: file.extension || ''
+        };
     }
 
     /**
      * 获取预览格式
+     * 自定义模板返回示例文件（NamingRules.PREVIEW_FILE）的渲染结果，模板无效时返回错误原因
      * @returns {string} 预览格式
      */
     getPreviewFormat() {
@@ -183,8 +281,14 @@ class NamingRules {
         switch (this.settings.format) {
             case 'name_only':
                 return '翻译名称';
-            case 'custom':
-                return this.settings.template;
+            case 'custom': {
+                // 用示例文件渲染模板
+                const validation = this.validateTemplate(this.settings.template || '{category}_{name}');
+                if (!validation.valid) {
+                    return `模板错误: ${validation.error}`;
+                }
+                return this._formatCustom(NamingRules.PREVIEW_FILE);
+            }
             case 'category_name':
             default:
                 return `分类${this.settings.separator}翻译名称`;
@@ -210,7 +314,7 @@ class NamingRules {
         if (elements.fxName_zh) parts.push('FXName_zh');
         if (elements.creatorID) parts.push(this.settings.creatorID);
         if (elements.sourceID) parts.push(this.settings.sourceID);
-        if (elements.serialNumber) parts.push('000');
+        if (elements.serialNumber) parts.push(this.formatSerial(this._getSerialStart()));
 
         return parts.join(separator);
     }
@@ -225,6 +329,8 @@ class NamingRules {
         const parts = [];
         const elements = this.settings.elements;
         const separator = this.settings.separator || '_';
+        const limits = this.getLengthLimits();
+        const descriptionIndexes = [];
 
         // 确保文件有分类，如果没有则使用默认分类
         const category = file.categoryName || file.category || 'MISC';
@@ -266,37 +372,16 @@ class NamingRules {
         }
 
         if (elements.fxName) {
-            // 使用标准化的英文描述（如果有），否则使用不带序号的文件名
-            let fxName = file.standardizedName || file.nameWithoutNumber || file.name;
-
-            // 🔥 关键修复：避免重复应用命名风格
-            // 如果使用的是standardizedName，说明已经在file-processor中应用过命名风格了
-            if (file.standardizedName) {
-                // standardizedName已经应用过命名风格，直接使用
-                console.log(`📋 使用已格式化的标准化名称: ${fxName}`);
-            } else {
-                // 只有当使用原始文件名时才应用命名风格
-                console.log(`🎨 对原始文件名应用命名风格: ${fxName}`);
-                fxName = NamingUtils.applyNamingStyle(
-                    fxName,
-                    this.settings.namingStyle,
-                    this.settings.customSeparator
-                );
-            }
-
-            // 如果没有命名风格，规范化英文文本
-            if (!this.settings.namingStyle || this.settings.namingStyle === 'none') {
-                fxName = NamingUtils.normalizeEnglishText(fxName, false);
-            }
-
-            parts.push(fxName);
+            descriptionIndexes.push(parts.length);
+            parts.push(NamingUtils.truncateText(this._getFxName(file), limits.fxName));
         }
 
         if (elements.fxName_zh && file.translatedName) {
             // 使用翻译后的文件名（不带序号）
             // 使用NamingUtils规范化中文文本
             const translatedName = NamingUtils.normalizeChineseText(file.translatedName, false);
-            parts.push(translatedName);
+            descriptionIndexes.push(parts.length);
+            parts.push(NamingUtils.truncateText(translatedName, limits.fxName_zh));
         }
 
         if (elements.creatorID) {
@@ -311,18 +396,267 @@ class NamingRules {
         if (file.numberPart) {
             parts.push(file.numberPart);
         }
-        // 如果没有原始序号但需要生成序号
+        // 如果没有原始序号但需要生成序号，使用批量编号分配的序号
         else if (elements.serialNumber) {
-            // 生成三位数序号
-            const serialNumber = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
-            parts.push(serialNumber);
+            parts.push(file.serialNumber || this.formatSerial(this._getSerialStart()));
+        }
+
+        // 过滤掉空元素后组合文件名，超过总长度时只截断描述，CatID和序号等保持不变
+        return this._fitTotalLength(parts, descriptionIndexes, separator, limits.total);
+    }
+
+    /**
+     * 组合文件名，超过总长度上限时每次将最长的描述截断到不短于第二长的描述，
+     * 使各描述尽量保留相近的长度，直到不超过上限或各描述只剩第一个单词或中文字符；
+     * 仍超过上限的文件名由detectLengthIssues提示
+     * @param {Array<string>} parts - 命名元素
+     * @param {Array<number>} indexes - 可以截断的元素（描述）的位置
+     * @param {string} separator - 分隔符
+     * @param {number} limit - 总长度上限，0表示不限制
+     * @returns {string} 文件名（不含扩展名）
+     * @private
+     */
+    _fitTotalLength(parts, indexes, separator, limit) {
+        const join = () => parts.filter(part => part && part.trim() !== '').join(separator);
+        const length = text => Array.from(text).length;
+        const minimum = text => length(NamingUtils.getFirstUnit(text));
+        let name = join();
+
+        while (limit > 0 && length(name) > limit) {
+            const [index, next] = indexes
+                .filter(i => parts[i] && length(parts[i]) > minimum(parts[i]))
+                .sort((a, b) => length(parts[b]) - length(parts[a]));
+            if (index === undefined) break;
+
+            const current = length(parts[index]);
+            const nextLength = next === undefined ? 0 : length(parts[next]);
+            const target = Math.min(current - 1, Math.max(minimum(parts[index]), current - (length(name) - limit), nextLength));
+            const truncated = NamingUtils.truncateText(parts[index], target);
+            if (truncated === parts[index]) break;
+
+            parts[index] = truncated;
+            name = join();
+        }
+
+        return name;
+    }
+
+    /**
+     * 获取UCS命名的长度上限
+     * @returns {Object} 长度上限（fxName、fxName_zh、total），0表示不限制
+     */
+    getLengthLimits() {
+        const limits = this.settings.lengthLimits || {};
+        const result = {};
+        ['fxName', 'fxName_zh', 'total'].forEach(key => {
+            const value = parseInt(limits[key], 10);
+            result[key] = isNaN(value) || value < 0 ? 0 : value;
+        });
+        return result;
+    }
+
+    /**
+     * 检查最终文件名的长度，在文件对象上标记lengthWarnings（原因列表）
+     * 批量重命名添加的文本可能使文件名超过总长度上限；文件在Windows路径中时检查完整路径的长度
+     * @param {Array<Object>} files - 文件列表
+     * @returns {number} 有长度警告的文件数
+     */
+    detectLengthIssues(files) {
+        const total = this.settings.useUCS ? this.getLengthLimits().total : 0;
+        let count = 0;
+
+        files.forEach(file => {
+            file.lengthWarnings = [];
+            if (file.status !== 'success' || !file.formattedName) return;
+
+            const name = file.extension ? file.formattedName.replace(new RegExp(`\\.${file.extension}$`, 'i'), '') : file.formattedName;
+            const nameLength = Array.from(name).length;
+            if (total > 0 && nameLength > total) {
+                file.lengthWarnings.push(`文件名有 ${nameLength} 个字符，超过总长度上限 ${total}`);
+            }
+
+            // Windows路径如 C:\Library\images\ID.info\name.wav 或 \\server\share\...，重命名后目录不变
+            const path = file.path || '';
+            if (/^([A-Za-z]:[\\/]|\\\\)/.test(path)) {
+                const fullPath = path.replace(/[^\\/]*$/, '') + file.formattedName;
+                if (fullPath.length >= NamingRules.WINDOWS_MAX_PATH) {
+                    file.lengthWarnings.push(`完整路径有 ${fullPath.length} 个字符，超过Windows的路径长度限制（最多 ${NamingRules.WINDOWS_MAX_PATH - 1} 个字符）`);
+                }
+            }
+
+            if (file.lengthWarnings.length > 0) {
+                count++;
+            }
+        });
+
+        return count;
+    }
+
+    /**
+     * 获取英文描述：使用标准化的英文描述，没有时对不带序号的文件名应用命名风格
+     * @param {Object} file - 文件对象
+     * @returns {string} 英文描述
+     * @private
+     */
+    _getFxName(file) {
+        // 使用标准化的英文描述（如果有），否则使用不带序号的文件名
+        let fxName = file.standardizedName || file.nameWithoutNumber || file.name;
+
+        // 🔥 关键修复：避免重复应用命名风格
+        // 如果使用的是standardizedName，说明已经在file-processor中应用过命名风格了
+        if (file.standardizedName) {
+            // standardizedName已经应用过命名风格，直接使用
+            console.log(`📋 使用已格式化的标准化名称: ${fxName}`);
+        } else {
+            // 只有当使用原始文件名时才应用命名风格
+            console.log(`🎨 对原始文件名应用命名风格: ${fxName}`);
+            fxName = NamingUtils.applyNamingStyle(
+                fxName,
+                this.settings.namingStyle,
+                this.settings.customSeparator
+            );
+        }
+
+        // 如果没有命名风格，规范化英文文本
+        if (!this.settings.namingStyle || this.settings.namingStyle === 'none') {
+            fxName = NamingUtils.normalizeEnglishText(fxName, false);
+        }
+
+        return fxName;
+    }
+
+    /**
+     * 格式化序号
+     * @param {number} number - 序号
+     * @returns {string} 补零后的序号
+     */
+    formatSerial(number) {
+        const padding = parseInt(this.settings.serialPadding, 10);
+        return String(number).padStart(isNaN(padding) ? 3 : padding, '0');
+    }
+
+    /**
+     * 获取起始序号
+     * @returns {number} 起始序号
+     * @private
+     */
+    _getSerialStart() {
+        const start = parseInt(this.settings.serialStart, 10);
+        return isNaN(start) || start < 0 ? 1 : start;
+    }
+
+    /**
+     * 获取序号分组键（CatID + FXName）
+     * @param {Object} file - 文件对象
+     * @returns {string} 分组键
+     * @private
+     */
+    _getSerialGroupKey(file) {
+        const fxName = file.standardizedName || file.nameWithoutNumber || file.name || '';
+        return `${file.catID || ''}|${fxName}`.toLowerCase();
+    }
+
+    /**
+     * 文件名中是否包含需要批量分配的序号（UCS序号元素或自定义模板中的{serial}）
+     * @returns {boolean} 是否需要序号
+     * @private
+     */
+    _usesSerial() {
+        if (this.settings.useUCS) {
+            return !!this.settings.elements.serialNumber;
+        }
+        if (this.settings.format !== 'custom') {
+            return false;
         }
 
-        // 过滤掉空元素
-        const filteredParts = parts.filter(part => part && part.trim() !== '');
+        try {
+            return this._getTemplate().variables.includes('serial');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 对整批文件分配序号并检测重名
+     * 需要生成序号的文件在各自的CatID+FXName分组内按顺序编号，
+     * 跳过会与本批次其他文件或已有文件重名的序号
+     * @param {Array<Object>} files - 文件列表（仅处理状态为success的文件）
+     * @param {Array<string>} existingNames - 目标文件夹中已有的文件名（不含本批次文件）
+     * @returns {Object} 统计结果，包含numbered、duplicates、existing
+     */
+    applyBatchNumbering(files, existingNames = []) {
+        const existing = new Set(existingNames.map(name => name.toLowerCase()));
+        const readyFiles = files.filter(file => file.status === 'success');
+        const needsSerial = file => this._usesSerial() && !file.numberPart && !file.renameOnly;
+
+        // 不需要编号的文件名先占位
+        const taken = new Set(existing);
+        readyFiles.filter(file => !needsSerial(file) && file.formattedName).forEach(file => {
+            taken.add(file.formattedName.toLowerCase());
+        });
+
+        // 按分组顺序编号
+        const counters = new Map();
+        let numbered = 0;
+        readyFiles.filter(needsSerial).forEach(file => {
+            const key = this._getSerialGroupKey(file);
+            let counter = counters.has(key) ? counters.get(key) : this._getSerialStart();
+            let name;
+            let previous = null;
+
+            do {
+                file.serialNumber = this.formatSerial(counter);
+                name = this.formatFilename(file);
+                counter++;
+
+                // 批量重命名去掉了序号时文件名不再变化，保留重名由detectConflicts标记
+                if (name === previous) break;
+                previous = name;
+            } while (taken.has(name.toLowerCase()));
+
+            counters.set(key, counter);
+            taken.add(name.toLowerCase());
+            file.formattedName = name;
+            numbered++;
+        });
+
+        return { numbered, ...this.detectConflicts(files, existingNames) };
+    }
+
+    /**
+     * 检测重名，并在文件对象上标记nameConflict（'duplicate'、'existing'或null）
+     * @param {Array<Object>} files - 文件列表
+     * @param {Array<string>} existingNames - 目标文件夹中已有的文件名（不含本批次文件）
+     * @returns {Object} 统计结果，包含duplicates、existing
+     */
+    detectConflicts(files, existingNames = []) {
+        const existing = new Set(existingNames.map(name => name.toLowerCase()));
+        const counts = new Map();
+
+        files.forEach(file => {
+            if (file.status === 'success' && file.formattedName) {
+                const key = file.formattedName.toLowerCase();
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        });
+
+        let duplicates = 0;
+        let existingCount = 0;
+        files.forEach(file => {
+            file.nameConflict = null;
+            if (file.status !== 'success' || !file.formattedName) return;
+
+            const key = file.formattedName.toLowerCase();
+            if (counts.get(key) > 1) {
+                file.nameConflict = 'duplicate';
+                duplicates++;
+            } else if (existing.has(key)) {
+                file.nameConflict = 'existing';
+                existingCount++;
+            }
+        });
 
-        // 组合文件名
-        return filteredParts.join(separator);
+        return { duplicates, existing: existingCount };
     }
 
     /**
@@ -0,0 +1,366 @@
+/**
+ * 命名模板
+ * 解析和渲染自定义命名模板，语法：
+ * - {catID}：变量
+ * - {fxName|upper}、{fxName_zh|trunc:7}、{serial|pad:3}：过滤器，可以连续使用
+ * - {fxName_zh||fxName}：前一个为空时使用后一个，也可以是带引号的文本，如 {subCategory||"MISC"}
+ * - [_{subCategory_zh}]：可选部分，其中任一变量为空时整段省略
+ * - \{、\}、\[、\]、\\：原样输出这些字符
+ */
+class NamingTemplate {
+    /**
+     * 可用变量（变量名 -> 说明）
+     */
+    static VARIABLES = {
+        catID: 'UCS分类ID',
+        category: '分类缩写',
+        category_zh: '分类中文名',
+        subCategory: '子分类',
+        subCategory_zh: '子分类中文名',
+        fxName: '英文描述',
+        fxName_zh: '中文描述',
+        creatorID: '制作者ID',
+        sourceID: '项目ID',
+        serial: '序号（原文件名中的序号或批量编号）',
+        name: '翻译后的名称（没有翻译时为原文件名）',
+        originalName: '原文件名（不含扩展名）',
+        tags: '前3个标签',
+        ext: '扩展名'
+    };
+
+    /**
+     * 过滤器（过滤器名 -> 参数说明，null表示没有参数）
+     */
+    static FILTERS = {
+        upper: null,
+        lower: null,
+        title: null,
+        trim: null,
+        trunc: '最多字符数',
+        pad: '序号位数',
+        style: '命名风格（camelCase、PascalCase、snake_case、kebab-case）'
+    };
+
+    /**
+     * style过滤器可用的命名风格
+     */
+    static STYLES = ['camelCase', 'PascalCase', 'snake_case', 'kebab-case'];
+
+    /**
+     * 构造函数，解析模板
+     * @param {string} template - 模板
+     */
+    constructor(template) {
+        this.template = String(template || '');
+        this.position = 0;
+        this.nodes = this._parseNodes(null, 0);
+        this.variables = [...new Set(this._collectVariables(this.nodes))];
+    }
+
+    /**
+     * 验证模板
+     * @param {string} template - 模板
+     * @returns {Object} 验证结果，包含valid和error（无效时的原因）
+     */
+    static validate(template) {
+        try {
+            new NamingTemplate(template);
+            return { valid: true, error: null };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * 渲染模板
+     * @param {Object} values - 变量值（变量名 -> 文本）
+     * @returns {string} 渲染结果
+     */
+    render(values) {
+        return this._renderNodes(this.nodes, values || {}).text;
+    }
+
+    /**
+     * 创建带位置的语法错误
+     * @param {string} message - 错误原因
+     * @param {number} position - 出错的位置（从0开始）
+     * @returns {Error} 错误
+     * @private
+     */
+    _error(message, position) {
+        return new Error(`模板语法错误（第${position + 1}个字符）: ${message}`);
+    }
+
+    /**
+     * 解析文本、变量和可选部分，直到结束或遇到可选部分的结束符
+     * @param {string|null} closing - 结束符，顶层为null
+     * @param {number} start - 可选部分开始的位置，用于报告未闭合
+     * @returns {Array<Object>} 节点列表
+     * @private
+     */
+    _parseNodes(closing, start) {
+        const template = this.template;
+        const nodes = [];
+        let text = '';
+
+        const flush = () => {
+            if (text) {
+                nodes.push({ type: 'text', value: text });
+                text = '';
+            }
+        };
+
+        while (this.position < template.length) {
+            const char = template[this.position];
+
+            if (char === '\\') {
+                if (this.position + 1 >= template.length) {
+                    throw this._error('末尾的 \\ 没有转义任何字符', this.position);
+                }
+                text += template[this.position + 1];
+                this.position += 2;
+            } else if (char === '{') {
+                flush();
+                nodes.push(this._parseVariable());
+            } else if (char === '[') {
+                flush();
+                const sectionStart = this.position;
+                this.position++;
+                nodes.push({ type: 'section', children: this._parseNodes(']', sectionStart) });
+            } else if (char === ']') {
+                if (closing !== ']') {
+                    throw this._error('多余的 ]，原样输出请写作 \\]', this.position);
+                }
+                this.position++;
+                flush();
+                return nodes;
+            } else if (char === '}') {
+                throw this._error('多余的 }，原样输出请写作 \\}', this.position);
+            } else {
+                text += char;
+                this.position++;
+            }
+        }
+
+        if (closing) {
+            throw this._error('可选部分缺少 ]', start);
+        }
+
+        flush();
+        return nodes;
+    }
+
+    /**
+     * 解析 {...} 中的变量、过滤器和备选
+     * @returns {Object} 变量节点
+     * @private
+     */
+    _parseVariable() {
+        const template = this.template;
+        const start = this.position;
+        let end = start + 1;
+        let quoted = false;
+
+        while (end < template.length && (quoted || template[end] !== '}')) {
+            if (template[end] === '"') quoted = !quoted;
+            if (template[end] === '{' && !quoted) {
+                throw this._error('变量中不能再包含 {', end);
+            }
+            end++;
+        }
+        if (end >= template.length) {
+            throw this._error('变量缺少 }', start);
+        }
+
+        const expression = template.slice(start + 1, end);
+        this.position = end + 1;
+
+        if (!expression.trim()) {
+            throw this._error('变量名为空', start);
+        }
+
+        const alternatives = this._splitOutsideQuotes(expression, '||')
+            .map(alternative => this._parseAlternative(alternative, start));
+
+        return { type: 'variable', alternatives };
+    }
+
+    /**
+     * 解析一个备选：变量名或带引号的文本，以及过滤器
+     * @param {string} source - 备选的源代码，如 fxName_zh|trunc:7
+     * @param {number} start - 变量开始的位置
+     * @returns {Object} 备选（variable或literal，filters）
+     * @private
+     */
+    _parseAlternative(source, start) {
+        const [head, ...filterSources] = this._splitOutsideQuotes(source, '|').map(part => part.trim());
+
+        let alternative;
+        const literal = head.match(/^"([^"]*)"$/);
+        if (literal) {
+            alternative = { literal: literal[1] };
+        } else if (!head) {
+            throw this._error('|| 两侧需要变量名', start);
+        } else if (!Object.prototype.hasOwnProperty.call(NamingTemplate.VARIABLES, head)) {
+            throw this._error(`未知变量 {${head}}，可用变量: ${Object.keys(NamingTemplate.VARIABLES).join('、')}`, start);
+        } else {
+            alternative = { variable: head };
+        }
+
+        alternative.filters = filterSources.map(filterSource => {
+            const [name, ...args] = filterSource.split(':').map(part => part.trim());
+            if (!Object.prototype.hasOwnProperty.call(NamingTemplate.FILTERS, name)) {
+                throw this._error(`未知过滤器 ${name || '（空）'}，可用过滤器: ${Object.keys(NamingTemplate.FILTERS).join('、')}`, start);
+            }
+
+            const argument = NamingTemplate.FILTERS[name];
+            if (argument === null && args.length > 0) {
+                throw this._error(`过滤器 ${name} 不需要参数`, start);
+            }
+            if ((name === 'trunc' || name === 'pad') && !/^[1-9]\d*$/.test(args[0] || '')) {
+                throw this._error(`过滤器 ${name} 需要正整数参数（${argument}），例如 ${name}:3`, start);
+            }
+            if (name === 'style' && !NamingTemplate.STYLES.includes(args[0])) {
+                throw this._error(`过滤器 style 需要${argument}`, start);
+            }
+
+            return { name, args };
+        });
+
+        return alternative;
+    }
+
+    /**
+     * 按分隔符拆分，引号中的分隔符不拆分；拆分 | 时跳过 ||
+     * @param {string} source - 源代码
+     * @param {string} separator - 分隔符（| 或 ||）
+     * @returns {Array<string>} 拆分结果
+     * @private
+     */
+    _splitOutsideQuotes(source, separator) {
+        const parts = [];
+        let current = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (char === '"') quoted = !quoted;
+
+            if (!quoted && source.startsWith(separator, i) && (separator === '||' || source[i + 1] !== '|')) {
+                parts.push(current);
+                current = '';
+                i += separator.length - 1;
+            } else {
+                current += char;
+            }
+        }
+
+        parts.push(current);
+        return parts;
+    }
+
+    /**
+     * 收集模板中使用的变量
+     * @param {Array<Object>} nodes - 节点列表
+     * @returns {Array<string>} 变量名
+     * @private
+     */
+    _collectVariables(nodes) {
+        return nodes.flatMap(node => {
+            if (node.type === 'section') return this._collectVariables(node.children);
+            if (node.type === 'variable') return node.alternatives.filter(item => item.variable).map(item => item.variable);
+            return [];
+        });
+    }
+
+    /**
+     * 渲染节点列表
+     * @param {Array<Object>} nodes - 节点列表
+     * @param {Object} values - 变量值
+     * @returns {Object} 渲染结果，包含text和missing（是否有变量为空）
+     * @private
+     */
+    _renderNodes(nodes, values) {
+        let text = '';
+        let missing = false;
+
+        nodes.forEach(node => {
+            if (node.type === 'text') {
+                text += node.value;
+            } else if (node.type === 'section') {
+                // 可选部分中有变量为空时整段省略
+                const section = this._renderNodes(node.children, values);
+                if (!section.missing) {
+                    text += section.text;
+                }
+            } else {
+                const value = this._renderVariable(node, values);
+                if (value) {
+                    text += value;
+                } else {
+                    // 变量为空时去掉前面的分隔符，不留下连续的分隔符（如name__tags）
+                    text = text.replace(/[\s_-]+$/, '');
+                    missing = true;
+                }
+            }
+        });
+
+        return { text, missing };
+    }
+
+    /**
+     * 渲染变量：使用第一个不为空的备选并应用其过滤器
+     * @param {Object} node - 变量节点
+     * @param {Object} values - 变量值
+     * @returns {string} 渲染结果
+     * @private
+     */
+    _renderVariable(node, values) {
+        for (const alternative of node.alternatives) {
+            const raw = alternative.literal !== undefined ? alternative.literal : values[alternative.variable];
+            const value = raw === undefined || raw === null ? '' : String(raw);
+            if (!value.trim()) continue;
+
+            const filtered = alternative.filters.reduce((result, filter) => NamingTemplate.applyFilter(result, filter.name, filter.args), value);
+            if (filtered) {
+                return filtered;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * 应用过滤器
+     * @param {string} value - 值
+     * @param {string} name - 过滤器名
+     * @param {Array<string>} [args=[]] - 参数
+     * @returns {string} 结果
+     */
+    static applyFilter(value, name, args = []) {
+        switch (name) {
+            case 'upper':
+                return value.toUpperCase();
+            case 'lower':
+                return value.toLowerCase();
+            case 'title':
+                return value.replace(/\b[a-z]/g, char => char.toUpperCase());
+            case 'trim':
+                return value.trim();
+            case 'trunc': {
+                // 按字符截断（中文和emoji都算一个字符），并去掉末尾的空格和分隔符
+                const chars = Array.from(value);
+                const limit = parseInt(args[0], 10);
+                return chars.length > limit ? chars.slice(0, limit).join('').replace(/[\s_-]+$/, '') : value;
+            }
+            case 'pad':
+                return /^\d+$/.test(value) ? value.padStart(parseInt(args[0], 10), '0') : value;
+            case 'style':
+                return NamingUtils.applyNamingStyle(value, args[0]);
+            default:
+                return value;
+        }
+    }
+}
+
+// 导出NamingTemplate
+window.NamingTemplate = NamingTemplate;
@@ -0,0 +1,298 @@
+/**
+ * 重命名日志
+ * 记录每一批重命名操作，支持撤销整批或指定文件
+ */
+class RenameJournal {
+    /**
+     * 构造函数
+     * @param {string} storageKey - 本地存储键名
+     * @param {number} maxBatches - 最多保留的批次数
+     */
+    constructor(storageKey = 'rename-journal', maxBatches = 50) {
+        this.storageKey = storageKey;
+        this.maxBatches = maxBatches;
+        this.batches = [];
+
+        this._load();
+    }
+
+    /**
+     * 从本地存储加载日志
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.batches = Array.isArray(data.batches) ? data.batches : [];
+            }
+        } catch (error) {
+            Logger.error('加载重命名日志失败', error);
+            this.batches = [];
+        }
+    }
+
+    /**
+     * 保存日志到本地存储
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                batches: this.batches,
+                lastUpdated: Date.now()
+            }));
+        } catch (error) {
+            Logger.error('保存重命名日志失败', error);
+        }
+    }
+
+    /**
+     * 记录一批重命名操作
+     * @param {Array<Object>} entries - 重命名条目，每项包含itemId、oldName、newName，
+     *                                   写入元数据时还包含oldMetadata（tags、annotation、folders）
+     * @param {Object} context - 上下文信息
+     * @param {string} context.provider - 使用的翻译提供者ID
+     * @param {Object} context.settings - 使用的设置快照
+     * @returns {Object|null} 记录的批次
+     */
+    recordBatch(entries, context = {}) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            return null;
+        }
+
+        const timestamp = Date.now();
+        const batch = {
+            id: `batch-${timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp,
+            provider: context.provider || null,
+            settings: context.settings || {},
+            entries: entries.map(entry => ({
+                itemId: entry.itemId,
+                oldName: entry.oldName,
+                newName: entry.newName,
+                oldMetadata: entry.oldMetadata || null,
+                timestamp: entry.timestamp || timestamp,
+                undone: false
+            }))
+        };
+
+        this.batches.push(batch);
+
+        // 超出上限时丢弃最早的批次
+        if (this.batches.length > this.maxBatches) {
+            this.batches.splice(0, this.batches.length - this.maxBatches);
+        }
+
+        this._save();
+        Logger.info(`已记录重命名批次 ${batch.id}，共 ${batch.entries.length} 个文件`);
+        return batch;
+    }
+
+    /**
+     * 获取所有批次（最新的在前）
+     * @returns {Array<Object>} 批次列表
+     */
+    getBatches() {
+        return [...this.batches].reverse();
+    }
+
+    /**
+     * 根据ID获取批次
+     * @param {string} batchId - 批次ID
+     * @returns {Object|null} 批次
+     */
+    getBatch(batchId) {
+        return this.batches.find(batch => batch.id === batchId) || null;
+    }
+
+    /**
+     * 获取最近一个仍有未撤销条目的批次
+     * @returns {Object|null} 批次
+     */
+    getLastBatch() {
+        for (let i = this.batches.length - 1; i >= 0; i--) {
+            if (this.batches[i].entries.some(entry => !entry.undone)) {
+                return this.batches[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 检查批次中的文件在Eagle中的当前名称
+     * 当前名称与记录的新名称不一致时，说明文件在批次之后又被重命名过
+     * @param {string} batchId - 批次ID
+     * @returns {Promise<Array<Object>>} 每个条目的状态
+     */
+    async checkBatch(batchId) {
+        const batch = this.getBatch(batchId);
+        if (!batch) {
+            throw new Error(`找不到重命名批次: ${batchId}`);
+        }
+
+        const statuses = [];
+        for (const entry of batch.entries) {
+            statuses.push(await this._checkEntry(entry));
+        }
+        return statuses;
+    }
+
+    /**
+     * 检查单个条目的状态
+     * @param {Object} entry - 日志条目
+     * @returns {Promise<Object>} 条目状态
+     * @private
+     */
+    async _checkEntry(entry) {
+        const status = {
+            itemId: entry.itemId,
+            oldName: entry.oldName,
+            newName: entry.newName,
+            currentName: null,
+            undone: entry.undone,
+            missing: false,
+            renamedSince: false
+        };
+
+        try {
+            const item = await eagle.item.getById(entry.itemId);
+            if (!item) {
+                status.missing = true;
+                return status;
+            }
+
+            status.currentName = item.name;
+            status.renamedSince = !entry.undone && item.name !== entry.newName;
+        } catch (error) {
+            Logger.warn(`获取文件 ${entry.itemId} 信息失败`, error);
+            status.missing = true;
+        }
+
+        return status;
+    }
+
+    /**
+     * 撤销最近一个批次
+     * @param {Object} options - 选项
+     * @param {boolean} options.force - 是否覆盖批次之后又被重命名的文件
+     * @returns {Promise<Array<Object>>} 撤销结果
+     */
+    async undoLastBatch(options = {}) {
+        const batch = this.getLastBatch();
+        if (!batch) {
+            throw new Error('没有可以撤销的重命名批次');
+        }
+
+        const itemIds = batch.entries.filter(entry => !entry.undone).map(entry => entry.itemId);
+        return this.undoItems(batch.id, itemIds, options);
+    }
+
+    /**
+     * 撤销批次中的指定文件
+     * @param {string} batchId - 批次ID
+     * @param {Array<string>} itemIds - 要撤销的文件ID列表
+     * @param {Object} options - 选项
+     * @param {boolean} options.force - 是否覆盖批次之后又被重命名的文件
+     * @returns {Promise<Array<Object>>} 撤销结果，每项包含id、success、skipped、message
+     */
+    async undoItems(batchId, itemIds, options = {}) {
+        const batch = this.getBatch(batchId);
+        if (!batch) {
+            throw new Error(`找不到重命名批次: ${batchId}`);
+        }
+
+        const idSet = new Set(itemIds);
+        const results = [];
+
+        for (const entry of batch.entries) {
+            if (!idSet.has(entry.itemId)) continue;
+
+            if (entry.undone) {
+                results.push({
+                    id: entry.itemId,
+                    success: false,
+                    skipped: true,
+                    message: '该文件已撤销'
+                });
+                continue;
+            }
+
+            try {
+                const item = await eagle.item.getById(entry.itemId);
+                if (!item) {
+                    throw new Error(`找不到ID为 ${entry.itemId} 的文件`);
+                }
+
+                // 批次之后在Eagle中又被重命名过，默认不覆盖
+                if (item.name !== entry.newName && !options.force) {
+                    results.push({
+                        id: entry.itemId,
+                        success: false,
+                        skipped: true,
+                        renamedSince: true,
+                        currentName: item.name,
+                        message: `文件已在批次之后被重命名为 ${item.name}，已跳过`
+                    });
+                    continue;
+                }
+
+                item.name = entry.oldName;
+
+                // 同时恢复写入元数据前的标签、注释和文件夹
+                if (entry.oldMetadata) {
+                    item.tags = entry.oldMetadata.tags;
+                    item.annotation = entry.oldMetadata.annotation;
+                    item.folders = entry.oldMetadata.folders;
+                }
+
+                await item.save();
+
+                entry.undone = true;
+                entry.undoneAt = Date.now();
+
+                results.push({
+                    id: entry.itemId,
+                    success: true,
+                    skipped: false,
+                    message: `撤销成功: ${entry.newName} -> ${entry.oldName}`
+                });
+
+                Logger.info(`撤销重命名成功: ${entry.newName} -> ${entry.oldName}`);
+            } catch (error) {
+                results.push({
+                    id: entry.itemId,
+                    success: false,
+                    skipped: false,
+                    message: `撤销失败: ${error.message}`
+                });
+
+                Logger.error(`文件 ${entry.itemId} 撤销重命名失败`, error);
+            }
+        }
+
+        this._save();
+        return results;
+    }
+
+    /**
+     * 删除指定批次的记录（不会修改文件）
+     * @param {string} batchId - 批次ID
+     */
+    removeBatch(batchId) {
+        this.batches = this.batches.filter(batch => batch.id !== batchId);
+        this._save();
+    }
+
+    /**
+     * 清空日志（不会修改文件）
+     */
+    clear() {
+        this.batches = [];
+        this._save();
+    }
+}
+
+// 导出RenameJournal
+window.RenameJournal = RenameJournal;
@@ -532,8 +532,13 @@ class SmartClassifier {
         // 获取匹配策略
         const matchStrategy = options.matchStrategy || this.classificationSettings.defaultMatchStrategy || 'auto';
 
+        // 0. 纠正记忆中有用户确认过的分类时，优先于AI分类结果
+        const learnedCatID = this.csvMatcher && typeof this.csvMatcher.matchLearnedCorrection === 'function'
+            ? this.csvMatcher.matchLearnedCorrection(filename)
+            : null;
+
         // 1. 首先尝试使用AI分类结果（如果提供）
-        if (aiClassification && (matchStrategy === 'auto' || matchStrategy === 'ai')) {
+        if (aiClassification && !learnedCatID && (matchStrategy === 'auto' || matchStrategy === 'ai')) {
             const processedAIResult = this.processAIClassification(aiClassification, filename);
             if (processedAIResult) {
                 return processedAIResult;
@@ -581,8 +586,18 @@ class SmartClassifier {
             const catID = await this.csvMatcher.identifyCategory(filename, null, originalPosAnalysis, matchOptions);
 
             if (catID) {
-                // 查找对应的术语
-                const term = this.csvMatcher.findTermByCatID(catID);
+                // 查找对应的术语，优先使用实际匹配到的术语（用户术语库可能覆盖了中文名称）
+                const matched = allMatches.find(match => match.catID === catID && match.term);
+                const term = matched ? matched.term : this.csvMatcher.findTermByCatID(catID);
+
+                // 纠正记忆的结果排在替代匹配的第一位
+                if (term && catID === learnedCatID) {
+                    allMatches = [
+                        { catID, score: 1000, matchType: 'learned', matchSource: 'learned', term, priority: 0 },
+                        ...allMatches.filter(match => (match.catID || (match.term && match.term.catID)) !== catID)
+                    ];
+                }
+
                 if (term) {
                     return {
                         catID: term.catID,
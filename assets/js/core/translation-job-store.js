@@ -0,0 +1,336 @@
+/**
+ * 翻译任务存储
+ * 翻译过程中把文件列表、每个文件的结果、设置快照和进度保存到磁盘，
+ * 插件意外关闭后可以继续翻译未完成的文件，或查看并应用已完成的结果
+ */
+class TranslationJobStore {
+    /**
+     * 任务文件格式版本
+     */
+    static VERSION = 1;
+
+    /**
+     * 构造函数
+     * @param {Object} options - 选项
+     * @param {string} options.fileName - 任务文件名
+     * @param {string} options.storageKey - 无法访问磁盘时使用的本地存储键名
+     * @param {number} options.saveDelay - 翻译过程中两次保存的最短间隔（毫秒）
+     */
+    constructor(options = {}) {
+        this.fileName = options.fileName || 'translation-job.json';
+        this.storageKey = options.storageKey || 'translation-job';
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 2000;
+        this.job = null;
+        this.pendingFiles = null; // update传入、尚未保存的文件列表
+        this.timer = null;
+        this.lastSaved = 0;
+
+        this._initDisk();
+        this.job = this._read();
+    }
+
+    /**
+     * 初始化磁盘访问
+     * Eagle插件可以使用Node.js的fs模块，任务保存在插件目录的data文件夹中
+     * @private
+     */
+    _initDisk() {
+        this.fs = null;
+        this.filePath = null;
+
+        try {
+            if (typeof require !== 'function' || typeof eagle === 'undefined' || !eagle.plugin || !eagle.plugin.path) {
+                return;
+            }
+
+            const path = require('path');
+            this.fs = require('fs');
+            this.directory = path.join(eagle.plugin.path, 'data');
+            this.filePath = path.join(this.directory, this.fileName);
+        } catch (error) {
+            Logger.warn('无法访问磁盘，翻译任务将保存到本地存储', error);
+            this.fs = null;
+            this.filePath = null;
+        }
+    }
+
+    /**
+     * 是否保存到磁盘
+     * @returns {boolean} 是否保存到磁盘
+     */
+    isDiskAvailable() {
+        return !!(this.fs && this.filePath);
+    }
+
+    /**
+     * 获取保存的任务
+     * @returns {Object|null} 任务，包含id、status、createdAt、updatedAt、settings、progress、files
+     */
+    getJob() {
+        return this.job;
+    }
+
+    /**
+     * 是否有可以继续或查看的任务
+     * @returns {boolean} 是否有保存的任务
+     */
+    hasJob() {
+        return !!(this.job && Array.isArray(this.job.files) && this.job.files.length > 0);
+    }
+
+    /**
+     * 开始新任务，替换之前保存的任务
+     * @param {Array} files - 预览中的所有文件
+     * @param {Object} settings - 设置快照
+     * @returns {Object} 任务
+     */
+    start(files, settings = {}) {
+        const now = Date.now();
+        this.job = {
+            version: TranslationJobStore.VERSION,
+            id: `job-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            status: 'running',
+            createdAt: now,
+            updatedAt: now,
+            settings,
+            progress: null,
+            files: []
+        };
+
+        this.pendingFiles = files;
+        this.save();
+        return this.job;
+    }
+
+    /**
+     * 更新任务中的文件结果，按saveDelay限制保存频率
+     * 每处理一个文件都会调用，这里只记住文件列表，保存时才复制文件并计算进度
+     * @param {Array} files - 预览中的所有文件
+     */
+    update(files) {
+        if (!this.job) return;
+
+        this.pendingFiles = files;
+
+        if (this.timer) return;
+
+        const wait = Math.max(0, this.lastSaved + this.saveDelay - Date.now());
+        if (wait === 0) {
+            this.save();
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.save();
+        }, wait);
+    }
+
+    /**
+     * 结束任务并立即保存
+     * @param {Array} files - 预览中的所有文件
+     * @param {string} status - 任务状态：'completed'（完成）或'paused'（停止）
+     */
+    finish(files, status = 'completed') {
+        if (!this.job) return;
+
+        this.pendingFiles = files;
+        this.job.status = status;
+        this.save();
+    }
+
+    /**
+     * 立即保存尚未写入的更新
+     */
+    flush() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.save();
+        }
+    }
+
+    /**
+     * 保存任务
+     */
+    save() {
+        if (!this.job) return;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.pendingFiles) {
+            this._setFiles(this.pendingFiles);
+            this.pendingFiles = null;
+        }
+
+        this.job.updatedAt = Date.now();
+        this.lastSaved = this.job.updatedAt;
+
+        try {
+            this._write(JSON.stringify(this.job));
+        } catch (error) {
+            Logger.error('保存翻译任务失败', error);
+        }
+    }
+
+    /**
+     * 删除保存的任务
+     */
+    clear() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.job = null;
+        this.pendingFiles = null;
+
+        try {
+            if (this.isDiskAvailable()) {
+                if (this.fs.existsSync(this.filePath)) {
+                    this.fs.unlinkSync(this.filePath);
+                }
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            Logger.error('删除翻译任务失败', error);
+        }
+    }
+
+    /**
+     * 获取任务中未完成的文件（等待中、处理中或失败）
+     * @returns {Array} 未完成的文件
+     */
+    getUnfinishedFiles() {
+        return this.hasJob() ? this.job.files.filter(file => file.selected !== false && file.status !== 'success') : [];
+    }
+
+    /**
+     * 获取任务中已完成的文件
+     * @returns {Array} 已完成的文件
+     */
+    getFinishedFiles() {
+        return this.hasJob() ? this.job.files.filter(file => file.status === 'success') : [];
+    }
+
+    /**
+     * 比较任务的设置快照与当前设置
+     * @param {Object} current - 当前设置快照
+     * @returns {Array<string>} 不同之处的说明
+     */
+    compareSettings(current = {}) {
+        if (!this.job || !this.job.settings) return [];
+
+        const saved = this.job.settings;
+        const differences = [];
+        const savedTranslation = saved.translation || {};
+        const currentTranslation = current.translation || {};
+
+        [
+            { key: 'provider', label: '翻译服务' },
+            { key: 'sourceLanguage', label: '源语言' },
+            { key: 'targetLanguage', label: '目标语言' },
+            { key: 'namingStyle', label: '命名风格' },
+            { key: 'standardizeEnglish', label: '英文标准化' }
+        ].forEach(({ key, label }) => {
+            if (savedTranslation[key] !== undefined && savedTranslation[key] !== currentTranslation[key]) {
+                differences.push(`${label}: ${savedTranslation[key]} → ${currentTranslation[key]}`);
+            }
+        });
+
+        if (saved.naming && current.naming && JSON.stringify(saved.naming) !== JSON.stringify(current.naming)) {
+            differences.push('命名规则已修改');
+        }
+
+        if (saved.useCSV !== undefined && saved.useCSV !== current.useCSV) {
+            differences.push(`UCS分类: ${saved.useCSV ? '开启' : '关闭'} → ${current.useCSV ? '开启' : '关闭'}`);
+        }
+
+        return differences;
+    }
+
+    /**
+     * 保存文件列表并更新进度
+     * @param {Array} files - 文件列表
+     * @private
+     */
+    _setFiles(files) {
+        // 文件对象只包含可序列化的数据，深拷贝避免后续修改影响已保存的内容
+        this.job.files = JSON.parse(JSON.stringify(files || []));
+
+        const count = status => this.job.files.filter(file => file.status === status).length;
+        const selected = this.job.files.filter(file => file.selected !== false);
+        this.job.progress = {
+            total: this.job.files.length,
+            selected: selected.length,
+            succeeded: count('success'),
+            failed: count('error'),
+            remaining: selected.filter(file => file.status !== 'success' && file.status !== 'error').length
+        };
+    }
+
+    /**
+     * 读取保存的任务
+     * 上次未正常结束的任务标记为中断，处理中的文件恢复为等待状态
+     * @returns {Object|null} 任务
+     * @private
+     */
+    _read() {
+        try {
+            let content = null;
+            if (this.isDiskAvailable()) {
+                if (this.fs.existsSync(this.filePath)) {
+                    content = this.fs.readFileSync(this.filePath, 'utf8');
+                }
+            } else {
+                content = localStorage.getItem(this.storageKey);
+            }
+
+            if (!content) return null;
+
+            const job = JSON.parse(content);
+            if (!job || job.version !== TranslationJobStore.VERSION || !Array.isArray(job.files)) {
+                Logger.warn('忽略无法识别的翻译任务文件');
+                return null;
+            }
+
+            if (job.status === 'running') {
+                job.status = 'interrupted';
+            }
+            job.files.forEach(file => {
+                if (file.status === 'processing') {
+                    file.status = 'pending';
+                }
+            });
+
+            return job;
+        } catch (error) {
+            Logger.error('读取翻译任务失败', error);
+            return null;
+        }
+    }
+
+    /**
+     * 写入任务内容
+     * 先写入临时文件再替换，避免写到一半时关闭导致任务文件损坏
+     * @param {string} content - 任务JSON
+     * @private
+     */
+    _write(content) {
+        if (!this.isDiskAvailable()) {
+            localStorage.setItem(this.storageKey, content);
+            return;
+        }
+
+        const tempPath = `${this.filePath}.tmp`;
+        this.fs.mkdirSync(this.directory, { recursive: true });
+        this.fs.writeFileSync(tempPath, content, 'utf8');
+        this.fs.renameSync(tempPath, this.filePath);
+    }
+}
+
+// 导出TranslationJobStore
+window.TranslationJobStore = TranslationJobStore;
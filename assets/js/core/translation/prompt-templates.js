@@ -28,6 +28,12 @@ class PromptTemplates {
             'reverse': '请将以下中文音效文件名翻译成简洁、准确的英文描述，{charLimit}，使用专业的音效术语。直接返回翻译结果，不要添加任何解释。\n\n{text}'
         };
 
+        // 批量翻译提示模板（一次翻译多个文件名，以JSON返回）
+        this.defaultBatchTranslationTemplate = '请将以下{count}个{from}音效文件名分别翻译成{to}，保持原意，每个翻译{charLimit}，不要添加任何解释。\n\n{items}\n\n只返回JSON，格式为：{"results":[{"id":1,"text":"翻译结果"}]}，id与上面的编号对应，每个编号都必须返回。';
+
+        // 批量标准化提示模板
+        this.defaultBatchStandardizeTemplate = 'Please provide a concise English description of each of the following {count} sound effects, in {charLimit} characters or less each.\n\n{items}\n\nReturn only JSON in the form {"results":[{"id":1,"text":"description"}]}, where id matches the numbers above. Every id must be returned.';
+
         // 预定义的中文分类提示模板
         this.defaultChineseClassificationTemplate = '你是一个专业的音效分类专家，请分析这个中文音效文件名，并提供以下信息：\n\n1. CatID: 音效分类ID（例如：DSGNRythm, MSC, TOON 等）\n2. Category: 主分类英文名（例如：DESIGNED, MISCELLANEOUS 等）\n3. Category_zh: 主分类中文名（例如：声音设计, 杂项 等）\n4. 简短英文描述: 用英文简要描述这个音效（{charLimit}）\n\n文件名：{text}\n\n请以JSON格式返回，不要有其他文字。';
     }
@@ -103,6 +109,48 @@ class PromptTemplates {
             .replace(/{charLimit}/g, limit);
     }
 
+    /**
+     * 获取批量翻译提示模板
+     * @param {Array<string>} texts - 要翻译的文本列表，编号从1开始
+     * @param {string} from - 源语言
+     * @param {string} to - 目标语言
+     * @param {number} [charLimit=null] - 自定义字符限制
+     * @returns {string} 处理后的提示模板
+     */
+    getBatchTranslationPrompt(texts, from, to, charLimit = null) {
+        return this.defaultBatchTranslationTemplate
+            .replace(/{count}/g, texts.length)
+            .replace(/{from}/g, from === 'auto' ? '' : from)
+            .replace(/{to}/g, to)
+            .replace(/{charLimit}/g, this._getCharLimitText(to, charLimit))
+            .replace(/{items}/g, () => this._formatBatchItems(texts));
+    }
+
+    /**
+     * 获取批量标准化提示模板
+     * @param {Array<string>} texts - 要处理的文本列表，编号从1开始
+     * @param {number} [charLimit=null] - 自定义字符限制
+     * @returns {string} 处理后的提示模板
+     */
+    getBatchStandardizePrompt(texts, charLimit = null) {
+        const limit = charLimit || this.defaultCharLimit.en || 30;
+
+        return this.defaultBatchStandardizeTemplate
+            .replace(/{count}/g, texts.length)
+            .replace(/{charLimit}/g, limit)
+            .replace(/{items}/g, () => this._formatBatchItems(texts));
+    }
+
+    /**
+     * 将文本列表格式化为编号列表
+     * @param {Array<string>} texts - 文本列表
+     * @returns {string} 编号列表，每行一项
+     * @private
+     */
+    _formatBatchItems(texts) {
+        return texts.map((text, index) => `${index + 1}. ${text}`).join('\n');
+    }
+
     /**
      * 获取中文音效分类提示模板
      * @param {string} text - 要分类的中文文件名
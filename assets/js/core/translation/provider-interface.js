@@ -35,6 +35,65 @@ class TranslationProvider {
         throw new Error("Method not implemented");
     }
 
+    /**
+     * 发送网络请求
+     * 注册到翻译服务后经由服务的请求层发送（限速、并发限制、超时和重试），否则直接使用fetch
+     * @param {string} url - 请求地址
+     * @param {Object} options - fetch选项
+     * @returns {Promise<Response>} 响应
+     * @protected
+     */
+    async _fetch(url, options = {}) {
+        if (typeof this.requestHandler === 'function') {
+            return this.requestHandler(url, options);
+        }
+        return fetch(url, options);
+    }
+
+    /**
+     * 获取当前使用的模型，用于区分不同模型的缓存
+     * @returns {string} 模型名称，不使用模型的提供者返回空字符串
+     */
+    getModel() {
+        return '';
+    }
+
+    /**
+     * 获取模型以外影响翻译结果的配置，用于区分缓存
+     * @returns {Object|null} 配置，没有这类配置的提供者返回null
+     */
+    getCacheSettings() {
+        return null;
+    }
+
+    /**
+     * 翻译结果是否可以缓存
+     * @returns {boolean} 是否可以缓存
+     */
+    isCacheable() {
+        return true;
+    }
+
+    /**
+     * 是否支持批量翻译（一次请求处理多个文件名并返回JSON）
+     * 实现了sendRequest的提供者可以发送批量提示词
+     * @returns {boolean} 是否支持批量翻译
+     */
+    supportsBatch() {
+        return typeof this.sendRequest === 'function';
+    }
+
+    /**
+     * 获取请求类型对应的最大生成token数
+     * 分类和批量请求一次返回多个文件的JSON结果，需要更多token
+     * @param {string} type - 请求类型（translation、classification、batch）
+     * @returns {number} 最大生成token数
+     * @protected
+     */
+    _getMaxTokens(type) {
+        return type === 'classification' || type === 'batch' ? 4000 : 1000;
+    }
+
     /**
      * 获取支持的语言列表
      * @returns {Promise<Array<Object>>} 支持的语言列表，每个对象包含code和name
@@ -80,7 +80,7 @@ class GoogleTranslateProvider extends TranslationProvider {
             });
 
             // 发送请求
-            const response = await fetch(`${this.endpoint}?${params.toString()}`);
+            const response = await this._fetch(`${this.endpoint}?${params.toString()}`);
 
             if (!response.ok) {
                 throw new Error(`HTTP错误 ${response.status}`);
@@ -0,0 +1,622 @@
+/**
+ * 离线词典提供者实现
+ * 使用UCS术语表的子分类、主分类和同义词列（以及合并进来的用户术语库）构建中英词典，
+ * 按词组和单词逐个翻译文件名，无需联网；查不到的词保留原文并标记为未翻译
+ */
+class OfflineDictionaryProvider extends TranslationProvider {
+    /**
+     * 词典条目权重
+     * 同一个词有多个译名时累计权重，取权重最高的译名
+     */
+    static WEIGHTS = {
+        custom: 100,     // 用户术语库条目的倍数
+        subCategory: 10, // SubCategory <-> SubCategory_zh
+        category: 8,     // Category <-> Category_zh
+        synonym: 1       // 同义词 -> 所在行的子分类
+    };
+
+    /**
+     * 只有同义词依据的译名，最高票至少要占的比例，否则视为查不到
+     * 同一个同义词常出现在多个子分类中（如Heavy），票数分散说明没有可靠的译名
+     */
+    static MIN_SYNONYM_SHARE = 0.5;
+
+    /**
+     * 词组最多包含的单词/分词数
+     */
+    static MAX_PHRASE_LENGTH = 4;
+
+    /**
+     * 中文音效名中常见的后缀，查不到时直接省略而不标记为未翻译（如"爆炸声"）
+     */
+    static CHINESE_SUFFIXES = new Set(['声', '音', '声音', '音效']);
+
+    /**
+     * 构造函数
+     * @param {Object} settings - 翻译设置
+     */
+    constructor(settings = {}) {
+        super(settings);
+
+        this.termSource = null;     // 提供terms数组的对象（通常是匹配器）
+        this.dictionary = null;     // 构建好的词典
+        this.dictionaryTerms = null; // 构建词典时使用的terms数组，用于判断是否需要重建
+    }
+
+    /**
+     * 获取提供者ID
+     * @returns {string} 提供者ID
+     */
+    getId() {
+        return 'offline';
+    }
+
+    /**
+     * 获取提供者名称
+     * @returns {string} 提供者名称
+     */
+    getName() {
+        return '离线词典';
+    }
+
+    /**
+     * 是否需要API密钥
+     * @returns {boolean} 是否需要API密钥
+     */
+    requiresApiKey() {
+        return false;
+    }
+
+    /**
+     * 翻译结果是否可以缓存
+     * 词典随术语表和用户术语库变化，且查询代价很低，不使用缓存
+     * @returns {boolean} 是否可以缓存
+     */
+    isCacheable() {
+        return false;
+    }
+
+    /**
+     * 是否支持批量翻译
+     * 本地查词没有请求开销，逐个翻译即可
+     * @returns {boolean} 是否支持批量翻译
+     */
+    supportsBatch() {
+        return false;
+    }
+
+    /**
+     * 获取支持的语言列表
+     * @returns {Promise<Array<Object>>} 支持的语言列表
+     */
+    async getSupportedLanguages() {
+        return [
+            { code: 'auto', name: '自动检测' },
+            { code: 'en', name: 'English' },
+            { code: 'zh-CN', name: 'Chinese (Simplified)' }
+        ];
+    }
+
+    /**
+     * 设置词典来源
+     * @param {Object} source - 带有terms数组的对象，如FuseMatcher或CSVMatcher
+     */
+    setTermSource(source) {
+        this.termSource = source;
+        this.dictionary = null;
+        this.dictionaryTerms = null;
+    }
+
+    /**
+     * 获取词典，术语变化（切换UCS文件、编辑用户术语库）后自动重建
+     * @returns {Object} 词典
+     * @private
+     */
+    _getDictionary() {
+        const terms = this.termSource && Array.isArray(this.termSource.terms) ? this.termSource.terms : null;
+        if (!terms || terms.length === 0) {
+            throw new Error('术语库尚未加载');
+        }
+
+        if (!this.dictionary || this.dictionaryTerms !== terms) {
+            this.dictionary = this._buildDictionary(terms);
+            this.dictionaryTerms = terms;
+            Logger.info(`离线词典已构建: 英->中 ${this.dictionary.enToZh.size} 条，中->英 ${this.dictionary.zhToEn.size} 条`);
+        }
+
+        return this.dictionary;
+    }
+
+    /**
+     * 从术语构建中英双向词典
+     * @param {Array<Object>} terms - 术语列表
+     * @returns {Object} 词典，包含enToZh、zhToEn（键 -> {text, direct}）、maxEnWords、maxZhLength
+     * @private
+     */
+    _buildDictionary(terms) {
+        const weights = OfflineDictionaryProvider.WEIGHTS;
+        const enVotes = new Map();
+        const zhVotes = new Map();
+
+        // direct为true表示分类名或术语本身的对应关系，false表示仅来自同义词
+        const vote = (votes, key, value, score, direct = true) => {
+            if (!key || !value) return;
+            const candidates = votes.get(key) || new Map();
+            const candidate = candidates.get(value) || { score: 0, direct: false };
+            candidate.score += score;
+            candidate.direct = candidate.direct || direct;
+            candidates.set(value, candidate);
+            votes.set(key, candidates);
+        };
+
+        terms.forEach(term => {
+            const factor = term.isCustom ? weights.custom : 1;
+            const english = term.isCustom ? String(term.source || '').trim() : this._toTitleCase(term.source);
+            const chinese = String(term.target || '').trim();
+
+            // 子分类（用户术语库中为术语本身）
+            if (english && this._hasChinese(chinese)) {
+                vote(enVotes, this._normalizeEnglish(english), chinese, weights.subCategory * factor);
+                vote(zhVotes, chinese, english, weights.subCategory * factor);
+            }
+
+            // 主分类
+            const categoryZh = String(term.categoryNameZh || '').trim();
+            if (term.category && this._hasChinese(categoryZh)) {
+                vote(enVotes, this._normalizeEnglish(term.category), categoryZh, weights.category);
+                vote(zhVotes, categoryZh, this._toTitleCase(term.category), weights.category);
+            }
+
+            // 同义词：中英同义词列没有逐项对应，分别映射到本行的子分类译名
+            if (this._hasChinese(chinese)) {
+                this._splitList(term.synonyms).forEach(synonym => {
+                    vote(enVotes, this._normalizeEnglish(synonym), chinese, weights.synonym * factor, !!term.isCustom);
+                });
+            }
+            if (english) {
+                this._splitList(term.synonymsZh).forEach(synonym => {
+                    if (this._hasChinese(synonym)) {
+                        vote(zhVotes, synonym, english, weights.synonym * factor, !!term.isCustom);
+                    }
+                });
+            }
+        });
+
+        // 取权重最高的译名，有直接对应关系时只在直接对应的译名中选择
+        const resolve = (votes) => {
+            const result = new Map();
+            votes.forEach((candidates, key) => {
+                const all = Array.from(candidates.entries());
+                const direct = all.filter(([, candidate]) => candidate.direct);
+                const pool = direct.length > 0 ? direct : all;
+
+                let best = pool[0];
+                pool.forEach(entry => {
+                    if (entry[1].score > best[1].score) {
+                        best = entry;
+                    }
+                });
+
+                if (direct.length === 0) {
+                    const total = all.reduce((sum, [, candidate]) => sum + candidate.score, 0);
+                    if (best[1].score / total < OfflineDictionaryProvider.MIN_SYNONYM_SHARE) {
+                        return;
+                    }
+                }
+
+                result.set(key, { text: best[0], direct: direct.length > 0 });
+            });
+            return result;
+        };
+
+        const enToZh = resolve(enVotes);
+        const zhToEn = resolve(zhVotes);
+
+        let maxEnWords = 1;
+        enToZh.forEach((value, key) => {
+            maxEnWords = Math.max(maxEnWords, key.split(' ').length);
+        });
+        let maxZhLength = 1;
+        zhToEn.forEach((value, key) => {
+            maxZhLength = Math.max(maxZhLength, key.length);
+        });
+
+        return {
+            enToZh,
+            zhToEn,
+            maxEnWords: Math.min(maxEnWords, OfflineDictionaryProvider.MAX_PHRASE_LENGTH),
+            maxZhLength
+        };
+    }
+
+    /**
+     * 执行翻译
+     * @param {string} text - 要翻译的文本
+     * @param {string} from - 源语言代码
+     * @param {string} to - 目标语言代码
+     * @returns {Promise<string>} 翻译结果
+     */
+    async translate(text, from, to) {
+        try {
+            Logger.debug(`使用离线词典翻译: ${text} (${from} -> ${to})`);
+
+            const result = this.analyze(text, from, to);
+            if (result.untranslated.length > 0) {
+                Logger.debug(`离线词典未翻译的词: ${result.untranslated.join(', ')}`);
+            }
+
+            return result.text;
+        } catch (error) {
+            Logger.error('离线词典翻译失败', error);
+            throw new Error(`翻译失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 逐词翻译并返回每个词的翻译情况
+     * @param {string} text - 要翻译的文本
+     * @param {string} from - 源语言代码
+     * @param {string} to - 目标语言代码
+     * @returns {Object} 结果，包含text、tokens（{source, target, translated}）和untranslated（未翻译的词）
+     */
+    analyze(text, from, to) {
+        const input = String(text || '').trim();
+        const toChinese = /^zh/i.test(to || '');
+        if (!toChinese && !/^en/i.test(to || '')) {
+            throw new Error(`离线词典仅支持中英互译，不支持目标语言 ${to}`);
+        }
+
+        if (!input) {
+            return { text: '', tokens: [], untranslated: [] };
+        }
+
+        const dictionary = this._getDictionary();
+        const tokens = toChinese
+            ? this._translateEnglish(input, dictionary)
+            : this._translateChinese(input, dictionary);
+
+        const untranslated = [];
+        tokens.forEach(token => {
+            if (!token.translated && !untranslated.includes(token.source)) {
+                untranslated.push(token.source);
+            }
+        });
+
+        return {
+            text: this._joinTokens(tokens, toChinese),
+            tokens,
+            untranslated
+        };
+    }
+
+    /**
+     * 英译中：按最长词组优先逐词查词典
+     * @param {string} text - 英文文本
+     * @param {Object} dictionary - 词典
+     * @returns {Array<Object>} 翻译后的词
+     * @private
+     */
+    _translateEnglish(text, dictionary) {
+        const words = this._tokenizeEnglish(text);
+        const tokens = [];
+
+        let i = 0;
+        while (i < words.length) {
+            const word = words[i];
+
+            // 中文和数字不需要翻译
+            if (this._hasChinese(word) || /^\d+$/.test(word)) {
+                tokens.push({ source: word, target: word, translated: true });
+                i++;
+                continue;
+            }
+
+            // 最长词组优先
+            let matched = false;
+            for (let length = Math.min(dictionary.maxEnWords, words.length - i); length > 1; length--) {
+                const phrase = words.slice(i, i + length);
+                const entry = dictionary.enToZh.get(this._normalizeEnglish(phrase.join(' ')));
+                // 词组只使用直接对应的译名，同义词组合不够可靠
+                if (entry && entry.direct) {
+                    tokens.push({ source: phrase.join(' '), target: entry.text, translated: true });
+                    i += length;
+                    matched = true;
+                    break;
+                }
+            }
+            if (matched) continue;
+
+            // 单词：依次尝试原形、单数、动词原形，优先使用直接对应的译名
+            const entries = this._englishVariants(word)
+                .map(variant => dictionary.enToZh.get(variant))
+                .filter(Boolean);
+            const entry = entries.find(item => item.direct) || entries[0];
+
+            if (entry) {
+                tokens.push({ source: word, target: entry.text, translated: true });
+            } else if (!this._isStopWord(word)) {
+                tokens.push({ source: word, target: word, translated: false });
+            }
+            i++;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 中译英：分词后按最长词组优先查词典，词典中没有的分词再按字符最长匹配
+     * @param {string} text - 中文文本
+     * @param {Object} dictionary - 词典
+     * @returns {Array<Object>} 翻译后的词
+     * @private
+     */
+    _translateChinese(text, dictionary) {
+        const segments = this._segmentChinese(text);
+        const tokens = [];
+
+        let i = 0;
+        while (i < segments.length) {
+            const segment = segments[i];
+
+            // 英文和数字不需要翻译
+            if (!this._hasChinese(segment)) {
+                tokens.push({ source: segment, target: segment, translated: true });
+                i++;
+                continue;
+            }
+
+            // 连续分词组成的最长词组优先
+            let matched = false;
+            for (let length = Math.min(OfflineDictionaryProvider.MAX_PHRASE_LENGTH, segments.length - i); length >= 1; length--) {
+                const phrase = segments.slice(i, i + length).join('');
+                const entry = dictionary.zhToEn.get(phrase);
+                if (entry && (entry.direct || length === 1)) {
+                    tokens.push({ source: phrase, target: entry.text, translated: true });
+                    i += length;
+                    matched = true;
+                    break;
+                }
+            }
+            if (matched) continue;
+
+            if (!this._isStopWord(segment)) {
+                tokens.push(...this._matchChineseCharacters(segment, dictionary));
+            }
+            i++;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * 在一个分词内部按字符做正向最长匹配，连续未匹配的字符合并为一个未翻译词
+     * @param {string} segment - 分词
+     * @param {Object} dictionary - 词典
+     * @returns {Array<Object>} 翻译后的词
+     * @private
+     */
+    _matchChineseCharacters(segment, dictionary) {
+        const tokens = [];
+        let pending = '';
+
+        const flush = () => {
+            if (pending && !OfflineDictionaryProvider.CHINESE_SUFFIXES.has(pending)) {
+                tokens.push({ source: pending, target: pending, translated: false });
+            }
+            pending = '';
+        };
+
+        let i = 0;
+        while (i < segment.length) {
+            let matched = false;
+            for (let length = Math.min(dictionary.maxZhLength, segment.length - i); length >= 1; length--) {
+                const part = segment.substr(i, length);
+                const entry = dictionary.zhToEn.get(part);
+                // 单字只在不是停用词时使用，避免"的"之类的字被译出
+                if (entry && !(length === 1 && this._isStopWord(part))) {
+                    flush();
+                    tokens.push({ source: part, target: entry.text, translated: true });
+                    i += length;
+                    matched = true;
+                    break;
+                }
+            }
+
+            if (!matched) {
+                if (!this._isStopWord(segment[i])) {
+                    pending += segment[i];
+                } else {
+                    flush();
+                }
+                i++;
+            }
+        }
+        flush();
+
+        return tokens;
+    }
+
+    /**
+     * 英文分词：拆分驼峰、下划线、连字符和数字
+     * @param {string} text - 文本
+     * @returns {Array<string>} 单词列表
+     * @private
+     */
+    _tokenizeEnglish(text) {
+        return text
+            .replace(/([a-z])([A-Z])/g, '$1 $2')          // DoorSlam -> Door Slam
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')    // SFXDoor -> SFX Door
+            .replace(/([a-zA-Z])(\d)/g, '$1 $2')
+            .replace(/(\d)([a-zA-Z])/g, '$1 $2')
+            .replace(/([\u4e00-\u9fa5]+)/g, ' $1 ')
+            .split(/[^A-Za-z0-9\u4e00-\u9fa5']+/)
+            .map(word => word.replace(/^'+|'+$/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * 中文分词：优先使用Intl.Segmenter，其次使用segmentit，都不可用时按字符拆分
+     * @param {string} text - 文本
+     * @returns {Array<string>} 分词列表
+     * @private
+     */
+    _segmentChinese(text) {
+        const cleaned = text.replace(/[_\-]+/g, ' ');
+
+        if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+            const segmenter = new Intl.Segmenter('zh-CN', { granularity: 'word' });
+            return Array.from(segmenter.segment(cleaned))
+                .filter(segment => segment.isWordLike)
+                .map(segment => segment.segment);
+        }
+
+        if (typeof SegmentitDirect !== 'undefined' && typeof SegmentitDirect.tokenize === 'function') {
+            const words = SegmentitDirect.tokenize(cleaned);
+            if (Array.isArray(words) && words.length > 0) {
+                return words.map(word => String(word).trim()).filter(word => word && !/^[\s\p{P}]+$/u.test(word));
+            }
+        }
+
+        // 回退：中文按字符拆分，英文和数字按单词拆分
+        return cleaned.match(/[\u4e00-\u9fa5]|[A-Za-z0-9]+/g) || [];
+    }
+
+    /**
+     * 获取英文单词的查询形式（原形、单数、动词原形）
+     * @param {string} word - 单词
+     * @returns {Array<string>} 查询形式
+     * @private
+     */
+    _englishVariants(word) {
+        const lower = word.toLowerCase();
+        const variants = [lower];
+
+        // 使用compromise还原单数和动词原形
+        if (typeof nlp !== 'undefined') {
+            try {
+                const doc = nlp(lower);
+                variants.push(doc.nouns().toSingular().text().toLowerCase());
+                variants.push(nlp(lower).verbs().toInfinitive().text().toLowerCase());
+            } catch (error) {
+                Logger.debug(`词形还原失败: ${word}`, error);
+            }
+        }
+
+        // compromise不可用或无法识别时的简单规则
+        if (lower.length > 4) {
+            variants.push(lower.replace(/ies$/, 'y'), lower.replace(/es$/, ''), lower.replace(/s$/, ''));
+            variants.push(lower.replace(/ing$/, ''), lower.replace(/ing$/, 'e'), lower.replace(/ed$/, ''), lower.replace(/ed$/, 'e'));
+        }
+
+        return Array.from(new Set(variants.map(variant => variant.trim()).filter(Boolean)));
+    }
+
+    /**
+     * 是否为停用词（不翻译也不标记）
+     * @param {string} word - 单词
+     * @returns {boolean} 是否为停用词
+     * @private
+     */
+    _isStopWord(word) {
+        if (typeof SmartClassifier === 'undefined') return false;
+        return SmartClassifier.ENGLISH_STOP_WORDS.has(word.toLowerCase()) || SmartClassifier.CHINESE_STOP_WORDS.has(word);
+    }
+
+    /**
+     * 拼接翻译结果：中文直接连接，相邻的英文/数字之间保留空格
+     * @param {Array<Object>} tokens - 翻译后的词
+     * @param {boolean} toChinese - 是否译为中文
+     * @returns {string} 翻译结果
+     * @private
+     */
+    _joinTokens(tokens, toChinese) {
+        if (!toChinese) {
+            return tokens.map(token => token.target).join(' ');
+        }
+
+        return tokens.reduce((text, token) => {
+            const needsSpace = /[A-Za-z0-9]$/.test(text) && /^[A-Za-z0-9]/.test(token.target);
+            return text + (needsSpace ? ' ' : '') + token.target;
+        }, '');
+    }
+
+    /**
+     * 标准化处理文本（生成简短的英文描述）
+     * 中文先译为英文，英文拆分为单词后应用命名风格
+     * @param {string} text - 要处理的文本
+     * @param {string} language - 语言代码
+     * @param {Object} options - 选项（如命名风格等）
+     * @returns {Promise<string>} 处理结果
+     */
+    async standardize(text, language, options = {}) {
+        try {
+            Logger.debug(`使用离线词典标准化处理: ${text}`);
+
+            let standardizedText = this._hasChinese(text)
+                ? this.analyze(text, 'zh-CN', 'en').text
+                : this._tokenizeEnglish(text).filter(word => !this._isStopWord(word)).join(' ');
+
+            // 应用命名风格
+            if (options.style && options.style !== 'none') {
+                standardizedText = this.formatText(standardizedText, options.style, options.separator);
+            }
+
+            Logger.debug(`标准化结果: ${standardizedText}`);
+            return standardizedText;
+        } catch (error) {
+            Logger.error('离线词典标准化处理失败', error);
+            throw new Error(`标准化处理失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 离线词典无法处理提示词请求（AI辅助分类）
+     * @returns {Promise<string>} 不返回
+     */
+    async sendRequest() {
+        throw new Error('离线词典不支持AI辅助分类，请选择在线翻译服务');
+    }
+
+    /**
+     * 是否包含中文
+     * @param {string} text - 文本
+     * @returns {boolean} 是否包含中文
+     * @private
+     */
+    _hasChinese(text) {
+        return /[\u4e00-\u9fa5]/.test(text || '');
+    }
+
+    /**
+     * 规范化英文词典键：小写，非字母数字统一为单个空格
+     * @param {string} text - 文本
+     * @returns {string} 词典键
+     * @private
+     */
+    _normalizeEnglish(text) {
+        return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    /**
+     * 转为首字母大写（UCS的分类名为全大写）
+     * @param {string} text - 文本
+     * @returns {string} 首字母大写的文本
+     * @private
+     */
+    _toTitleCase(text) {
+        return String(text || '').trim().toLowerCase().replace(/(^|[\s\-\/])([a-z])/g, (match, prefix, letter) => prefix + letter.toUpperCase());
+    }
+
+    /**
+     * 拆分同义词列表（英文逗号、中文逗号、顿号、分号）
+     * @param {string} text - 同义词文本
+     * @returns {Array<string>} 同义词
+     * @private
+     */
+    _splitList(text) {
+        return String(text || '').split(/[,，、;；]/).map(item => item.trim()).filter(Boolean);
+    }
+}
+
+// 导出OfflineDictionaryProvider
+window.OfflineDictionaryProvider = OfflineDictionaryProvider;
@@ -0,0 +1,317 @@
+/**
+ * OpenAI兼容接口提供者实现
+ * 可指向任何实现了 /chat/completions 的服务，如 llama.cpp、Ollama、vLLM、LM Studio 或内部网关
+ */
+class OpenAICompatibleProvider extends TranslationProvider {
+    /**
+     * 默认配置
+     */
+    static DEFAULTS = {
+        baseUrl: 'http://localhost:11434/v1', // Ollama默认地址
+        model: '',
+        headers: {},         // 额外的请求头
+        requestOptions: {}   // 额外的请求体参数，如temperature、top_p
+    };
+
+    /**
+     * 构造函数
+     * @param {Object} settings - 翻译设置
+     */
+    constructor(settings = {}) {
+        super(settings);
+
+        // 创建提示词管理实例
+        this.promptTemplates = new PromptTemplates();
+    }
+
+    /**
+     * 获取提供者ID
+     * @returns {string} 提供者ID
+     */
+    getId() {
+        return 'openaiCompatible';
+    }
+
+    /**
+     * 获取提供者名称
+     * @returns {string} 提供者名称
+     */
+    getName() {
+        return 'OpenAI兼容接口';
+    }
+
+    /**
+     * 获取当前使用的模型
+     * @returns {string} 模型名称
+     */
+    getModel() {
+        return this._getConfig().model || '';
+    }
+
+    /**
+     * 获取模型以外影响翻译结果的配置
+     * 同名模型在不同服务上可能是不同的模型，额外的请求体参数（如temperature）也会改变结果
+     * @returns {Object} 接口地址和额外的请求体参数
+     */
+    getCacheSettings() {
+        const config = this._getConfig();
+        return {
+            baseUrl: (config.baseUrl || '').trim().replace(/\/+$/, ''),
+            requestOptions: config.requestOptions || {}
+        };
+    }
+
+    /**
+     * 是否需要API密钥
+     * 本地服务通常不需要密钥
+     * @returns {boolean} 是否需要API密钥
+     */
+    requiresApiKey() {
+        return false;
+    }
+
+    /**
+     * 获取支持的语言列表
+     * @returns {Promise<Array<Object>>} 支持的语言列表
+     */
+    async getSupportedLanguages() {
+        // 返回支持的常用语言
+        return [
+            { code: 'auto', name: '自动检测' },
+            { code: 'en', name: 'English' },
+            { code: 'zh-CN', name: 'Chinese (Simplified)' },
+            { code: 'zh-TW', name: 'Chinese (Traditional)' },
+            { code: 'fr', name: 'French' },
+            { code: 'de', name: 'German' },
+            { code: 'it', name: 'Italian' },
+            { code: 'ja', name: 'Japanese' },
+            { code: 'ko', name: 'Korean' },
+            { code: 'pt', name: 'Portuguese' },
+            { code: 'ru', name: 'Russian' },
+            { code: 'es', name: 'Spanish' }
+        ];
+    }
+
+    /**
+     * 获取当前配置（合并默认值）
+     * @returns {Object} 配置
+     * @private
+     */
+    _getConfig() {
+        return { ...OpenAICompatibleProvider.DEFAULTS, ...(this.settings.openaiCompatible || {}) };
+    }
+
+    /**
+     * 获取chat/completions接口地址
+     * 基础地址已包含 /chat/completions 时直接使用
+     * @returns {string} 接口地址
+     * @private
+     */
+    _getEndpoint() {
+        const baseUrl = (this._getConfig().baseUrl || '').trim().replace(/\/+$/, '');
+        if (!baseUrl) {
+            throw new Error('未设置接口地址');
+        }
+
+        return /\/chat\/completions$/.test(baseUrl) ? baseUrl : `${baseUrl}/chat/completions`;
+    }
+
+    /**
+     * 发送chat/completions请求
+     * @param {string} prompt - 提示词
+     * @param {number} maxTokens - 最大生成token数
+     * @returns {Promise<string>} 模型返回的文本
+     * @private
+     */
+    async _chat(prompt, maxTokens) {
+        const config = this._getConfig();
+        if (!config.model) {
+            throw new Error('未设置模型名称');
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            ...(config.headers || {})
+        };
+
+        // 设置了密钥时才发送Authorization头，本地服务可以留空
+        const apiKey = this.settings.apiKeys?.openaiCompatible;
+        if (apiKey && !headers.Authorization) {
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        // 构建请求体，额外参数可以覆盖默认的temperature和max_tokens
+        const requestBody = {
+            model: config.model,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            temperature: 0.1, // 低温度以获得更确定性的结果
+            max_tokens: maxTokens,
+            ...(config.requestOptions || {}),
+            stream: false
+        };
+
+        // 发送请求
+        const response = await this._fetch(this._getEndpoint(), {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(requestBody)
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`HTTP错误 ${response.status}: ${errorData.error?.message || response.statusText}`);
+        }
+
+        // 解析结果
+        const result = await response.json();
+
+        if (!result.choices || !result.choices[0] || !result.choices[0].message) {
+            throw new Error('返回结果无效');
+        }
+
+        const content = (result.choices[0].message.content || '').trim();
+        if (!content) {
+            throw new Error('返回结果为空');
+        }
+
+        return content;
+    }
+
+    /**
+     * 执行翻译
+     * @param {string} text - 要翻译的文本
+     * @param {string} from - 源语言代码
+     * @param {string} to - 目标语言代码
+     * @returns {Promise<string>} 翻译结果
+     */
+    async translate(text, from, to) {
+        try {
+            Logger.debug(`使用OpenAI兼容接口翻译: ${text} (${from} -> ${to})`);
+
+            // 使用提示词管理模块获取提示词
+            const prompt = this.promptTemplates.getTranslationPrompt(
+                this.settings.customPrompt,
+                text,
+                from,
+                to,
+                this.settings.promptTemplate
+            );
+
+            const translatedText = await this._chat(prompt, 1000);
+
+            // 清理翻译结果（移除引号和解释性文本）
+            const cleanedText = this._cleanTranslation(translatedText);
+
+            Logger.debug(`翻译结果: ${cleanedText}`);
+            return cleanedText;
+        } catch (error) {
+            Logger.error('OpenAI兼容接口翻译失败', error);
+            throw new Error(`翻译失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 标准化处理文本（生成简短的英文描述）
+     * @param {string} text - 要处理的文本
+     * @param {string} language - 语言代码
+     * @param {Object} options - 选项（如命名风格等）
+     * @returns {Promise<string>} 处理结果
+     */
+    async standardize(text, language, options = {}) {
+        try {
+            Logger.debug(`使用OpenAI兼容接口标准化处理: ${text}`);
+
+            // 使用提示词管理模块获取标准化提示词
+            const prompt = this.promptTemplates.getStandardizePrompt(text);
+
+            let standardizedText = this._cleanTranslation(await this._chat(prompt, 100));
+
+            // 应用命名风格
+            if (options.style && options.style !== 'none') {
+                standardizedText = this.formatText(standardizedText, options.style, options.separator);
+            }
+
+            Logger.debug(`标准化结果: ${standardizedText}`);
+            return standardizedText;
+        } catch (error) {
+            Logger.error('OpenAI兼容接口标准化处理失败', error);
+            throw new Error(`标准化处理失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 发送原始提示词（供AI辅助分类使用）
+     * @param {string} prompt - 提示词
+     * @param {string} from - 源语言代码
+     * @param {string} to - 目标语言代码
+     * @param {string} type - 请求类型
+     * @returns {Promise<string>} 模型返回的文本
+     */
+    async sendRequest(prompt, from, to, type = 'translation') {
+        return this._chat(prompt, this._getMaxTokens(type));
+    }
+
+    /**
+     * 测试连接：发送一个最小请求，检查地址、密钥和模型是否可用
+     * @returns {Promise<Object>} 测试结果，包含success、message、latency、reply
+     */
+    async testConnection() {
+        const startTime = Date.now();
+
+        try {
+            const reply = await this._chat('Reply with the single word: OK', 10);
+            const latency = Date.now() - startTime;
+
+            return {
+                success: true,
+                latency,
+                reply,
+                message: `连接成功 (${this._getConfig().model}，${latency}ms)`
+            };
+        } catch (error) {
+            return {
+                success: false,
+                latency: Date.now() - startTime,
+                reply: '',
+                message: `连接失败: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * 清理翻译结果
+     * @param {string} text - 翻译结果
+     * @returns {string} 清理后的文本
+     * @private
+     */
+    _cleanTranslation(text) {
+        // 移除推理模型可能输出的思考过程
+        let cleaned = text.replace(/<think>[\s\S]*?<\/think>/gi, '').trim();
+
+        // 移除可能的引号
+        cleaned = cleaned.replace(/^["']|["']$/g, '');
+
+        // 移除可能的解释性文本
+        const explanationPatterns = [
+            /^翻译(结果)?[:：]/i,
+            /^这是(您的)?翻译(结果)?[:：]/i,
+            /^以下是(您的)?翻译(结果)?[:：]/i,
+            /^Translation[:：]/i,
+            /^Translated text[:：]/i
+        ];
+
+        for (const pattern of explanationPatterns) {
+            cleaned = cleaned.replace(pattern, '');
+        }
+
+        return cleaned.trim();
+    }
+}
+
+// 导出OpenAICompatibleProvider
+window.OpenAICompatibleProvider = OpenAICompatibleProvider;
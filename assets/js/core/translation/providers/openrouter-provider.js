@@ -32,6 +32,14 @@ class OpenRouterProvider extends TranslationProvider {
         return 'OpenRouter AI';
     }
 
+    /**
+     * 获取当前使用的模型
+     * @returns {string} 模型名称
+     */
+    getModel() {
+        return this.settings.aiModel || this.defaultModel;
+    }
+
     /**
      * 是否需要API密钥
      * @returns {boolean} 是否需要API密钥
@@ -105,7 +113,7 @@ class OpenRouterProvider extends TranslationProvider {
             };
 
             // 发送请求
-            const response = await fetch(this.endpoint, {
+            const response = await this._fetch(this.endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -172,6 +180,76 @@ class OpenRouterProvider extends TranslationProvider {
         return cleaned.trim();
     }
 
+    /**
+     * 发送原始提示词（供AI辅助分类和批量翻译使用），返回模型的原始回复
+     * @param {string} prompt - 提示词
+     * @param {string} from - 源语言代码
+     * @param {string} to - 目标语言代码
+     * @param {string} type - 请求类型（translation、classification、batch）
+     * @returns {Promise<string>} 模型返回的文本
+     */
+    async sendRequest(prompt, from, to, type = 'translation') {
+        try {
+            // 检查API密钥
+            const apiKey = this.settings.apiKeys?.openrouter;
+            if (!apiKey) {
+                throw new Error('未设置OpenRouter API密钥');
+            }
+
+            // 获取模型
+            const model = this.settings.aiModel || this.defaultModel;
+
+            // 构建请求体
+            const requestBody = {
+                model: this._getModelId(model),
+                messages: [
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ],
+                temperature: 0.1, // 低温度以获得更确定性的结果
+                max_tokens: this._getMaxTokens(type)
+            };
+
+            // 发送请求
+            const response = await this._fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`,
+                    'HTTP-Referer': 'https://eagle.cool', // 为OpenRouter统计
+                    'X-Title': 'Eagle Audio Translator' // 为OpenRouter统计
+                },
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(`HTTP错误 ${response.status}: ${errorData.error?.message || response.statusText}`);
+            }
+
+            // 解析结果
+            const result = await response.json();
+
+            if (!result.choices || !result.choices[0] || !result.choices[0].message) {
+                throw new Error('返回结果无效');
+            }
+
+            const content = (result.choices[0].message.content || '').trim();
+            if (!content) {
+                throw new Error('返回结果为空');
+            }
+
+            return content;
+        } catch (error) {
+            Logger.error('OpenRouter请求失败', error);
+            // 取消的请求保留原错误，调用方据此停止后续处理
+            if (error.cancelled) throw error;
+            throw new Error(`请求失败: ${error.message}`);
+        }
+    }
+
     // _getLanguageName方法已移至PromptTemplates类中
 
     /**
@@ -233,7 +311,7 @@ class OpenRouterProvider extends TranslationProvider {
             };
 
             // 发送请求
-            const response = await fetch(this.endpoint, {
+            const response = await this._fetch(this.endpoint, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -0,0 +1,334 @@
+/**
+ * 请求限制器
+ * 为单个翻译提供者的网络请求提供每分钟请求数限制、并发限制、超时、取消，
+ * 以及遇到429/5xx和网络错误时的指数退避重试（带随机抖动，遵循Retry-After）
+ */
+class RequestLimiter {
+    /**
+     * 默认限制
+     * requestsPerMinute为0表示不限制每分钟请求数
+     */
+    static DEFAULTS = {
+        requestsPerMinute: 60,
+        maxConcurrent: 3,
+        maxRetries: 3,
+        timeout: 30,        // 单次请求超时（秒）
+        baseDelay: 1000,    // 首次重试的基础等待时间（毫秒）
+        maxDelay: 60000     // 单次重试最长等待时间（毫秒）
+    };
+
+    /**
+     * 需要重试的HTTP状态码
+     */
+    static RETRY_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+    /**
+     * 构造函数
+     * @param {Object} limits - 限制设置，未提供的项使用默认值
+     */
+    constructor(limits = {}) {
+        this.limits = { ...RequestLimiter.DEFAULTS };
+        this.active = 0;          // 正在进行的请求数
+        this.queue = [];          // 等待发送的请求
+        this.timestamps = [];     // 最近一分钟内发出请求的时间
+        this.pausedUntil = 0;     // 收到429后暂停到的时间
+        this.timer = null;
+        this.controller = new AbortController();
+
+        this.setLimits(limits);
+    }
+
+    /**
+     * 更新限制设置
+     * @param {Object} limits - 限制设置
+     */
+    setLimits(limits = {}) {
+        const toNumber = (value, fallback, min) => {
+            const number = Number(value);
+            return Number.isFinite(number) && number >= min ? number : fallback;
+        };
+
+        this.limits = {
+            requestsPerMinute: Math.floor(toNumber(limits.requestsPerMinute, this.limits.requestsPerMinute, 0)),
+            maxConcurrent: Math.floor(toNumber(limits.maxConcurrent, this.limits.maxConcurrent, 1)),
+            maxRetries: Math.floor(toNumber(limits.maxRetries, this.limits.maxRetries, 0)),
+            timeout: toNumber(limits.timeout, this.limits.timeout, 1),
+            baseDelay: toNumber(limits.baseDelay, this.limits.baseDelay, 0),
+            maxDelay: toNumber(limits.maxDelay, this.limits.maxDelay, 0)
+        };
+
+        this._drain();
+    }
+
+    /**
+     * 获取当前状态
+     * @returns {Object} 状态，包含active、queued、pausedUntil
+     */
+    getStatus() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            pausedUntil: this.pausedUntil
+        };
+    }
+
+    /**
+     * 发送请求（排队、限速、超时和重试）
+     * 重试次数用完后返回最后一次的响应，由调用方按原有方式处理HTTP错误
+     * @param {string} url - 请求地址
+     * @param {Object} options - fetch选项，可以包含signal用于取消
+     * @returns {Promise<Response>} 响应
+     */
+    async request(url, options = {}) {
+        const { signal: callerSignal, ...fetchOptions } = options;
+        const cancelSignal = this.controller.signal;
+
+        for (let attempt = 0; ; attempt++) {
+            await this._acquire(cancelSignal, callerSignal);
+
+            let response = null;
+            let error = null;
+            try {
+                response = await this._fetchWithTimeout(url, fetchOptions, cancelSignal, callerSignal);
+            } catch (fetchError) {
+                error = fetchError;
+            } finally {
+                this._release();
+            }
+
+            if (error && error.cancelled) {
+                throw error;
+            }
+
+            const retryable = error || RequestLimiter.RETRY_STATUS.has(response.status);
+            if (!retryable || attempt >= this.limits.maxRetries) {
+                if (error) throw error;
+                return response;
+            }
+
+            const delay = this._getRetryDelay(attempt, response);
+            Logger.warn(`请求失败（${error ? error.message : `HTTP ${response.status}`}），${Math.round(delay / 1000)}秒后第 ${attempt + 1} 次重试`);
+
+            // 429表示整个接口被限流，暂停该提供者的所有请求
+            if (response && response.status === 429) {
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+            }
+
+            await this._sleep(delay, cancelSignal, callerSignal);
+        }
+    }
+
+    /**
+     * 取消所有排队和进行中的请求
+     */
+    cancelAll() {
+        this.controller.abort();
+        this.controller = new AbortController();
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const waiting = this.queue;
+        this.queue = [];
+        waiting.forEach(waiter => waiter.reject(this._cancelError()));
+
+        Logger.info(`已取消 ${waiting.length} 个排队的请求和 ${this.active} 个进行中的请求`);
+    }
+
+    /**
+     * 发送单次请求，超时或取消时中止
+     * @param {string} url - 请求地址
+     * @param {Object} options - fetch选项
+     * @param {AbortSignal} cancelSignal - 限制器的取消信号
+     * @param {AbortSignal} callerSignal - 调用方的取消信号
+     * @returns {Promise<Response>} 响应
+     * @private
+     */
+    async _fetchWithTimeout(url, options, cancelSignal, callerSignal) {
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const abort = () => controller.abort();
+        const signals = [cancelSignal, callerSignal].filter(Boolean);
+        signals.forEach(signal => signal.addEventListener('abort', abort));
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.limits.timeout * 1000);
+
+        try {
+            if (signals.some(signal => signal.aborted)) {
+                throw this._cancelError();
+            }
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new Error(`请求超时（${this.limits.timeout}秒）`);
+            }
+            if (signals.some(signal => signal.aborted)) {
+                throw this._cancelError();
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signals.forEach(signal => signal.removeEventListener('abort', abort));
+        }
+    }
+
+    /**
+     * 计算重试等待时间：优先使用Retry-After，否则指数退避并加入随机抖动
+     * @param {number} attempt - 已重试次数
+     * @param {Response|null} response - 失败的响应
+     * @returns {number} 等待时间（毫秒）
+     * @private
+     */
+    _getRetryDelay(attempt, response) {
+        const retryAfter = response && response.headers ? response.headers.get('Retry-After') : null;
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+            if (Number.isFinite(delay) && delay >= 0) {
+                return Math.min(delay, this.limits.maxDelay);
+            }
+        }
+
+        const exponential = Math.min(this.limits.maxDelay, this.limits.baseDelay * Math.pow(2, attempt));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * 等待发送许可（并发数、每分钟请求数、429暂停）
+     * @param {AbortSignal} cancelSignal - 限制器的取消信号
+     * @param {AbortSignal} callerSignal - 调用方的取消信号
+     * @returns {Promise<void>}
+     * @private
+     */
+    _acquire(cancelSignal, callerSignal) {
+        return new Promise((resolve, reject) => {
+            if (cancelSignal.aborted || (callerSignal && callerSignal.aborted)) {
+                reject(this._cancelError());
+                return;
+            }
+
+            // 调用方取消时从队列中移除；放行或被cancelAll拒绝后移除监听，
+            // 避免长期使用的信号上累积监听器
+            const onAbort = () => {
+                const index = this.queue.indexOf(waiter);
+                if (index !== -1) {
+                    this.queue.splice(index, 1);
+                    reject(this._cancelError());
+                }
+            };
+            const removeListener = () => {
+                if (callerSignal) {
+                    callerSignal.removeEventListener('abort', onAbort);
+                }
+            };
+            const waiter = {
+                resolve: () => {
+                    removeListener();
+                    resolve();
+                },
+                reject: error => {
+                    removeListener();
+                    reject(error);
+                }
+            };
+
+            if (callerSignal) {
+                callerSignal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.queue.push(waiter);
+            this._drain();
+        });
+    }
+
+    /**
+     * 释放一个并发名额
+     * @private
+     */
+    _release() {
+        this.active = Math.max(0, this.active - 1);
+        this._drain();
+    }
+
+    /**
+     * 按限制放行排队的请求，不能放行时定时再检查
+     * @private
+     */
+    _drain() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        while (this.queue.length > 0 && this.active < this.limits.maxConcurrent) {
+            const now = Date.now();
+
+            if (this.pausedUntil > now) {
+                this.timer = setTimeout(() => this._drain(), this.pausedUntil - now);
+                return;
+            }
+
+            if (this.limits.requestsPerMinute > 0) {
+                this.timestamps = this.timestamps.filter(time => now - time < 60000);
+                if (this.timestamps.length >= this.limits.requestsPerMinute) {
+                    this.timer = setTimeout(() => this._drain(), this.timestamps[0] + 60000 - now);
+                    return;
+                }
+                this.timestamps.push(now);
+            }
+
+            this.active++;
+            this.queue.shift().resolve();
+        }
+    }
+
+    /**
+     * 可取消的等待
+     * @param {number} ms - 等待时间（毫秒）
+     * @param {AbortSignal} cancelSignal - 限制器的取消信号
+     * @param {AbortSignal} callerSignal - 调用方的取消信号
+     * @returns {Promise<void>}
+     * @private
+     */
+    _sleep(ms, cancelSignal, callerSignal) {
+        return new Promise((resolve, reject) => {
+            const signals = [cancelSignal, callerSignal].filter(Boolean);
+            const removeListeners = () => signals.forEach(signal => signal.removeEventListener('abort', onAbort));
+            const onAbort = () => {
+                clearTimeout(timer);
+                removeListeners();
+                reject(this._cancelError());
+            };
+            const timer = setTimeout(() => {
+                removeListeners();
+                resolve();
+            }, ms);
+
+            if (signals.some(signal => signal.aborted)) {
+                onAbort();
+                return;
+            }
+            signals.forEach(signal => signal.addEventListener('abort', onAbort, { once: true }));
+        });
+    }
+
+    /**
+     * 创建取消错误
+     * @returns {Error} 取消错误
+     * @private
+     */
+    _cancelError() {
+        const error = new Error('请求已取消');
+        error.cancelled = true;
+        return error;
+    }
+}
+
+// 导出RequestLimiter
+window.RequestLimiter = RequestLimiter;
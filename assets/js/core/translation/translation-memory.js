@@ -0,0 +1,457 @@
+/**
+ * 翻译记忆（TM）
+ * 保存用户应用过的原文/译文对，与翻译服务无关；支持精确查找和基于Fuse.js的模糊查找，以及TMX导入导出
+ */
+class TranslationMemory {
+    /**
+     * 模糊查找时由Fuse.js返回的候选数，再按编辑距离计算相似度
+     */
+    static FUZZY_CANDIDATES = 5;
+
+    /**
+     * 构造函数
+     * @param {string} storageKey - 本地存储键名
+     */
+    constructor(storageKey = 'translation-memory') {
+        this.storageKey = storageKey;
+        this.entries = [];
+        this.settings = {
+            enabled: true,
+            // 精确匹配时直接使用记忆中的译文，不调用翻译服务
+            useExactMatches: true,
+            // 模糊匹配的最低相似度（0-1），低于此值的结果不显示
+            minSimilarity: 0.6
+        };
+        this.onChange = null; // 翻译记忆变化回调
+        this._indexes = new Map(); // 语言对 -> Fuse索引，条目变化时清空
+
+        this._load();
+    }
+
+    /**
+     * 规范化原文用于精确匹配：拆分驼峰、小写、特殊符号替换为空格、合并空格
+     * Door_Slam、DoorSlam和door slam得到相同的结果，翻译时传入的清理后文本也能命中
+     * @param {string} text - 原文
+     * @returns {string} 规范化后的原文
+     */
+    static normalizeSource(text) {
+        if (!text) return '';
+
+        return String(text)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/[^a-z0-9\u4e00-\u9fa5]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * 两个语言代码是否一致：完全相同，或其中一个没有地区且主语言相同（如en与en-US）
+     * @param {string} a - 语言代码
+     * @param {string} b - 语言代码
+     * @returns {boolean} 是否一致
+     */
+    static isSameLanguage(a, b) {
+        const left = String(a || '').toLowerCase().replace('_', '-');
+        const right = String(b || '').toLowerCase().replace('_', '-');
+        if (!left || !right) return false;
+        if (left === right) return true;
+
+        const [leftPrimary, leftRegion] = left.split('-');
+        const [rightPrimary, rightRegion] = right.split('-');
+        return leftPrimary === rightPrimary && (!leftRegion || !rightRegion);
+    }
+
+    /**
+     * 计算两个文本的相似度：1 - 编辑距离 / 较长文本的长度
+     * @param {string} a - 文本
+     * @param {string} b - 文本
+     * @returns {number} 相似度（0-1）
+     */
+    static similarity(a, b) {
+        if (a === b) return 1;
+        if (!a || !b) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    /**
+     * 从本地存储加载翻译记忆
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.entries = Array.isArray(data.entries) ? data.entries : [];
+                this.settings = { ...this.settings, ...(data.settings || {}) };
+            }
+        } catch (error) {
+            Logger.error('加载翻译记忆失败', error);
+            this.entries = [];
+        }
+    }
+
+    /**
+     * 保存翻译记忆并通知变化
+     * @private
+     */
+    _save() {
+        this._indexes.clear();
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                entries: this.entries,
+                settings: this.settings,
+                lastUpdated: Date.now()
+            }));
+        } catch (error) {
+            Logger.error('保存翻译记忆失败', error);
+        }
+
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * 获取所有条目
+     * @returns {Array<Object>} 条目列表
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+
+    /**
+     * 按语言对统计条目数
+     * @returns {Array<Object>} 每项包含sourceLanguage、targetLanguage、count
+     */
+    getLanguagePairs() {
+        const pairs = new Map();
+        this.entries.forEach(entry => {
+            const key = `${entry.sourceLanguage}|${entry.targetLanguage}`;
+            if (!pairs.has(key)) {
+                pairs.set(key, { sourceLanguage: entry.sourceLanguage, targetLanguage: entry.targetLanguage, count: 0 });
+            }
+            pairs.get(key).count++;
+        });
+        return [...pairs.values()];
+    }
+
+    /**
+     * 添加或更新原文/译文对，相同语言对和原文的条目会被替换译文
+     * @param {string} source - 原文
+     * @param {string} target - 译文
+     * @param {string} sourceLanguage - 原文语言
+     * @param {string} targetLanguage - 译文语言
+     * @param {Object} [options] - 选项
+     * @param {boolean} [options.save=true] - 是否立即保存
+     * @param {number} [options.usageCount] - 使用次数（导入TMX时使用文件中的值）
+     * @param {number} [options.createdAt] - 创建时间（导入TMX时使用文件中的值）
+     * @returns {Object|null} 保存的条目，原文或译文为空时返回null
+     */
+    add(source, target, sourceLanguage, targetLanguage, options = {}) {
+        const key = TranslationMemory.normalizeSource(source);
+        const value = target ? String(target).trim() : '';
+        if (!key || !value || !sourceLanguage || !targetLanguage) {
+            return null;
+        }
+
+        const now = Date.now();
+        const existing = this.entries.find(entry => entry.key === key &&
+            entry.sourceLanguage === sourceLanguage && entry.targetLanguage === targetLanguage);
+
+        let saved;
+        if (existing) {
+            existing.usageCount = options.usageCount !== undefined
+                ? Math.max(existing.usageCount || 1, options.usageCount)
+                : (existing.usageCount || 1) + 1;
+            existing.source = String(source).trim();
+            existing.target = value;
+            existing.updatedAt = now;
+            saved = existing;
+        } else {
+            saved = {
+                id: `tm-${now}-${Math.random().toString(36).slice(2, 8)}`,
+                key,
+                source: String(source).trim(),
+                target: value,
+                sourceLanguage,
+                targetLanguage,
+                usageCount: options.usageCount || 1,
+                createdAt: options.createdAt || now,
+                updatedAt: now
+            };
+            this.entries.push(saved);
+        }
+
+        if (options.save !== false) {
+            this._save();
+        }
+        return saved;
+    }
+
+    /**
+     * 添加已应用文件的原文/译文对，只保存一次
+     * 英文文件名记录原文 -> 中文描述（去掉序号），中文文件名记录原文 -> 英文（反向翻译结果或修改后的英文描述）
+     * @param {Array<Object>} files - 文件对象数组
+     * @param {Object} options - 选项
+     * @param {string} [options.sourceLanguage='en'] - 英文文件名的原文语言
+     * @param {string} [options.targetLanguage='zh-CN'] - 中文描述的语言
+     * @returns {number} 添加的条目数
+     */
+    addFromFiles(files, options = {}) {
+        const sourceLanguage = options.sourceLanguage || 'en';
+        const targetLanguage = options.targetLanguage || 'zh-CN';
+
+        let added = 0;
+        files.forEach(file => {
+            if (!file || !file.nameWithoutNumber) return;
+
+            let target;
+            if (file.isChinese) {
+                target = (file.corrections && file.corrections.fxName) || file.reversedEnglishName;
+            } else {
+                target = file.translatedName || '';
+                if (file.numberPart && target.endsWith(file.numberPart)) {
+                    target = target.slice(0, -file.numberPart.length);
+                }
+            }
+
+            if (!target || TranslationMemory.normalizeSource(target) === TranslationMemory.normalizeSource(file.nameWithoutNumber)) {
+                return;
+            }
+
+            const saved = file.isChinese
+                ? this.add(file.nameWithoutNumber, target, 'zh-CN', 'en', { save: false })
+                : this.add(file.nameWithoutNumber, target, sourceLanguage, targetLanguage, { save: false });
+            if (saved) {
+                added++;
+            }
+        });
+
+        if (added > 0) {
+            this._save();
+        }
+        return added;
+    }
+
+    /**
+     * 删除条目
+     * @param {string} id - 条目ID
+     */
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this._save();
+    }
+
+    /**
+     * 清空翻译记忆
+     */
+    clear() {
+        this.entries = [];
+        this._save();
+    }
+
+    /**
+     * 更新设置
+     * @param {Object} settings - 设置
+     */
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this._save();
+    }
+
+    /**
+     * 获取语言对的条目和Fuse索引
+     * @param {string} sourceLanguage - 原文语言
+     * @param {string} targetLanguage - 译文语言
+     * @returns {Object} 包含entries和fuse（Fuse.js不可用时为null）
+     * @private
+     */
+    _getIndex(sourceLanguage, targetLanguage) {
+        const indexKey = `${sourceLanguage}|${targetLanguage}`;
+        if (!this._indexes.has(indexKey)) {
+            const entries = this.entries.filter(entry =>
+                TranslationMemory.isSameLanguage(entry.sourceLanguage, sourceLanguage) &&
+                TranslationMemory.isSameLanguage(entry.targetLanguage, targetLanguage));
+
+            const fuse = typeof Fuse !== 'undefined' && entries.length > 0
+                ? new Fuse(entries, { keys: ['key'], includeScore: true, ignoreLocation: true, threshold: 0.6 })
+                : null;
+            this._indexes.set(indexKey, { entries, fuse });
+        }
+        return this._indexes.get(indexKey);
+    }
+
+    /**
+     * 查找原文的翻译记忆
+     * 先精确匹配规范化后的原文，没有时用Fuse.js取候选并按编辑距离计算相似度
+     * @param {string} text - 原文
+     * @param {string} sourceLanguage - 原文语言
+     * @param {string} targetLanguage - 译文语言
+     * @param {Object} [options] - 选项
+     * @param {number} [options.minSimilarity] - 最低相似度，默认使用设置中的值
+     * @returns {Object|null} 匹配结果，包含entry、similarity（0-1）和exact；未启用或没有匹配时返回null
+     */
+    lookup(text, sourceLanguage, targetLanguage, options = {}) {
+        if (!this.settings.enabled) return null;
+
+        const key = TranslationMemory.normalizeSource(text);
+        if (!key) return null;
+
+        const { entries, fuse } = this._getIndex(sourceLanguage, targetLanguage);
+        if (entries.length === 0) return null;
+
+        const exact = entries.find(entry => entry.key === key);
+        if (exact) {
+            return { entry: exact, similarity: 1, exact: true };
+        }
+
+        if (!fuse) return null;
+
+        const minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : this.settings.minSimilarity;
+        const best = fuse.search(key)
+            .slice(0, TranslationMemory.FUZZY_CANDIDATES)
+            .map(result => ({ entry: result.item, similarity: TranslationMemory.similarity(key, result.item.key), exact: false }))
+            .sort((a, b) => b.similarity - a.similarity)[0];
+
+        return best && best.similarity >= minSimilarity ? best : null;
+    }
+
+    /**
+     * 导出为TMX 1.4文本
+     * @returns {string} TMX文本
+     */
+    exportTMX() {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const formatDate = time => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+        const sourceLanguages = Array.from(new Set(this.entries.map(entry => entry.sourceLanguage)));
+
+        const units = this.entries.map(entry => [
+            `    <tu tuid="${escape(entry.id)}" srclang="${escape(entry.sourceLanguage)}" creationdate="${formatDate(entry.createdAt)}" changedate="${formatDate(entry.updatedAt)}" usagecount="${entry.usageCount || 1}">`,
+            `      <tuv xml:lang="${escape(entry.sourceLanguage)}"><seg>${escape(entry.source)}</seg></tuv>`,
+            `      <tuv xml:lang="${escape(entry.targetLanguage)}"><seg>${escape(entry.target)}</seg></tuv>`,
+            '    </tu>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<tmx version="1.4">',
+            `  <header creationtool="EagleAudioTranslator" creationtoolversion="1.1.2" segtype="phrase" o-tmf="EagleAudioTranslator" adminlang="en" srclang="${escape(sourceLanguages.length === 1 ? sourceLanguages[0] : '*all*')}" datatype="plaintext"/>`,
+            '  <body>',
+            ...units,
+            '  </body>',
+            '</tmx>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * 从TMX文本导入，相同语言对和原文的条目会被更新
+     * 每个翻译单元的原文语言取tu或header的srclang，没有时取第一个tuv；其余每个tuv导入为一条译文
+     * @param {string} text - TMX文本
+     * @returns {Object} 导入结果，包含imported、skipped
+     */
+    importTMX(text) {
+        const content = String(text || '').replace(/^\uFEFF/, '');
+        if (!/<tmx[\s>]/i.test(content)) {
+            throw new Error('不是有效的TMX文件：缺少tmx元素');
+        }
+
+        const entities = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+        const decodeText = value => value
+            // 去掉seg中的内联标记（bpt、ept、ph等）
+            .replace(/<(bpt|ept|it|ph)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<[^>]+>/g, '')
+            // 一次替换所有实体，&amp;lt;解码为&lt;而不是<
+            .replace(/&(?:#(\d+)|#x([0-9a-f]+)|(lt|gt|quot|apos|amp));/gi, (entity, decimal, hex, name) => {
+                if (name) {
+                    return entities[name] || entity;
+                }
+                const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+                return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+            });
+        // CDATA中的内容原样保留，不解码实体也不去掉标记
+        const decode = value => value
+            .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+            .map(part => part.startsWith('<![CDATA[') ? part.slice(9, -3) : decodeText(part))
+            .join('')
+            .trim();
+        const getAttribute = (attributes, name) => {
+            const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*"([^"]*)"`, 'i')) ||
+                attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*'([^']*)'`, 'i'));
+            return match ? decode(match[1]) : '';
+        };
+        const parseDate = value => {
+            const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+            return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : undefined;
+        };
+
+        const headerMatch = content.match(/<header\b([^>]*)>/i);
+        const headerSourceLanguage = headerMatch ? getAttribute(headerMatch[1], 'srclang') : '';
+
+        const result = { imported: 0, skipped: 0 };
+        const unitPattern = /<tu\b([^>]*)>([\s\S]*?)<\/tu>/gi;
+        let unit;
+        while ((unit = unitPattern.exec(content)) !== null) {
+            const variants = [];
+            const variantPattern = /<tuv\b([^>]*)>[\s\S]*?<seg\b[^>]*>([\s\S]*?)<\/seg>[\s\S]*?<\/tuv>/gi;
+            let variant;
+            while ((variant = variantPattern.exec(unit[2])) !== null) {
+                const language = getAttribute(variant[1], 'xml:lang') || getAttribute(variant[1], 'lang');
+                const segment = decode(variant[2]);
+                if (language && segment) {
+                    variants.push({ language, segment });
+                }
+            }
+
+            let sourceLanguage = getAttribute(unit[1], 'srclang') || headerSourceLanguage;
+            if (!sourceLanguage || sourceLanguage === '*all*') {
+                sourceLanguage = variants.length > 0 ? variants[0].language : '';
+            }
+
+            const source = variants.find(item => TranslationMemory.isSameLanguage(item.language, sourceLanguage));
+            const targets = variants.filter(item => item !== source);
+            if (!source || targets.length === 0) {
+                result.skipped++;
+                continue;
+            }
+
+            const usageCount = parseInt(getAttribute(unit[1], 'usagecount'), 10);
+            targets.forEach(target => {
+                const saved = this.add(source.segment, target.segment, source.language, target.language, {
+                    save: false,
+                    usageCount: isNaN(usageCount) ? undefined : usageCount,
+                    createdAt: parseDate(getAttribute(unit[1], 'creationdate'))
+                });
+                if (saved) {
+                    result.imported++;
+                } else {
+                    result.skipped++;
+                }
+            });
+        }
+
+        this._save();
+        return result;
+    }
+}
+
+// 导出TranslationMemory
+window.TranslationMemory = TranslationMemory;
@@ -4,13 +4,41 @@
  * 用于管理和使用多个翻译提供者
  */
 class TranslationService {
+    /**
+     * 各提供者的默认请求限制（覆盖RequestLimiter.DEFAULTS）
+     * 本地或自建服务通常没有每分钟请求数限制，但并发能力有限
+     */
+    static DEFAULT_REQUEST_LIMITS = {
+        google: { requestsPerMinute: 30, maxConcurrent: 2 },
+        openaiCompatible: { requestsPerMinute: 0, maxConcurrent: 1, timeout: 120 }
+    };
+
+    /**
+     * 可以设置备用提供者的操作
+     */
+    static FALLBACK_OPERATIONS = ['translate', 'reverseTranslate', 'standardize', 'classification'];
+
+    /**
+     * 来自纠正记忆的结果使用的提供者ID
+     */
+    static MEMORY_PROVIDER = 'memory';
+
+    /**
+     * 来自翻译记忆（精确匹配）的结果使用的提供者ID
+     */
+    static TRANSLATION_MEMORY_PROVIDER = 'tm';
+
     /**
      * 构造函数
      */
     constructor() {
         this.providers = {};
+        this.limiters = {}; // 各提供者的请求限制器
         this.activeProvider = null;
+        this.cancelCount = 0; // 调用cancelRequests的次数，用于在批量翻译中发现取消
         this.cache = new Cache('translation-cache');
+        this.correctionMemory = null; // 纠正记忆，用户确认过的译文优先于翻译服务
+        this.translationMemory = null; // 翻译记忆，与提供者无关的原文/译文对
         this.settings = {
             sourceLanguage: 'en',
             targetLanguage: 'zh-CN',
@@ -26,7 +54,24 @@ class TranslationService {
                 zhipu: '',
                 deepseek: '',
                 openrouter: '',
-                bailian: ''
+                bailian: '',
+                openaiCompatible: ''
+            },
+            // OpenAI兼容接口配置（接口地址、模型、额外请求头和请求参数）
+            openaiCompatible: {
+                baseUrl: 'http://localhost:11434/v1',
+                model: '',
+                headers: {},
+                requestOptions: {}
+            },
+            requestLimits: {}, // 各提供者的请求限制（每分钟请求数、并发数、重试次数、超时秒数），未设置的使用默认值
+            batchSize: 10, // 批量翻译时每次请求的文本数，小于2时逐个翻译
+            // 各操作的备用提供者，活动提供者失败时按顺序尝试，如 { translate: ['deepseek', 'google', 'offline'] }
+            fallbackProviders: {
+                translate: [],
+                reverseTranslate: [],
+                standardize: [],
+                classification: []
             },
             standardizeEnglish: false, // 是否对英文进行标准化处理
             namingStyle: 'none', // 命名风格：'none', 'camelCase', 'PascalCase', 'snake_case', 'kebab-case', 'custom'
@@ -94,9 +139,15 @@ class TranslationService {
             // 注册阿里云百炼提供者
             this.registerProvider(new BailianProvider(this.settings));
 
+            // 注册OpenAI兼容接口提供者（本地模型或内部网关）
+            this.registerProvider(new OpenAICompatibleProvider(this.settings));
+
             // 注册Google翻译提供者作为备选
             this.registerProvider(new GoogleTranslateProvider(this.settings));
 
+            // 注册离线词典提供者（无需联网，使用UCS同义词和用户术语库）
+            this.registerProvider(new OfflineDictionaryProvider(this.settings));
+
             Logger.info('已注册默认翻译提供者');
         } catch (error) {
             Logger.error('注册默认翻译提供者失败', error);
@@ -113,10 +164,88 @@ class TranslationService {
             throw new Error('提供者必须实现必要的接口方法');
         }
 
-        this.providers[provider.getId()] = provider;
+        // 提供者的网络请求经由服务的请求层发送
+        const providerId = provider.getId();
+        provider.requestHandler = (url, options) => this.request(providerId, url, options);
+
+        this.providers[providerId] = provider;
         Logger.info(`已注册翻译提供者: ${provider.getName()}`);
     }
 
+    /**
+     * 通过提供者的请求限制器发送网络请求
+     * @param {string} providerId - 提供者ID
+     * @param {string} url - 请求地址
+     * @param {Object} options - fetch选项
+     * @returns {Promise<Response>} 响应
+     */
+    async request(providerId, url, options = {}) {
+        return this._getLimiter(providerId).request(url, options);
+    }
+
+    /**
+     * 获取提供者的请求限制（默认值与用户设置合并）
+     * @param {string} providerId - 提供者ID
+     * @returns {Object} 请求限制
+     */
+    getRequestLimits(providerId) {
+        return {
+            ...RequestLimiter.DEFAULTS,
+            ...(TranslationService.DEFAULT_REQUEST_LIMITS[providerId] || {}),
+            ...((this.settings.requestLimits || {})[providerId] || {})
+        };
+    }
+
+    /**
+     * 设置提供者的请求限制
+     * @param {string} providerId - 提供者ID
+     * @param {Object} limits - 请求限制
+     */
+    setRequestLimits(providerId, limits) {
+        this.settings.requestLimits = {
+            ...(this.settings.requestLimits || {}),
+            [providerId]: { ...((this.settings.requestLimits || {})[providerId] || {}), ...limits }
+        };
+
+        if (this.limiters[providerId]) {
+            this.limiters[providerId].setLimits(this.getRequestLimits(providerId));
+        }
+
+        Logger.info(`已设置${providerId}请求限制`, this.getRequestLimits(providerId));
+    }
+
+    /**
+     * 取消所有提供者排队和进行中的请求
+     */
+    cancelRequests() {
+        this.cancelCount++;
+        Object.values(this.limiters).forEach(limiter => limiter.cancelAll());
+    }
+
+    /**
+     * 获取所有提供者的请求状态
+     * @returns {Object} 状态，包含active（进行中的请求数）和queued（排队的请求数）
+     */
+    getRequestStatus() {
+        return Object.values(this.limiters).reduce((status, limiter) => {
+            const { active, queued } = limiter.getStatus();
+            return { active: status.active + active, queued: status.queued + queued };
+        }, { active: 0, queued: 0 });
+    }
+
+    /**
+     * 获取提供者的请求限制器，不存在时创建
+     * @param {string} providerId - 提供者ID
+     * @returns {RequestLimiter} 请求限制器
+     * @private
+     */
+    _getLimiter(providerId) {
+        if (!this.limiters[providerId]) {
+            this.limiters[providerId] = new RequestLimiter(this.getRequestLimits(providerId));
+        }
+        return this.limiters[providerId];
+    }
+
     /**
      * 设置活动提供者
      * @param {string} providerId - 提供者ID
@@ -188,6 +317,11 @@ class TranslationService {
             this.providers[providerId].settings = { ...this.settings };
         }
 
+        // 更新请求限制
+        for (const providerId in this.limiters) {
+            this.limiters[providerId].setLimits(this.getRequestLimits(providerId));
+        }
+
         // 如果设置了提供者，则激活
         if (settings.provider && this.providers[settings.provider]) {
             this.setActiveProvider(settings.provider);
@@ -204,18 +338,52 @@ class TranslationService {
      * @returns {Promise<string>} 翻译结果
      */
     async translate(text, from = null, to = null) {
-        if (!this.activeProvider) {
-            throw new Error('未设置活动翻译提供者');
-        }
+        return (await this.translateDetailed(text, from, to)).result;
+    }
 
+    /**
+     * 翻译文本，并返回产生结果的提供者
+     * 活动提供者失败时按备用链依次尝试其他提供者
+     * @param {string} text - 要翻译的文本
+     * @param {string} [from] - 源语言，可选，默认使用设置中的源语言
+     * @param {string} [to] - 目标语言，可选，默认使用设置中的目标语言
+     * @returns {Promise<Object>} 结果，包含result、provider（提供者ID）和failures（之前失败的提供者及错误）
+     */
+    async translateDetailed(text, from = null, to = null) {
         // 使用提供的语言参数或默认设置
         const sourceLanguage = from || this.settings.sourceLanguage;
         const targetLanguage = to || this.settings.targetLanguage;
 
+        const remembered = this._lookupMemory(text, sourceLanguage, targetLanguage);
+        if (remembered) {
+            return remembered;
+        }
+
+        try {
+            return await this._runWithFallback('translate', provider =>
+                this._translateWith(provider, text, sourceLanguage, targetLanguage));
+        } catch (error) {
+            Logger.error(`翻译失败: ${text}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 使用指定提供者翻译文本（带缓存）
+     * @param {Object} provider - 翻译提供者
+     * @param {string} text - 要翻译的文本
+     * @param {string} sourceLanguage - 源语言
+     * @param {string} targetLanguage - 目标语言
+     * @returns {Promise<string>} 翻译结果
+     * @private
+     */
+    async _translateWith(provider, text, sourceLanguage, targetLanguage) {
         // 检查缓存
-        const cacheKey = `${this.activeProvider.getId()}:${sourceLanguage}:${targetLanguage}:${text}`;
-        if (this.settings.useCache) {
-            const cached = this.cache.get(cacheKey);
+        const cacheKey = `${provider.getId()}:${sourceLanguage}:${targetLanguage}:${text}`;
+        const useCache = this._useCache(provider);
+        const cache = this._getCache('translate', provider, targetLanguage);
+        if (useCache) {
+            const cached = cache.get(cacheKey);
             if (cached) {
                 Logger.debug(`使用缓存的翻译结果: ${text} -> ${cached}`);
                 return cached;
@@ -223,23 +391,14 @@ class TranslationService {
         }
 
         // 执行翻译
-        try {
-            const result = await this.activeProvider.translate(
-                text,
-                sourceLanguage,
-                targetLanguage
-            );
-
-            // 更新缓存
-            if (this.settings.useCache) {
-                this.cache.set(cacheKey, result);
-            }
+        const result = await provider.translate(text, sourceLanguage, targetLanguage);
 
-            return result;
-        } catch (error) {
-            Logger.error(`翻译失败: ${text}`, error);
-            throw error;
+        // 更新缓存
+        if (useCache) {
+            cache.set(cacheKey, result);
         }
+
+        return result;
     }
 
     /**
@@ -248,28 +407,46 @@ class TranslationService {
      * @returns {Promise<string>} 翻译结果（英文）
      */
     async reverseTranslate(text) {
+        return (await this.reverseTranslateDetailed(text)).result;
+    }
+
+    /**
+     * 反向翻译（中文到英文），并返回产生结果的提供者
+     * @param {string} text - 要翻译的中文文本
+     * @returns {Promise<Object>} 结果，包含result、provider和failures
+     */
+    async reverseTranslateDetailed(text) {
+        const remembered = this._lookupMemory(text, 'zh-CN', 'en');
+        if (remembered) {
+            return remembered;
+        }
+
         try {
             Logger.debug(`反向翻译（中文到英文）: ${text}`);
 
-            // 检查缓存
-            const cacheKey = `reverse:${this.activeProvider.getId()}:zh-CN:en:${text}`;
-            if (this.settings.useCache) {
-                const cached = this.cache.get(cacheKey);
-                if (cached) {
-                    Logger.debug(`使用缓存的反向翻译结果: ${text} -> ${cached}`);
-                    return cached;
+            return await this._runWithFallback('reverseTranslate', async provider => {
+                // 检查缓存
+                const cacheKey = `reverse:${provider.getId()}:zh-CN:en:${text}`;
+                const useCache = this._useCache(provider);
+                const cache = this._getCache('translate', provider, 'en');
+                if (useCache) {
+                    const cached = cache.get(cacheKey);
+                    if (cached) {
+                        Logger.debug(`使用缓存的反向翻译结果: ${text} -> ${cached}`);
+                        return cached;
+                    }
                 }
-            }
 
-            // 执行翻译，将源语言设置为中文，目标语言设置为英文
-            const result = await this.translate(text, 'zh-CN', 'en');
+                // 执行翻译，将源语言设置为中文，目标语言设置为英文
+                const result = await this._translateWith(provider, text, 'zh-CN', 'en');
 
-            // 更新缓存
-            if (this.settings.useCache) {
-                this.cache.set(cacheKey, result);
-            }
+                // 更新缓存
+                if (useCache) {
+                    cache.set(cacheKey, result);
+                }
 
-            return result;
+                return result;
+            });
         } catch (error) {
             Logger.error(`反向翻译失败: ${text}`, error);
             throw error;
@@ -282,68 +459,703 @@ class TranslationService {
      * @returns {Promise<string>} 处理结果
      */
     async standardize(text) {
-        if (!this.activeProvider) {
-            throw new Error('未设置活动翻译提供者');
+        return (await this.standardizeDetailed(text)).result;
+    }
+
+    /**
+     * 标准化处理文本，并返回产生结果的提供者
+     * @param {string} text - 要处理的文本
+     * @returns {Promise<Object>} 结果，包含result、provider和failures
+     */
+    async standardizeDetailed(text) {
+        const remembered = this._lookupMemory(text, 'en', 'en');
+        if (remembered) {
+            return remembered;
         }
 
+        try {
+            return await this._runWithFallback('standardize', provider => this._standardizeWith(provider, text));
+        } catch (error) {
+            Logger.error(`标准化处理失败: ${text}`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 使用指定提供者标准化处理文本（带缓存）
+     * @param {Object} provider - 翻译提供者
+     * @param {string} text - 要处理的文本
+     * @returns {Promise<string>} 处理结果
+     * @private
+     */
+    async _standardizeWith(provider, text) {
         // 检查缓存
-        const cacheKey = `standardize:${this.activeProvider.getId()}:${text}`;
-        if (this.settings.useCache) {
-            const cached = this.cache.get(cacheKey);
+        const cacheKey = `standardize:${provider.getId()}:${text}`;
+        const useCache = this._useCache(provider);
+        const cache = this._getCache('standardize', provider);
+        if (useCache) {
+            const cached = cache.get(cacheKey);
             if (cached) {
                 Logger.debug(`使用缓存的标准化结果: ${text} -> ${cached}`);
                 return cached;
             }
         }
 
-        try {
-            // 如果提供者支持标准化方法，则使用提供者的方法
-            if (typeof this.activeProvider.standardize === 'function') {
-                const options = {
-                    style: this.settings.namingStyle,
-                    separator: this.settings.customSeparator
-                };
+        // 如果提供者支持标准化方法，则使用提供者的方法
+        if (typeof provider.standardize === 'function') {
+            const options = {
+                style: this.settings.namingStyle,
+                separator: this.settings.customSeparator
+            };
 
-                const result = await this.activeProvider.standardize(text, 'en', options);
+            const result = await provider.standardize(text, 'en', options);
 
-                // 更新缓存
-                if (this.settings.useCache) {
-                    this.cache.set(cacheKey, result);
+            // 更新缓存
+            if (useCache) {
+                cache.set(cacheKey, result);
+            }
+
+            return result;
+        }
+
+        // 如果提供者不支持标准化方法，则使用翻译方法并添加特殊提示
+        const prompt = `Please provide a concise English description of this sound effect in 2-5 words: "${text}". Only return the description without any additional text.`;
+
+        const result = await provider.translate(
+            prompt,
+            'en',
+            'en'
+        );
+
+        // 提取结果中的描述部分（去除可能的引号和额外文本）
+        let cleanResult = result.replace(/^["']|["']$/g, '').trim();
+
+        // 如果结果还包含原始文本，则只保留第一部分
+        if (cleanResult.includes(text)) {
+            cleanResult = cleanResult.split(text)[0].trim();
+        }
+
+        // 应用命名风格
+        cleanResult = this.formatText(cleanResult);
+
+        // 更新缓存
+        if (useCache) {
+            cache.set(cacheKey, cleanResult);
+        }
+
+        return cleanResult;
+    }
+
+    /**
+     * 设置纠正记忆，翻译、反向翻译和标准化前先查找用户确认过的译文
+     * @param {CorrectionMemory} correctionMemory - 纠正记忆实例
+     */
+    setCorrectionMemory(correctionMemory) {
+        this.correctionMemory = correctionMemory;
+    }
+
+    /**
+     * 设置翻译记忆，翻译和反向翻译前先查找精确匹配的译文（可在翻译记忆设置中关闭）
+     * @param {TranslationMemory} translationMemory - 翻译记忆实例
+     */
+    setTranslationMemory(translationMemory) {
+        this.translationMemory = translationMemory;
+    }
+
+    /**
+     * 在纠正记忆和翻译记忆中查找译文，纠正记忆优先
+     * 翻译记忆只使用精确匹配，且不用于标准化（源语言和目标语言相同）
+     * @param {string} text - 原文
+     * @param {string} from - 原文语言
+     * @param {string} to - 译文语言
+     * @returns {Object|null} 结果（格式同translateDetailed），没有时返回null
+     * @private
+     */
+    _lookupMemory(text, from, to) {
+        if (!text) {
+            return null;
+        }
+
+        const rule = this.correctionMemory ? this.correctionMemory.findTranslation(text, to) : null;
+        if (rule) {
+            Logger.debug(`使用纠正记忆中的译文: ${text} -> ${rule.translation}`);
+            return { result: rule.translation, provider: TranslationService.MEMORY_PROVIDER, failures: [] };
+        }
+
+        if (!this.translationMemory || !this.translationMemory.settings.useExactMatches || from === to) {
+            return null;
+        }
+
+        const match = this.translationMemory.lookup(text, from, to, { minSimilarity: 1 });
+        if (!match || !match.exact) {
+            return null;
+        }
+
+        Logger.debug(`使用翻译记忆中的译文: ${text} -> ${match.entry.target}`);
+        return { result: match.entry.target, provider: TranslationService.TRANSLATION_MEMORY_PROVIDER, failures: [] };
+    }
+
+    /**
+     * 在翻译记忆中查找相似的译文，用于在预览中提示
+     * @param {string} text - 原文
+     * @param {string} from - 原文语言
+     * @param {string} to - 译文语言
+     * @returns {Object|null} 匹配结果，包含source、target、similarity（0-1）和exact；没有时返回null
+     */
+    findMemoryMatch(text, from, to) {
+        if (!this.translationMemory || !text) {
+            return null;
+        }
+
+        const match = this.translationMemory.lookup(text, from, to);
+        return match
+            ? { source: match.entry.source, target: match.entry.target, similarity: match.similarity, exact: match.exact }
+            : null;
+    }
+
+    /**
+     * 获取操作的提供者链：活动提供者在前，之后是该操作设置的备用提供者
+     * 未注册、重复或不能执行该操作的备用提供者会被跳过
+     * @param {string} operation - 操作（translate、reverseTranslate、standardize、classification）
+     * @returns {Array<Object>} 提供者列表
+     */
+    getProviderChain(operation) {
+        if (!this.activeProvider) {
+            return [];
+        }
+
+        const chain = [this.activeProvider];
+        const fallbackIds = (this.settings.fallbackProviders || {})[operation] || [];
+
+        fallbackIds.forEach(providerId => {
+            const provider = this.providers[providerId];
+            if (!provider || chain.includes(provider)) return;
+
+            // 分类需要发送原始提示词
+            if (operation === 'classification' &&
+                (typeof provider.supportsBatch !== 'function' || !provider.supportsBatch())) {
+                return;
+            }
+
+            chain.push(provider);
+        });
+
+        return chain;
+    }
+
+    /**
+     * 设置操作的备用提供者
+     * @param {string} operation - 操作（translate、reverseTranslate、standardize、classification）
+     * @param {Array<string>} providerIds - 按顺序尝试的备用提供者ID
+     */
+    setFallbackProviders(operation, providerIds) {
+        if (!TranslationService.FALLBACK_OPERATIONS.includes(operation)) {
+            throw new Error(`不支持的操作: ${operation}`);
+        }
+
+        this.settings.fallbackProviders = {
+            ...(this.settings.fallbackProviders || {}),
+            [operation]: (providerIds || []).filter(Boolean)
+        };
+
+        Logger.info(`已设置${operation}备用提供者: ${this.settings.fallbackProviders[operation].join(' → ') || '(无)'}`);
+    }
+
+    /**
+     * 按提供者链依次执行操作，直到某个提供者成功
+     * 请求被取消时立即停止，不再尝试后续提供者
+     * @param {string} operation - 操作
+     * @param {Function} attempt - 使用指定提供者执行操作的函数
+     * @returns {Promise<Object>} 结果，包含result、provider和failures
+     * @private
+     */
+    async _runWithFallback(operation, attempt) {
+        const chain = this.getProviderChain(operation);
+        if (chain.length === 0) {
+            throw new Error('未设置活动翻译提供者');
+        }
+
+        const cancelCount = this.cancelCount;
+        const failures = [];
+
+        for (const provider of chain) {
+            try {
+                const result = await attempt(provider);
+                if (failures.length > 0) {
+                    Logger.info(`已由备用提供者${provider.getName()}完成`);
+                }
+                return { result, provider: provider.getId(), failures };
+            } catch (error) {
+                if (error.cancelled || this.cancelCount !== cancelCount) {
+                    throw error;
                 }
 
-                return result;
+                failures.push({ provider: provider.getId(), error: error.message });
+                if (chain.length === 1) {
+                    // 没有备用提供者时保留原错误
+                    error.failures = failures;
+                    throw error;
+                }
+                Logger.warn(`${provider.getName()}失败，尝试下一个提供者: ${error.message}`);
+            }
+        }
+
+        const error = new Error(`所有提供者都失败: ${failures.map(failure =>
+            `${this.getProviderName(failure.provider)}（${failure.error}）`).join('；')}`);
+        error.failures = failures;
+        throw error;
+    }
+
+    /**
+     * 获取提供者名称
+     * @param {string} providerId - 提供者ID
+     * @returns {string} 提供者名称，未注册时返回ID
+     */
+    getProviderName(providerId) {
+        if (providerId === TranslationService.MEMORY_PROVIDER) {
+            return '纠正记忆';
+        }
+        if (providerId === TranslationService.TRANSLATION_MEMORY_PROVIDER) {
+            return '翻译记忆';
+        }
+
+        const provider = this.providers[providerId];
+        return provider ? provider.getName() : providerId;
+    }
+
+    /**
+     * 批量翻译文本
+     * 每次请求发送多个文本并要求以JSON返回，逐项校验结果，缺失或格式不正确的项改为逐个翻译
+     * @param {Array<string>} texts - 要翻译的文本列表
+     * @param {string} [from] - 源语言，可选，默认使用设置中的源语言
+     * @param {string} [to] - 目标语言，可选，默认使用设置中的目标语言
+     * @returns {Promise<Array<Object>>} 与texts一一对应的结果，每项包含result（失败时为null）、provider（产生结果的提供者ID）、
+     *     failures（之前失败的提供者）和error（成功时为null）
+     */
+    async translateBatch(texts, from = null, to = null) {
+        if (!this.activeProvider) {
+            throw new Error('未设置活动翻译提供者');
+        }
+
+        const provider = this.activeProvider;
+        const sourceLanguage = from || this.settings.sourceLanguage;
+        const targetLanguage = to || this.settings.targetLanguage;
+
+        return this._runBatch(texts, {
+            label: '翻译',
+            batchable: this.canBatch('translate'),
+            from: sourceLanguage,
+            to: targetLanguage,
+            cache: this._getCache('translate', provider, targetLanguage),
+            getCacheKey: text => `${provider.getId()}:${sourceLanguage}:${targetLanguage}:${text}`,
+            getPrompt: chunk => this._getPromptTemplates().getBatchTranslationPrompt(chunk, sourceLanguage, targetLanguage),
+            format: text => text,
+            translateOne: text => this.translateDetailed(text, sourceLanguage, targetLanguage)
+        });
+    }
+
+    /**
+     * 批量标准化处理文本（生成简短的英文描述）
+     * 每次请求发送多个文本并要求以JSON返回，逐项校验结果，缺失或格式不正确的项改为逐个处理
+     * @param {Array<string>} texts - 要处理的文本列表
+     * @returns {Promise<Array<Object>>} 与texts一一对应的结果，格式同translateBatch
+     */
+    async standardizeBatch(texts) {
+        if (!this.activeProvider) {
+            throw new Error('未设置活动翻译提供者');
+        }
+
+        const provider = this.activeProvider;
+
+        return this._runBatch(texts, {
+            label: '标准化',
+            batchable: this.canBatch('standardize'),
+            from: 'en',
+            to: 'en',
+            cache: this._getCache('standardize', provider),
+            getCacheKey: text => `standardize:${provider.getId()}:${text}`,
+            getPrompt: chunk => this._getPromptTemplates().getBatchStandardizePrompt(chunk),
+            // 与提供者的standardize一致，应用命名风格
+            format: text => this.settings.namingStyle && this.settings.namingStyle !== 'none'
+                ? provider.formatText(text, this.settings.namingStyle, this.settings.customSeparator)
+                : text,
+            translateOne: text => this.standardizeDetailed(text)
+        });
+    }
+
+    /**
+     * 当前设置下是否可以使用批量请求
+     * @param {string} [operation='translate'] - 操作类型（translate或standardize）
+     * @returns {boolean} 是否可以使用批量请求
+     */
+    canBatch(operation = 'translate') {
+        if (!this.activeProvider || this._getBatchSize() < 2) {
+            return false;
+        }
+
+        if (typeof this.activeProvider.supportsBatch !== 'function' || !this.activeProvider.supportsBatch()) {
+            return false;
+        }
+
+        // 自定义翻译提示模板需要逐个套用，不使用批量请求
+        if (operation === 'translate' && this.settings.promptTemplate && this.settings.promptTemplate.trim()) {
+            return false;
+        }
+
+        return operation !== 'standardize' || typeof this.activeProvider.standardize === 'function';
+    }
+
+    /**
+     * 执行批量请求：读取纠正记忆、翻译记忆和缓存、分批发送、校验结果并逐个补齐
+     * @param {Array<string>} texts - 文本列表
+     * @param {Object} operation - 操作配置（label、batchable、from、to、cache、getCacheKey、getPrompt、format、translateOne）
+     * @returns {Promise<Array<Object>>} 与texts一一对应的结果
+     * @private
+     */
+    async _runBatch(texts, operation) {
+        const results = new Array(texts.length).fill(null);
+        const useCache = this._useCache();
+        const cache = operation.cache;
+        const cancelCount = this.cancelCount;
+
+        // 读取纠正记忆、翻译记忆和缓存，相同的文本只请求一次
+        const pending = new Map();
+        texts.forEach((text, index) => {
+            if (!text) {
+                results[index] = { result: text, provider: null, failures: [], error: null };
+                return;
+            }
+
+            const remembered = this._lookupMemory(text, operation.from, operation.to);
+            if (remembered) {
+                results[index] = { ...remembered, error: null };
+                return;
+            }
+
+            const cached = useCache ? cache.get(operation.getCacheKey(text)) : null;
+            if (cached) {
+                results[index] = { result: cached, provider: this.activeProvider.getId(), failures: [], error: null };
+            } else if (pending.has(text)) {
+                pending.get(text).push(index);
             } else {
-                // 如果提供者不支持标准化方法，则使用翻译方法并添加特殊提示
-                const prompt = `Please provide a concise English description of this sound effect in 2-5 words: "${text}". Only return the description without any additional text.`;
+                pending.set(text, [index]);
+            }
+        });
 
-                const result = await this.activeProvider.translate(
-                    prompt,
-                    'en',
-                    'en'
-                );
+        const uniqueTexts = [...pending.keys()];
+        if (uniqueTexts.length === 0) {
+            return results;
+        }
 
-                // 提取结果中的描述部分（去除可能的引号和额外文本）
-                let cleanResult = result.replace(/^["']|["']$/g, '').trim();
+        const batchSize = this._getBatchSize();
+        const useBatch = operation.batchable && uniqueTexts.length > 1;
 
-                // 如果结果还包含原始文本，则只保留第一部分
-                if (cleanResult.includes(text)) {
-                    cleanResult = cleanResult.split(text)[0].trim();
-                }
+        const resolved = new Map();
+        let missing = uniqueTexts;
 
-                // 应用命名风格
-                cleanResult = this.formatText(cleanResult);
+        if (useBatch) {
+            const chunks = [];
+            for (let i = 0; i < uniqueTexts.length; i += batchSize) {
+                chunks.push(uniqueTexts.slice(i, i + batchSize));
+            }
 
-                // 更新缓存
-                if (this.settings.useCache) {
-                    this.cache.set(cacheKey, cleanResult);
+            Logger.info(`批量${operation.label}: ${uniqueTexts.length} 个文本，分 ${chunks.length} 次请求`);
+
+            // 各批并行发送，并发数由提供者的请求限制器控制
+            const chunkResults = await Promise.all(chunks.map(chunk => this._requestBatchChunk(chunk, operation)));
+
+            missing = [];
+            chunks.forEach((chunk, chunkIndex) => {
+                chunk.forEach((text, i) => {
+                    const value = chunkResults[chunkIndex].get(i + 1);
+                    if (value) {
+                        resolved.set(text, { result: value, provider: this.activeProvider.getId(), failures: [] });
+                        if (useCache) {
+                            cache.set(operation.getCacheKey(text), value);
+                        }
+                    } else {
+                        missing.push(text);
+                    }
+                });
+            });
+
+            if (missing.length > 0) {
+                Logger.warn(`批量${operation.label}有 ${missing.length} 个结果缺失或格式不正确，改为逐个${operation.label}`);
+            }
+        }
+
+        // 逐个处理批量请求未返回的文本（逐个请求时按备用链尝试其他提供者）
+        const fallbackErrors = new Map();
+        await Promise.all(missing.map(async text => {
+            if (this.cancelCount !== cancelCount) {
+                fallbackErrors.set(text, { error: '请求已取消', failures: [] });
+                return;
+            }
+
+            try {
+                resolved.set(text, await operation.translateOne(text));
+            } catch (error) {
+                fallbackErrors.set(text, { error: error.message, failures: error.failures || [] });
+            }
+        }));
+
+        pending.forEach((indexes, text) => {
+            const failed = fallbackErrors.get(text) || { error: `${operation.label}失败`, failures: [] };
+            const entry = resolved.has(text)
+                ? { ...resolved.get(text), error: null }
+                : { result: null, provider: null, failures: failed.failures, error: failed.error };
+            indexes.forEach(index => {
+                results[index] = entry;
+            });
+        });
+
+        return results;
+    }
+
+    /**
+     * 发送一批文本并解析结果
+     * 请求失败时返回空结果，由调用方逐个补齐；请求被取消时抛出错误
+     * @param {Array<string>} chunk - 本批文本
+     * @param {Object} operation - 操作配置
+     * @returns {Promise<Map<number, string>>} 编号（从1开始）到结果的映射，只包含校验通过的项
+     * @private
+     */
+    async _requestBatchChunk(chunk, operation) {
+        try {
+            const response = await this.activeProvider.sendRequest(operation.getPrompt(chunk), operation.from, operation.to, 'batch');
+            const items = this._parseBatchResponse(response, chunk.length);
+
+            const values = new Map();
+            items.forEach((value, id) => {
+                const cleaned = typeof this.activeProvider._cleanTranslation === 'function'
+                    ? this.activeProvider._cleanTranslation(value)
+                    : value.trim();
+                if (cleaned) {
+                    values.set(id, operation.format(cleaned));
                 }
+            });
+
+            Logger.debug(`批量${operation.label}返回 ${values.size}/${chunk.length} 个有效结果`);
+            return values;
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            Logger.warn(`批量${operation.label}请求失败，改为逐个${operation.label}: ${error.message}`);
+            return new Map();
+        }
+    }
+
+    /**
+     * 解析批量请求返回的JSON
+     * 支持直接返回JSON、代码块包裹的JSON和夹杂说明文字的JSON；
+     * 编号超出范围、重复或内容不是单行非空字符串的项视为格式不正确，不包含在结果中
+     * @param {string} response - 模型返回的文本
+     * @param {number} count - 本批文本数
+     * @returns {Map<number, string>} 编号（从1开始）到结果的映射
+     * @private
+     */
+    _parseBatchResponse(response, count) {
+        const text = String(response || '')
+            .replace(/<think>[\s\S]*?<\/think>/gi, '')
+            .replace(/[\u0000-\u001F\u007F-\u009F]/g, char => (char === '\n' || char === '\r' || char === '\t') ? char : '')
+            .trim();
+
+        const candidates = [text];
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        if (fenced) {
+            candidates.push(fenced[1].trim());
+        }
+        const start = text.search(/[{[]/);
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+            candidates.push(text.slice(start, end + 1));
+        }
+
+        let data = null;
+        for (const candidate of candidates) {
+            try {
+                data = JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+                break;
+            } catch (error) {
+                // 尝试下一种格式
+            }
+        }
+
+        if (!data) {
+            throw new Error('批量结果不是有效的JSON');
+        }
+
+        const items = Array.isArray(data) ? data : data.results;
+        if (!Array.isArray(items)) {
+            throw new Error('批量结果缺少results数组');
+        }
 
-                return cleanResult;
+        const values = new Map();
+        const duplicates = new Set();
+        items.forEach(item => {
+            if (!item || typeof item !== 'object') return;
+
+            const id = Number(item.id);
+            const value = item.text;
+            if (!Number.isInteger(id) || id < 1 || id > count) return;
+            if (typeof value !== 'string' || !value.trim() || /[\r\n]/.test(value.trim())) return;
+
+            if (values.has(id)) {
+                duplicates.add(id);
             }
+            values.set(id, value.trim());
+        });
+
+        // 同一编号返回了多个结果时无法判断哪个正确
+        duplicates.forEach(id => values.delete(id));
+
+        return values;
+    }
+
+    /**
+     * 获取每次批量请求的文本数
+     * @returns {number} 文本数，小于2时不使用批量请求
+     * @private
+     */
+    _getBatchSize() {
+        const size = Math.floor(Number(this.settings.batchSize));
+        return Number.isFinite(size) ? size : 0;
+    }
+
+    /**
+     * 获取活动提供者的提示词管理实例（包含用户设置的字符限制）
+     * @returns {PromptTemplates} 提示词管理实例
+     * @private
+     */
+    _getPromptTemplates() {
+        return this.activeProvider.promptTemplates || new PromptTemplates();
+    }
+
+    /**
+     * 获取未被翻译的词
+     * 仅离线词典等能逐词报告翻译情况的提供者支持，其他提供者返回空数组
+     * @param {string} text - 原文本
+     * @param {string} [from] - 源语言，可选，默认使用设置中的源语言
+     * @param {string} [to] - 目标语言，可选，默认使用设置中的目标语言
+     * @param {string} [providerId] - 产生翻译结果的提供者ID，可选，默认使用活动提供者
+     * @returns {Array<string>} 未翻译的词
+     */
+    getUntranslatedWords(text, from = null, to = null, providerId = null) {
+        // 纠正记忆和翻译记忆中的译文由用户确认，不标记未翻译的词
+        if (providerId === TranslationService.MEMORY_PROVIDER ||
+            providerId === TranslationService.TRANSLATION_MEMORY_PROVIDER) {
+            return [];
+        }
+
+        const provider = (providerId && this.providers[providerId]) || this.activeProvider;
+        if (!provider || typeof provider.analyze !== 'function') {
+            return [];
+        }
+
+        try {
+            return provider.analyze(text, from || this.settings.sourceLanguage, to || this.settings.targetLanguage).untranslated;
         } catch (error) {
-            Logger.error(`标准化处理失败: ${text}`, error);
-            throw error;
+            Logger.warn(`获取未翻译的词失败: ${text}`, error);
+            return [];
+        }
+    }
+
+    /**
+     * 是否使用缓存（设置开启且提供者的结果可缓存）
+     * @param {Object} [provider] - 翻译提供者，默认使用活动提供者
+     * @returns {boolean} 是否使用缓存
+     * @private
+     */
+    _useCache(provider = this.activeProvider) {
+        return !!this.settings.useCache &&
+            !(provider && typeof provider.isCacheable === 'function' && !provider.isCacheable());
+    }
+
+    /**
+     * 获取缓存作用域：所有影响结果的设置都写入作用域，设置改变后不会读到旧的结果
+     * 包括提供者、模型和操作类型；使用提示词的提供者还包括提示风格或自定义模板的哈希和字符限制；
+     * 标准化还包括命名风格；提供者有模型以外影响结果的配置（如接口地址、temperature）时最后加上配置的哈希
+     * @param {string} [operation='translate'] - 操作类型（translate或standardize，反向翻译使用translate）
+     * @param {Object} [provider] - 翻译提供者，默认使用活动提供者
+     * @param {string} [targetLanguage] - 目标语言，决定使用的字符限制，默认使用设置中的目标语言
+     * @returns {string} 作用域，例如“zhipu/glm-4-flash/translate/accurate/limit-7”
+     */
+    getCacheScope(operation = 'translate', provider = this.activeProvider, targetLanguage = this.settings.targetLanguage) {
+        if (!provider) {
+            return Cache.DEFAULT_SCOPE;
         }
+
+        const model = typeof provider.getModel === 'function' ? provider.getModel() : '';
+        const parts = [provider.getId(), model || '-', operation];
+        const templates = provider.promptTemplates;
+
+        if (operation === 'standardize') {
+            if (templates) {
+                parts.push(`limit-${templates.defaultCharLimit.en}`);
+            }
+
+            const style = this.settings.namingStyle || 'none';
+            parts.push(style === 'custom' ? `style-custom-${Cache.hash(this.settings.customSeparator || '')}` : `style-${style}`);
+        } else if (templates) {
+            // 与PromptTemplates.getTranslationPrompt的选择顺序一致：自定义模板、预定义提示、默认模板
+            const template = this.settings.promptTemplate && this.settings.promptTemplate.trim();
+            const promptId = this.settings.customPrompt;
+            if (template) {
+                parts.push(`template-${Cache.hash(template)}`);
+            } else {
+                parts.push(promptId && templates.predefinedPrompts[promptId] ? promptId : 'default');
+            }
+
+            const language = String(targetLanguage || '').startsWith('zh') ? 'zh' : 'en';
+            parts.push(`limit-${templates.defaultCharLimit[language]}`);
+        }
+
+        const cacheSettings = typeof provider.getCacheSettings === 'function' ? provider.getCacheSettings() : null;
+        if (cacheSettings) {
+            parts.push(`config-${Cache.hash(JSON.stringify(cacheSettings))}`);
+        }
+
+        return parts.join('/');
+    }
+
+    /**
+     * 获取当前设置下各操作使用的缓存作用域（翻译、反向翻译和标准化）
+     * @returns {Array<string>} 不重复的作用域列表
+     */
+    getCurrentCacheScopes() {
+        if (!this.activeProvider) {
+            return [];
+        }
+
+        return [...new Set([
+            this.getCacheScope('translate'),
+            this.getCacheScope('translate', this.activeProvider, 'en'),
+            this.getCacheScope('standardize')
+        ])];
+    }
+
+    /**
+     * 清除当前设置对应的缓存条目，其他提供者、模型和提示词的缓存保留
+     * @returns {number} 删除的条目数
+     */
+    invalidateCurrentCache() {
+        const scopes = this.getCurrentCacheScopes();
+        const count = scopes.reduce((total, scope) => total + this.cache.purge({ scope }), 0);
+        Logger.info(`已清除当前设置的 ${count} 个缓存条目: ${scopes.join(', ')}`);
+        return count;
+    }
+
+    /**
+     * 获取作用域下的缓存
+     * @param {string} [operation='translate'] - 操作类型
+     * @param {Object} [provider] - 翻译提供者，默认使用活动提供者
+     * @param {string} [targetLanguage] - 目标语言
+     * @returns {Object} 绑定作用域的缓存访问对象
+     * @private
+     */
+    _getCache(operation = 'translate', provider = this.activeProvider, targetLanguage = this.settings.targetLanguage) {
+        return this.cache.scope(this.getCacheScope(operation, provider, targetLanguage));
     }
 
     /**
@@ -536,17 +1348,58 @@ class TranslationService {
      * @returns {Promise<string>} AI响应
      */
     async sendRequest(prompt, from, to, type = 'translation') {
+        return (await this.sendRequestDetailed(prompt, from, to, type)).result;
+    }
+
+    /**
+     * 发送请求到AI接口，并返回产生结果的提供者
+     * 分类请求在活动提供者失败时按备用链依次尝试其他提供者
+     * @param {string} prompt - 提示词
+     * @param {string} from - 源语言代码
+     * @param {string} to - 目标语言代码
+     * @param {string} type - 请求类型（翻译、分类等）
+     * @returns {Promise<Object>} 结果，包含result、provider和failures
+     */
+    async sendRequestDetailed(prompt, from, to, type = 'translation') {
         if (!this.activeProvider) {
             throw new Error('未设置活动翻译提供者');
         }
 
-        // 如果活动提供者有sendRequest方法，使用它
-        if (typeof this.activeProvider.sendRequest === 'function') {
-            return await this.activeProvider.sendRequest(prompt, from, to, type);
+        return this._runWithFallback(type, async provider => {
+            // 如果提供者有sendRequest方法，使用它
+            if (typeof provider.sendRequest === 'function') {
+                return await provider.sendRequest(prompt, from, to, type);
+            }
+
+            // 否则使用translate方法
+            return await provider.translate(prompt, from, to);
+        });
+    }
+
+    /**
+     * 测试翻译提供者的连接
+     * 提供者实现了testConnection时使用它，否则发送一次简短的翻译请求
+     * @param {string} [providerId] - 提供者ID，默认使用活动提供者
+     * @returns {Promise<Object>} 测试结果，包含success、message、latency
+     */
+    async testConnection(providerId = null) {
+        const provider = providerId ? this.providers[providerId] : this.activeProvider;
+        if (!provider) {
+            throw new Error(providerId ? `提供者${providerId}未注册` : '未设置活动翻译提供者');
         }
 
-        // 否则使用translate方法
-        return await this.activeProvider.translate(prompt, from, to);
+        if (typeof provider.testConnection === 'function') {
+            return await provider.testConnection();
+        }
+
+        const startTime = Date.now();
+        try {
+            const reply = await provider.translate('hello', 'en', this.settings.targetLanguage || 'zh-CN');
+            const latency = Date.now() - startTime;
+            return { success: true, latency, reply, message: `连接成功 (${latency}ms)` };
+        } catch (error) {
+            return { success: false, latency: Date.now() - startTime, reply: '', message: `连接失败: ${error.message}` };
+        }
     }
 
     /**
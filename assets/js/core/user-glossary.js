@@ -0,0 +1,346 @@
+/**
+ * 用户术语库
+ * 在内置UCS术语表之上叠加工作室自定义术语，支持增删改查和CSV导入导出
+ */
+class UserGlossary {
+    /**
+     * CSV列定义（字段名 -> 表头）
+     */
+    static COLUMNS = [
+        { key: 'term', header: 'Term' },
+        { key: 'termZh', header: 'Term_zh' },
+        { key: 'catID', header: 'CatID' },
+        { key: 'categoryZh', header: 'Category_zh' },
+        { key: 'subCategoryZh', header: 'SubCategory_zh' },
+        { key: 'synonyms', header: 'Synonyms' },
+        { key: 'synonymsZh', header: 'Synonyms_zh' }
+    ];
+
+    /**
+     * 构造函数
+     * @param {string} storageKey - 本地存储键名
+     */
+    constructor(storageKey = 'user-glossary') {
+        this.storageKey = storageKey;
+        this.entries = [];
+        this.settings = {
+            enabled: true,
+            // 与内置术语的优先关系: 'override'(优先于内置), 'boost'(提高分数后统一排序), 'fallback'(内置优先)
+            priority: 'override',
+            // priority为'boost'时的分数提升比例（0-1）
+            boost: 0.3
+        };
+        this.onChange = null; // 术语库变化回调
+
+        this._load();
+    }
+
+    /**
+     * 从本地存储加载术语库
+     * @private
+     */
+    _load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.entries = Array.isArray(data.entries) ? data.entries : [];
+                this.settings = { ...this.settings, ...(data.settings || {}) };
+            }
+        } catch (error) {
+            Logger.error('加载用户术语库失败', error);
+            this.entries = [];
+        }
+    }
+
+    /**
+     * 保存术语库并通知变化
+     * @private
+     */
+    _save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                entries: this.entries,
+                settings: this.settings,
+                lastUpdated: Date.now()
+            }));
+        } catch (error) {
+            Logger.error('保存用户术语库失败', error);
+        }
+
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * 规范化并验证条目
+     * @param {Object} entry - 条目
+     * @returns {Object} 规范化后的条目
+     * @private
+     */
+    _normalizeEntry(entry) {
+        const normalized = {};
+        UserGlossary.COLUMNS.forEach(column => {
+            const value = entry[column.key];
+            normalized[column.key] = value === undefined || value === null ? '' : String(value).trim();
+        });
+
+        if (!normalized.term && !normalized.termZh) {
+            throw new Error('术语和中文术语不能同时为空');
+        }
+        if (!normalized.catID) {
+            throw new Error('CatID不能为空');
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 获取所有条目
+     * @returns {Array<Object>} 条目列表
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+
+    /**
+     * 根据ID获取条目
+     * @param {string} id - 条目ID
+     * @returns {Object|null} 条目
+     */
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * 查找同名条目（按术语和中文术语，不区分大小写）
+     * @param {Object} entry - 条目
+     * @returns {Object|null} 已有条目
+     * @private
+     */
+    _findSameTerm(entry) {
+        const term = entry.term.toLowerCase();
+        const termZh = entry.termZh;
+        return this.entries.find(existing =>
+            existing.term.toLowerCase() === term && existing.termZh === termZh
+        ) || null;
+    }
+
+    /**
+     * 添加条目
+     * @param {Object} entry - 条目
+     * @returns {Object} 添加的条目
+     */
+    addEntry(entry) {
+        const normalized = this._normalizeEntry(entry);
+        if (this._findSameTerm(normalized)) {
+            throw new Error(`术语已存在: ${normalized.term || normalized.termZh}`);
+        }
+
+        const added = {
+            id: `term-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            ...normalized
+        };
+        this.entries.push(added);
+        this._save();
+        return added;
+    }
+
+    /**
+     * 更新条目
+     * @param {string} id - 条目ID
+     * @param {Object} changes - 要修改的字段
+     * @returns {Object} 更新后的条目
+     */
+    updateEntry(id, changes) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        if (index === -1) {
+            throw new Error(`找不到术语: ${id}`);
+        }
+
+        const normalized = this._normalizeEntry({ ...this.entries[index], ...changes });
+        this.entries[index] = { id, ...normalized };
+        this._save();
+        return this.entries[index];
+    }
+
+    /**
+     * 删除条目
+     * @param {string} id - 条目ID
+     */
+    removeEntry(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this._save();
+    }
+
+    /**
+     * 清空术语库
+     */
+    clear() {
+        this.entries = [];
+        this._save();
+    }
+
+    /**
+     * 更新术语库设置
+     * @param {Object} settings - 设置
+     */
+    setSettings(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this._save();
+    }
+
+    /**
+     * 导出为CSV文本
+     * @returns {string} CSV文本
+     */
+    exportCSV() {
+        return Papa.unparse({
+            fields: UserGlossary.COLUMNS.map(column => column.header),
+            data: this.entries.map(entry => UserGlossary.COLUMNS.map(column => entry[column.key] || ''))
+        });
+    }
+
+    /**
+     * 从CSV文本导入，同名术语会被更新
+     * @param {string} text - CSV文本
+     * @param {Object} options - 选项
+     * @param {boolean} options.replace - 是否先清空现有条目
+     * @returns {Object} 导入结果，包含added、updated、skipped、errors
+     */
+    importCSV(text, options = {}) {
+        const parsed = Papa.parse(text.replace(/^\uFEFF/, ''), {
+            header: true,
+            skipEmptyLines: true
+        });
+
+        const fields = (parsed.meta.fields || []).map(field => field.trim());
+        if (!fields.includes('CatID') || (!fields.includes('Term') && !fields.includes('Term_zh'))) {
+            throw new Error('CSV缺少必需的列: CatID, Term 或 Term_zh');
+        }
+
+        const headerToKey = {};
+        UserGlossary.COLUMNS.forEach(column => {
+            headerToKey[column.header] = column.key;
+        });
+
+        if (options.replace) {
+            this.entries = [];
+        }
+
+        const result = { added: 0, updated: 0, skipped: 0, errors: [] };
+
+        parsed.data.forEach((record, index) => {
+            const entry = {};
+            Object.keys(record).forEach(header => {
+                const key = headerToKey[header.trim()];
+                if (key) {
+                    entry[key] = record[header];
+                }
+            });
+
+            try {
+                const normalized = this._normalizeEntry(entry);
+                const existing = this._findSameTerm(normalized);
+                if (existing) {
+                    Object.assign(existing, normalized);
+                    result.updated++;
+                } else {
+                    this.entries.push({
+                        id: `term-${Date.now()}-${index}-${Math.random().toString(36).slice(2, 8)}`,
+                        ...normalized
+                    });
+                    result.added++;
+                }
+            } catch (error) {
+                result.skipped++;
+                result.errors.push(`第 ${index + 2} 行: ${error.message}`);
+            }
+        });
+
+        this._save();
+        return result;
+    }
+
+    /**
+     * 将条目转换为匹配器术语，未覆盖的字段从同CatID的内置术语继承
+     * @param {Object} entry - 条目
+     * @param {Object|null} stockTerm - 同CatID的内置术语
+     * @returns {Object} 匹配器术语
+     * @private
+     */
+    _toTerm(entry, stockTerm) {
+        const joinList = (...values) => values.filter(value => value).join(', ');
+
+        return {
+            source: stockTerm ? stockTerm.source : (entry.term || entry.termZh),
+            target: entry.subCategoryZh || (stockTerm ? stockTerm.target : '') || entry.termZh || entry.term,
+            catID: entry.catID,
+            catShort: stockTerm ? stockTerm.catShort : entry.catID.substring(0, 4),
+            category: stockTerm ? stockTerm.category : '',
+            categoryNameZh: entry.categoryZh || (stockTerm ? stockTerm.categoryNameZh : ''),
+            // 自定义术语本身作为同义词参与搜索
+            synonyms: joinList(entry.term, entry.synonyms),
+            synonymsZh: joinList(entry.termZh, entry.synonymsZh),
+            isCustom: true,
+            glossaryId: entry.id
+        };
+    }
+
+    /**
+     * 将自定义术语合并到内置术语中
+     * priority为'override'时自定义术语排在前面，否则排在后面
+     * @param {Array<Object>} stockTerms - 内置术语
+     * @returns {Array<Object>} 合并后的术语
+     */
+    mergeTerms(stockTerms) {
+        if (!this.settings.enabled || this.entries.length === 0) {
+            return stockTerms;
+        }
+
+        const stockByCatID = new Map();
+        stockTerms.forEach(term => {
+            if (!stockByCatID.has(term.catID)) {
+                stockByCatID.set(term.catID, term);
+            }
+        });
+
+        const customTerms = this.entries.map(entry => this._toTerm(entry, stockByCatID.get(entry.catID) || null));
+
+        return this.settings.priority === 'override'
+            ? [...customTerms, ...stockTerms]
+            : [...stockTerms, ...customTerms];
+    }
+
+    /**
+     * 按优先级调整搜索结果的分数和顺序
+     * @param {Array<Object>} results - Fuse.js搜索结果（score越小越好）
+     * @returns {Array<Object>} 调整后的结果
+     */
+    rankResults(results) {
+        if (!this.settings.enabled || !results || results.length === 0) {
+            return results;
+        }
+
+        const isCustom = result => !!(result.item && result.item.isCustom);
+
+        switch (this.settings.priority) {
+            case 'override':
+                return [...results.filter(isCustom), ...results.filter(result => !isCustom(result))];
+            case 'fallback':
+                return [...results.filter(result => !isCustom(result)), ...results.filter(isCustom)];
+            case 'boost': {
+                const boost = Math.min(Math.max(parseFloat(this.settings.boost) || 0, 0), 1);
+                return results
+                    .map(result => isCustom(result) ? { ...result, score: result.score * (1 - boost) } : result)
+                    .sort((a, b) => a.score - b.score);
+            }
+            default:
+                return results;
+        }
+    }
+}
+
+// 导出UserGlossary
+window.UserGlossary = UserGlossary;
@@ -8,10 +8,23 @@ window.pluginState = {
     translationService: null,
     csvMatcher: null,
     namingRules: null,
+    batchRenamer: null,
+    batchRenamePanel: null,
     fileProcessor: null,
     fileSelector: null,
     translationPanel: null,
-    previewPanel: null
+    previewPanel: null,
+    renameJournal: null,
+    translationJobStore: null,
+    renameHistoryPanel: null,
+    userGlossary: null,
+    glossaryPanel: null,
+    correctionMemory: null,
+    learnedRulesPanel: null,
+    translationMemory: null,
+    translationMemoryPanel: null,
+    cacheBrowserPanel: null,
+    ucsDatabasePanel: null
 };
 
 /**
@@ -88,13 +101,34 @@ function initPlugin() {
         // 初始化命名规则引擎
         window.pluginState.namingRules = new NamingRules();
         console.log('命名规则引擎初始化成功');
+
+        // 初始化批量重命名工具（在命名规则前后执行的操作列表）
+        window.pluginState.batchRenamer = new BatchRenamer();
+        window.pluginState.namingRules.setBatchRenamer(window.pluginState.batchRenamer);
+
+        // 初始化命名配置方案（命名规则、翻译设置、匹配策略和批量重命名操作的组合）
+        window.pluginState.namingProfiles = new NamingProfiles();
         updateLoadingStatus('命名规则引擎已就绪');
 
+        // 初始化用户术语库（需在匹配器加载术语前创建）
+        window.pluginState.userGlossary = new UserGlossary();
+
+        // 初始化纠正记忆（预览中学习到的分类和翻译规则）
+        window.pluginState.correctionMemory = new CorrectionMemory();
+        window.pluginState.translationService.setCorrectionMemory(window.pluginState.correctionMemory);
+
+        // 初始化翻译记忆（应用过的原文/译文对，与翻译服务无关）
+        window.pluginState.translationMemory = new TranslationMemory();
+        window.pluginState.translationService.setTranslationMemory(window.pluginState.translationMemory);
+
         // 初始化匹配器
         try {
             console.log('匹配器初始化开始');
             updateLoadingStatus('加载术语库...');
 
+            // 用户选择过其他UCS文件时使用该文件
+            const matcherOptions = getSavedUCSDatabaseOptions();
+
             // 检查必要的库是否可用
             console.log('检查必要的库:');
             console.log('- Fuse.js是否可用:', typeof Fuse !== 'undefined');
@@ -107,7 +141,7 @@ function initPlugin() {
                     console.log('开始直接使用FuseMatcher加载CSV文件...');
 
                     // 创建FuseMatcher实例，直接传入CSV文件路径
-                    const fuseMatcher = new FuseMatcher('./assets/data/UCSv8.2.1.csv');
+                    const fuseMatcher = new FuseMatcher(UCSSchema.DEFAULT_PATH, matcherOptions);
                     console.log('FuseMatcher实例创建成功');
 
                     // 设置到全局状态
@@ -119,14 +153,14 @@ function initPlugin() {
 
                     // 如果失败，回退到使用CSVMatcher
                     console.log('回退到使用CSVMatcher...');
-                    const csvMatcher = new CSVMatcher('./assets/data/UCSv8.2.1.csv');
+                    const csvMatcher = new CSVMatcher(UCSSchema.DEFAULT_PATH, matcherOptions);
                     window.pluginState.csvMatcher = csvMatcher;
                     updateLoadingStatus('术语库加载完成，回退到原始匹配引擎');
                 }
             } else {
                 // 如果必要的库不可用，使用CSV匹配器
                 console.log('必要的库不可用，使用CSVMatcher...');
-                const csvMatcher = new CSVMatcher('./assets/data/UCSv8.2.1.csv');
+                const csvMatcher = new CSVMatcher(UCSSchema.DEFAULT_PATH, matcherOptions);
                 window.pluginState.csvMatcher = csvMatcher;
                 console.log('CSV匹配器初始化完成');
                 updateLoadingStatus('术语库加载完成，使用原始匹配引擎');
@@ -146,6 +180,25 @@ function initPlugin() {
             };
         }
 
+        // 将用户术语库合并到匹配器，术语库变化时重建匹配索引
+        if (typeof window.pluginState.csvMatcher.setUserGlossary === 'function') {
+            window.pluginState.csvMatcher.setUserGlossary(window.pluginState.userGlossary);
+            window.pluginState.userGlossary.onChange = () => {
+                window.pluginState.csvMatcher.refreshUserGlossary();
+            };
+        }
+
+        // 纠正记忆中的分类规则作为最高优先级的匹配策略
+        if (typeof window.pluginState.csvMatcher.setCorrectionMemory === 'function') {
+            window.pluginState.csvMatcher.setCorrectionMemory(window.pluginState.correctionMemory);
+        }
+
+        // 离线词典使用匹配器中的术语（已包含用户术语库）
+        const offlineProvider = window.pluginState.translationService.providers['offline'];
+        if (offlineProvider) {
+            offlineProvider.setTermSource(window.pluginState.csvMatcher);
+        }
+
         // 初始化文件处理器
         updateLoadingStatus('初始化文件处理器...');
         window.pluginState.fileProcessor = new FileProcessor(
@@ -156,6 +209,17 @@ function initPlugin() {
         console.log('文件处理器初始化成功');
         updateLoadingStatus('文件处理器已就绪');
 
+        // 初始化重命名日志
+        window.pluginState.renameJournal = new RenameJournal();
+        window.pluginState.fileProcessor.setRenameJournal(window.pluginState.renameJournal);
+
+        // 初始化翻译任务存储，关闭插件前写入尚未保存的进度和缓存的最近使用时间
+        window.pluginState.translationJobStore = new TranslationJobStore();
+        window.addEventListener('beforeunload', () => {
+            window.pluginState.translationJobStore.flush();
+            window.pluginState.translationService.cache.flush();
+        });
+
         // 等待 DOM 加载完成后再初始化 UI 组件
         const initUIComponents = async function() {
             try {
@@ -171,11 +235,20 @@ function initPlugin() {
 
                 // 初始化预览面板
                 window.pluginState.previewPanel = new PreviewPanel(
-                    window.pluginState.fileProcessor
+                    window.pluginState.fileProcessor,
+                    window.pluginState.translationJobStore,
+                    window.pluginState.correctionMemory,
+                    window.pluginState.translationMemory
                 );
                 console.log('预览面板初始化成功');
                 updateLoadingStatus('预览面板已就绪');
 
+                // 初始化重命名历史面板
+                window.pluginState.renameHistoryPanel = new RenameHistoryPanel(
+                    window.pluginState.renameJournal
+                );
+                console.log('重命名历史面板初始化成功');
+
                 // 初始化文件选择器
                 window.pluginState.fileSelector = new FileSelector();
 
@@ -213,12 +286,51 @@ function initPlugin() {
                 // 初始化命名规则设置
                 initNamingRuleSettings();
 
+                // 初始化元数据写入设置
+                initMetadataSettings();
+
                 // 初始化翻译设置
                 initTranslationSettings();
 
                 // 初始化本地分词系统
                 initLocalTokenizer();
 
+                // 初始化用户术语库面板
+                initGlossaryPanel();
+
+                // 初始化纠正记忆面板
+                initLearnedRulesPanel();
+
+                // 初始化批量重命名面板
+                initBatchRenamePanel();
+
+                // 初始化命名配置方案面板
+                initNamingProfilePanel();
+
+                // 初始化翻译记忆面板
+                initTranslationMemoryPanel();
+
+                // 初始化翻译缓存浏览面板
+                initCacheBrowserPanel();
+
+                // 初始化UCS术语表面板
+                if (typeof UCSDatabasePanel !== 'undefined') {
+                    window.pluginState.ucsDatabasePanel = new UCSDatabasePanel();
+                }
+
+                // 初始化分类准确率评估面板
+                if (typeof ClassificationEvaluationPanel !== 'undefined' && window.pluginState.fileProcessor.smartClassifier) {
+                    window.pluginState.classificationEvaluationPanel = new ClassificationEvaluationPanel(
+                        new ClassificationEvaluator(
+                            window.pluginState.fileProcessor.smartClassifier,
+                            window.pluginState.translationService
+                        )
+                    );
+                }
+
+                // 提示上次保存的翻译任务
+                window.pluginState.previewPanel.checkSavedJob();
+
                 window.pluginState.initialized = true;
                 console.log('UI组件初始化完成');
                 updateLoadingStatus('插件加载完成');
@@ -476,6 +588,46 @@ function initNamingRuleSettings() {
         });
     }
 
+    // 序号位数和起始序号
+    ['serialPadding', 'serialStart'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', function() {
+                const value = parseInt(this.value, 10);
+                if (window.pluginState.namingRules && !isNaN(value)) {
+                    window.pluginState.namingRules.setSettings({
+                        [id]: value
+                    });
+                    updateNamingPreview();
+                }
+            });
+        }
+    });
+
+    // 长度上限（输入框 -> lengthLimits中的键）
+    const lengthLimitInputs = {
+        fxNameMaxLength: 'fxName',
+        fxNameZhMaxLength: 'fxName_zh',
+        totalMaxLength: 'total'
+    };
+    Object.entries(lengthLimitInputs).forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', function() {
+                const value = parseInt(this.value, 10);
+                if (window.pluginState.namingRules && !isNaN(value) && value >= 0) {
+                    window.pluginState.namingRules.setSettings({
+                        lengthLimits: { ...window.pluginState.namingRules.getLengthLimits(), [key]: value }
+                    });
+                    updateNamingPreview();
+                    if (window.pluginState.previewPanel) {
+                        window.pluginState.previewPanel.refreshFormattedNames();
+                    }
+                }
+            });
+        }
+    });
+
     // 传统命名规则设置
     // 命名格式选择
     const namingFormatSelect = document.getElementById('namingFormat');
@@ -502,6 +654,7 @@ function initNamingRuleSettings() {
                 window.pluginState.namingRules.setSettings({
                     format: namingFormatSelect.value
                 });
+                updateNamingPreview();
             }
         });
     }
@@ -514,18 +667,28 @@ function initNamingRuleSettings() {
                 window.pluginState.namingRules.setSettings({
                     separator: separatorInput.value
                 });
+                updateNamingPreview();
             }
         });
     }
 
-    // 自定义模板设置
+    // 自定义模板设置：输入时验证并实时预览，只保存有效的模板
     const customTemplateInput = document.getElementById('customTemplate');
     if (customTemplateInput) {
-        customTemplateInput.addEventListener('change', function() {
-            if (window.pluginState.namingRules) {
-                window.pluginState.namingRules.setSettings({
-                    template: customTemplateInput.value
-                });
+        customTemplateInput.addEventListener('input', function() {
+            const namingRules = window.pluginState.namingRules;
+            if (!namingRules) return;
+
+            const template = customTemplateInput.value.trim() || '{category}_{name}';
+            const validation = namingRules.validateTemplate(template);
+            customTemplateInput.classList.toggle('input-error', !validation.valid);
+            customTemplateInput.title = validation.valid ? '' : validation.error;
+
+            if (validation.valid) {
+                namingRules.setSettings({ template });
+                updateNamingPreview();
+            } else {
+                updateNamingPreview(`模板错误: ${validation.error}`);
             }
         });
     }
@@ -536,18 +699,140 @@ function initNamingRuleSettings() {
 
 /**
  * 更新命名预览
+ * @param {string} [message] - 代替预览显示的信息，例如模板错误
  */
-function updateNamingPreview() {
+function updateNamingPreview(message = null) {
     const previewElement = document.getElementById('namingPreview');
     if (!previewElement || !window.pluginState.namingRules) return;
 
-    if (window.pluginState.namingRules.settings.useUCS) {
+    if (message) {
+        previewElement.textContent = message;
+    } else if (window.pluginState.namingRules.settings.useUCS) {
         previewElement.textContent = window.pluginState.namingRules._getUCSPreviewFormat();
     } else {
         previewElement.textContent = window.pluginState.namingRules.getPreviewFormat();
     }
 }
 
+/**
+ * 将命名规则引擎的设置同步到命名规则设置界面，例如切换命名配置方案之后
+ */
+function syncNamingRuleInputs() {
+    const namingRules = window.pluginState.namingRules;
+    if (!namingRules) return;
+
+    const settings = namingRules.settings;
+    const setValue = (id, value) => {
+        const input = document.getElementById(id);
+        if (input && value !== undefined) {
+            input.value = value;
+        }
+    };
+
+    Object.entries(settings.elements || {}).forEach(([id, checked]) => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) {
+            checkbox.checked = !!checked;
+        }
+    });
+
+    setValue('creatorIDValue', settings.creatorID);
+    setValue('sourceIDValue', settings.sourceID);
+    setValue('ucsSeparator', settings.separator);
+    setValue('separator', settings.separator);
+    setValue('serialPadding', settings.serialPadding);
+    setValue('serialStart', settings.serialStart);
+    setValue('customTemplate', settings.template);
+
+    const lengthLimits = namingRules.getLengthLimits();
+    setValue('fxNameMaxLength', lengthLimits.fxName);
+    setValue('fxNameZhMaxLength', lengthLimits.fxName_zh);
+    setValue('totalMaxLength', lengthLimits.total);
+
+    const customTemplateInput = document.getElementById('customTemplate');
+    if (customTemplateInput) {
+        customTemplateInput.classList.remove('input-error');
+        customTemplateInput.title = '';
+    }
+
+    // 开关和格式选择通过change事件同时更新显示的设置面板
+    const useUCSNaming = document.getElementById('useUCSNaming');
+    if (useUCSNaming) {
+        useUCSNaming.checked = !!settings.useUCS;
+        useUCSNaming.dispatchEvent(new Event('change'));
+    }
+
+    const namingFormatSelect = document.getElementById('namingFormat');
+    if (namingFormatSelect && settings.format) {
+        namingFormatSelect.value = settings.format;
+        namingFormatSelect.dispatchEvent(new Event('change'));
+    }
+
+    updateNamingPreview();
+}
+
+/**
+ * 初始化元数据写入设置
+ */
+function initMetadataSettings() {
+    const fileProcessor = window.pluginState.fileProcessor;
+    if (!fileProcessor) return;
+
+    // 从本地存储恢复设置
+    try {
+        const saved = localStorage.getItem('metadata-settings');
+        if (saved) {
+            fileProcessor.setMetadataSettings(JSON.parse(saved));
+        }
+    } catch (error) {
+        console.error('加载元数据写入设置失败:', error);
+    }
+
+    // 复选框ID -> 设置路径
+    const checkboxMap = {
+        applyMetadata: ['enabled'],
+        metaRenameFiles: ['rename'],
+        metaTagCatID: ['tags', 'catID'],
+        metaTagCategory: ['tags', 'category'],
+        metaTagCategoryZh: ['tags', 'category_zh'],
+        metaTagSubCategory: ['tags', 'subCategory'],
+        metaTagSubCategoryZh: ['tags', 'subCategory_zh'],
+        metaAnnotationOriginalName: ['annotation', 'originalName'],
+        metaAnnotationMatchSource: ['annotation', 'matchSource'],
+        metaMoveToCatIDFolder: ['moveToCatIDFolder']
+    };
+
+    const saveSettings = function() {
+        try {
+            localStorage.setItem('metadata-settings', JSON.stringify(fileProcessor.metadataSettings));
+        } catch (error) {
+            console.error('保存元数据写入设置失败:', error);
+        }
+    };
+
+    Object.keys(checkboxMap).forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (!checkbox) return;
+
+        const [group, key] = checkboxMap[id];
+        checkbox.checked = key ? !!fileProcessor.metadataSettings[group][key] : !!fileProcessor.metadataSettings[group];
+
+        checkbox.addEventListener('change', function() {
+            fileProcessor.setMetadataSettings(key ? { [group]: { [key]: this.checked } } : { [group]: this.checked });
+            saveSettings();
+        });
+    });
+
+    const parentInput = document.getElementById('metaCatIDFolderParent');
+    if (parentInput) {
+        parentInput.value = fileProcessor.metadataSettings.catIDFolderParent || '';
+        parentInput.addEventListener('change', function() {
+            fileProcessor.setMetadataSettings({ catIDFolderParent: this.value.trim() });
+            saveSettings();
+        });
+    }
+}
+
 /**
  * 初始化翻译设置
  */
@@ -1042,26 +1327,312 @@ function initLocalTokenizer() {
     }
 }
 
+/**
+ * 读取保存的UCS文件选择，生成匹配器选项
+ * 保存的文件无法通过验证时清除选择，回退到内置术语表
+ * @returns {Object} 匹配器选项，包含csvText和columnMapping
+ */
+function getSavedUCSDatabaseOptions() {
+    const saved = UCSSchema.loadSaved();
+    if (!saved || !saved.content) {
+        return {};
+    }
+
+    try {
+        const { headers, rows } = UCSSchema.parse(saved.content);
+        const validation = UCSSchema.validate(saved.mapping || {}, headers, rows);
+        if (!validation.valid) {
+            throw new Error(validation.errors.join('; '));
+        }
+
+        console.log(`使用保存的UCS术语表: ${saved.name}`);
+        return { csvText: saved.content, columnMapping: saved.mapping };
+    } catch (error) {
+        console.error('保存的UCS术语表无效，使用内置术语表:', error);
+        UCSSchema.clearSaved();
+        return {};
+    }
+}
+
+/**
+ * 初始化用户术语库面板
+ */
+function initGlossaryPanel() {
+    try {
+        if (typeof GlossaryPanel === 'undefined') {
+            console.warn('GlossaryPanel类不可用，无法初始化术语库面板');
+            return;
+        }
+
+        const glossaryContainer = document.getElementById('glossaryContainer');
+        if (!glossaryContainer) {
+            console.warn('未找到术语库面板容器');
+            return;
+        }
+
+        window.pluginState.glossaryPanel = new GlossaryPanel(window.pluginState.userGlossary);
+        if (window.pluginState.glossaryPanel.initialize(glossaryContainer)) {
+            console.log('术语库面板初始化成功');
+        }
+    } catch (error) {
+        console.error('初始化术语库面板失败:', error);
+    }
+}
+
+/**
+ * 初始化纠正记忆面板，规则变化时刷新显示
+ */
+function initLearnedRulesPanel() {
+    try {
+        if (typeof LearnedRulesPanel === 'undefined') {
+            console.warn('LearnedRulesPanel类不可用，无法初始化纠正记忆面板');
+            return;
+        }
+
+        const learnedRulesContainer = document.getElementById('learnedRulesContainer');
+        if (!learnedRulesContainer) {
+            console.warn('未找到纠正记忆面板容器');
+            return;
+        }
+
+        const panel = new LearnedRulesPanel(window.pluginState.correctionMemory);
+        if (panel.initialize(learnedRulesContainer)) {
+            window.pluginState.learnedRulesPanel = panel;
+            window.pluginState.correctionMemory.onChange = () => panel.render();
+            console.log('纠正记忆面板初始化成功');
+        }
+    } catch (error) {
+        console.error('初始化纠正记忆面板失败:', error);
+    }
+}
+
+/**
+ * 获取测试正则表达式用的文件：正则测试和添加、载入、导入正则操作前的检查使用
+ * 预览中勾选的文件，预览为空时使用Eagle中选中的文件
+ * @returns {Promise<Array>} 文件列表
+ */
+async function getRegexTestFiles() {
+    const previewPanel = window.pluginState.previewPanel;
+    const files = previewPanel ? previewPanel.getSelectedFiles() : [];
+    return files.length > 0 ? files : window.pluginState.fileProcessor.getCurrentSelection();
+}
+
+/**
+ * 初始化批量重命名面板，操作变化时刷新显示并重新生成预览中的文件名
+ */
+function initBatchRenamePanel() {
+    try {
+        if (typeof BatchRenamePanel === 'undefined') {
+            console.warn('BatchRenamePanel类不可用，无法初始化批量重命名面板');
+            return;
+        }
+
+        const batchRenameContainer = document.getElementById('batchRenameContainer');
+        if (!batchRenameContainer) {
+            console.warn('未找到批量重命名面板容器');
+            return;
+        }
+
+        const panel = new BatchRenamePanel(window.pluginState.batchRenamer, { getFiles: getRegexTestFiles });
+        if (panel.initialize(batchRenameContainer)) {
+            window.pluginState.batchRenamePanel = panel;
+            window.pluginState.batchRenamer.onChange = () => {
+                panel.render();
+                if (window.pluginState.previewPanel) {
+                    window.pluginState.previewPanel.refreshFormattedNames();
+                }
+            };
+            console.log('批量重命名面板初始化成功');
+        }
+    } catch (error) {
+        console.error('初始化批量重命名面板失败:', error);
+    }
+}
+
+/**
+ * 获取当前使用的匹配策略配置，匹配策略面板和匹配器使用同一份配置
+ * @returns {MatchingStrategyConfig|null} 匹配策略配置
+ */
+function getMatchingStrategyConfig() {
+    const state = window.pluginState;
+    if (state.matchingStrategyPanel && state.matchingStrategyPanel.config) {
+        return state.matchingStrategyPanel.config;
+    }
+    return state.matchingStrategyConfig || (state.csvMatcher && state.csvMatcher.matchingStrategyConfig) || null;
+}
+
+/**
+ * 初始化命名配置方案面板，启动时恢复当前方案的命名规则设置
+ */
+function initNamingProfilePanel() {
+    try {
+        if (typeof NamingProfilePanel === 'undefined') {
+            console.warn('NamingProfilePanel类不可用，无法初始化命名配置方案面板');
+            return;
+        }
+
+        const state = window.pluginState;
+        const namingProfiles = state.namingProfiles;
+
+        // 命名规则设置不单独保存，启动时从当前方案恢复；其他设置已各自保存
+        const active = namingProfiles.getActiveProfile();
+        if (active) {
+            namingProfiles.applyProfile(active.name, { namingRules: state.namingRules });
+            syncNamingRuleInputs();
+        }
+
+        const container = document.getElementById('namingProfileContainer');
+        if (!container) {
+            console.warn('未找到命名配置方案面板容器');
+            return;
+        }
+
+        const panel = new NamingProfilePanel(namingProfiles, {
+            getSources: () => ({
+                namingRules: state.namingRules,
+                translationSettings: state.translationPanel ? state.translationPanel.getSettings() : state.translationService.settings,
+                matchingStrategyConfig: getMatchingStrategyConfig(),
+                batchRenamer: state.batchRenamer
+            }),
+            getTargets: () => ({
+                namingRules: state.namingRules,
+                translation: state.translationPanel || state.translationService,
+                matchingStrategyConfig: getMatchingStrategyConfig(),
+                batchRenamer: state.batchRenamer
+            }),
+            onApplied: (profile) => {
+                syncNamingRuleInputs();
+
+                // 匹配器和匹配策略面板使用切换后的配置
+                const config = getMatchingStrategyConfig();
+                if (config) {
+                    state.matchingStrategyConfig = config;
+                    if (state.csvMatcher) {
+                        state.csvMatcher.matchingStrategyConfig = config;
+                    }
+                    if (state.matchingStrategyPanel) {
+                        state.matchingStrategyPanel.render();
+                    }
+                }
+
+                if (state.previewPanel) {
+                    state.previewPanel.refreshFormattedNames();
+                }
+                updateStatus(`已切换到命名配置方案: ${profile.name}`);
+            },
+            getFiles: getRegexTestFiles
+        });
+        if (panel.initialize(container)) {
+            state.namingProfilePanel = panel;
+            namingProfiles.onChange = () => panel.render();
+            console.log('命名配置方案面板初始化成功');
+        }
+    } catch (error) {
+        console.error('初始化命名配置方案面板失败:', error);
+    }
+}
+
+/**
+ * 初始化翻译记忆面板，条目变化时刷新显示
+ */
+function initTranslationMemoryPanel() {
+    try {
+        if (typeof TranslationMemoryPanel === 'undefined') {
+            console.warn('TranslationMemoryPanel类不可用，无法初始化翻译记忆面板');
+            return;
+        }
+
+        const translationMemoryContainer = document.getElementById('translationMemoryContainer');
+        if (!translationMemoryContainer) {
+            console.warn('未找到翻译记忆面板容器');
+            return;
+        }
+
+        const panel = new TranslationMemoryPanel(window.pluginState.translationMemory);
+        if (panel.initialize(translationMemoryContainer)) {
+            window.pluginState.translationMemoryPanel = panel;
+            window.pluginState.translationMemory.onChange = () => panel.render();
+            console.log('翻译记忆面板初始化成功');
+        }
+    } catch (error) {
+        console.error('初始化翻译记忆面板失败:', error);
+    }
+}
+
+/**
+ * 初始化翻译缓存浏览面板，缓存变化时延迟刷新显示
+ */
+function initCacheBrowserPanel() {
+    try {
+        if (typeof CacheBrowserPanel === 'undefined') {
+            console.warn('CacheBrowserPanel类不可用，无法初始化翻译缓存浏览面板');
+            return;
+        }
+
+        const cacheBrowserContainer = document.getElementById('cacheBrowserContainer');
+        if (!cacheBrowserContainer) {
+            console.warn('未找到翻译缓存浏览面板容器');
+            return;
+        }
+
+        const translationService = window.pluginState.translationService;
+        const cache = translationService.cache;
+        const panel = new CacheBrowserPanel(cache, translationService);
+        if (panel.initialize(cacheBrowserContainer)) {
+            window.pluginState.cacheBrowserPanel = panel;
+            cache.onChange = () => panel.scheduleRefresh();
+            console.log('翻译缓存浏览面板初始化成功');
+        }
+    } catch (error) {
+        console.error('初始化翻译缓存浏览面板失败:', error);
+    }
+}
+
 // 检查所有必要的类是否已加载
 function checkDependencies() {
     const requiredClasses = [
         'TranslationService',
         'TranslationProvider',
+        'RequestLimiter',
         'GoogleTranslateProvider',
         'ZhipuAIProvider',
         'DeepseekProvider',
         'OpenRouterProvider',
         'BailianProvider',
+        'OpenAICompatibleProvider',
+        'OfflineDictionaryProvider',
         'NamingRules',
+        'NamingTemplate',
+        'BatchRenamer',
+        'NamingProfiles',
         'CSVMatcher',
         'AIClassifier',
         'FileProcessor',
         'FileSelector',
         'TranslationPanel',
         'PreviewPanel',
+        'BatchRenamePanel',
+        'NamingProfilePanel',
+        'RenameJournal',
+        'TranslationJobStore',
+        'RenameHistoryPanel',
+        'UserGlossary',
+        'GlossaryPanel',
+        'CorrectionMemory',
+        'LearnedRulesPanel',
+        'TranslationMemory',
+        'TranslationMemoryPanel',
+        'CacheBrowserPanel',
+        'UCSDatabasePanel',
+        'ClassificationEvaluator',
+        'ClassificationEvaluationPanel',
         'Cache',
         'Logger',
         'Validator',
+        'RegexRunner',
+        'PreviewReport',
+        'ProgressTracker',
+        'UCSSchema',
         'SmartClassifier'
     ];
 
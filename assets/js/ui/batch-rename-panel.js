@@ -0,0 +1,642 @@
+/**
+ * 批量重命名规则面板
+ * 编辑按顺序执行的重命名操作，调整顺序、停用操作，保存和导入导出预设
+ */
+class BatchRenamePanel {
+    /**
+     * 构造函数
+     * @param {BatchRenamer} batchRenamer - 批量重命名工具
+     * @param {Object} [options] - 选项
+     * @param {Function} [options.getFiles] - 获取测试正则表达式用的文件（当前选中的文件），可以返回Promise；
+     *     添加、载入和导入包含正则表达式的操作前也先用这些文件测试
+     */
+    constructor(batchRenamer, options = {}) {
+        this.batchRenamer = batchRenamer;
+        this.getFiles = options.getFiles || null;
+        this.container = null;
+        this.formType = 'replace'; // 添加操作表单当前的操作类型
+        this.testResult = null; // 最近一次正则测试的结果（results或error）
+        this.selectedPreset = '';
+        this.initialized = false;
+    }
+
+    /**
+     * 初始化面板
+     * @param {HTMLElement} container - 容器元素
+     * @returns {boolean} 是否初始化成功
+     */
+    initialize(container) {
+        if (!container) {
+            console.error('初始化批量重命名面板失败: 未提供容器元素');
+            return false;
+        }
+
+        this.container = container;
+
+        // 渲染面板
+        this.render();
+
+        // 添加事件监听器
+        this.addEventListeners();
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * 渲染面板
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this._renderSettings());
+        this.container.appendChild(this._renderForm());
+
+        if (this.formType === 'regex') {
+            const tester = document.createElement('div');
+            tester.className = 'batch-rename-tester';
+            this.container.appendChild(tester);
+            this._renderTestResult();
+        }
+
+        this.container.appendChild(this._renderTable());
+
+        const summary = document.createElement('p');
+        summary.className = 'panel-description';
+        summary.textContent = '操作按列表顺序执行。“最终文件名”的操作在命名规则生成文件名之后执行，其他目标在生成之前处理描述；' +
+            '也可以不翻译，直接对选中文件的原文件名执行这些操作。';
+        this.container.appendChild(summary);
+    }
+
+    /**
+     * 渲染启用开关和预设操作
+     * @returns {HTMLElement} 设置行
+     * @private
+     */
+    _renderSettings() {
+        const presets = this.batchRenamer.getPresets();
+        if (this.selectedPreset && !presets.some(preset => preset.name === this.selectedPreset)) {
+            this.selectedPreset = '';
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = `
+            <div class="glossary-settings">
+                <label><input type="checkbox" data-action="enabled"> 启用批量重命名</label>
+                <label>预设:
+                    <select data-action="preset"></select>
+                </label>
+                <button class="btn btn-small" data-action="loadPreset">载入</button>
+                <button class="btn btn-small" data-action="deletePreset">删除预设</button>
+                <input type="text" class="batch-rename-preset-name" placeholder="预设名称" style="width: 120px;">
+                <button class="btn btn-small" data-action="savePreset">保存为预设</button>
+            </div>
+            <div class="button-container">
+                <button class="btn" data-action="import">导入JSON</button>
+                <button class="btn" data-action="export">导出JSON</button>
+                <button class="btn" data-action="clear">清空操作</button>
+                <input type="file" class="batch-rename-import-input" accept=".json" style="display: none;">
+            </div>
+        `;
+
+        wrapper.querySelector('[data-action="enabled"]').checked = !!this.batchRenamer.settings.enabled;
+
+        const presetSelect = wrapper.querySelector('[data-action="preset"]');
+        [{ name: '' }, ...presets].forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.name;
+            option.textContent = preset.name ? `${preset.name}（${preset.operations.length} 个操作）` : '选择预设...';
+            presetSelect.appendChild(option);
+        });
+        presetSelect.value = this.selectedPreset;
+        wrapper.querySelector('.batch-rename-preset-name').value = this.selectedPreset;
+
+        return wrapper;
+    }
+
+    /**
+     * 渲染添加操作的表单，根据操作类型显示不同的参数
+     * @returns {HTMLElement} 表单行
+     * @private
+     */
+    _renderForm() {
+        const form = document.createElement('div');
+        form.className = 'glossary-settings batch-rename-form';
+
+        const typeLabel = document.createElement('label');
+        typeLabel.textContent = '操作: ';
+        typeLabel.appendChild(this._createSelect('formType', BatchRenamer.OPERATION_TYPES, this.formType));
+        form.appendChild(typeLabel);
+
+        switch (this.formType) {
+            case 'replace':
+                form.insertAdjacentHTML('beforeend', `
+                    <input type="text" data-field="searchText" placeholder="查找" style="width: 120px;">
+                    <input type="text" data-field="replaceText" placeholder="替换为（留空则移除）" style="width: 140px;">
+                    <label><input type="checkbox" data-field="caseSensitive"> 区分大小写</label>
+                    <label><input type="checkbox" data-field="wholeWord"> 整词</label>
+                    <label><input type="checkbox" data-field="useRegex"> 正则</label>
+                `);
+                break;
+            case 'regex':
+                form.insertAdjacentHTML('beforeend', `
+                    <input type="text" data-field="pattern" placeholder="正则表达式，如 (?<name>\\w+)_(\\d+)" style="width: 180px;">
+                    <input type="text" data-field="flags" value="g" title="标志：g 全部替换，i 忽略大小写，u Unicode，s 点号匹配换行，m 多行" style="width: 40px;">
+                    <input type="text" data-field="replacement" placeholder="替换为，支持 $1、$<name>" style="width: 160px;">
+                `);
+                break;
+            case 'case':
+                form.appendChild(this._createSelect(null, BatchRenamer.CASE_TYPES, 'title', 'caseType'));
+                break;
+            case 'removeSymbols':
+                form.insertAdjacentHTML('beforeend', '<label><input type="checkbox" data-field="preserveSpaces" checked> 保留空格</label>');
+                break;
+            case 'prefix':
+            case 'suffix':
+                form.insertAdjacentHTML('beforeend', `<input type="text" data-field="${this.formType}" placeholder="${BatchRenamer.OPERATION_TYPES[this.formType]}" style="width: 120px;">`);
+                break;
+        }
+
+        const targets = {};
+        Object.entries(BatchRenamer.TARGETS).forEach(([key, target]) => {
+            targets[key] = target.label;
+        });
+        const targetLabel = document.createElement('label');
+        targetLabel.textContent = '目标: ';
+        targetLabel.appendChild(this._createSelect(null, targets, 'filename', 'target'));
+        form.appendChild(targetLabel);
+
+        if (this.formType === 'regex') {
+            form.insertAdjacentHTML('beforeend', '<button class="btn btn-small" data-action="testRegex" title="在当前选中的文件上测试">测试</button>');
+        }
+        form.insertAdjacentHTML('beforeend', '<button class="btn btn-small" data-action="add">添加</button>');
+        return form;
+    }
+
+    /**
+     * 渲染操作列表
+     * @returns {HTMLElement} 表格
+     * @private
+     */
+    _renderTable() {
+        const operations = this.batchRenamer.getOperations();
+        const table = document.createElement('table');
+        table.className = 'glossary-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>启用</th>
+                    <th>#</th>
+                    <th>操作</th>
+                    <th>目标</th>
+                    <th>顺序</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+
+        if (operations.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td colspan="5" class="empty-message">暂无批量重命名操作</td>';
+            tbody.appendChild(row);
+        }
+
+        operations.forEach((operation, index) => {
+            const row = document.createElement('tr');
+            row.dataset.id = operation.id;
+
+            const enabledCell = document.createElement('td');
+            enabledCell.innerHTML = '<input type="checkbox" data-action="toggle">';
+            enabledCell.querySelector('input').checked = operation.enabled;
+            row.appendChild(enabledCell);
+
+            const target = BatchRenamer.TARGETS[operation.options.target];
+            const error = this.batchRenamer.getOperationError(operation.id);
+            [String(index + 1), BatchRenamer.describeOperation(operation), target ? target.label : operation.options.target].forEach((value, cellIndex) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (cellIndex === 1 && error) {
+                    cell.textContent = `${value}（${error}）`;
+                    cell.classList.add('name-conflict');
+                }
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.innerHTML = `
+                <button class="btn btn-small" data-action="moveUp" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button class="btn btn-small" data-action="moveDown" ${index === operations.length - 1 ? 'disabled' : ''}>↓</button>
+                <button class="btn btn-small" data-action="delete">删除</button>
+            `;
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+
+        return table;
+    }
+
+    /**
+     * 创建下拉框
+     * @param {string|null} action - data-action属性
+     * @param {Object} options - 选项（值 -> 名称）
+     * @param {string} value - 选中的值
+     * @param {string} [field] - data-field属性
+     * @returns {HTMLSelectElement} 下拉框
+     * @private
+     */
+    _createSelect(action, options, value, field = null) {
+        const select = document.createElement('select');
+        if (action) select.dataset.action = action;
+        if (field) select.dataset.field = field;
+
+        Object.entries(options).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        return select;
+    }
+
+    /**
+     * 添加事件监听器
+     */
+    addEventListeners() {
+        if (!this.container) return;
+
+        // 使用事件委托处理所有点击事件
+        this.container.addEventListener('click', (event) => {
+            const target = event.target;
+            const row = target.closest('tr');
+            const id = row ? row.dataset.id : null;
+
+            switch (target.dataset.action) {
+                case 'add':
+                    this.addOperation();
+                    break;
+                case 'testRegex':
+                    this.testRegex();
+                    break;
+                case 'moveUp':
+                    this.batchRenamer.moveOperation(id, -1);
+                    break;
+                case 'moveDown':
+                    this.batchRenamer.moveOperation(id, 1);
+                    break;
+                case 'delete':
+                    this.batchRenamer.removeOperation(id);
+                    break;
+                case 'clear':
+                    this.clearOperations();
+                    break;
+                case 'loadPreset':
+                    this.loadPreset();
+                    break;
+                case 'savePreset':
+                    this.savePreset();
+                    break;
+                case 'deletePreset':
+                    this.deletePreset();
+                    break;
+                case 'import': {
+                    const input = this.container.querySelector('.batch-rename-import-input');
+                    if (input) input.click();
+                    break;
+                }
+                case 'export':
+                    this.exportJSON();
+                    break;
+            }
+        });
+
+        // 处理设置和文件选择变化
+        this.container.addEventListener('change', (event) => {
+            const target = event.target;
+
+            if (target.classList.contains('batch-rename-import-input')) {
+                if (target.files && target.files[0]) {
+                    this.importJSON(target.files[0]);
+                }
+                target.value = '';
+                return;
+            }
+
+            switch (target.dataset.action) {
+                case 'enabled':
+                    this.batchRenamer.setSettings({ enabled: target.checked });
+                    break;
+                case 'toggle':
+                    this.batchRenamer.updateOperation(target.closest('tr').dataset.id, { enabled: target.checked });
+                    break;
+                case 'formType':
+                    this.formType = target.value;
+                    this.testResult = null;
+                    this.render();
+                    break;
+                case 'preset':
+                    this.selectedPreset = target.value;
+                    this.container.querySelector('.batch-rename-preset-name').value = target.value;
+                    break;
+            }
+        });
+    }
+
+    /**
+     * 读取表单并添加操作，正则表达式先在当前选中的文件上测试，执行超时时不添加
+     */
+    async addOperation() {
+        const form = this.container.querySelector('.batch-rename-form');
+        const field = name => form.querySelector(`[data-field="${name}"]`);
+        const target = field('target').value;
+
+        let operation;
+        switch (this.formType) {
+            case 'replace':
+                operation = {
+                    type: 'replace',
+                    searchText: field('searchText').value,
+                    replaceText: field('replaceText').value,
+                    options: {
+                        target,
+                        caseSensitive: field('caseSensitive').checked,
+                        wholeWord: field('wholeWord').checked,
+                        useRegex: field('useRegex').checked
+                    }
+                };
+                break;
+            case 'regex':
+                operation = {
+                    type: 'regex',
+                    pattern: field('pattern').value,
+                    flags: field('flags').value.trim(),
+                    replacement: field('replacement').value,
+                    options: { target }
+                };
+                break;
+            case 'case':
+                operation = { type: 'case', caseType: field('caseType').value, options: { target } };
+                break;
+            case 'removeSymbols':
+                operation = { type: 'removeSymbols', options: { target, preserveSpaces: field('preserveSpaces').checked } };
+                break;
+            case 'prefix':
+            case 'suffix':
+                operation = { type: this.formType, [this.formType]: field(this.formType).value, options: { target } };
+                break;
+            default:
+                operation = { type: this.formType, options: { target } };
+                break;
+        }
+
+        try {
+            await this.batchRenamer.checkRegexOperations([operation], await this._getFiles());
+            this.batchRenamer.addOperation(operation);
+        } catch (error) {
+            alert(`添加操作失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取测试正则表达式用的文件
+     * @returns {Promise<Array<Object>>} 文件列表
+     * @private
+     */
+    async _getFiles() {
+        return this.getFiles ? (await this.getFiles()) || [] : [];
+    }
+
+    /**
+     * 在当前选中的文件上测试表单中的正则表达式
+     * 在后台线程中执行，无效的表达式和执行超时显示为错误
+     */
+    async testRegex() {
+        const form = this.container.querySelector('.batch-rename-form');
+        const field = name => form.querySelector(`[data-field="${name}"]`).value;
+        const target = field('target');
+
+        try {
+            const samples = BatchRenamer.getSampleTexts(await this._getFiles(), target);
+            if (samples.length === 0) {
+                throw new Error(`当前选中的文件没有${BatchRenamer.TARGETS[target].label}可以测试`);
+            }
+
+            const results = await RegexRunner.test(field('pattern'), field('flags').trim(), field('replacement'), samples.map(sample => sample.text));
+            this.testResult = {
+                results: results.map((result, index) => ({ ...result, file: samples[index].file }))
+            };
+        } catch (error) {
+            this.testResult = { error: error.message };
+        }
+
+        this._renderTestResult();
+    }
+
+    /**
+     * 显示正则测试结果：匹配的部分高亮，列出捕获组和替换结果
+     * @private
+     */
+    _renderTestResult() {
+        const tester = this.container.querySelector('.batch-rename-tester');
+        if (!tester) return;
+
+        tester.innerHTML = '';
+        if (!this.testResult) return;
+
+        if (this.testResult.error) {
+            const message = document.createElement('p');
+            message.className = 'panel-description name-conflict';
+            message.textContent = this.testResult.error;
+            tester.appendChild(message);
+            return;
+        }
+
+        const results = this.testResult.results;
+        const matched = results.filter(result => result.matches.length > 0).length;
+        const summary = document.createElement('p');
+        summary.className = 'panel-description';
+        summary.textContent = `${results.length} 个文本中 ${matched} 个匹配`;
+        tester.appendChild(summary);
+
+        const table = document.createElement('table');
+        table.className = 'glossary-table';
+        table.innerHTML = '<thead><tr><th>文件</th><th>匹配</th><th>捕获组</th><th>结果</th></tr></thead><tbody></tbody>';
+        const tbody = table.querySelector('tbody');
+
+        results.forEach(result => {
+            const row = document.createElement('tr');
+
+            const fileCell = document.createElement('td');
+            fileCell.textContent = result.file;
+            row.appendChild(fileCell);
+
+            // 匹配的部分用mark标记
+            const matchCell = document.createElement('td');
+            let position = 0;
+            result.matches.forEach(match => {
+                matchCell.appendChild(document.createTextNode(result.text.slice(position, match.index)));
+                const mark = document.createElement('mark');
+                mark.textContent = match.text;
+                matchCell.appendChild(mark);
+                position = match.index + match.text.length;
+            });
+            matchCell.appendChild(document.createTextNode(result.text.slice(position)));
+            row.appendChild(matchCell);
+
+            const groupCell = document.createElement('td');
+            groupCell.textContent = result.matches.map(match => {
+                const groups = match.groups.map((group, index) => `$${index + 1}=${group === undefined ? '' : group}`);
+                Object.entries(match.named || {}).forEach(([name, group]) => {
+                    groups.push(`$<${name}>=${group === undefined ? '' : group}`);
+                });
+                return groups.join(' ');
+            }).filter(Boolean).join('；');
+            row.appendChild(groupCell);
+
+            const outputCell = document.createElement('td');
+            outputCell.textContent = result.output;
+            row.appendChild(outputCell);
+
+            tbody.appendChild(row);
+        });
+
+        tester.appendChild(table);
+    }
+
+    /**
+     * 清空操作列表
+     */
+    clearOperations() {
+        const count = this.batchRenamer.getOperationCount();
+        if (count === 0) return;
+
+        if (!confirm(`确定要删除全部 ${count} 个操作吗？已保存的预设不受影响`)) {
+            return;
+        }
+
+        this.batchRenamer.clearOperations();
+    }
+
+    /**
+     * 用选中的预设替换当前操作列表，预设中的正则表达式先在当前选中的文件上测试
+     */
+    async loadPreset() {
+        if (!this.selectedPreset) {
+            alert('请先选择预设');
+            return;
+        }
+
+        if (this.batchRenamer.getOperationCount() > 0 &&
+            !confirm(`载入预设“${this.selectedPreset}”会替换当前的 ${this.batchRenamer.getOperationCount()} 个操作，确定吗？`)) {
+            return;
+        }
+
+        try {
+            const preset = this.batchRenamer.getPresets().find(item => item.name === this.selectedPreset);
+            if (preset) {
+                await this.batchRenamer.checkRegexOperations(preset.operations, await this._getFiles());
+            }
+            this.batchRenamer.loadPreset(this.selectedPreset);
+        } catch (error) {
+            alert(`载入预设失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 将当前操作列表保存为预设
+     */
+    savePreset() {
+        const name = this.container.querySelector('.batch-rename-preset-name').value.trim();
+        if (!name) {
+            alert('请输入预设名称');
+            return;
+        }
+
+        if (this.batchRenamer.getPresets().some(preset => preset.name === name) &&
+            !confirm(`预设“${name}”已存在，确定要覆盖吗？`)) {
+            return;
+        }
+
+        try {
+            this.selectedPreset = name;
+            this.batchRenamer.savePreset(name);
+        } catch (error) {
+            alert(`保存预设失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除选中的预设
+     */
+    deletePreset() {
+        if (!this.selectedPreset) {
+            alert('请先选择预设');
+            return;
+        }
+
+        if (!confirm(`确定要删除预设“${this.selectedPreset}”吗？`)) {
+            return;
+        }
+
+        this.batchRenamer.deletePreset(this.selectedPreset);
+    }
+
+    /**
+     * 从JSON文件导入预设，正则表达式在当前选中的文件上执行超时的预设跳过
+     * @param {File} file - JSON文件
+     */
+    async importJSON(file) {
+        try {
+            const presets = BatchRenamer.parseJSON(await file.text());
+            const files = await this._getFiles();
+            const checked = [];
+            let rejected = 0;
+            for (const preset of presets) {
+                try {
+                    await this.batchRenamer.checkRegexOperations(preset && preset.operations, files);
+                    checked.push(preset);
+                } catch (error) {
+                    Logger.warn(`跳过批量重命名预设 ${preset && preset.name}: ${error.message}`);
+                    rejected++;
+                }
+            }
+
+            const result = this.batchRenamer.importPresets(checked);
+            result.skipped += rejected;
+
+            let message = `导入完成: ${result.imported} 个预设`;
+            if (result.skipped > 0) {
+                message += `，跳过 ${result.skipped} 个无效预设`;
+            }
+            alert(message);
+        } catch (error) {
+            Logger.error('导入批量重命名预设失败', error);
+            alert(`导入批量重命名预设失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出预设为JSON文件，选中预设时只导出该预设
+     */
+    exportJSON() {
+        if (this.batchRenamer.getPresets().length === 0) {
+            alert('没有保存的预设，请先将操作列表保存为预设');
+            return;
+        }
+
+        const blob = new Blob([this.batchRenamer.exportJSON(this.selectedPreset || null)], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `batch-rename-presets-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 导出BatchRenamePanel
+window.BatchRenamePanel = BatchRenamePanel;
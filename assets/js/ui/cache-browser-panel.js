@@ -0,0 +1,414 @@
+/**
+ * 翻译缓存浏览面板
+ * 按作用域和关键词查看缓存条目，修改或删除条目，清除过期条目、当前设置的条目和设置缓存容量
+ */
+class CacheBrowserPanel {
+    /**
+     * 表格中最多显示的条目数（最近使用的在前）
+     */
+    static MAX_VISIBLE_ENTRIES = 200;
+
+    /**
+     * 缓存变化后刷新面板的延迟（毫秒），翻译过程中缓存频繁写入
+     */
+    static REFRESH_DELAY = 1000;
+
+    /**
+     * 构造函数
+     * @param {Cache} cache - 缓存实例
+     * @param {TranslationService} [translationService] - 翻译服务，用于清除当前设置的缓存
+     */
+    constructor(cache, translationService = null) {
+        this.cache = cache;
+        this.translationService = translationService;
+        this.container = null;
+        this.filter = { scope: '', search: '' };
+        this.refreshTimer = null;
+        this.initialized = false;
+    }
+
+    /**
+     * 格式化字节数
+     * @param {number} bytes - 字节数
+     * @returns {string} 格式化后的大小
+     */
+    static formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    }
+
+    /**
+     * 初始化面板
+     * @param {HTMLElement} container - 容器元素
+     * @returns {boolean} 是否初始化成功
+     */
+    initialize(container) {
+        if (!container) {
+            console.error('初始化缓存浏览面板失败: 未提供容器元素');
+            return false;
+        }
+
+        this.container = container;
+
+        // 渲染面板
+        this.render();
+
+        // 添加事件监听器
+        this.addEventListeners();
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * 渲染面板框架，条目和统计由refresh更新
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <p class="panel-description cache-stats"></p>
+            <div class="glossary-settings">
+                <label>作用域:
+                    <select data-action="scope"></select>
+                </label>
+                <label>搜索:
+                    <input type="text" data-action="search" placeholder="缓存键或译文">
+                </label>
+                <label>容量:
+                    <input type="number" data-action="maxBytes" min="1" max="500" step="1" style="width: 60px;"> MB
+                </label>
+            </div>
+            <div class="button-container">
+                <button class="btn" data-action="refresh">刷新</button>
+                <button class="btn" data-action="purgeFiltered">删除筛选结果</button>
+                <button class="btn" data-action="invalidateCurrent">清除当前设置的缓存</button>
+                <button class="btn" data-action="purgeExpired">清除过期</button>
+                <button class="btn" data-action="clear">清空全部</button>
+            </div>
+            <table class="glossary-table cache-table">
+                <thead>
+                    <tr>
+                        <th>作用域</th>
+                        <th>缓存键</th>
+                        <th title="双击修改">缓存值</th>
+                        <th>命中</th>
+                        <th>最近使用</th>
+                        <th>过期时间</th>
+                        <th>操作</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
+
+        this.container.querySelector('[data-action="search"]').value = this.filter.search;
+        this.container.querySelector('[data-action="maxBytes"]').value = Math.round(this.cache.maxBytes / 1024 / 1024);
+        this.refresh();
+    }
+
+    /**
+     * 刷新统计、作用域列表和条目表格
+     */
+    refresh() {
+        if (!this.container) return;
+
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+
+        const stats = this.cache.getStats();
+        const scopes = this.cache.getScopes();
+
+        // 筛选的作用域已被清除时显示全部
+        if (this.filter.scope && !scopes.some(item => item.scope === this.filter.scope)) {
+            this.filter.scope = '';
+        }
+
+        const statsElement = this.container.querySelector('.cache-stats');
+        statsElement.textContent = `${stats.size} 个条目，${CacheBrowserPanel.formatBytes(stats.bytes)} / ` +
+            `${CacheBrowserPanel.formatBytes(stats.maxBytes)}，保存在${stats.storage === 'disk' ? ` ${stats.filePath}` : '本地存储'}`;
+
+        const scopeSelect = this.container.querySelector('[data-action="scope"]');
+        scopeSelect.innerHTML = '';
+        [{ scope: '', count: stats.size, bytes: stats.bytes }, ...scopes].forEach(item => {
+            const option = document.createElement('option');
+            option.value = item.scope;
+            option.textContent = `${item.scope || '全部'}（${item.count}，${CacheBrowserPanel.formatBytes(item.bytes)}）`;
+            scopeSelect.appendChild(option);
+        });
+        scopeSelect.value = this.filter.scope;
+
+        // 鼠标悬停时显示当前设置使用的作用域
+        const invalidateButton = this.container.querySelector('[data-action="invalidateCurrent"]');
+        const currentScopes = this._getCurrentScopes();
+        invalidateButton.style.display = this.translationService ? '' : 'none';
+        invalidateButton.title = currentScopes.length > 0 ? `当前设置的作用域：${currentScopes.join('、')}` : '';
+
+        const entries = this.cache.query(this._getQuery());
+        const tbody = this.container.querySelector('tbody');
+        tbody.innerHTML = '';
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td colspan="7" class="empty-message">没有符合条件的缓存条目</td>';
+            tbody.appendChild(row);
+        }
+
+        entries.slice(0, CacheBrowserPanel.MAX_VISIBLE_ENTRIES).forEach(entry => {
+            const row = document.createElement('tr');
+            row.dataset.scope = entry.scope;
+            row.dataset.key = entry.key;
+
+            [
+                entry.scope,
+                entry.key,
+                typeof entry.value === 'string' ? entry.value : JSON.stringify(entry.value),
+                String(entry.hits || 0),
+                new Date(entry.lastAccess).toLocaleString(),
+                entry.expires ? new Date(entry.expires).toLocaleString() : '永不过期'
+            ].forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index === 2) {
+                    cell.className = 'cache-value';
+                }
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.innerHTML = '<button class="btn btn-small" data-action="delete">删除</button>';
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+
+        if (entries.length > CacheBrowserPanel.MAX_VISIBLE_ENTRIES) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 7;
+            cell.className = 'empty-message';
+            cell.textContent = `共 ${entries.length} 个条目，只显示最近使用的 ${CacheBrowserPanel.MAX_VISIBLE_ENTRIES} 个，请使用搜索缩小范围`;
+            row.appendChild(cell);
+            tbody.appendChild(row);
+        }
+    }
+
+    /**
+     * 缓存变化后延迟刷新
+     */
+    scheduleRefresh() {
+        if (this.refreshTimer || !this.container) return;
+
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh();
+        }, CacheBrowserPanel.REFRESH_DELAY);
+    }
+
+    /**
+     * 当前筛选条件
+     * @returns {Object} 传给Cache.query的筛选条件
+     * @private
+     */
+    _getQuery() {
+        return {
+            scope: this.filter.scope || null,
+            search: this.filter.search.trim()
+        };
+    }
+
+    /**
+     * 当前设置使用的作用域
+     * @returns {Array<string>} 作用域列表
+     * @private
+     */
+    _getCurrentScopes() {
+        return this.translationService ? this.translationService.getCurrentCacheScopes() : [];
+    }
+
+    /**
+     * 添加事件监听器
+     */
+    addEventListeners() {
+        if (!this.container) return;
+
+        // 使用事件委托处理所有点击事件
+        this.container.addEventListener('click', (event) => {
+            const target = event.target;
+
+            switch (target.dataset.action) {
+                case 'refresh':
+                    this.refresh();
+                    break;
+                case 'delete': {
+                    const row = target.closest('tr');
+                    this.cache.delete(row.dataset.key, row.dataset.scope);
+                    this.refresh();
+                    break;
+                }
+                case 'purgeFiltered':
+                    this.purgeFiltered();
+                    break;
+                case 'invalidateCurrent':
+                    this.invalidateCurrent();
+                    break;
+                case 'purgeExpired': {
+                    const count = this.cache.purge({ expired: true });
+                    alert(count > 0 ? `已清除 ${count} 个过期条目` : '没有过期的条目');
+                    this.refresh();
+                    break;
+                }
+                case 'clear':
+                    this.clearAll();
+                    break;
+            }
+        });
+
+        this.container.addEventListener('change', (event) => {
+            const target = event.target;
+
+            switch (target.dataset.action) {
+                case 'scope':
+                    this.filter.scope = target.value;
+                    this.refresh();
+                    break;
+                case 'maxBytes': {
+                    const value = parseInt(target.value, 10);
+                    if (isNaN(value) || value < 1 || value > 500) {
+                        alert('缓存容量必须在1到500 MB之间');
+                        target.value = Math.round(this.cache.maxBytes / 1024 / 1024);
+                        return;
+                    }
+                    this.cache.setMaxBytes(value * 1024 * 1024);
+                    this.refresh();
+                    break;
+                }
+            }
+        });
+
+        this.container.addEventListener('input', (event) => {
+            if (event.target.dataset.action === 'search') {
+                this.filter.search = event.target.value;
+                this.refresh();
+            }
+        });
+
+        // 双击缓存值进行修改
+        this.container.addEventListener('dblclick', (event) => {
+            const cell = event.target.closest('.cache-value');
+            if (cell) {
+                this._editValue(cell);
+            }
+        });
+    }
+
+    /**
+     * 将缓存值单元格切换为输入框，回车或失去焦点时保存，Esc取消
+     * 非文本的缓存值以JSON修改
+     * @param {HTMLElement} cell - 单元格
+     * @private
+     */
+    _editValue(cell) {
+        if (cell.querySelector('input')) return;
+
+        const row = cell.closest('tr');
+        const entry = this.cache.query({ scope: row.dataset.scope })
+            .find(item => item.key === row.dataset.key);
+        if (!entry) return;
+
+        const isText = typeof entry.value === 'string';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'name-edit-input';
+        input.value = isText ? entry.value : JSON.stringify(entry.value);
+        cell.textContent = '';
+        cell.appendChild(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+
+            if (save && input.value.trim()) {
+                try {
+                    const value = isText ? input.value.trim() : JSON.parse(input.value);
+                    this.cache.update(entry.key, value, entry.scope);
+                } catch (error) {
+                    alert(`缓存值不是有效的JSON: ${error.message}`);
+                }
+            }
+            this.refresh();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * 删除符合当前筛选条件的条目
+     */
+    purgeFiltered() {
+        const query = this._getQuery();
+        if (!query.scope && !query.search) {
+            this.clearAll();
+            return;
+        }
+
+        const count = this.cache.query(query).length;
+        if (count === 0) return;
+
+        if (!confirm(`确定要删除筛选出的 ${count} 个缓存条目吗？`)) {
+            return;
+        }
+
+        this.cache.purge(query);
+        this.refresh();
+    }
+
+    /**
+     * 清除当前提供者、模型、提示词和命名设置下的缓存条目
+     */
+    invalidateCurrent() {
+        const scopes = this._getCurrentScopes();
+        const count = scopes.reduce((total, scope) => total + this.cache.query({ scope }).length, 0);
+        if (count === 0) {
+            alert('当前设置下没有缓存条目');
+            return;
+        }
+
+        if (!confirm(`确定要删除当前设置下的 ${count} 个缓存条目吗？\n${scopes.join('\n')}`)) {
+            return;
+        }
+
+        this.translationService.invalidateCurrentCache();
+        this.refresh();
+    }
+
+    /**
+     * 清空全部缓存
+     */
+    clearAll() {
+        const count = this.cache.getStats().size;
+        if (count === 0) return;
+
+        if (!confirm(`确定要清空全部 ${count} 个缓存条目吗？`)) {
+            return;
+        }
+
+        this.cache.clear();
+        this.refresh();
+    }
+}
+
+// 导出CacheBrowserPanel
+window.CacheBrowserPanel = CacheBrowserPanel;
@@ -0,0 +1,394 @@
+/**
+ * 分类准确率评估面板
+ * 读取标注集，用当前或保存的匹配策略配置评估分类准确率，并可并排对比两套配置
+ */
+class ClassificationEvaluationPanel {
+    /**
+     * 构造函数
+     * @param {ClassificationEvaluator} evaluator - 分类准确率评估器
+     */
+    constructor(evaluator) {
+        this.evaluator = evaluator;
+        this.isRunning = false;
+
+        // 初始化事件监听器
+        this._initEventListeners();
+    }
+
+    /**
+     * 初始化事件监听器
+     * @private
+     */
+    _initEventListeners() {
+        // 选择标注集文件
+        const loadBtn = document.getElementById('loadEvaluationSetBtn');
+        const fileInput = document.getElementById('evaluationSetInput');
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files && fileInput.files[0]) {
+                    this.openFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+
+        // 开始评估
+        const runBtn = document.getElementById('runEvaluationBtn');
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.run());
+        }
+
+        // 关闭按钮
+        const closeBtn = document.querySelector('#evaluationModal .close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+
+        // 点击模态框外部关闭
+        window.addEventListener('click', (e) => {
+            const modal = document.getElementById('evaluationModal');
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * 显示评估对话框
+     */
+    show() {
+        this._renderConfigOptions();
+
+        const modal = document.getElementById('evaluationModal');
+        if (modal) {
+            modal.style.display = 'block';
+        }
+    }
+
+    /**
+     * 隐藏评估对话框
+     */
+    hide() {
+        const modal = document.getElementById('evaluationModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * 读取标注集文件到文本框
+     * @param {File} file - 标注集文件
+     */
+    async openFile(file) {
+        try {
+            const textArea = document.getElementById('evaluationSetText');
+            textArea.value = await file.text();
+
+            const info = document.getElementById('evaluationSetInfo');
+            if (info) {
+                info.textContent = file.name;
+            }
+        } catch (error) {
+            Logger.error('读取标注集失败', error);
+            alert(`读取标注集失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 渲染配置选择框：当前配置和保存的配置，配置B可选择不对比
+     * @private
+     */
+    _renderConfigOptions() {
+        const names = Object.keys(MatchingStrategyConfig.getSavedConfigs()).sort();
+
+        [['evaluationConfigA', false], ['evaluationConfigB', true]].forEach(([id, allowNone]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const previous = select.value;
+            select.innerHTML = '';
+
+            const options = allowNone ? [['', '（不对比）']] : [];
+            options.push(['__current__', '当前配置']);
+            names.forEach(name => options.push([name, name]));
+
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+
+            select.value = options.some(([value]) => value === previous) ? previous : options[0][0];
+        });
+    }
+
+    /**
+     * 获取选择的配置
+     * @param {string} value - 选择框的值
+     * @returns {MatchingStrategyConfig|null} 配置，当前配置返回null（由评估器使用匹配器的当前配置）
+     * @private
+     */
+    _getConfig(value) {
+        if (value === '__current__') {
+            return null;
+        }
+
+        const config = MatchingStrategyConfig.fromSavedConfig(value);
+        if (!config) {
+            throw new Error(`找不到保存的配置: ${value}`);
+        }
+        return config;
+    }
+
+    /**
+     * 运行评估
+     */
+    async run() {
+        if (this.isRunning) return;
+
+        const text = document.getElementById('evaluationSetText').value;
+        const valueA = document.getElementById('evaluationConfigA').value;
+        const valueB = document.getElementById('evaluationConfigB').value;
+        const translate = document.getElementById('evaluationTranslate').checked;
+        const runBtn = document.getElementById('runEvaluationBtn');
+
+        let parsed;
+        try {
+            parsed = ClassificationEvaluator.parseLabelledSet(text);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        if (parsed.entries.length === 0) {
+            alert('标注集为空，请选择文件或粘贴"文件名,CatID"列表');
+            return;
+        }
+
+        this.isRunning = true;
+        if (runBtn) runBtn.disabled = true;
+
+        try {
+            const configA = this._getConfig(valueA);
+            const configB = valueB ? this._getConfig(valueB) : undefined;
+
+            const { samples, invalid } = await this.evaluator.prepare(parsed.entries, {
+                translate,
+                onProgress: (done, total) => this._setProgress(`准备样本 ${done}/${total}`)
+            });
+
+            if (samples.length === 0) {
+                throw new Error('标注集中没有当前术语表中存在的CatID');
+            }
+
+            let result;
+            if (configB === undefined) {
+                const report = await this.evaluator.evaluate(samples, configA, {
+                    onProgress: (done, total) => this._setProgress(`评估 ${done}/${total}`)
+                });
+                result = { a: report, b: null, changes: [] };
+            } else {
+                result = await this.evaluator.compare(samples, configA, configB, {
+                    onProgress: (label, done, total) => this._setProgress(`评估配置${label.toUpperCase()} ${done}/${total}`)
+                });
+            }
+
+            this._setProgress('');
+            this._renderResults(result, {
+                labelA: this._getConfigLabel(valueA),
+                labelB: valueB ? this._getConfigLabel(valueB) : '',
+                invalid,
+                errors: parsed.errors
+            });
+        } catch (error) {
+            Logger.error('分类准确率评估失败', error);
+            this._setProgress('');
+            alert(`分类准确率评估失败: ${error.message}`);
+        } finally {
+            this.isRunning = false;
+            if (runBtn) runBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 获取配置的显示名称
+     * @param {string} value - 选择框的值
+     * @returns {string} 显示名称
+     * @private
+     */
+    _getConfigLabel(value) {
+        return value === '__current__' ? '当前配置' : value;
+    }
+
+    /**
+     * 显示进度
+     * @param {string} message - 进度文本
+     * @private
+     */
+    _setProgress(message) {
+        const progress = document.getElementById('evaluationProgress');
+        if (progress) {
+            progress.textContent = message;
+        }
+    }
+
+    /**
+     * 渲染评估结果
+     * @param {Object} result - 包含a、b（不对比时为null）两份报告和changes
+     * @param {Object} context - 包含labelA、labelB、invalid（CatID无效的条目）、errors（解析错误）
+     * @private
+     */
+    _renderResults(result, context) {
+        const container = document.getElementById('evaluationResults');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const reports = result.b ? [result.a, result.b] : [result.a];
+        const labels = result.b ? [context.labelA, context.labelB] : [context.labelA];
+
+        // 跳过的条目
+        const skipped = [
+            ...context.errors,
+            ...context.invalid.map(entry => `${entry.filename}: CatID "${entry.catID}" 不在当前术语表中`)
+        ];
+        if (skipped.length > 0) {
+            const details = document.createElement('details');
+            const summary = document.createElement('summary');
+            summary.textContent = `跳过 ${skipped.length} 个条目`;
+            details.appendChild(summary);
+            const list = document.createElement('div');
+            list.className = 'evaluation-skipped';
+            list.textContent = skipped.join('\n');
+            details.appendChild(list);
+            container.appendChild(details);
+        }
+
+        // 总体准确率
+        this._appendTable(container, '总体准确率', ['指标', ...labels], [
+            ['Top-1', ...reports.map(report => this._formatAccuracy(report.top1))],
+            ['Top-3', ...reports.map(report => this._formatAccuracy(report.top3))]
+        ]);
+
+        // 每个策略单独启用时的准确率
+        const strategyKeys = Array.from(new Set(reports.flatMap(report => report.byStrategy.map(item => item.key))));
+        if (strategyKeys.length > 0) {
+            this._appendTable(container, '单独启用每个策略', ['策略', ...labels], strategyKeys.map(key => [
+                this._getStrategyName(key),
+                ...reports.map(report => {
+                    const item = report.byStrategy.find(stat => stat.key === key);
+                    return item
+                        ? `${this._formatAccuracy(item)}，有结果 ${item.matched}${item.enabled ? '' : '（未启用）'}`
+                        : '-';
+                })
+            ]));
+        }
+
+        // 每个分类的准确率
+        const categories = result.a.byCategory.map(item => item.category);
+        this._appendTable(container, '各分类Top-1准确率', ['分类', ...labels], categories.map(category => {
+            const first = result.a.byCategory.find(item => item.category === category);
+            return [
+                first.categoryZh ? `${category}（${first.categoryZh}）` : category,
+                ...reports.map(report => this._formatAccuracy(report.byCategory.find(item => item.category === category)))
+            ];
+        }));
+
+        // 最常见的错误分类
+        reports.forEach((report, index) => {
+            this._appendTable(container, `最常见的错误分类（${labels[index]}）`, ['正确CatID', '实际结果', '次数', '文件'],
+                report.confusions.map(confusion => [
+                    confusion.expected,
+                    confusion.actual || '（无结果）',
+                    String(confusion.count),
+                    confusion.filenames.join(', ')
+                ]));
+        });
+
+        // 两套配置结果不同的文件
+        if (result.b) {
+            const changeLabels = { fixed: '改正', broken: '改错', changed: '仍错误' };
+            this._appendTable(container, `结果不同的文件（${result.changes.length}）`,
+                ['文件', '正确CatID', labels[0], labels[1], '变化'],
+                result.changes.map(change => [
+                    change.filename,
+                    change.expected,
+                    change.a || '（无结果）',
+                    change.b || '（无结果）',
+                    changeLabels[change.change]
+                ]));
+        }
+    }
+
+    /**
+     * 添加结果表格
+     * @param {HTMLElement} container - 容器元素
+     * @param {string} title - 标题
+     * @param {Array<string>} headers - 表头
+     * @param {Array<Array<string>>} rows - 表格行
+     * @private
+     */
+    _appendTable(container, title, headers, rows) {
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        container.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'preview-table evaluation-table';
+
+        const headerRow = document.createElement('tr');
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        if (rows.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td colspan="${headers.length}" class="empty-message">无</td>`;
+            tbody.appendChild(row);
+        }
+        rows.forEach(cells => {
+            const row = document.createElement('tr');
+            cells.forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value;
+                row.appendChild(td);
+            });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+
+        container.appendChild(table);
+    }
+
+    /**
+     * 格式化准确率
+     * @param {Object} stat - 包含correct、total、accuracy
+     * @returns {string} 如"12/20 (60.0%)"
+     * @private
+     */
+    _formatAccuracy(stat) {
+        if (!stat) return '-';
+        return `${stat.correct}/${stat.total} (${(stat.accuracy * 100).toFixed(1)}%)`;
+    }
+
+    /**
+     * 获取策略显示名称
+     * @param {string} key - 策略键名
+     * @returns {string} 显示名称
+     * @private
+     */
+    _getStrategyName(key) {
+        const panel = window.pluginState && window.pluginState.matchingStrategyPanel;
+        return panel ? panel.getStrategyDisplayName(key) : key;
+    }
+}
+
+// 导出ClassificationEvaluationPanel
+window.ClassificationEvaluationPanel = ClassificationEvaluationPanel;
@@ -0,0 +1,335 @@
+/**
+ * 用户术语库面板
+ * 提供术语的增删改、CSV导入导出以及与内置术语的优先级设置
+ */
+class GlossaryPanel {
+    /**
+     * 表单字段定义
+     */
+    static FIELDS = [
+        { key: 'term', label: '术语', placeholder: 'Whoosh' },
+        { key: 'termZh', label: '中文术语', placeholder: '呼啸' },
+        { key: 'catID', label: 'CatID', placeholder: 'WHSHSwsh' },
+        { key: 'categoryZh', label: '主分类中文', placeholder: '留空则使用UCS' },
+        { key: 'subCategoryZh', label: '子分类中文', placeholder: '留空则使用UCS' },
+        { key: 'synonyms', label: '同义词', placeholder: '逗号分隔' },
+        { key: 'synonymsZh', label: '中文同义词', placeholder: '逗号分隔' }
+    ];
+
+    /**
+     * 构造函数
+     * @param {UserGlossary} userGlossary - 用户术语库实例
+     */
+    constructor(userGlossary) {
+        this.userGlossary = userGlossary;
+        this.container = null;
+        this.editingId = null;
+        this.initialized = false;
+    }
+
+    /**
+     * 初始化面板
+     * @param {HTMLElement} container - 容器元素
+     * @returns {boolean} 是否初始化成功
+     */
+    initialize(container) {
+        if (!container) {
+            console.error('初始化术语库面板失败: 未提供容器元素');
+            return false;
+        }
+
+        this.container = container;
+
+        // 渲染面板
+        this.render();
+
+        // 添加事件监听器
+        this.addEventListeners();
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * 渲染面板
+     */
+    render() {
+        if (!this.container) return;
+
+        const settings = this.userGlossary.settings;
+        this.container.innerHTML = '';
+
+        // 启用开关和优先级
+        const settingsRow = document.createElement('div');
+        settingsRow.className = 'glossary-settings';
+        settingsRow.innerHTML = `
+            <label><input type="checkbox" data-action="enabled"> 启用用户术语库</label>
+            <label>优先级:
+                <select data-action="priority">
+                    <option value="override">优先于UCS术语</option>
+                    <option value="boost">提高匹配分数</option>
+                    <option value="fallback">仅在UCS未匹配时使用</option>
+                </select>
+            </label>
+            <label class="glossary-boost">提升比例:
+                <input type="number" min="0" max="1" step="0.1" data-action="boost">
+            </label>
+        `;
+        settingsRow.querySelector('[data-action="enabled"]').checked = settings.enabled;
+        settingsRow.querySelector('[data-action="priority"]').value = settings.priority;
+        settingsRow.querySelector('[data-action="boost"]').value = settings.boost;
+        settingsRow.querySelector('.glossary-boost').style.display = settings.priority === 'boost' ? '' : 'none';
+        this.container.appendChild(settingsRow);
+
+        // 编辑表单
+        const form = document.createElement('div');
+        form.className = 'glossary-form';
+        const editing = this.editingId ? this.userGlossary.getEntry(this.editingId) : null;
+        GlossaryPanel.FIELDS.forEach(field => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'glossary-input';
+            input.dataset.field = field.key;
+            input.placeholder = `${field.label} (${field.placeholder})`;
+            input.title = field.label;
+            input.value = editing ? (editing[field.key] || '') : '';
+            form.appendChild(input);
+        });
+        this.container.appendChild(form);
+
+        // 操作按钮
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'button-container';
+        buttonContainer.innerHTML = `
+            <button class="btn btn-primary" data-action="save">${editing ? '保存修改' : '添加术语'}</button>
+            ${editing ? '<button class="btn" data-action="cancel">取消编辑</button>' : ''}
+            <button class="btn" data-action="import">导入CSV</button>
+            <button class="btn" data-action="export">导出CSV</button>
+            <label><input type="checkbox" class="glossary-import-replace"> 导入时替换现有术语</label>
+            <input type="file" class="glossary-import-input" accept=".csv" style="display: none;">
+        `;
+        this.container.appendChild(buttonContainer);
+
+        // 术语表格
+        const entries = this.userGlossary.getEntries();
+        const table = document.createElement('table');
+        table.className = 'glossary-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    ${GlossaryPanel.FIELDS.map(field => `<th>${field.label}</th>`).join('')}
+                    <th>操作</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td colspan="${GlossaryPanel.FIELDS.length + 1}" class="empty-message">暂无自定义术语</td>`;
+            tbody.appendChild(row);
+        }
+
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            GlossaryPanel.FIELDS.forEach(field => {
+                const cell = document.createElement('td');
+                cell.textContent = entry[field.key] || '';
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.innerHTML = `
+                <button class="btn btn-small" data-action="edit" data-id="${entry.id}">编辑</button>
+                <button class="btn btn-small" data-action="delete" data-id="${entry.id}">删除</button>
+            `;
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+
+        this.container.appendChild(table);
+
+        const summary = document.createElement('p');
+        summary.className = 'panel-description';
+        summary.textContent = `共 ${entries.length} 个自定义术语`;
+        this.container.appendChild(summary);
+    }
+
+    /**
+     * 添加事件监听器
+     */
+    addEventListeners() {
+        if (!this.container) return;
+
+        // 使用事件委托处理所有点击事件
+        this.container.addEventListener('click', (event) => {
+            const target = event.target;
+            const action = target.dataset.action;
+
+            switch (action) {
+                case 'save':
+                    this.saveEntry();
+                    break;
+                case 'cancel':
+                    this.editingId = null;
+                    this.render();
+                    break;
+                case 'edit':
+                    this.editingId = target.dataset.id;
+                    this.render();
+                    break;
+                case 'delete':
+                    this.deleteEntry(target.dataset.id);
+                    break;
+                case 'import':
+                    this.container.querySelector('.glossary-import-input').click();
+                    break;
+                case 'export':
+                    this.exportCSV();
+                    break;
+            }
+        });
+
+        // 处理设置和文件选择变化
+        this.container.addEventListener('change', (event) => {
+            const target = event.target;
+
+            if (target.classList.contains('glossary-import-input')) {
+                if (target.files && target.files[0]) {
+                    this.importCSV(target.files[0]);
+                }
+                target.value = '';
+                return;
+            }
+
+            switch (target.dataset.action) {
+                case 'enabled':
+                    this.userGlossary.setSettings({ enabled: target.checked });
+                    break;
+                case 'priority':
+                    this.userGlossary.setSettings({ priority: target.value });
+                    this.render();
+                    break;
+                case 'boost': {
+                    const boost = parseFloat(target.value);
+                    if (isNaN(boost) || boost < 0 || boost > 1) {
+                        alert('提升比例必须在0到1之间');
+                        target.value = this.userGlossary.settings.boost;
+                        return;
+                    }
+                    this.userGlossary.setSettings({ boost });
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * 保存表单中的术语（新增或修改）
+     */
+    saveEntry() {
+        const entry = {};
+        this.container.querySelectorAll('.glossary-input').forEach(input => {
+            entry[input.dataset.field] = input.value;
+        });
+
+        try {
+            if (this.editingId) {
+                this.userGlossary.updateEntry(this.editingId, entry);
+                this.editingId = null;
+            } else {
+                this.userGlossary.addEntry(entry);
+            }
+
+            this._warnUnknownCatID(entry.catID);
+            this.render();
+        } catch (error) {
+            alert(`保存术语失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除术语
+     * @param {string} id - 条目ID
+     */
+    deleteEntry(id) {
+        const entry = this.userGlossary.getEntry(id);
+        if (!entry) return;
+
+        if (!confirm(`确定要删除术语 ${entry.term || entry.termZh} 吗？`)) {
+            return;
+        }
+
+        this.userGlossary.removeEntry(id);
+        if (this.editingId === id) {
+            this.editingId = null;
+        }
+        this.render();
+    }
+
+    /**
+     * CatID不在UCS术语表中时提醒用户（仍允许保存，用于工作室自定义分类）
+     * @param {string} catID - CatID
+     * @private
+     */
+    _warnUnknownCatID(catID) {
+        const matcher = window.pluginState && window.pluginState.csvMatcher;
+        if (!matcher || !Array.isArray(matcher.stockTerms) || matcher.stockTerms.length === 0) return;
+
+        if (!matcher.stockTerms.some(term => term.catID === catID.trim())) {
+            alert(`CatID ${catID} 不在UCS术语表中，将作为自定义分类使用`);
+        }
+    }
+
+    /**
+     * 从CSV文件导入术语
+     * @param {File} file - CSV文件
+     */
+    async importCSV(file) {
+        try {
+            const text = await file.text();
+            const replaceCheckbox = this.container.querySelector('.glossary-import-replace');
+            const result = this.userGlossary.importCSV(text, {
+                replace: replaceCheckbox ? replaceCheckbox.checked : false
+            });
+
+            let message = `导入完成: 新增 ${result.added} 个，更新 ${result.updated} 个`;
+            if (result.skipped > 0) {
+                message += `，跳过 ${result.skipped} 个\n` + result.errors.slice(0, 10).join('\n');
+            }
+            alert(message);
+
+            this.editingId = null;
+            this.render();
+        } catch (error) {
+            Logger.error('导入术语库失败', error);
+            alert(`导入术语库失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出术语为CSV文件
+     */
+    exportCSV() {
+        const entries = this.userGlossary.getEntries();
+        if (entries.length === 0) {
+            alert('术语库为空，没有可导出的内容');
+            return;
+        }
+
+        // 添加BOM，方便表格软件正确识别中文
+        const blob = new Blob(['\uFEFF' + this.userGlossary.exportCSV()], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `user-glossary-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 导出GlossaryPanel
+window.GlossaryPanel = GlossaryPanel;
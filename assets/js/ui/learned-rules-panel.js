@@ -0,0 +1,260 @@
+/**
+ * 纠正记忆面板
+ * 查看、删除和导入导出在预览中学习到的分类规则和翻译规则
+ */
+class LearnedRulesPanel {
+    /**
+     * 构造函数
+     * @param {CorrectionMemory} correctionMemory - 纠正记忆实例
+     */
+    constructor(correctionMemory) {
+        this.correctionMemory = correctionMemory;
+        this.container = null;
+        this.filter = ''; // 显示的规则类型，空字符串为全部
+        this.initialized = false;
+    }
+
+    /**
+     * 初始化面板
+     * @param {HTMLElement} container - 容器元素
+     * @returns {boolean} 是否初始化成功
+     */
+    initialize(container) {
+        if (!container) {
+            console.error('初始化纠正记忆面板失败: 未提供容器元素');
+            return false;
+        }
+
+        this.container = container;
+
+        // 渲染面板
+        this.render();
+
+        // 添加事件监听器
+        this.addEventListeners();
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * 渲染面板
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+
+        // 启用开关和类型筛选
+        const settingsRow = document.createElement('div');
+        settingsRow.className = 'glossary-settings';
+        settingsRow.innerHTML = `
+            <label><input type="checkbox" data-action="enabled"> 启用纠正记忆</label>
+            <label>显示:
+                <select data-action="filter">
+                    <option value="">全部规则</option>
+                    <option value="category">分类规则</option>
+                    <option value="translation">翻译规则</option>
+                </select>
+            </label>
+        `;
+        settingsRow.querySelector('[data-action="enabled"]').checked = this.correctionMemory.settings.enabled;
+        settingsRow.querySelector('[data-action="filter"]').value = this.filter;
+        this.container.appendChild(settingsRow);
+
+        // 操作按钮
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'button-container';
+        buttonContainer.innerHTML = `
+            <button class="btn" data-action="import">导入JSON</button>
+            <button class="btn" data-action="export">导出JSON</button>
+            <button class="btn" data-action="clear">清空</button>
+            <input type="file" class="learned-rules-import-input" accept=".json" style="display: none;">
+        `;
+        this.container.appendChild(buttonContainer);
+
+        // 规则表格
+        const rules = this.correctionMemory.getRules(this.filter || null);
+        const table = document.createElement('table');
+        table.className = 'glossary-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>类型</th>
+                    <th>原文 / 词组</th>
+                    <th>结果</th>
+                    <th>确认次数</th>
+                    <th>更新时间</th>
+                    <th>操作</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+
+        if (rules.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td colspan="6" class="empty-message">暂无学习到的规则。在预览中选择其他匹配或双击修改名称，应用文件名后会记住这些纠正</td>';
+            tbody.appendChild(row);
+        }
+
+        rules.forEach(rule => {
+            const row = document.createElement('tr');
+            const cells = rule.type === 'category'
+                ? ['分类', rule.key, rule.catID]
+                : [`翻译（${rule.language}）`, rule.source, rule.translation];
+            cells.push(String(rule.count || 1), new Date(rule.updatedAt).toLocaleString());
+
+            cells.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index === 1 && rule.type === 'category' && rule.example) {
+                    cell.title = `来自: ${rule.example}`;
+                }
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.innerHTML = `<button class="btn btn-small" data-action="delete" data-id="${rule.id}">删除</button>`;
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+
+        this.container.appendChild(table);
+
+        const summary = document.createElement('p');
+        summary.className = 'panel-description';
+        summary.textContent = `分类规则 ${this.correctionMemory.getRules('category').length} 条，翻译规则 ${this.correctionMemory.getRules('translation').length} 条`;
+        this.container.appendChild(summary);
+    }
+
+    /**
+     * 添加事件监听器
+     */
+    addEventListeners() {
+        if (!this.container) return;
+
+        // 使用事件委托处理所有点击事件
+        this.container.addEventListener('click', (event) => {
+            const target = event.target;
+
+            switch (target.dataset.action) {
+                case 'delete':
+                    this.deleteRule(target.dataset.id);
+                    break;
+                case 'clear':
+                    this.clearRules();
+                    break;
+                case 'import': {
+                    const input = this.container.querySelector('.learned-rules-import-input');
+                    if (input) input.click();
+                    break;
+                }
+                case 'export':
+                    this.exportJSON();
+                    break;
+            }
+        });
+
+        // 处理设置和文件选择变化
+        this.container.addEventListener('change', (event) => {
+            const target = event.target;
+
+            if (target.classList.contains('learned-rules-import-input')) {
+                if (target.files && target.files[0]) {
+                    this.importJSON(target.files[0]);
+                }
+                target.value = '';
+                return;
+            }
+
+            switch (target.dataset.action) {
+                case 'enabled':
+                    this.correctionMemory.setSettings({ enabled: target.checked });
+                    break;
+                case 'filter':
+                    this.filter = target.value;
+                    this.render();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * 删除规则
+     * @param {string} id - 规则ID
+     */
+    deleteRule(id) {
+        const rule = this.correctionMemory.getRule(id);
+        if (!rule) return;
+
+        const description = rule.type === 'category'
+            ? `${rule.key} -> ${rule.catID}`
+            : `${rule.source} -> ${rule.translation}`;
+        if (!confirm(`确定要删除规则 ${description} 吗？`)) {
+            return;
+        }
+
+        this.correctionMemory.removeRule(id);
+        this.render();
+    }
+
+    /**
+     * 清空当前显示类型的规则
+     */
+    clearRules() {
+        const rules = this.correctionMemory.getRules(this.filter || null);
+        if (rules.length === 0) return;
+
+        if (!confirm(`确定要删除显示的 ${rules.length} 条规则吗？此操作无法撤销`)) {
+            return;
+        }
+
+        this.correctionMemory.clear(this.filter || null);
+        this.render();
+    }
+
+    /**
+     * 从JSON文件导入规则
+     * @param {File} file - JSON文件
+     */
+    async importJSON(file) {
+        try {
+            const result = this.correctionMemory.importJSON(await file.text());
+
+            let message = `导入完成: ${result.imported} 条规则`;
+            if (result.skipped > 0) {
+                message += `，跳过 ${result.skipped} 条无效规则`;
+            }
+            alert(message);
+
+            this.render();
+        } catch (error) {
+            Logger.error('导入纠正记忆失败', error);
+            alert(`导入纠正记忆失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出规则为JSON文件
+     */
+    exportJSON() {
+        if (this.correctionMemory.getRules().length === 0) {
+            alert('纠正记忆为空，没有可导出的内容');
+            return;
+        }
+
+        const blob = new Blob([this.correctionMemory.exportJSON()], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `learned-corrections-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 导出LearnedRulesPanel
+window.LearnedRulesPanel = LearnedRulesPanel;
@@ -96,6 +96,70 @@ class MatchingStrategyPanel {
         resetButton.className = 'reset-button';
         resetButton.dataset.action = 'reset';
         buttonContainer.appendChild(resetButton);
+
+        // 评估按钮
+        const evaluateButton = document.createElement('button');
+        evaluateButton.textContent = '评估分类准确率';
+        evaluateButton.className = 'btn';
+        evaluateButton.dataset.action = 'evaluate';
+        buttonContainer.appendChild(evaluateButton);
+
+        // 保存的配置
+        this.container.appendChild(this.createSavedConfigsSection());
+    }
+
+    /**
+     * 创建保存的配置区域：以名称保存当前配置，应用或删除保存的配置
+     * @returns {HTMLElement} 区域元素
+     */
+    createSavedConfigsSection() {
+        const section = document.createElement('div');
+        section.className = 'saved-configs';
+
+        const title = document.createElement('h4');
+        title.textContent = '保存的配置';
+        section.appendChild(title);
+
+        const form = document.createElement('div');
+        form.className = 'saved-config-form';
+        form.innerHTML = `
+            <input type="text" class="saved-config-name" placeholder="配置名称">
+            <button class="btn btn-small" data-action="save-config">保存当前配置</button>
+        `;
+        section.appendChild(form);
+
+        const saved = window.MatchingStrategyConfig.getSavedConfigs();
+        const names = Object.keys(saved).sort();
+
+        if (names.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'strategy-description';
+            empty.textContent = '暂无保存的配置，保存后可在评估时对比';
+            section.appendChild(empty);
+        }
+
+        names.forEach(name => {
+            const item = document.createElement('div');
+            item.className = 'saved-config-item';
+
+            const label = document.createElement('span');
+            label.className = 'saved-config-label';
+            label.textContent = `${name}（${new Date(saved[name].savedAt).toLocaleString()}）`;
+            item.appendChild(label);
+
+            [['apply-config', '应用'], ['delete-config', '删除']].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small';
+                button.textContent = text;
+                button.dataset.action = action;
+                button.dataset.name = name;
+                item.appendChild(button);
+            });
+
+            section.appendChild(item);
+        });
+
+        return section;
     }
 
     /**
@@ -141,7 +205,7 @@ class MatchingStrategyPanel {
 
         const priorityInput = document.createElement('input');
         priorityInput.type = 'number';
-        priorityInput.min = '1';
+        priorityInput.min = '0';
         priorityInput.max = '10';
         priorityInput.value = strategy.priority;
         priorityInput.className = 'priority-input';
@@ -155,26 +219,28 @@ class MatchingStrategyPanel {
         description.className = 'strategy-description';
         item.appendChild(description);
 
-        // 阈值设置
-        const thresholdContainer = document.createElement('div');
-        thresholdContainer.className = 'threshold-container';
-        item.appendChild(thresholdContainer);
-
-        const thresholdLabel = document.createElement('span');
-        thresholdLabel.textContent = '匹配阈值:';
-        thresholdLabel.className = 'threshold-label';
-        thresholdContainer.appendChild(thresholdLabel);
-
-        const thresholdInput = document.createElement('input');
-        thresholdInput.type = 'number';
-        thresholdInput.step = key === 'bilingualTextMatch' ? '10' : '0.1';
-        thresholdInput.min = key === 'bilingualTextMatch' ? '0' : '0';
-        thresholdInput.max = key === 'bilingualTextMatch' ? '1000' : '1';
-        thresholdInput.value = strategy.threshold;
-        thresholdInput.className = 'threshold-input';
-        thresholdInput.dataset.action = 'threshold';
-        thresholdInput.dataset.key = key;
-        thresholdContainer.appendChild(thresholdInput);
+        // 阈值设置（纠正记忆匹配没有阈值）
+        if (strategy.threshold !== undefined) {
+            const thresholdContainer = document.createElement('div');
+            thresholdContainer.className = 'threshold-container';
+            item.appendChild(thresholdContainer);
+
+            const thresholdLabel = document.createElement('span');
+            thresholdLabel.textContent = '匹配阈值:';
+            thresholdLabel.className = 'threshold-label';
+            thresholdContainer.appendChild(thresholdLabel);
+
+            const thresholdInput = document.createElement('input');
+            thresholdInput.type = 'number';
+            thresholdInput.step = key === 'bilingualTextMatch' ? '10' : '0.1';
+            thresholdInput.min = key === 'bilingualTextMatch' ? '0' : '0';
+            thresholdInput.max = key === 'bilingualTextMatch' ? '1000' : '1';
+            thresholdInput.value = strategy.threshold;
+            thresholdInput.className = 'threshold-input';
+            thresholdInput.dataset.action = 'threshold';
+            thresholdInput.dataset.key = key;
+            thresholdContainer.appendChild(thresholdInput);
+        }
 
         // 添加特定策略的额外参数
         if (key === 'bilingualTextMatch') {
@@ -277,6 +343,7 @@ class MatchingStrategyPanel {
      */
     getStrategyDisplayName(key) {
         const displayNames = {
+            learnedCorrectionMatch: '纠正记忆匹配 (学习到的规则)',
             bilingualTextMatch: '双语匹配 (中英文结合)',
             enhancedTextMatch: '基于词性系统的匹配',
             originalTextMatch: '翻译文本直接匹配',
@@ -309,6 +376,20 @@ class MatchingStrategyPanel {
                 case 'reset':
                     this.resetConfig();
                     break;
+                case 'evaluate':
+                    if (window.pluginState && window.pluginState.classificationEvaluationPanel) {
+                        window.pluginState.classificationEvaluationPanel.show();
+                    }
+                    break;
+                case 'save-config':
+                    this.saveConfigAs(this.container.querySelector('.saved-config-name').value);
+                    break;
+                case 'apply-config':
+                    this.applySavedConfig(target.dataset.name);
+                    break;
+                case 'delete-config':
+                    this.deleteSavedConfig(target.dataset.name);
+                    break;
             }
         });
 
@@ -373,7 +454,7 @@ class MatchingStrategyPanel {
      * @param {number} priority - 优先级
      */
     setPriority(key, priority) {
-        if (isNaN(priority) || priority < 1) {
+        if (isNaN(priority) || priority < 0) {
             console.warn('无效的优先级值:', priority);
             return;
         }
@@ -474,6 +555,82 @@ class MatchingStrategyPanel {
         }
     }
 
+    /**
+     * 以指定名称保存当前配置
+     * @param {string} name - 配置名称
+     */
+    saveConfigAs(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            alert('请输入配置名称');
+            return;
+        }
+
+        if (window.MatchingStrategyConfig.getSavedConfigs()[trimmed] &&
+            !confirm(`配置"${trimmed}"已存在，确定要覆盖吗？`)) {
+            return;
+        }
+
+        try {
+            this.config.saveAs(trimmed);
+            console.log(`已保存匹配策略配置: ${trimmed}`);
+            this.render();
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * 将保存的配置应用为当前配置
+     * @param {string} name - 配置名称
+     */
+    applySavedConfig(name) {
+        const saved = window.MatchingStrategyConfig.fromSavedConfig(name);
+        if (!saved) {
+            alert(`找不到保存的配置: ${name}`);
+            return;
+        }
+
+        if (!confirm(`确定要将当前配置替换为"${name}"吗？`)) {
+            return;
+        }
+
+        Object.entries(saved.strategies).forEach(([key, strategy]) => {
+            this.config.strategies[key] = { ...strategy };
+        });
+        this.config.saveToLocalStorage();
+
+        // 更新全局状态
+        if (window.pluginState) {
+            window.pluginState.matchingStrategyConfig = this.config;
+
+            if (window.pluginState.fuseMatcher) {
+                window.pluginState.fuseMatcher.matchingStrategyConfig = this.config;
+            }
+
+            if (window.pluginState.csvMatcher) {
+                window.pluginState.csvMatcher.matchingStrategyConfig = this.config;
+            }
+        }
+
+        console.log(`已应用匹配策略配置: ${name}，当前启用的策略:`,
+            this.config.getEnabledStrategies().map(s => s.key).join(', '));
+        this.render();
+    }
+
+    /**
+     * 删除保存的配置
+     * @param {string} name - 配置名称
+     */
+    deleteSavedConfig(name) {
+        if (!confirm(`确定要删除配置"${name}"吗？`)) {
+            return;
+        }
+
+        window.MatchingStrategyConfig.deleteSavedConfig(name);
+        this.render();
+    }
+
     /**
      * 重置配置
      */
@@ -0,0 +1,302 @@
+/**
+ * 命名配置方案面板
+ * 一键切换方案，将当前设置保存为方案，删除和导入导出方案
+ */
+class NamingProfilePanel {
+    /**
+     * 构造函数
+     * @param {NamingProfiles} namingProfiles - 命名配置方案
+     * @param {Object} options - 选项
+     * @param {Function} options.getSources - 获取当前设置来源，见NamingProfiles.capture
+     * @param {Function} options.getTargets - 获取切换方案时的应用目标，见NamingProfiles.applyProfile
+     * @param {Function} [options.onApplied] - 切换方案后的回调，用于同步界面
+     * @param {Function} [options.getFiles] - 获取测试正则表达式用的文件（当前选中的文件），可以返回Promise
+     */
+    constructor(namingProfiles, options = {}) {
+        this.namingProfiles = namingProfiles;
+        this.getSources = options.getSources || (() => ({}));
+        this.getTargets = options.getTargets || (() => ({}));
+        this.onApplied = options.onApplied || null;
+        this.getFiles = options.getFiles || null;
+        this.container = null;
+        this.initialized = false;
+    }
+
+    /**
+     * 初始化面板
+     * @param {HTMLElement} container - 容器元素
+     * @returns {boolean} 是否初始化成功
+     */
+    initialize(container) {
+        if (!container) {
+            console.error('初始化命名配置方案面板失败: 未提供容器元素');
+            return false;
+        }
+
+        this.container = container;
+
+        // 渲染面板
+        this.render();
+
+        // 添加事件监听器
+        this.addEventListeners();
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * 渲染面板
+     */
+    render() {
+        if (!this.container) return;
+
+        const profiles = this.namingProfiles.getProfiles();
+        const active = this.namingProfiles.getActiveProfile();
+
+        this.container.innerHTML = `
+            <div class="glossary-settings">
+                <label>方案:
+                    <select data-action="switch"></select>
+                </label>
+                <button class="btn btn-small" data-action="update">保存修改</button>
+                <button class="btn btn-small" data-action="delete">删除方案</button>
+                <input type="text" class="naming-profile-name" placeholder="方案名称" style="width: 120px;">
+                <button class="btn btn-small" data-action="saveAs">另存为方案</button>
+            </div>
+            <div class="button-container">
+                <button class="btn" data-action="import">导入JSON</button>
+                <button class="btn" data-action="export">导出JSON</button>
+                <input type="file" class="naming-profile-import-input" accept=".json" style="display: none;">
+            </div>
+            <p class="panel-description naming-profile-status"></p>
+        `;
+
+        const select = this.container.querySelector('[data-action="switch"]');
+        [{ name: '' }, ...profiles].forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name || (profiles.length > 0 ? '选择方案...' : '还没有保存的方案');
+            select.appendChild(option);
+        });
+        select.value = active ? active.name : '';
+
+        const status = this.container.querySelector('.naming-profile-status');
+        if (active) {
+            status.textContent = this.namingProfiles.isModified(active.name, this.getSources())
+                ? `当前方案“${active.name}”有未保存的修改`
+                : `当前方案: ${active.name}`;
+        } else {
+            status.textContent = '方案包含命名规则、翻译设置中的语言和命名风格、匹配策略和批量重命名操作，不包含API密钥';
+        }
+    }
+
+    /**
+     * 添加事件监听器
+     */
+    addEventListeners() {
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-action]');
+            if (!target || target.tagName === 'SELECT') return;
+
+            switch (target.dataset.action) {
+                case 'update':
+                    this.updateActiveProfile();
+                    break;
+                case 'delete':
+                    this.deleteActiveProfile();
+                    break;
+                case 'saveAs':
+                    this.saveAs();
+                    break;
+                case 'import': {
+                    const input = this.container.querySelector('.naming-profile-import-input');
+                    if (input) input.click();
+                    break;
+                }
+                case 'export':
+                    this.exportJSON();
+                    break;
+            }
+        });
+
+        this.container.addEventListener('change', (event) => {
+            const target = event.target;
+
+            if (target.classList.contains('naming-profile-import-input')) {
+                if (target.files && target.files[0]) {
+                    this.importJSON(target.files[0]);
+                }
+                target.value = '';
+                return;
+            }
+
+            if (target.dataset.action === 'switch' && target.value) {
+                this.switchProfile(target.value);
+            }
+        });
+    }
+
+    /**
+     * 切换到方案，当前方案有未保存的修改时先确认
+     * 方案中的正则表达式先在当前选中的文件上测试，执行超时时不切换
+     * @param {string} name - 方案名称
+     */
+    async switchProfile(name) {
+        const active = this.namingProfiles.getActiveProfile();
+        if (active && active.name !== name && this.namingProfiles.isModified(active.name, this.getSources()) &&
+            !confirm(`当前方案“${active.name}”有未保存的修改，切换后这些修改会丢失，确定要切换到“${name}”吗？`)) {
+            this.render();
+            return;
+        }
+
+        try {
+            await this._checkRegex(this.namingProfiles.getProfile(name));
+            const profile = this.namingProfiles.applyProfile(name, this.getTargets());
+            if (typeof this.onApplied === 'function') {
+                this.onApplied(profile);
+            }
+        } catch (error) {
+            Logger.error('切换命名配置方案失败', error);
+            alert(`切换命名配置方案失败: ${error.message}`);
+        }
+        this.render();
+    }
+
+    /**
+     * 将当前设置保存到当前方案
+     */
+    updateActiveProfile() {
+        const active = this.namingProfiles.getActiveProfile();
+        if (!active) {
+            alert('请先选择方案，或输入名称另存为新方案');
+            return;
+        }
+
+        this._save(active.name);
+    }
+
+    /**
+     * 将当前设置另存为方案
+     */
+    saveAs() {
+        const name = this.container.querySelector('.naming-profile-name').value.trim();
+        if (!name) {
+            alert('请输入方案名称');
+            return;
+        }
+
+        if (this.namingProfiles.getProfile(name) && !confirm(`方案“${name}”已存在，确定要覆盖吗？`)) {
+            return;
+        }
+
+        this._save(name);
+    }
+
+    /**
+     * 保存方案
+     * @param {string} name - 方案名称
+     * @private
+     */
+    _save(name) {
+        try {
+            this.namingProfiles.saveProfile(name, this.getSources());
+        } catch (error) {
+            alert(`保存命名配置方案失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除当前方案
+     */
+    deleteActiveProfile() {
+        const active = this.namingProfiles.getActiveProfile();
+        if (!active) {
+            alert('请先选择方案');
+            return;
+        }
+
+        if (!confirm(`确定要删除方案“${active.name}”吗？当前设置不会改变`)) {
+            return;
+        }
+
+        this.namingProfiles.deleteProfile(active.name);
+    }
+
+    /**
+     * 在当前选中的文件上测试方案中批量重命名操作和预设的正则表达式，见BatchRenamer.checkRegexOperations
+     * @param {Object} profile - 方案
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _checkRegex(profile) {
+        const settings = profile && profile.batchRenamer;
+        if (!settings || typeof settings !== 'object') return;
+
+        const presets = Array.isArray(settings.presets) ? settings.presets : [];
+        const operations = [
+            ...(Array.isArray(settings.operations) ? settings.operations : []),
+            ...presets.flatMap(preset => (preset && Array.isArray(preset.operations) ? preset.operations : []))
+        ];
+        const files = this.getFiles ? (await this.getFiles()) || [] : [];
+        await new BatchRenamer(null).checkRegexOperations(operations, files);
+    }
+
+    /**
+     * 从JSON文件导入方案，正则表达式在当前选中的文件上执行超时的方案跳过
+     * @param {File} file - JSON文件
+     */
+    async importJSON(file) {
+        try {
+            const profiles = NamingProfiles.parseJSON(await file.text());
+            const checked = [];
+            let rejected = 0;
+            for (const profile of profiles) {
+                try {
+                    await this._checkRegex(profile);
+                    checked.push(profile);
+                } catch (error) {
+                    Logger.warn(`跳过命名配置方案 ${profile && profile.name}: ${error.message}`);
+                    rejected++;
+                }
+            }
+
+            const result = this.namingProfiles.importProfiles(checked);
+            result.skipped += rejected;
+
+            let message = `导入完成: ${result.imported} 个方案`;
+            if (result.skipped > 0) {
+                message += `，跳过 ${result.skipped} 个无效方案`;
+            }
+            alert(message);
+        } catch (error) {
+            Logger.error('导入命名配置方案失败', error);
+            alert(`导入命名配置方案失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出所有方案为JSON文件
+     */
+    exportJSON() {
+        if (this.namingProfiles.getProfiles().length === 0) {
+            alert('没有保存的方案，请先将当前设置另存为方案');
+            return;
+        }
+
+        const blob = new Blob([this.namingProfiles.exportJSON()], { type: 'application/json;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `naming-profiles-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 导出NamingProfilePanel
+window.NamingProfilePanel = NamingProfilePanel;
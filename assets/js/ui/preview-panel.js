@@ -6,9 +6,15 @@ class PreviewPanel {
     /**
      * 构造函数
      * @param {FileProcessor} fileProcessor - 文件处理器实例
+     * @param {TranslationJobStore} jobStore - 翻译任务存储实例，可选
+     * @param {CorrectionMemory} correctionMemory - 纠正记忆实例，可选，应用文件名后记住用户的纠正
+     * @param {TranslationMemory} translationMemory - 翻译记忆实例，可选，应用文件名后保存原文/译文对
      */
-    constructor(fileProcessor) {
+    constructor(fileProcessor, jobStore = null, correctionMemory = null, translationMemory = null) {
         this.fileProcessor = fileProcessor;
+        this.jobStore = jobStore;
+        this.correctionMemory = correctionMemory;
+        this.translationMemory = translationMemory;
         this.files = [];
         this.isProcessing = false;
 
@@ -21,12 +27,40 @@ class PreviewPanel {
      * @private
      */
     _initEventListeners() {
+        // 保存的翻译任务
+        const resumeJobBtn = document.getElementById('resumeJobBtn');
+        if (resumeJobBtn) {
+            resumeJobBtn.addEventListener('click', () => this.resumeJob());
+        }
+
+        const reviewJobBtn = document.getElementById('reviewJobBtn');
+        if (reviewJobBtn) {
+            reviewJobBtn.addEventListener('click', () => this.reviewJob());
+        }
+
+        const discardJobBtn = document.getElementById('discardJobBtn');
+        if (discardJobBtn) {
+            discardJobBtn.addEventListener('click', () => this.discardJob());
+        }
+
         // 开始翻译按钮
         const startTranslationBtn = document.getElementById('startTranslationBtn');
         if (startTranslationBtn) {
             startTranslationBtn.addEventListener('click', () => this.startTranslation());
         }
 
+        // 停止翻译按钮
+        const stopTranslationBtn = document.getElementById('stopTranslationBtn');
+        if (stopTranslationBtn) {
+            stopTranslationBtn.addEventListener('click', () => this.stopTranslation());
+        }
+
+        // 不翻译，仅按批量重命名规则处理原文件名
+        const renameOnlyBtn = document.getElementById('renameOnlyBtn');
+        if (renameOnlyBtn) {
+            renameOnlyBtn.addEventListener('click', () => this.renameWithoutTranslation());
+        }
+
         // 应用文件名按钮
         const applyNamesBtn = document.getElementById('applyNamesBtn');
         if (applyNamesBtn) {
@@ -39,6 +73,52 @@ class PreviewPanel {
             backToFilesBtn.addEventListener('click', () => this.backToFiles());
         }
 
+        // 导出预览报告按钮
+        const exportPreviewCsvBtn = document.getElementById('exportPreviewCsvBtn');
+        if (exportPreviewCsvBtn) {
+            exportPreviewCsvBtn.addEventListener('click', () => this.exportPreview('csv'));
+        }
+
+        const exportPreviewJsonBtn = document.getElementById('exportPreviewJsonBtn');
+        if (exportPreviewJsonBtn) {
+            exportPreviewJsonBtn.addEventListener('click', () => this.exportPreview('json'));
+        }
+
+        // 导入预览报告按钮
+        const importPreviewBtn = document.getElementById('importPreviewBtn');
+        const importPreviewInput = document.getElementById('importPreviewInput');
+        if (importPreviewBtn && importPreviewInput) {
+            importPreviewBtn.addEventListener('click', () => importPreviewInput.click());
+            importPreviewInput.addEventListener('change', async () => {
+                const file = importPreviewInput.files[0];
+                importPreviewInput.value = '';
+                if (file) {
+                    await this.importPreview(file);
+                }
+            });
+        }
+
+        // 双击英文描述或中文描述进行修改
+        const previewTableBody = document.getElementById('previewTableBody');
+        if (previewTableBody) {
+            previewTableBody.addEventListener('dblclick', (e) => {
+                if (e.target.closest('.tm-match')) return;
+
+                const cell = e.target.closest('.fx-name, .translation-result');
+                if (cell) {
+                    this._editNameCell(cell);
+                }
+            });
+
+            // 点击翻译记忆提示使用记忆中的译文
+            previewTableBody.addEventListener('click', (e) => {
+                const match = e.target.closest('.tm-match');
+                if (match) {
+                    this._applyMemoryMatch(match.closest('tr'));
+                }
+            });
+        }
+
         // 全选/取消全选
         const selectAllPreviewFiles = document.getElementById('selectAllPreviewFiles');
         if (selectAllPreviewFiles) {
@@ -110,7 +190,7 @@ class PreviewPanel {
                 </td>
                 <td class="fx-name">${file.standardizedName || file.nameWithoutNumber || '等待翻译...'}</td>
                 <td class="translation-result">${file.translatedName || '等待翻译...'}</td>
-                <td class="final-name">${file.formattedName || '等待生成...'}</td>
+                <td class="final-name"></td>
                 <td class="status-cell">
                     <span class="status-${file.status || 'pending'}">
                         ${this._getStatusText(file.status)}
@@ -118,10 +198,182 @@ class PreviewPanel {
                 </td>
             `;
 
+            this._renderFinalName(row.querySelector('.final-name'), file, '等待生成...');
+            this._renderUntranslated(row, file);
+            this._renderMemoryMatch(row, file);
+            this._renderProviders(row, file);
+
             tableBody.appendChild(row);
         });
     }
 
+    /**
+     * 渲染最终文件名单元格，并标记重名和过长的文件名
+     * @param {HTMLElement} cell - 单元格
+     * @param {Object} file - 文件对象
+     * @param {string} placeholder - 没有文件名时的占位文本
+     * @private
+     */
+    _renderFinalName(cell, file, placeholder = '') {
+        if (!cell) return;
+
+        cell.textContent = file.formattedName || placeholder;
+        cell.classList.toggle('name-conflict', !!file.nameConflict);
+
+        const lengthWarnings = Array.isArray(file.lengthWarnings) ? file.lengthWarnings : [];
+        cell.classList.toggle('name-too-long', !file.nameConflict && lengthWarnings.length > 0);
+
+        const messages = [];
+        if (file.nameConflict === 'duplicate') {
+            messages.push('与本批次中其他文件重名');
+        } else if (file.nameConflict === 'existing') {
+            messages.push('与目标文件夹中已有文件重名');
+        }
+        messages.push(...lengthWarnings);
+
+        if (messages.length > 0) {
+            cell.title = messages.join('\n');
+        } else {
+            cell.removeAttribute('title');
+        }
+    }
+
+    /**
+     * 标记翻译结果中未翻译的词（离线词典中查不到的词）
+     * 英文文件名标记在中文描述列，中文文件名标记在英文描述列
+     * @param {HTMLElement} row - 表格行
+     * @param {Object} file - 文件对象
+     * @private
+     */
+    _renderUntranslated(row, file) {
+        const words = Array.isArray(file.untranslatedWords) ? file.untranslatedWords : [];
+        const markedCell = row.querySelector(file.isChinese ? '.fx-name' : '.translation-result');
+        const otherCell = row.querySelector(file.isChinese ? '.translation-result' : '.fx-name');
+
+        if (otherCell) {
+            otherCell.classList.remove('has-untranslated');
+            otherCell.removeAttribute('title');
+        }
+        if (!markedCell) return;
+
+        markedCell.classList.toggle('has-untranslated', words.length > 0);
+        if (words.length > 0) {
+            markedCell.title = `未翻译: ${words.join(', ')}`;
+        } else {
+            markedCell.removeAttribute('title');
+        }
+    }
+
+    /**
+     * 在描述列下方显示翻译记忆中相似的译文及相似度，点击后使用该译文
+     * @param {HTMLElement} row - 表格行
+     * @param {Object} file - 文件对象
+     * @private
+     */
+    _renderMemoryMatch(row, file) {
+        row.querySelectorAll('.tm-match').forEach(element => element.remove());
+
+        const match = file.tmMatch;
+        if (!match || file.status !== 'success' || file[match.field] === match.value) return;
+
+        const cell = row.querySelector(match.field === 'standardizedName' ? '.fx-name' : '.translation-result');
+        if (!cell) return;
+
+        const element = document.createElement('div');
+        element.className = 'tm-match';
+        element.textContent = `记忆 ${Math.round(match.similarity * 100)}%: ${match.value}`;
+        element.title = `翻译记忆: ${match.source} -> ${match.target}\n点击使用此译文`;
+        cell.appendChild(element);
+    }
+
+    /**
+     * 使用行中文件的翻译记忆提示
+     * @param {HTMLElement} row - 表格行
+     * @private
+     */
+    _applyMemoryMatch(row) {
+        if (this.isProcessing || !row) return;
+
+        const index = this.files.findIndex(file => file.id === row.dataset.fileId);
+        const file = this.files[index];
+        if (!file || !file.tmMatch || file.status !== 'success') return;
+
+        this._applyNameEdit(index, file, file.tmMatch.field, file.tmMatch.value);
+    }
+
+    /**
+     * 在状态列显示生成各项结果的翻译服务，悬停查看每项操作和失败的服务
+     * 有服务失败并由备用服务完成时高亮显示
+     * @param {HTMLElement} row - 表格行
+     * @param {Object} file - 文件对象
+     * @private
+     */
+    _renderProviders(row, file) {
+        const statusCell = row.querySelector('.status-cell');
+        if (!statusCell) return;
+
+        const existing = statusCell.querySelector('.result-providers');
+        if (existing) {
+            existing.remove();
+        }
+
+        const resultProviders = file.resultProviders || {};
+        const providerFailures = file.providerFailures || {};
+        const operations = [
+            { key: 'reverseTranslate', label: '反向翻译' },
+            { key: 'classification', label: 'AI分类' },
+            { key: 'standardize', label: '标准化' },
+            { key: 'translate', label: '翻译' }
+        ].filter(operation => resultProviders[operation.key] || providerFailures[operation.key]);
+        if (operations.length === 0) return;
+
+        const service = this.fileProcessor.translationService;
+        const getName = providerId => service && typeof service.getProviderName === 'function'
+            ? service.getProviderName(providerId)
+            : providerId;
+
+        const names = [];
+        const lines = operations.map(operation => {
+            const providerId = resultProviders[operation.key];
+            if (providerId && !names.includes(getName(providerId))) {
+                names.push(getName(providerId));
+            }
+
+            const failures = (providerFailures[operation.key] || [])
+                .map(failure => `${getName(failure.provider)}失败: ${failure.error}`);
+            return `${operation.label}: ${providerId ? getName(providerId) : '全部失败'}` +
+                (failures.length > 0 ? `（${failures.join('；')}）` : '');
+        });
+
+        const element = document.createElement('div');
+        element.className = 'result-providers';
+        element.classList.toggle('provider-fallback', Object.keys(providerFailures).length > 0);
+        element.textContent = names.join(' / ') || '全部失败';
+        element.title = lines.join('\n');
+        statusCell.appendChild(element);
+    }
+
+    /**
+     * 重新分配序号并检测重名，然后刷新表格
+     * @param {Object} options - 传给FileProcessor.resolveNameConflicts的选项
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _refreshNameConflicts(options = {}) {
+        try {
+            const result = await this.fileProcessor.resolveNameConflicts(this.files, options);
+            this.files.forEach((file, index) => this._updateRowData(index, file));
+
+            if (result.duplicates > 0 || result.existing > 0) {
+                this._showStatusMessage(`检测到重名: 本批次内 ${result.duplicates} 个, 与已有文件 ${result.existing} 个`, true);
+            } else if (result.tooLong > 0) {
+                this._showStatusMessage(`有 ${result.tooLong} 个文件名过长（已在最终文件名中标出）`, true);
+            }
+        } catch (error) {
+            Logger.error('检测重名失败', error);
+        }
+    }
+
     /**
      * 获取状态文本
      * @param {string} status - 状态
@@ -191,7 +443,8 @@ class PreviewPanel {
         for (let i = 0; i < file.matchResults.length; i++) {
             const match = file.matchResults[i];
             const selected = i === file.currentMatchRank ? 'selected' : '';
-            html += `<option value="${i}" ${selected}>匹配 ${i+1}: ${match.term.catID}</option>`;
+            const learned = match.matchSource === 'learned' ? '（纠正记忆）' : '';
+            html += `<option value="${i}" ${selected}>匹配 ${i+1}: ${match.term.catID}${learned}</option>`;
         }
 
         // 如果没有匹配结果，添加一个禁用的选项
@@ -246,11 +499,14 @@ class PreviewPanel {
             translationCell.textContent = file.translatedName || '';
         }
 
+        // 标记未翻译的词
+        this._renderUntranslated(row, file);
+
+        // 翻译记忆中相似的译文
+        this._renderMemoryMatch(row, file);
+
         // 更新最终文件名
-        const finalNameCell = row.querySelector('.final-name');
-        if (finalNameCell) {
-            finalNameCell.textContent = file.formattedName || '';
-        }
+        this._renderFinalName(row.querySelector('.final-name'), file);
 
         // 更新状态
         const statusCell = row.querySelector('.status-cell');
@@ -261,6 +517,204 @@ class PreviewPanel {
                 </span>
             `;
         }
+
+        // 显示结果由哪个翻译服务生成
+        this._renderProviders(row, file);
+    }
+
+    /**
+     * 将英文描述或中文描述单元格切换为输入框
+     * 回车或失去焦点时保存，Esc取消；只能修改翻译成功的文件
+     * @param {HTMLElement} cell - 单元格
+     * @private
+     */
+    _editNameCell(cell) {
+        if (this.isProcessing || cell.querySelector('input')) return;
+
+        const row = cell.closest('tr');
+        const index = this.files.findIndex(file => file.id === row.dataset.fileId);
+        const file = this.files[index];
+        if (!file || file.status !== 'success') return;
+
+        const field = cell.classList.contains('fx-name') ? 'standardizedName' : 'translatedName';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'name-edit-input';
+        input.value = file[field] || '';
+        cell.textContent = '';
+        cell.appendChild(input);
+        input.focus();
+        input.select();
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+
+            const value = input.value.trim();
+            if (save && value && value !== file[field]) {
+                this._applyNameEdit(index, file, field, value);
+            } else {
+                this._updateRowData(index, file);
+            }
+        };
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * 应用修改后的英文描述或中文描述，并记录为纠正
+     * @param {number} index - 行索引
+     * @param {Object} file - 文件对象
+     * @param {string} field - 修改的字段（standardizedName或translatedName）
+     * @param {string} value - 新的值
+     * @private
+     */
+    async _applyNameEdit(index, file, field, value) {
+        file[field] = value;
+        file.corrections = {
+            ...(file.corrections || {}),
+            [field === 'standardizedName' ? 'fxName' : 'fxNameZh']: value
+        };
+
+        // 重新生成最终文件名
+        await this.fileProcessor.formatFileNames([file]);
+        this._updateRowData(index, file);
+
+        this._showStatusMessage(this._isLearning()
+            ? '已修改名称，应用文件名后将记住这次纠正'
+            : '已修改名称');
+
+        // 名称变化后重新编号并检测重名
+        this._refreshNameConflicts();
+    }
+
+    /**
+     * 批量重命名规则变化后重新生成已完成文件的最终文件名，并重新编号和检测重名
+     * @returns {Promise<void>}
+     */
+    async refreshFormattedNames() {
+        if (this.isProcessing) return;
+
+        const readyFiles = this.files.filter(file => file.status === 'success');
+        if (readyFiles.length === 0) return;
+
+        await this.fileProcessor.formatFileNames(readyFiles);
+        await this._refreshNameConflicts();
+    }
+
+    /**
+     * 获取预览中勾选的文件
+     * @returns {Array<Object>} 文件列表
+     */
+    getSelectedFiles() {
+        return this._getSelectedFiles();
+    }
+
+    /**
+     * 不翻译，直接按批量重命名规则处理选中文件的原文件名
+     */
+    async renameWithoutTranslation() {
+        if (this.isProcessing) {
+            alert('处理正在进行中，请等待完成');
+            return;
+        }
+
+        const batchRenamer = this.fileProcessor.namingRules.batchRenamer;
+        if (!batchRenamer || !batchRenamer.isActive()) {
+            alert('请先在批量重命名规则中添加并启用操作');
+            return;
+        }
+
+        const selectedFiles = this._getSelectedFiles();
+        if (selectedFiles.length === 0) {
+            alert('请至少选择一个文件');
+            return;
+        }
+
+        selectedFiles.forEach(file => {
+            file.renameOnly = true;
+            file.status = 'success';
+        });
+        this.files.forEach(file => {
+            file.selected = selectedFiles.includes(file);
+        });
+
+        await this.refreshFormattedNames();
+
+        const applyNamesBtn = document.getElementById('applyNamesBtn');
+        if (applyNamesBtn) {
+            applyNamesBtn.disabled = false;
+        }
+        this._showStatusMessage(`已按批量重命名规则生成 ${selectedFiles.length} 个文件名，确认后点击“应用文件名”`);
+    }
+
+    /**
+     * 是否在应用文件名后记住用户的纠正
+     * @returns {boolean} 是否记住纠正
+     * @private
+     */
+    _isLearning() {
+        return !!(this.correctionMemory && this.correctionMemory.settings.enabled);
+    }
+
+    /**
+     * 记住已成功应用的文件上的纠正（替代匹配选择和名称修改）
+     * @param {Array<Object>} files - 应用的文件
+     * @param {Array<Object>} results - executeRename的结果
+     * @returns {number} 记住的规则数
+     * @private
+     */
+    _learnCorrections(files, results) {
+        if (!this._isLearning()) return 0;
+
+        const succeeded = new Set(results.filter(result => result.success).map(result => result.id));
+        const corrected = files.filter(file => succeeded.has(file.id) && file.corrections);
+        if (corrected.length === 0) return 0;
+
+        try {
+            const service = this.fileProcessor.translationService;
+            return this.correctionMemory.learnFromFiles(corrected, {
+                targetLanguage: service && service.settings ? service.settings.targetLanguage : 'zh-CN'
+            });
+        } catch (error) {
+            Logger.error('记住纠正失败', error);
+            return 0;
+        }
+    }
+
+    /**
+     * 将已成功应用的文件的原文/译文对保存到翻译记忆
+     * @param {Array<Object>} files - 应用的文件
+     * @param {Array<Object>} results - executeRename的结果
+     * @returns {number} 保存的条目数
+     * @private
+     */
+    _rememberTranslations(files, results) {
+        if (!this.translationMemory || !this.translationMemory.settings.enabled) return 0;
+
+        const succeeded = new Set(results.filter(result => result.success).map(result => result.id));
+        const applied = files.filter(file => succeeded.has(file.id));
+        if (applied.length === 0) return 0;
+
+        try {
+            const service = this.fileProcessor.translationService;
+            const settings = service && service.settings ? service.settings : {};
+            return this.translationMemory.addFromFiles(applied, {
+                sourceLanguage: settings.sourceLanguage,
+                targetLanguage: settings.targetLanguage
+            });
+        } catch (error) {
+            Logger.error('保存翻译记忆失败', error);
+            return 0;
+        }
     }
 
     /**
@@ -281,6 +735,12 @@ class PreviewPanel {
         }
 
         this.isProcessing = true;
+        this.translationStopped = false;
+
+        // 记录选中状态，继续任务时只处理上次选中的文件
+        this.files.forEach(file => {
+            file.selected = selectedFiles.includes(file);
+        });
 
         // 禁用开始翻译按钮
         const startTranslationBtn = document.getElementById('startTranslationBtn');
@@ -289,6 +749,13 @@ class PreviewPanel {
             startTranslationBtn.textContent = '翻译中...';
         }
 
+        // 显示停止翻译按钮
+        const stopTranslationBtn = document.getElementById('stopTranslationBtn');
+        if (stopTranslationBtn) {
+            stopTranslationBtn.style.display = '';
+            stopTranslationBtn.disabled = false;
+        }
+
         // 更新状态为处理中
         selectedFiles.forEach(file => {
             file.status = 'processing';
@@ -297,6 +764,11 @@ class PreviewPanel {
         // 更新表格显示
         this._updatePreviewTable();
 
+        // 保存翻译任务，插件意外关闭后可以继续
+        if (this.jobStore) {
+            this.jobStore.start(this.files, this.fileProcessor.getSettingsSnapshot());
+        }
+
         try {
             // 执行翻译，并传入回调函数实现实时更新
             await this.fileProcessor.processTranslation(selectedFiles, (files, index) => {
@@ -318,12 +790,17 @@ class PreviewPanel {
                     this._updateRowData(fileIndex, processedFile);
                 }
 
-                // 显示处理进度
-                const processedCount = this.files.filter(f => f.status === 'success' || f.status === 'error').length;
-                const totalCount = selectedFiles.length;
-                this._showStatusMessage(`翻译进度: ${processedCount}/${totalCount}`);
+                if (this.jobStore) {
+                    this.jobStore.update(this.files);
+                }
+            }, {
+                // 显示阶段、完成数、进行中的请求和剩余时间
+                onProgress: progress => this._showProgress('翻译进度', progress)
             });
 
+            // 整个预览列表统一编号并检测重名
+            await this._refreshNameConflicts();
+
             // 启用应用文件名按钮
             const applyNamesBtn = document.getElementById('applyNamesBtn');
             if (applyNamesBtn) {
@@ -331,21 +808,63 @@ class PreviewPanel {
             }
 
             // 显示成功消息
-            this._showStatusMessage('翻译完成');
+            if (this.translationStopped) {
+                this._showStatusMessage('翻译已停止');
+            } else if (!this.files.some(file => file.nameConflict || (file.lengthWarnings && file.lengthWarnings.length > 0))) {
+                this._showStatusMessage('翻译完成');
+            }
         } catch (error) {
             Logger.error('翻译处理失败', error);
             alert(`翻译失败: ${error.message}`);
         } finally {
             this.isProcessing = false;
 
+            // 停止后尚未处理的文件恢复为等待状态
+            if (this.translationStopped) {
+                selectedFiles.forEach(file => {
+                    if (file.status === 'processing') {
+                        file.status = 'pending';
+                    }
+                });
+                this._updatePreviewTable();
+            }
+
+            // 出错或停止时保留任务以便继续
+            if (this.jobStore) {
+                const finished = !this.translationStopped && this.files.every(file =>
+                    !file.selected || file.status === 'success' || file.status === 'error'
+                );
+                this.jobStore.finish(this.files, finished ? 'completed' : 'paused');
+            }
+
             // 恢复开始翻译按钮
             if (startTranslationBtn) {
                 startTranslationBtn.disabled = false;
                 startTranslationBtn.textContent = '开始翻译';
             }
+
+            if (stopTranslationBtn) {
+                stopTranslationBtn.style.display = 'none';
+            }
         }
     }
 
+    /**
+     * 停止翻译：不再处理剩余文件，并取消排队和进行中的网络请求
+     */
+    stopTranslation() {
+        if (!this.isProcessing) return;
+
+        this.translationStopped = true;
+        this.fileProcessor.cancelTranslation();
+
+        const stopTranslationBtn = document.getElementById('stopTranslationBtn');
+        if (stopTranslationBtn) {
+            stopTranslationBtn.disabled = true;
+        }
+        this._showStatusMessage('正在停止翻译...');
+    }
+
     /**
      * 应用文件名
      */
@@ -355,9 +874,14 @@ class PreviewPanel {
             return;
         }
 
+        // 元数据写入模式下可以只写元数据不重命名
+        const metadataSettings = this.fileProcessor.metadataSettings || {};
+        const writeMetadata = !!metadataSettings.enabled;
+        const rename = !writeMetadata || metadataSettings.rename !== false;
+
         // 获取翻译成功的文件
         const successFiles = this.files.filter(file =>
-            file.status === 'success' && file.formattedName
+            file.status === 'success' && (!rename || file.formattedName)
         );
 
         if (successFiles.length === 0) {
@@ -365,7 +889,24 @@ class PreviewPanel {
             return;
         }
 
-        if (!confirm(`确定要将 ${successFiles.length} 个文件重命名为翻译后的名称吗？`)) {
+        let confirmMessage = `确定要将 ${successFiles.length} 个文件重命名为翻译后的名称吗？`;
+        if (writeMetadata) {
+            confirmMessage = rename
+                ? `确定要重命名 ${successFiles.length} 个文件并写入元数据吗？`
+                : `确定要为 ${successFiles.length} 个文件写入元数据（不重命名）吗？`;
+        }
+
+        const conflictCount = rename ? successFiles.filter(file => file.nameConflict).length : 0;
+        if (conflictCount > 0) {
+            confirmMessage = `有 ${conflictCount} 个文件存在重名（已在最终文件名中标出）。\n` + confirmMessage;
+        }
+
+        const tooLongCount = rename ? successFiles.filter(file => file.lengthWarnings && file.lengthWarnings.length > 0).length : 0;
+        if (tooLongCount > 0) {
+            confirmMessage = `有 ${tooLongCount} 个文件名过长（已在最终文件名中标出），在Windows中可能无法重命名或打开。\n` + confirmMessage;
+        }
+
+        if (!confirm(confirmMessage)) {
             return;
         }
 
@@ -379,17 +920,35 @@ class PreviewPanel {
 
         try {
             // 执行重命名
-            const results = await this.fileProcessor.executeRename(successFiles);
+            const results = await this.fileProcessor.executeRename(successFiles, {
+                onProgress: progress => this._showProgress(`${rename ? '重命名' : '元数据写入'}进度`, progress)
+            });
 
             // 统计结果
             const successCount = results.filter(r => r.success).length;
             const failCount = results.length - successCount;
 
+            // 记住已应用的纠正，之后的翻译和匹配会优先使用
+            const learnedCount = this._learnCorrections(successFiles, results);
+            const rememberedCount = this._rememberTranslations(successFiles, results);
+            let learnedText = learnedCount > 0 ? `\n已记住 ${learnedCount} 条纠正` : '';
+            if (rememberedCount > 0) {
+                learnedText += `\n已保存 ${rememberedCount} 条翻译记忆`;
+            }
+
             // 显示结果消息
+            const actionText = rename ? '重命名' : '元数据写入';
+            this._showStatusMessage(`${actionText}完成`);
             if (failCount === 0) {
-                alert(`所有 ${successCount} 个文件重命名成功！`);
+                alert(`所有 ${successCount} 个文件${actionText}成功！${learnedText}`);
             } else {
-                alert(`重命名完成: ${successCount} 个成功, ${failCount} 个失败`);
+                alert(`${actionText}完成: ${successCount} 个成功, ${failCount} 个失败${learnedText}`);
+            }
+
+            // 结果已经应用，不再需要保存的任务
+            if (this.jobStore) {
+                this.jobStore.clear();
+                this._hideSavedJob();
             }
 
             // 返回文件选择
@@ -407,6 +966,228 @@ class PreviewPanel {
         }
     }
 
+    /**
+     * 检查是否有上次保存的翻译任务，有则显示提示
+     */
+    checkSavedJob() {
+        if (!this.jobStore || !this.jobStore.hasJob()) {
+            this._hideSavedJob();
+            return;
+        }
+
+        const job = this.jobStore.getJob();
+        const banner = document.getElementById('savedJobBanner');
+        const text = document.getElementById('savedJobText');
+        if (!banner) return;
+
+        const statusText = {
+            interrupted: '上次翻译意外中断',
+            paused: '上次翻译已停止',
+            completed: '上次翻译的结果尚未应用'
+        }[job.status] || '发现保存的翻译任务';
+
+        const finished = this.jobStore.getFinishedFiles().length;
+        const unfinished = this.jobStore.getUnfinishedFiles().length;
+        const time = new Date(job.updatedAt).toLocaleString();
+
+        if (text) {
+            text.textContent = `${statusText}（${time}）：已完成 ${finished} 个，未完成 ${unfinished} 个`;
+        }
+
+        const resumeJobBtn = document.getElementById('resumeJobBtn');
+        if (resumeJobBtn) {
+            resumeJobBtn.disabled = unfinished === 0;
+        }
+
+        const reviewJobBtn = document.getElementById('reviewJobBtn');
+        if (reviewJobBtn) {
+            reviewJobBtn.disabled = finished === 0;
+        }
+
+        banner.style.display = '';
+    }
+
+    /**
+     * 继续保存的翻译任务：恢复预览列表，只翻译未完成的文件
+     */
+    async resumeJob() {
+        if (this.isProcessing) {
+            alert('处理正在进行中，请等待完成');
+            return;
+        }
+
+        if (!this.jobStore || !this.jobStore.hasJob()) {
+            this._hideSavedJob();
+            return;
+        }
+
+        const unfinished = this.jobStore.getUnfinishedFiles();
+        if (unfinished.length === 0) {
+            alert('保存的任务中没有未完成的文件');
+            return;
+        }
+
+        // 设置与任务开始时不同，由用户决定是否用当前设置继续
+        const differences = this.jobStore.compareSettings(this.fileProcessor.getSettingsSnapshot());
+        if (differences.length > 0 && !confirm(`当前设置与任务开始时不同：\n${differences.join('\n')}\n\n是否使用当前设置继续翻译？`)) {
+            return;
+        }
+
+        const job = this.jobStore.getJob();
+        const unfinishedIds = new Set(unfinished.map(file => file.id));
+        const files = job.files.map(file => ({
+            ...file,
+            selected: unfinishedIds.has(file.id)
+        }));
+
+        this._hideSavedJob();
+        this.showPreview(files);
+        await this.startTranslation();
+    }
+
+    /**
+     * 查看保存的翻译任务：恢复预览列表，已完成的文件可以直接应用
+     */
+    async reviewJob() {
+        if (this.isProcessing) {
+            alert('处理正在进行中，请等待完成');
+            return;
+        }
+
+        if (!this.jobStore || !this.jobStore.hasJob()) {
+            this._hideSavedJob();
+            return;
+        }
+
+        const job = this.jobStore.getJob();
+        const finished = this.jobStore.getFinishedFiles().length;
+
+        this._hideSavedJob();
+        this.showPreview(job.files);
+
+        // 保存的文件名以任务为准，只检测重名不重新编号
+        await this._refreshNameConflicts({ renumber: false });
+
+        const applyNamesBtn = document.getElementById('applyNamesBtn');
+        if (applyNamesBtn) {
+            applyNamesBtn.disabled = finished === 0;
+        }
+
+        this._showStatusMessage(`已恢复 ${finished} 个已完成的文件，点击"应用文件名"执行重命名，或点击"开始翻译"继续翻译选中的文件`, true);
+    }
+
+    /**
+     * 丢弃保存的翻译任务
+     */
+    discardJob() {
+        if (!this.jobStore) return;
+
+        if (!confirm('确定要丢弃保存的翻译任务吗？已翻译的结果将无法恢复。')) {
+            return;
+        }
+
+        this.jobStore.clear();
+        this._hideSavedJob();
+    }
+
+    /**
+     * 隐藏保存任务的提示
+     * @private
+     */
+    _hideSavedJob() {
+        const banner = document.getElementById('savedJobBanner');
+        if (banner) {
+            banner.style.display = 'none';
+        }
+    }
+
+    /**
+     * 导出当前预览结果
+     * @param {string} format - 导出格式（'csv' 或 'json'）
+     */
+    exportPreview(format) {
+        if (!this.files || this.files.length === 0) {
+            alert('没有可以导出的预览结果');
+            return;
+        }
+
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            if (format === 'json') {
+                this._downloadFile(`rename-preview-${timestamp}.json`, PreviewReport.toJSON(this.files), 'application/json');
+            } else {
+                // 添加BOM，确保Excel正确识别UTF-8中文
+                this._downloadFile(`rename-preview-${timestamp}.csv`, '\uFEFF' + PreviewReport.toCSV(this.files), 'text/csv');
+            }
+            this._showStatusMessage(`已导出 ${this.files.length} 条预览结果`, true);
+        } catch (error) {
+            Logger.error('导出预览结果失败', error);
+            alert(`导出预览结果失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导入编辑后的预览报告，导入后可通过"应用文件名"执行重命名
+     * @param {File} file - CSV或JSON文件
+     */
+    async importPreview(file) {
+        if (this.isProcessing) {
+            alert('处理正在进行中，请等待完成');
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            const format = /\.json$/i.test(file.name) ? 'json' : 'csv';
+            const rows = PreviewReport.parse(text, format);
+            const result = PreviewReport.applyRows(this.files || [], rows);
+
+            if (result.updated + result.added === 0) {
+                alert('导入的文件中没有可用的记录（需要ID和FormattedName）');
+                return;
+            }
+
+            this.showPreview(result.files);
+
+            // 导入的文件名以表格为准，只检测重名不重新编号
+            await this._refreshNameConflicts({ renumber: false });
+
+            // 导入后的记录可以直接应用
+            const applyNamesBtn = document.getElementById('applyNamesBtn');
+            if (applyNamesBtn) {
+                applyNamesBtn.disabled = false;
+            }
+
+            let message = `已导入 ${result.updated + result.added} 条记录`;
+            if (result.skipped > 0) {
+                message += `，跳过 ${result.skipped} 条`;
+            }
+            this._showStatusMessage(`${message}，点击"应用文件名"执行重命名`, true);
+        } catch (error) {
+            Logger.error('导入预览报告失败', error);
+            alert(`导入预览报告失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 下载文本文件
+     * @param {string} filename - 文件名
+     * @param {string} content - 文件内容
+     * @param {string} mimeType - MIME类型
+     * @private
+     */
+    _downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * 返回文件选择
      */
@@ -465,6 +1246,17 @@ class PreviewPanel {
         }).filter(Boolean);
     }
 
+    /**
+     * 显示任务进度，任务结束后由调用方显示结果
+     * @param {string} title - 进度标题，以“进度”结尾时状态栏保持显示
+     * @param {Object} progress - ProgressTracker的进度快照
+     * @private
+     */
+    _showProgress(title, progress) {
+        if (progress.status !== 'running') return;
+        this._showStatusMessage(`${title}: ${ProgressTracker.describe(progress)}`);
+    }
+
     /**
      * 显示状态消息
      * @param {string} message - 状态消息
@@ -505,7 +1297,7 @@ class PreviewPanel {
  * @param {HTMLElement} selectElement - 选择元素
  * @param {string} fileId - 文件ID
  */
-PreviewPanel.handleAlternateMatchChange = function(selectElement, fileId) {
+PreviewPanel.handleAlternateMatchChange = async function(selectElement, fileId) {
     try {
         // 获取当前页面上的PreviewPanel实例
         const previewPanels = Object.values(window).filter(obj => obj instanceof PreviewPanel);
@@ -560,9 +1352,17 @@ PreviewPanel.handleAlternateMatchChange = function(selectElement, fileId) {
         file.subCategoryTranslated = newMatch.term.target || '';
         file.catID = newMatch.term.catID || '';
 
+        // 记录用户选择的分类，应用文件名后记住；选回第一个匹配时不需要记住
+        file.corrections = { ...(file.corrections || {}) };
+        if (newRank === 0) {
+            delete file.corrections.catID;
+        } else {
+            file.corrections.catID = file.catID;
+        }
+
         // 重新生成最终文件名
         if (window.pluginState && window.pluginState.fileProcessor) {
-            const newFileName = window.pluginState.fileProcessor.formatFileName(file);
+            await window.pluginState.fileProcessor.formatFileNames([file]);
         } else {
             console.error('找不到fileProcessor实例');
         }
@@ -578,6 +1378,9 @@ PreviewPanel.handleAlternateMatchChange = function(selectElement, fileId) {
 
         // 显示状态消息
         previewPanel._showStatusMessage(`已应用第 ${newRank+1} 佳匹配结果：${newMatch.term.catID}`);
+
+        // 分类变化后重新编号并检测重名
+        previewPanel._refreshNameConflicts();
     } catch (error) {
         console.error('处理替代匹配变更时发生错误：', error);
         alert(`处理替代匹配变更时发生错误：${error.message}`);
@@ -0,0 +1,296 @@
+/**
+ * 重命名历史面板
+ * 用于查看重命名日志并撤销整批或选中的文件
+ */
+class RenameHistoryPanel {
+    /**
+     * 构造函数
+     * @param {RenameJournal} renameJournal - 重命名日志实例
+     */
+    constructor(renameJournal) {
+        this.renameJournal = renameJournal;
+        this.currentBatchId = null;
+        this.isProcessing = false;
+
+        // 初始化事件监听器
+        this._initEventListeners();
+    }
+
+    /**
+     * 初始化事件监听器
+     * @private
+     */
+    _initEventListeners() {
+        // 撤销上次重命名按钮
+        const undoLastBatchBtn = document.getElementById('undoLastBatchBtn');
+        if (undoLastBatchBtn) {
+            undoLastBatchBtn.addEventListener('click', () => this.undoLastBatch());
+        }
+
+        // 打开重命名历史按钮
+        const renameHistoryBtn = document.getElementById('renameHistoryBtn');
+        if (renameHistoryBtn) {
+            renameHistoryBtn.addEventListener('click', () => this.show());
+        }
+
+        // 批次选择
+        const batchSelect = document.getElementById('renameBatchSelect');
+        if (batchSelect) {
+            batchSelect.addEventListener('change', () => this._showBatch(batchSelect.value));
+        }
+
+        // 全选/取消全选
+        const selectAll = document.getElementById('selectAllJournalEntries');
+        if (selectAll) {
+            selectAll.addEventListener('change', (e) => {
+                document.querySelectorAll('#renameJournalTableBody .journal-entry-checkbox:not(:disabled)')
+                    .forEach(checkbox => {
+                        checkbox.checked = e.target.checked;
+                    });
+            });
+        }
+
+        // 撤销选中按钮
+        const undoSelectedBtn = document.getElementById('undoSelectedItemsBtn');
+        if (undoSelectedBtn) {
+            undoSelectedBtn.addEventListener('click', () => this.undoSelectedItems());
+        }
+
+        // 关闭按钮
+        const closeBtn = document.querySelector('#renameHistoryModal .close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+
+        // 点击模态框外部关闭
+        window.addEventListener('click', (e) => {
+            const modal = document.getElementById('renameHistoryModal');
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * 显示重命名历史
+     */
+    show() {
+        const modal = document.getElementById('renameHistoryModal');
+        if (!modal) return;
+
+        this._renderBatchList();
+        modal.style.display = 'block';
+    }
+
+    /**
+     * 隐藏重命名历史
+     */
+    hide() {
+        const modal = document.getElementById('renameHistoryModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * 渲染批次下拉列表
+     * @private
+     */
+    _renderBatchList() {
+        const batchSelect = document.getElementById('renameBatchSelect');
+        if (!batchSelect) return;
+
+        const batches = this.renameJournal.getBatches();
+        batchSelect.innerHTML = '';
+
+        if (batches.length === 0) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = '暂无重命名记录';
+            batchSelect.appendChild(option);
+            this._showBatch('');
+            return;
+        }
+
+        batches.forEach(batch => {
+            const option = document.createElement('option');
+            const undoneCount = batch.entries.filter(entry => entry.undone).length;
+            option.value = batch.id;
+            option.textContent = `${new Date(batch.timestamp).toLocaleString()} · ${batch.entries.length} 个文件` +
+                (batch.provider ? ` · ${batch.provider}` : '') +
+                (undoneCount > 0 ? ` · 已撤销 ${undoneCount}` : '');
+            batchSelect.appendChild(option);
+        });
+
+        const selected = batches.some(batch => batch.id === this.currentBatchId)
+            ? this.currentBatchId
+            : batches[0].id;
+        batchSelect.value = selected;
+        this._showBatch(selected);
+    }
+
+    /**
+     * 显示批次详情，并检查文件在批次之后是否又被重命名
+     * @param {string} batchId - 批次ID
+     * @private
+     */
+    async _showBatch(batchId) {
+        this.currentBatchId = batchId || null;
+
+        const tableBody = document.getElementById('renameJournalTableBody');
+        if (!tableBody) return;
+
+        tableBody.innerHTML = '';
+
+        const batch = batchId ? this.renameJournal.getBatch(batchId) : null;
+        if (!batch) return;
+
+        // 先显示记录，再异步填充当前名称
+        batch.entries.forEach(entry => {
+            const row = document.createElement('tr');
+            row.dataset.itemId = entry.itemId;
+            row.innerHTML = `
+                <td><input type="checkbox" class="journal-entry-checkbox" ${entry.undone ? 'disabled' : 'checked'}></td>
+                <td class="journal-old-name"></td>
+                <td class="journal-new-name"></td>
+                <td class="journal-current-name">...</td>
+                <td class="journal-status">${entry.undone ? '已撤销' : '检查中'}</td>
+            `;
+            row.querySelector('.journal-old-name').textContent = entry.oldName;
+            row.querySelector('.journal-new-name').textContent = entry.newName;
+            tableBody.appendChild(row);
+        });
+
+        try {
+            const statuses = await this.renameJournal.checkBatch(batch.id);
+
+            // 检查期间可能已切换到其他批次
+            if (this.currentBatchId !== batch.id) return;
+
+            let renamedSinceCount = 0;
+            statuses.forEach(status => {
+                const row = tableBody.querySelector(`tr[data-item-id="${status.itemId}"]`);
+                if (!row) return;
+
+                const currentCell = row.querySelector('.journal-current-name');
+                const statusCell = row.querySelector('.journal-status');
+                currentCell.textContent = status.missing ? '-' : status.currentName;
+
+                if (status.undone) {
+                    statusCell.textContent = '已撤销';
+                } else if (status.missing) {
+                    statusCell.textContent = '文件不存在';
+                    statusCell.className = 'journal-status status-error';
+                } else if (status.renamedSince) {
+                    renamedSinceCount++;
+                    statusCell.textContent = '之后已被重命名';
+                    statusCell.className = 'journal-status status-error';
+                    row.querySelector('.journal-entry-checkbox').checked = false;
+                } else {
+                    statusCell.textContent = '可撤销';
+                    statusCell.className = 'journal-status status-success';
+                }
+            });
+
+            const summary = document.getElementById('renameJournalSummary');
+            if (summary) {
+                summary.textContent = renamedSinceCount > 0
+                    ? `有 ${renamedSinceCount} 个文件在该批次之后又在Eagle中被重命名，默认不会撤销`
+                    : '';
+            }
+        } catch (error) {
+            Logger.error('检查重命名批次失败', error);
+        }
+    }
+
+    /**
+     * 撤销最近一次重命名
+     */
+    async undoLastBatch() {
+        if (this.isProcessing) return;
+
+        const batch = this.renameJournal.getLastBatch();
+        if (!batch) {
+            alert('没有可以撤销的重命名记录');
+            return;
+        }
+
+        const pendingCount = batch.entries.filter(entry => !entry.undone).length;
+        if (!confirm(`确定要撤销 ${new Date(batch.timestamp).toLocaleString()} 的重命名吗？（${pendingCount} 个文件）`)) {
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            const results = await this.renameJournal.undoLastBatch();
+            this._reportResults(results);
+        } catch (error) {
+            Logger.error('撤销重命名失败', error);
+            alert(`撤销重命名失败: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * 撤销当前批次中选中的文件
+     */
+    async undoSelectedItems() {
+        if (this.isProcessing || !this.currentBatchId) return;
+
+        const itemIds = Array.from(document.querySelectorAll('#renameJournalTableBody .journal-entry-checkbox:checked'))
+            .map(checkbox => checkbox.closest('tr').dataset.itemId);
+
+        if (itemIds.length === 0) {
+            alert('请先选择要撤销的文件');
+            return;
+        }
+
+        const forceCheckbox = document.getElementById('forceUndoRenamed');
+        const force = forceCheckbox ? forceCheckbox.checked : false;
+
+        if (!confirm(`确定要撤销选中的 ${itemIds.length} 个文件的重命名吗？`)) {
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            const results = await this.renameJournal.undoItems(this.currentBatchId, itemIds, { force });
+            this._reportResults(results);
+        } catch (error) {
+            Logger.error('撤销重命名失败', error);
+            alert(`撤销重命名失败: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * 汇报撤销结果并刷新列表
+     * @param {Array<Object>} results - 撤销结果
+     * @private
+     */
+    _reportResults(results) {
+        const successCount = results.filter(r => r.success).length;
+        const renamedSince = results.filter(r => r.renamedSince);
+        const failCount = results.filter(r => !r.success && !r.skipped).length;
+
+        let message = `撤销完成: ${successCount} 个成功`;
+        if (failCount > 0) {
+            message += `, ${failCount} 个失败`;
+        }
+        if (renamedSince.length > 0) {
+            message += `\n${renamedSince.length} 个文件在批次之后又被重命名，已跳过：\n` +
+                renamedSince.map(r => `  ${r.currentName}`).join('\n');
+        }
+        alert(message);
+
+        const modal = document.getElementById('renameHistoryModal');
+        if (modal && modal.style.display === 'block') {
+            this._renderBatchList();
+        }
+    }
+}
+
+// 导出RenameHistoryPanel
+window.RenameHistoryPanel = RenameHistoryPanel;
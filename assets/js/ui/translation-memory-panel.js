@@ -0,0 +1,272 @@
+/**
+ * 翻译记忆面板
+ * 设置翻译记忆的使用方式，查看和删除条目，导入导出TMX
+ */
+class TranslationMemoryPanel {
+    /**
+     * 表格中最多显示的条目数（最近更新的在前）
+     */
+    static MAX_VISIBLE_ENTRIES = 200;
+
+    /**
+     * 构造函数
+     * @param {TranslationMemory} translationMemory - 翻译记忆实例
+     */
+    constructor(translationMemory) {
+        this.translationMemory = translationMemory;
+        this.container = null;
+        this.initialized = false;
+    }
+
+    /**
+     * 初始化面板
+     * @param {HTMLElement} container - 容器元素
+     * @returns {boolean} 是否初始化成功
+     */
+    initialize(container) {
+        if (!container) {
+            console.error('初始化翻译记忆面板失败: 未提供容器元素');
+            return false;
+        }
+
+        this.container = container;
+
+        // 渲染面板
+        this.render();
+
+        // 添加事件监听器
+        this.addEventListeners();
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * 渲染面板
+     */
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        const settings = this.translationMemory.settings;
+
+        // 使用方式
+        const settingsRow = document.createElement('div');
+        settingsRow.className = 'glossary-settings';
+        settingsRow.innerHTML = `
+            <label><input type="checkbox" data-action="enabled"> 启用翻译记忆</label>
+            <label><input type="checkbox" data-action="useExactMatches"> 完全相同的原文直接使用记忆中的译文</label>
+            <label>最低相似度:
+                <input type="number" data-action="minSimilarity" min="10" max="100" step="5" style="width: 60px;"> %
+            </label>
+        `;
+        settingsRow.querySelector('[data-action="enabled"]').checked = settings.enabled;
+        settingsRow.querySelector('[data-action="useExactMatches"]').checked = settings.useExactMatches;
+        settingsRow.querySelector('[data-action="minSimilarity"]').value = Math.round(settings.minSimilarity * 100);
+        this.container.appendChild(settingsRow);
+
+        // 操作按钮
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'button-container';
+        buttonContainer.innerHTML = `
+            <button class="btn" data-action="import">导入TMX</button>
+            <button class="btn" data-action="export">导出TMX</button>
+            <button class="btn" data-action="clear">清空</button>
+            <input type="file" class="translation-memory-import-input" accept=".tmx,.xml" style="display: none;">
+        `;
+        this.container.appendChild(buttonContainer);
+
+        // 条目表格
+        const entries = this.translationMemory.getEntries()
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+        const table = document.createElement('table');
+        table.className = 'glossary-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>语言</th>
+                    <th>原文</th>
+                    <th>译文</th>
+                    <th>使用次数</th>
+                    <th>更新时间</th>
+                    <th>操作</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        `;
+        const tbody = table.querySelector('tbody');
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td colspan="6" class="empty-message">翻译记忆为空。应用文件名后会保存原文和译文，也可以导入TMX文件</td>';
+            tbody.appendChild(row);
+        }
+
+        entries.slice(0, TranslationMemoryPanel.MAX_VISIBLE_ENTRIES).forEach(entry => {
+            const row = document.createElement('tr');
+            [
+                `${entry.sourceLanguage} → ${entry.targetLanguage}`,
+                entry.source,
+                entry.target,
+                String(entry.usageCount || 1),
+                new Date(entry.updatedAt).toLocaleString()
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const actionCell = document.createElement('td');
+            actionCell.innerHTML = `<button class="btn btn-small" data-action="delete" data-id="${entry.id}">删除</button>`;
+            row.appendChild(actionCell);
+            tbody.appendChild(row);
+        });
+
+        this.container.appendChild(table);
+
+        // 按语言对统计
+        const pairs = this.translationMemory.getLanguagePairs()
+            .map(pair => `${pair.sourceLanguage} → ${pair.targetLanguage}: ${pair.count}`);
+        const summary = document.createElement('p');
+        summary.className = 'panel-description';
+        summary.textContent = `共 ${entries.length} 条${pairs.length > 0 ? `（${pairs.join('，')}）` : ''}`;
+        if (entries.length > TranslationMemoryPanel.MAX_VISIBLE_ENTRIES) {
+            summary.textContent += `，只显示最近更新的 ${TranslationMemoryPanel.MAX_VISIBLE_ENTRIES} 条`;
+        }
+        this.container.appendChild(summary);
+    }
+
+    /**
+     * 添加事件监听器
+     */
+    addEventListeners() {
+        if (!this.container) return;
+
+        // 使用事件委托处理所有点击事件
+        this.container.addEventListener('click', (event) => {
+            const target = event.target;
+
+            switch (target.dataset.action) {
+                case 'delete':
+                    this.deleteEntry(target.dataset.id);
+                    break;
+                case 'clear':
+                    this.clearEntries();
+                    break;
+                case 'import': {
+                    const input = this.container.querySelector('.translation-memory-import-input');
+                    if (input) input.click();
+                    break;
+                }
+                case 'export':
+                    this.exportTMX();
+                    break;
+            }
+        });
+
+        // 处理设置和文件选择变化
+        this.container.addEventListener('change', (event) => {
+            const target = event.target;
+
+            if (target.classList.contains('translation-memory-import-input')) {
+                if (target.files && target.files[0]) {
+                    this.importTMX(target.files[0]);
+                }
+                target.value = '';
+                return;
+            }
+
+            switch (target.dataset.action) {
+                case 'enabled':
+                case 'useExactMatches':
+                    this.translationMemory.setSettings({ [target.dataset.action]: target.checked });
+                    break;
+                case 'minSimilarity': {
+                    const value = parseInt(target.value, 10);
+                    if (isNaN(value) || value < 10 || value > 100) {
+                        alert('最低相似度必须在10到100之间');
+                        target.value = Math.round(this.translationMemory.settings.minSimilarity * 100);
+                        return;
+                    }
+                    this.translationMemory.setSettings({ minSimilarity: value / 100 });
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * 删除条目
+     * @param {string} id - 条目ID
+     */
+    deleteEntry(id) {
+        const entry = this.translationMemory.getEntries().find(item => item.id === id);
+        if (!entry) return;
+
+        if (!confirm(`确定要删除 ${entry.source} -> ${entry.target} 吗？`)) {
+            return;
+        }
+
+        this.translationMemory.remove(id);
+        this.render();
+    }
+
+    /**
+     * 清空翻译记忆
+     */
+    clearEntries() {
+        const count = this.translationMemory.getEntries().length;
+        if (count === 0) return;
+
+        if (!confirm(`确定要删除全部 ${count} 条翻译记忆吗？此操作无法撤销`)) {
+            return;
+        }
+
+        this.translationMemory.clear();
+        this.render();
+    }
+
+    /**
+     * 从TMX文件导入
+     * @param {File} file - TMX文件
+     */
+    async importTMX(file) {
+        try {
+            const result = this.translationMemory.importTMX(await file.text());
+
+            let message = `导入完成: ${result.imported} 条`;
+            if (result.skipped > 0) {
+                message += `，跳过 ${result.skipped} 条无效的翻译单元`;
+            }
+            alert(message);
+
+            this.render();
+        } catch (error) {
+            Logger.error('导入翻译记忆失败', error);
+            alert(`导入翻译记忆失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 导出为TMX文件
+     */
+    exportTMX() {
+        if (this.translationMemory.getEntries().length === 0) {
+            alert('翻译记忆为空，没有可导出的内容');
+            return;
+        }
+
+        const blob = new Blob([this.translationMemory.exportTMX()], { type: 'application/xml;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `translation-memory-${new Date().toISOString().replace(/[:.]/g, '-')}.tmx`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 导出TranslationMemoryPanel
+window.TranslationMemoryPanel = TranslationMemoryPanel;
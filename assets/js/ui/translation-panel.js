@@ -22,8 +22,12 @@ class TranslationPanel {
             useAIClassification: false,
             charLimitEn: 30,  // 英文字符限制默认值
             charLimitZh: 7,   // 中文字符限制默认值
+            batchSize: 10,    // 批量翻译时每次请求的文件数
             apiKeys: {},      // 初始化API密钥对象
-            bailianModel: 'qwen-max' // 初始化百炼模型
+            bailianModel: 'qwen-max', // 初始化百炼模型
+            openaiCompatible: { ...OpenAICompatibleProvider.DEFAULTS }, // OpenAI兼容接口配置
+            requestLimits: {}, // 各提供者的请求限制
+            fallbackProviders: {} // 各操作的备用提供者
         };
 
         // 初始化事件监听器
@@ -88,6 +92,12 @@ class TranslationPanel {
                 // 切换提供者后初始化该提供者的设置
                 this._initProviderSettings(providerId);
 
+                // 显示该提供者的请求限制
+                this._updateRequestLimitUI();
+
+                // 更新备用提供者列表
+                this._updateFallbackUI();
+
                 console.log(`已切换到翻译提供者: ${providerId}`);
             });
         }
@@ -127,9 +137,32 @@ class TranslationPanel {
             });
         }
 
+        // 批量翻译设置
+        const batchSizeInput = document.getElementById('translationBatchSize');
+        if (batchSizeInput) {
+            batchSizeInput.addEventListener('change', () => {
+                const value = parseInt(batchSizeInput.value);
+                if (!isNaN(value) && value >= 1 && value <= 50) {
+                    this.settings.batchSize = value;
+                    this._saveSettings();
+                } else {
+                    batchSizeInput.value = this.settings.batchSize || 10;
+                }
+            });
+        }
+
         // 初始化所有提供者的设置
         this._initAllProviderSettings();
 
+        // OpenAI兼容接口设置
+        this._initOpenAICompatibleSettings();
+
+        // 请求限制设置
+        this._initRequestLimitSettings();
+
+        // 备用提供者设置
+        this._initFallbackSettings();
+
         // 查看提示词按钮
         const viewPromptBtns = document.querySelectorAll('.viewPromptBtn');
         viewPromptBtns.forEach(btn => {
@@ -405,6 +438,15 @@ class TranslationPanel {
         // 初始化所有提供者的设置
         this._initAllProviderSettings();
 
+        // 更新OpenAI兼容接口设置
+        this._updateOpenAICompatibleUI();
+
+        // 更新请求限制设置
+        this._updateRequestLimitUI();
+
+        // 更新备用提供者设置
+        this._updateFallbackUI();
+
         // 更新源语言选择
         const sourceLanguageSelect = document.getElementById('sourceLanguage');
         if (sourceLanguageSelect && this.settings.sourceLanguage) {
@@ -500,6 +542,12 @@ class TranslationPanel {
             charLimitZhInput.value = this.settings.charLimitZh;
         }
 
+        // 更新批量翻译设置
+        const batchSizeInput = document.getElementById('translationBatchSize');
+        if (batchSizeInput && this.settings.batchSize) {
+            batchSizeInput.value = this.settings.batchSize;
+        }
+
         // 更新所有提供者的提示词模板中的字符限制
         if (this.translationService) {
             const providers = this.translationService.getProviders();
@@ -705,6 +753,297 @@ class TranslationPanel {
         }
     }
 
+    /**
+     * 初始化OpenAI兼容接口设置
+     * 请求头和请求参数为JSON文本，解析失败时不保存
+     * @private
+     */
+    _initOpenAICompatibleSettings() {
+        const updateConfig = (changes) => {
+            this.settings.openaiCompatible = {
+                ...OpenAICompatibleProvider.DEFAULTS,
+                ...(this.settings.openaiCompatible || {}),
+                ...changes
+            };
+            this._saveSettings();
+        };
+
+        const baseUrlInput = document.getElementById('openaiCompatibleBaseUrl');
+        if (baseUrlInput) {
+            baseUrlInput.addEventListener('change', () => {
+                updateConfig({ baseUrl: baseUrlInput.value.trim() });
+            });
+        }
+
+        const modelInput = document.getElementById('openaiCompatibleModel');
+        if (modelInput) {
+            modelInput.addEventListener('change', () => {
+                updateConfig({ model: modelInput.value.trim() });
+            });
+        }
+
+        const jsonFields = [
+            { id: 'openaiCompatibleHeaders', key: 'headers', label: '额外请求头' },
+            { id: 'openaiCompatibleRequestOptions', key: 'requestOptions', label: '额外请求参数' }
+        ];
+        jsonFields.forEach(field => {
+            const textarea = document.getElementById(field.id);
+            if (!textarea) return;
+
+            textarea.addEventListener('change', () => {
+                try {
+                    const value = textarea.value.trim() ? JSON.parse(textarea.value) : {};
+                    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                        throw new Error('必须是JSON对象');
+                    }
+                    textarea.classList.remove('input-error');
+                    updateConfig({ [field.key]: value });
+                } catch (error) {
+                    textarea.classList.add('input-error');
+                    alert(`${field.label}格式无效: ${error.message}`);
+                }
+            });
+        });
+
+        // 测试连接按钮
+        const testBtn = document.getElementById('openaiCompatibleTestBtn');
+        if (testBtn) {
+            testBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.testConnection('openaiCompatible');
+            });
+        }
+    }
+
+    /**
+     * 将OpenAI兼容接口配置填入表单
+     * @private
+     */
+    _updateOpenAICompatibleUI() {
+        const config = { ...OpenAICompatibleProvider.DEFAULTS, ...(this.settings.openaiCompatible || {}) };
+
+        const values = {
+            openaiCompatibleBaseUrl: config.baseUrl,
+            openaiCompatibleModel: config.model,
+            openaiCompatibleHeaders: Object.keys(config.headers || {}).length > 0 ? JSON.stringify(config.headers, null, 2) : '',
+            openaiCompatibleRequestOptions: Object.keys(config.requestOptions || {}).length > 0 ? JSON.stringify(config.requestOptions, null, 2) : ''
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.value = value || '';
+            }
+        });
+    }
+
+    /**
+     * 初始化请求限制设置
+     * 设置针对当前选择的翻译提供者，保存在settings.requestLimits[提供者ID]中
+     * @private
+     */
+    _initRequestLimitSettings() {
+        const fields = [
+            { id: 'requestsPerMinute', key: 'requestsPerMinute', label: '每分钟请求数', min: 0 },
+            { id: 'maxConcurrentRequests', key: 'maxConcurrent', label: '最大并发数', min: 1 },
+            { id: 'maxRequestRetries', key: 'maxRetries', label: '最大重试次数', min: 0 },
+            { id: 'requestTimeout', key: 'timeout', label: '请求超时', min: 1 }
+        ];
+
+        fields.forEach(field => {
+            const input = document.getElementById(field.id);
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                const providerId = this.settings.provider;
+                const value = parseInt(input.value);
+
+                if (isNaN(value) || value < field.min) {
+                    alert(`${field.label}必须是不小于${field.min}的整数`);
+                    input.value = this.translationService.getRequestLimits(providerId)[field.key];
+                    return;
+                }
+
+                if (!this.settings.requestLimits) {
+                    this.settings.requestLimits = {};
+                }
+                this.settings.requestLimits[providerId] = {
+                    ...(this.settings.requestLimits[providerId] || {}),
+                    [field.key]: value
+                };
+                this._saveSettings();
+            });
+        });
+    }
+
+    /**
+     * 初始化备用提供者设置
+     * 每个操作提供若干个按顺序尝试的下拉框，保存在settings.fallbackProviders[操作]中
+     * @private
+     */
+    _initFallbackSettings() {
+        const container = document.getElementById('fallbackProviderList');
+        if (!container) return;
+
+        const operations = [
+            { key: 'translate', label: '翻译' },
+            { key: 'reverseTranslate', label: '中文反向翻译' },
+            { key: 'standardize', label: '英文标准化' },
+            { key: 'classification', label: 'AI辅助分类' }
+        ];
+        const slots = 3;
+
+        container.innerHTML = '';
+        operations.forEach(operation => {
+            // 分类需要发送原始提示词，只列出支持的提供者
+            const providers = this.translationService.getProviders().filter(provider =>
+                operation.key !== 'classification' || (typeof provider.supportsBatch === 'function' && provider.supportsBatch()));
+
+            const item = document.createElement('div');
+            item.className = 'setting-item fallback-provider-item';
+
+            const label = document.createElement('label');
+            label.textContent = `${operation.label}：`;
+            item.appendChild(label);
+
+            for (let i = 0; i < slots; i++) {
+                const select = document.createElement('select');
+                select.dataset.operation = operation.key;
+                select.dataset.slot = i;
+
+                const emptyOption = document.createElement('option');
+                emptyOption.value = '';
+                emptyOption.textContent = `-- 第${i + 1}备用 --`;
+                select.appendChild(emptyOption);
+
+                providers.forEach(provider => {
+                    const option = document.createElement('option');
+                    option.value = provider.getId();
+                    option.textContent = provider.getName();
+                    select.appendChild(option);
+                });
+
+                select.addEventListener('change', () => {
+                    const selects = container.querySelectorAll(`select[data-operation="${operation.key}"]`);
+                    const providerIds = [];
+                    selects.forEach(element => {
+                        if (element.value && !providerIds.includes(element.value)) {
+                            providerIds.push(element.value);
+                        }
+                    });
+
+                    this.settings.fallbackProviders = {
+                        ...(this.settings.fallbackProviders || {}),
+                        [operation.key]: providerIds
+                    };
+                    this._saveSettings();
+                    this._updateFallbackUI();
+                });
+
+                if (i > 0) {
+                    const arrow = document.createElement('span');
+                    arrow.className = 'fallback-provider-arrow';
+                    arrow.textContent = '→';
+                    item.appendChild(arrow);
+                }
+                item.appendChild(select);
+            }
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * 将备用提供者设置填入下拉框
+     * 重复的和当前提供者本身会被忽略，这里按实际生效的顺序显示
+     * @private
+     */
+    _updateFallbackUI() {
+        const container = document.getElementById('fallbackProviderList');
+        if (!container) return;
+
+        const fallbackProviders = this.settings.fallbackProviders || {};
+        const selectsByOperation = {};
+        container.querySelectorAll('select[data-operation]').forEach(select => {
+            const operation = select.dataset.operation;
+            (selectsByOperation[operation] = selectsByOperation[operation] || []).push(select);
+        });
+
+        Object.entries(selectsByOperation).forEach(([operation, selects]) => {
+            const providerIds = (fallbackProviders[operation] || []).filter(providerId => providerId !== this.settings.provider);
+            selects.forEach((select, index) => {
+                select.value = providerIds[index] || '';
+                Array.from(select.options).forEach(option => {
+                    option.disabled = option.value !== '' && option.value === this.settings.provider;
+                });
+            });
+        });
+    }
+
+    /**
+     * 将当前提供者的请求限制填入表单
+     * 离线词典不发送网络请求，隐藏该设置
+     * @private
+     */
+    _updateRequestLimitUI() {
+        const providerId = this.settings.provider;
+        const group = document.getElementById('requestLimitSettings');
+        if (group) {
+            group.style.display = providerId === 'offline' ? 'none' : '';
+        }
+
+        const limits = this.translationService.getRequestLimits(providerId);
+        const values = {
+            requestsPerMinute: limits.requestsPerMinute,
+            maxConcurrentRequests: limits.maxConcurrent,
+            maxRequestRetries: limits.maxRetries,
+            requestTimeout: limits.timeout
+        };
+
+        Object.entries(values).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.value = value;
+            }
+        });
+    }
+
+    /**
+     * 测试翻译提供者连接，并在设置面板中显示结果
+     * @param {string} providerId - 提供者ID
+     */
+    async testConnection(providerId) {
+        const resultEl = document.getElementById(`${providerId}TestResult`);
+        const testBtn = document.getElementById(`${providerId}TestBtn`);
+
+        if (resultEl) {
+            resultEl.textContent = '正在测试...';
+            resultEl.className = 'connection-test-result';
+        }
+        if (testBtn) {
+            testBtn.disabled = true;
+        }
+
+        try {
+            const result = await this.translationService.testConnection(providerId);
+            if (resultEl) {
+                resultEl.textContent = result.message;
+                resultEl.className = `connection-test-result ${result.success ? 'status-success' : 'status-error'}`;
+            }
+            Logger.info(`测试连接 ${providerId}: ${result.message}`);
+        } catch (error) {
+            Logger.error(`测试连接失败: ${providerId}`, error);
+            if (resultEl) {
+                resultEl.textContent = `测试失败: ${error.message}`;
+                resultEl.className = 'connection-test-result status-error';
+            }
+        } finally {
+            if (testBtn) {
+                testBtn.disabled = false;
+            }
+        }
+    }
+
     /**
      * 显示提示词预览
      * @private
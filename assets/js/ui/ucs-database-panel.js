@@ -0,0 +1,343 @@
+/**
+ * UCS术语表面板
+ * 用于加载其他版本或本地化的UCS CSV文件，设置列映射并预览与当前术语表的CatID差异
+ */
+class UCSDatabasePanel {
+    /**
+     * 构造函数
+     */
+    constructor() {
+        this.pending = null; // 待应用的文件，包含name、content、headers、rows、mapping
+        this.isProcessing = false;
+
+        // 初始化事件监听器
+        this._initEventListeners();
+
+        // 显示当前术语表信息
+        this.updateInfo();
+    }
+
+    /**
+     * 获取当前匹配器
+     * @returns {Object|null} 匹配器
+     * @private
+     */
+    _getMatcher() {
+        return window.pluginState ? window.pluginState.csvMatcher : null;
+    }
+
+    /**
+     * 初始化事件监听器
+     * @private
+     */
+    _initEventListeners() {
+        // 选择UCS文件按钮
+        const loadBtn = document.getElementById('loadUcsDatabaseBtn');
+        const fileInput = document.getElementById('ucsDatabaseInput');
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files && fileInput.files[0]) {
+                    this.openFile(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+
+        // 恢复内置术语表按钮
+        const resetBtn = document.getElementById('resetUcsDatabaseBtn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => this.resetToDefault());
+        }
+
+        // 列映射变化时重新验证
+        const tableBody = document.getElementById('ucsMappingTableBody');
+        if (tableBody) {
+            tableBody.addEventListener('change', (e) => {
+                const field = e.target.dataset.field;
+                if (field && this.pending) {
+                    this.pending.mapping[field] = e.target.value;
+                    this._renderMapping();
+                }
+            });
+        }
+
+        // 应用按钮
+        const applyBtn = document.getElementById('applyUcsDatabaseBtn');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.apply());
+        }
+
+        // 关闭按钮
+        const closeBtn = document.querySelector('#ucsMappingModal .close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.hide());
+        }
+
+        // 点击模态框外部关闭
+        window.addEventListener('click', (e) => {
+            const modal = document.getElementById('ucsMappingModal');
+            if (e.target === modal) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * 更新当前术语表信息
+     */
+    updateInfo() {
+        const info = document.getElementById('ucsDatabaseInfo');
+        if (!info) return;
+
+        const saved = UCSSchema.loadSaved();
+        const matcher = this._getMatcher();
+        const count = matcher && Array.isArray(matcher.stockTerms) && matcher.stockTerms.length > 0
+            ? `，${matcher.stockTerms.length} 个术语`
+            : '';
+
+        info.textContent = saved
+            ? `当前术语表: ${saved.name}${count}（${new Date(saved.savedAt).toLocaleString()} 加载）`
+            : `当前术语表: 内置 UCSv8.2.1${count}`;
+    }
+
+    /**
+     * 读取选择的CSV文件并显示列映射
+     * @param {File} file - CSV文件
+     */
+    async openFile(file) {
+        try {
+            const content = await file.text();
+            const { headers, rows } = UCSSchema.parse(content);
+            if (headers.length === 0) {
+                throw new Error('文件中没有表头');
+            }
+
+            this.pending = {
+                name: file.name,
+                content,
+                headers,
+                rows,
+                mapping: UCSSchema.detectMapping(headers)
+            };
+
+            this._renderMapping();
+            this.show();
+        } catch (error) {
+            Logger.error('读取UCS文件失败', error);
+            alert(`读取UCS文件失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 显示列映射对话框
+     */
+    show() {
+        const modal = document.getElementById('ucsMappingModal');
+        if (modal) {
+            modal.style.display = 'block';
+        }
+    }
+
+    /**
+     * 隐藏列映射对话框
+     */
+    hide() {
+        const modal = document.getElementById('ucsMappingModal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * 渲染列映射表、验证结果和CatID差异
+     * @private
+     */
+    _renderMapping() {
+        const { name, headers, rows, mapping } = this.pending;
+
+        const fileName = document.getElementById('ucsMappingFileName');
+        if (fileName) {
+            fileName.textContent = `${name}（${rows.length} 行，${headers.length} 列）`;
+        }
+
+        // 列映射表
+        const tableBody = document.getElementById('ucsMappingTableBody');
+        if (tableBody) {
+            tableBody.innerHTML = '';
+            const sample = rows[0] || {};
+
+            UCSSchema.FIELDS.forEach(field => {
+                const row = document.createElement('tr');
+                const select = document.createElement('select');
+                select.dataset.field = field.key;
+
+                const emptyOption = document.createElement('option');
+                emptyOption.value = '';
+                emptyOption.textContent = field.required ? '-- 请选择 --' : '-- 不使用 --';
+                select.appendChild(emptyOption);
+
+                headers.forEach(header => {
+                    const option = document.createElement('option');
+                    option.value = header;
+                    option.textContent = header;
+                    select.appendChild(option);
+                });
+                select.value = mapping[field.key] || '';
+
+                const labelCell = document.createElement('td');
+                labelCell.textContent = field.label + (field.required ? ' *' : '');
+                const selectCell = document.createElement('td');
+                selectCell.appendChild(select);
+                const sampleCell = document.createElement('td');
+                sampleCell.className = 'ucs-mapping-sample';
+                sampleCell.textContent = mapping[field.key] ? String(sample[mapping[field.key]] || '') : '';
+
+                row.appendChild(labelCell);
+                row.appendChild(selectCell);
+                row.appendChild(sampleCell);
+                tableBody.appendChild(row);
+            });
+        }
+
+        // 验证结果
+        const validation = UCSSchema.validate(mapping, headers, rows);
+        const validationEl = document.getElementById('ucsMappingValidation');
+        if (validationEl) {
+            validationEl.innerHTML = '';
+            validation.errors.forEach(message => {
+                const line = document.createElement('div');
+                line.className = 'status-error';
+                line.textContent = message;
+                validationEl.appendChild(line);
+            });
+            validation.warnings.forEach(message => {
+                const line = document.createElement('div');
+                line.className = 'ucs-mapping-warning';
+                line.textContent = message;
+                validationEl.appendChild(line);
+            });
+        }
+
+        // 与当前术语表的差异
+        const diffEl = document.getElementById('ucsMappingDiff');
+        if (diffEl) {
+            diffEl.innerHTML = '';
+            const matcher = this._getMatcher();
+            if (validation.valid && matcher && Array.isArray(matcher.stockTerms)) {
+                const diff = UCSSchema.diff(matcher.stockTerms, UCSSchema.mapRows(rows, mapping));
+                this._renderDiff(diffEl, diff);
+            }
+        }
+
+        const applyBtn = document.getElementById('applyUcsDatabaseBtn');
+        if (applyBtn) {
+            applyBtn.disabled = !validation.valid;
+        }
+    }
+
+    /**
+     * 渲染CatID差异
+     * @param {HTMLElement} container - 容器元素
+     * @param {Object} diff - UCSSchema.diff的结果
+     * @private
+     */
+    _renderDiff(container, diff) {
+        const summary = document.createElement('p');
+        summary.textContent = `与当前术语表相比: 新增 ${diff.added.length} 个，删除 ${diff.removed.length} 个，` +
+            `改名 ${diff.renamed.length} 个，未变 ${diff.unchanged} 个CatID`;
+        container.appendChild(summary);
+
+        const sections = [
+            { title: '新增', items: diff.added },
+            { title: '删除', items: diff.removed },
+            { title: '改名', items: diff.renamed.map(item => `${item.from} → ${item.to}（${item.category} / ${item.subCategory}）`) }
+        ];
+
+        sections.forEach(section => {
+            if (section.items.length === 0) return;
+
+            const details = document.createElement('details');
+            const title = document.createElement('summary');
+            title.textContent = `${section.title} (${section.items.length})`;
+            details.appendChild(title);
+
+            const list = document.createElement('div');
+            list.className = 'ucs-mapping-diff-list';
+            list.textContent = section.items.join(', ');
+            details.appendChild(list);
+            container.appendChild(details);
+        });
+    }
+
+    /**
+     * 应用选择的UCS文件，并保存以便下次启动时使用
+     */
+    apply() {
+        if (!this.pending || this.isProcessing) return;
+
+        const matcher = this._getMatcher();
+        if (!matcher || typeof matcher.loadDatabase !== 'function') {
+            alert('术语库尚未加载，无法切换UCS术语表');
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            const { name, content, mapping } = this.pending;
+            const count = matcher.loadDatabase(content, { ...mapping });
+
+            try {
+                UCSSchema.save({ name, content, mapping });
+            } catch (error) {
+                Logger.warn('保存UCS术语表失败', error);
+                alert(`已加载 ${count} 个术语，但无法保存到本地，下次启动将恢复内置术语表: ${error.message}`);
+            }
+
+            this.pending = null;
+            this.hide();
+            this.updateInfo();
+            Logger.info(`已切换UCS术语表: ${name}，共 ${count} 个术语`);
+        } catch (error) {
+            Logger.error('加载UCS术语表失败', error);
+            alert(`加载UCS术语表失败: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * 恢复使用内置的UCSv8.2.1术语表
+     */
+    async resetToDefault() {
+        if (!UCSSchema.loadSaved()) {
+            alert('当前已在使用内置UCS术语表');
+            return;
+        }
+
+        if (!confirm('确定要恢复使用内置的UCSv8.2.1术语表吗？')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(UCSSchema.DEFAULT_PATH);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const matcher = this._getMatcher();
+            if (matcher && typeof matcher.loadDatabase === 'function') {
+                matcher.loadDatabase(await response.text(), UCSSchema.DEFAULT_MAPPING);
+            }
+
+            UCSSchema.clearSaved();
+            this.updateInfo();
+        } catch (error) {
+            Logger.error('恢复内置UCS术语表失败', error);
+            alert(`恢复内置UCS术语表失败: ${error.message}`);
+        }
+    }
+}
+
+// 导出UCSDatabasePanel
+window.UCSDatabasePanel = UCSDatabasePanel;
@@ -1,174 +1,736 @@
 /**
- * 缓存工具，用于存储翻译结果和用户设置
+ * 缓存工具，用于存储翻译结果
+ * 条目保存在内存索引中按最近使用排序，超过容量时淘汰最久未使用的条目；
+ * 每次写入只记录一个条目：Eagle插件中追加到插件目录data/cache下的日志文件，无法访问磁盘时每个条目单独保存到本地存储
+ * 条目按作用域（如翻译服务、模型和提示词）分组，可以单独查看和清除
  */
 class Cache {
+    /**
+     * 默认容量（字节）
+     */
+    static DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+    /**
+     * 默认生存时间（毫秒），一周
+     */
+    static DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+    /**
+     * 未指定作用域时使用的作用域
+     */
+    static DEFAULT_SCOPE = 'default';
+
+    /**
+     * 日志文件中的记录数超过条目数的多少倍时重写日志文件
+     */
+    static COMPACT_RATIO = 2;
+
+    /**
+     * 读取后延迟保存最近使用时间的间隔（毫秒）
+     */
+    static TOUCH_DELAY = 2000;
+
     /**
      * 构造函数
-     * @param {string} namespace - 缓存命名空间
-     * @param {number} maxSize - 最大缓存条目数
+     * @param {string} namespace - 缓存命名空间，决定日志文件名和本地存储键名前缀
+     * @param {Object|number} options - 选项；为数字时表示最大条目数（兼容旧的maxSize参数）
+     * @param {number} options.maxBytes - 容量（字节），默认使用保存的设置或DEFAULT_MAX_BYTES
+     * @param {number} options.maxEntries - 最大条目数，0表示不限制
+     * @param {boolean} options.disk - 是否使用磁盘，默认true；为false时只使用本地存储
      */
-    constructor(namespace = 'audio-translator-cache', maxSize = 1000) {
+    constructor(namespace = 'audio-translator-cache', options = {}) {
+        if (typeof options === 'number') {
+            options = { maxEntries: options };
+        }
+
         this.namespace = namespace;
-        this.maxSize = maxSize;
         this.storage = localStorage;
-        this._initCache();
+        this.settingsKey = `${namespace}-settings`;
+        this.maxBytes = options.maxBytes || this._loadSettings().maxBytes || Cache.DEFAULT_MAX_BYTES;
+        this.maxEntries = options.maxEntries || 0;
+
+        this.entries = new Map(); // 条目ID -> 条目，按最近使用排序（最久未使用的在前）
+        this.totalBytes = 0;
+        this.journalRecords = 0; // 日志文件中的记录数，用于判断是否需要重写
+        this.touched = new Set(); // 读取过、尚未保存最近使用时间的条目ID
+        this.touchTimer = null;
+        this.lastUpdated = Date.now();
+        this.lastAccess = 0; // 最近一次使用的时间，保证同一毫秒内的使用也有先后
+        this.onChange = null; // 条目变化回调（不包括读取）
+
+        if (options.disk !== false) {
+            this._initDisk();
+        }
+        this._removeLegacyData();
+        this._load();
+    }
+
+    /**
+     * 计算文本的UTF-8字节数
+     * @param {string} text - 文本
+     * @returns {number} 字节数
+     */
+    static byteLength(text) {
+        let bytes = 0;
+        for (const char of String(text)) {
+            const code = char.codePointAt(0);
+            bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        }
+        return bytes;
+    }
+
+    /**
+     * 计算文本的短哈希，用于作用域名称中的提示词等长文本
+     * @param {string} text - 文本
+     * @returns {string} 哈希（36进制）
+     */
+    static hash(text) {
+        let hash = 5381;
+        const value = String(text || '');
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
     }
 
     /**
-     * 初始化缓存
+     * 初始化磁盘访问
+     * Eagle插件可以使用Node.js的fs模块，日志文件保存在插件目录的data/cache文件夹中
      * @private
      */
-    _initCache() {
-        if (!this.storage.getItem(this.namespace)) {
-            this.storage.setItem(this.namespace, JSON.stringify({
-                items: {},
-                keys: [],
-                lastUpdated: Date.now()
-            }));
+    _initDisk() {
+        this.fs = null;
+        this.filePath = null;
+
+        try {
+            if (typeof require !== 'function' || typeof eagle === 'undefined' || !eagle.plugin || !eagle.plugin.path) {
+                return;
+            }
+
+            const path = require('path');
+            this.fs = require('fs');
+            this.directory = path.join(eagle.plugin.path, 'data', 'cache');
+            this.filePath = path.join(this.directory, `${this.namespace}.jsonl`);
+        } catch (error) {
+            Logger.warn('无法访问磁盘，缓存将保存到本地存储', error);
+            this.fs = null;
+            this.filePath = null;
         }
     }
 
     /**
-     * 获取缓存数据
+     * 是否保存到磁盘
+     * @returns {boolean} 是否保存到磁盘
+     */
+    isDiskAvailable() {
+        return !!(this.fs && this.filePath);
+    }
+
+    /**
+     * 删除旧版本保存在单个本地存储键中的缓存，旧缓存没有作用域信息，不迁移
      * @private
-     * @returns {Object} 缓存数据
      */
-    _getCacheData() {
+    _removeLegacyData() {
         try {
-            return JSON.parse(this.storage.getItem(this.namespace));
+            if (this.storage.getItem(this.namespace) !== null) {
+                this.storage.removeItem(this.namespace);
+                Logger.info(`已删除旧格式的缓存: ${this.namespace}`);
+            }
         } catch (error) {
-            Logger.error('Failed to parse cache data', error);
-            return { items: {}, keys: [], lastUpdated: Date.now() };
+            Logger.warn('删除旧格式的缓存失败', error);
         }
     }
 
     /**
-     * 保存缓存数据
+     * 读取保存的缓存设置
+     * @returns {Object} 设置
      * @private
-     * @param {Object} data - 缓存数据
      */
-    _saveCacheData(data) {
+    _loadSettings() {
         try {
-            this.storage.setItem(this.namespace, JSON.stringify(data));
+            return JSON.parse(this.storage.getItem(this.settingsKey)) || {};
         } catch (error) {
-            Logger.error('Failed to save cache data', error);
-            // 尝试清理缓存后再保存
-            this.clear();
-            try {
-                this.storage.setItem(this.namespace, JSON.stringify(data));
-            } catch (e) {
-                Logger.error('Failed to save cache data after clearing', e);
-            }
+            return {};
         }
     }
 
     /**
-     * 设置缓存项
+     * 条目ID
+     * @param {string} scope - 作用域
      * @param {string} key - 缓存键
-     * @param {any} value - 缓存值
-     * @param {number|null} ttl - 生存时间（毫秒），默认一周，null表示永不过期
+     * @returns {string} 条目ID
+     * @private
      */
-    set(key, value, ttl = 7 * 24 * 60 * 60 * 1000) {
-        const cacheData = this._getCacheData();
-        const timestamp = Date.now();
-        const expires = ttl !== null ? (ttl ? timestamp + ttl : null) : null;
+    _id(scope, key) {
+        return `${scope}\u001f${key}`;
+    }
 
-        // 如果键已存在，先从keys数组中移除
-        const keyIndex = cacheData.keys.indexOf(key);
-        if (keyIndex !== -1) {
-            cacheData.keys.splice(keyIndex, 1);
-        }
+    /**
+     * 本地存储中条目的键名
+     * @param {string} id - 条目ID
+     * @returns {string} 键名
+     * @private
+     */
+    _storageKey(id) {
+        return `${this.namespace}:${id}`;
+    }
+
+    /**
+     * 获取使用时间，比上一次使用时间至少大1毫秒，重新加载后按此排序
+     * @returns {number} 使用时间
+     * @private
+     */
+    _accessTime() {
+        this.lastAccess = Math.max(Date.now(), this.lastAccess + 1);
+        return this.lastAccess;
+    }
 
-        // 将键添加到队列末尾
-        cacheData.keys.push(key);
+    /**
+     * 条目是否已过期
+     * @param {Object} entry - 条目
+     * @param {number} now - 当前时间
+     * @returns {boolean} 是否已过期
+     * @private
+     */
+    _isExpired(entry, now = Date.now()) {
+        return !!entry.expires && entry.expires < now;
+    }
 
-        // 设置缓存项
-        cacheData.items[key] = {
-            value,
-            timestamp,
-            expires
+    /**
+     * 将条目转换为保存的记录
+     * @param {Object} entry - 条目
+     * @returns {Object} 记录
+     * @private
+     */
+    _toRecord(entry) {
+        return {
+            op: 'set',
+            scope: entry.scope,
+            key: entry.key,
+            value: entry.value,
+            createdAt: entry.createdAt,
+            updatedAt: entry.updatedAt,
+            lastAccess: entry.lastAccess,
+            hits: entry.hits,
+            expires: entry.expires
         };
+    }
+
+    /**
+     * 从磁盘或本地存储加载条目
+     * @private
+     */
+    _load() {
+        const loaded = new Map();
+        const apply = record => {
+            if (!record || typeof record !== 'object') return;
 
-        // 检查缓存大小，如果超过最大值，移除最旧的项
-        // 注意：永久缓存项（expires为null）不应该被自动移除
-        // 所以我们先移除非永久缓存项
-        let permanentKeys = [];
-        let temporaryKeys = [];
+            if (record.op === 'clear') {
+                if (record.scope) {
+                    [...loaded.keys()].forEach(id => {
+                        if (loaded.get(id).scope === record.scope) loaded.delete(id);
+                    });
+                } else {
+                    loaded.clear();
+                }
+                return;
+            }
 
-        // 分类键
-        cacheData.keys.forEach(k => {
-            if (cacheData.items[k].expires === null) {
-                permanentKeys.push(k);
+            const id = this._id(record.scope, record.key);
+            if (record.op === 'set') {
+                loaded.set(id, { ...record });
+            } else if (record.op === 'delete') {
+                loaded.delete(id);
+            } else if (record.op === 'touch' && loaded.has(id)) {
+                Object.assign(loaded.get(id), { lastAccess: record.lastAccess, hits: record.hits });
+            }
+        };
+
+        try {
+            if (this.isDiskAvailable()) {
+                if (this.fs.existsSync(this.filePath)) {
+                    const lines = this.fs.readFileSync(this.filePath, 'utf8').split('\n');
+                    lines.forEach(line => {
+                        if (!line.trim()) return;
+                        this.journalRecords++;
+                        try {
+                            apply(JSON.parse(line));
+                        } catch (error) {
+                            // 写入中断时最后一行可能不完整，跳过
+                            Logger.warn('跳过无法解析的缓存记录');
+                        }
+                    });
+                }
             } else {
-                temporaryKeys.push(k);
+                const prefix = `${this.namespace}:`;
+                for (let i = 0; i < this.storage.length; i++) {
+                    const storageKey = this.storage.key(i);
+                    if (storageKey && storageKey.startsWith(prefix)) {
+                        try {
+                            apply(JSON.parse(this.storage.getItem(storageKey)));
+                        } catch (error) {
+                            Logger.warn(`跳过无法解析的缓存条目: ${storageKey}`);
+                        }
+                    }
+                }
             }
-        });
+        } catch (error) {
+            Logger.error('加载缓存失败', error);
+        }
+
+        // 按最近使用时间排序，跳过过期的条目
+        const now = Date.now();
+        [...loaded.values()]
+            .filter(record => !this._isExpired(record, now))
+            .sort((a, b) => (a.lastAccess || 0) - (b.lastAccess || 0))
+            .forEach(record => {
+                const entry = { ...record };
+                delete entry.op;
+                entry.size = this._measure(entry);
+                this.entries.set(this._id(entry.scope, entry.key), entry);
+                this.totalBytes += entry.size;
+                this.lastAccess = Math.max(this.lastAccess, entry.lastAccess || 0);
+            });
+
+        if (this.isDiskAvailable() && this.journalRecords > this.entries.size * Cache.COMPACT_RATIO) {
+            this.compact();
+        }
+        this._evict();
+    }
+
+    /**
+     * 计算条目占用的字节数（保存的记录的长度）
+     * @param {Object} entry - 条目
+     * @returns {number} 字节数
+     * @private
+     */
+    _measure(entry) {
+        return Cache.byteLength(JSON.stringify(this._toRecord(entry)));
+    }
+
+    /**
+     * 保存一条记录：追加到日志文件，或写入、删除对应的本地存储键
+     * @param {Object} record - 记录（op为set、delete、touch或clear）
+     * @private
+     */
+    _persist(record) {
+        if (this.isDiskAvailable()) {
+            try {
+                if (!this.fs.existsSync(this.directory)) {
+                    this.fs.mkdirSync(this.directory, { recursive: true });
+                }
+                this.fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+                this.journalRecords++;
+
+                if (this.journalRecords > Math.max(100, this.entries.size * Cache.COMPACT_RATIO)) {
+                    this.compact();
+                }
+            } catch (error) {
+                Logger.error('保存缓存失败', error);
+            }
+            return;
+        }
+
+        if (record.op === 'clear') {
+            this._removeStorageEntries(record.scope);
+            return;
+        }
+
+        const id = this._id(record.scope, record.key);
+        if (record.op === 'delete') {
+            this.storage.removeItem(this._storageKey(id));
+            return;
+        }
+
+        const entry = this.entries.get(id);
+        if (entry) {
+            this._writeStorageEntry(id, entry);
+        }
+    }
+
+    /**
+     * 将条目写入本地存储，空间不足时淘汰最久未使用的条目后重试
+     * @param {string} id - 条目ID
+     * @param {Object} entry - 条目
+     * @private
+     */
+    _writeStorageEntry(id, entry) {
+        const data = JSON.stringify(this._toRecord(entry));
+
+        for (;;) {
+            try {
+                this.storage.setItem(this._storageKey(id), data);
+                return;
+            } catch (error) {
+                const victim = this._findEvictable(id);
+                if (!victim) {
+                    Logger.error('本地存储空间不足，无法保存缓存条目', error);
+                    return;
+                }
+                Logger.warn('本地存储空间不足，淘汰最久未使用的缓存条目');
+                this._remove(victim, true);
+            }
+        }
+    }
 
-        // 如果临时缓存项太多，移除最旧的
-        while (permanentKeys.length + temporaryKeys.length > this.maxSize && temporaryKeys.length > 0) {
-            const oldestKey = temporaryKeys.shift();
-            delete cacheData.items[oldestKey];
+    /**
+     * 从本地存储删除条目
+     * @param {string|null} scope - 只删除该作用域的条目，为null时删除全部
+     * @private
+     */
+    _removeStorageEntries(scope = null) {
+        const prefix = scope ? `${this.namespace}:${scope}\u001f` : `${this.namespace}:`;
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (storageKey && storageKey.startsWith(prefix)) {
+                keys.push(storageKey);
+            }
+        }
+        keys.forEach(storageKey => this.storage.removeItem(storageKey));
+    }
+
+    /**
+     * 找到最久未使用、可以淘汰的条目（永不过期的条目不淘汰）
+     * @param {string} [exceptId] - 不淘汰的条目ID
+     * @returns {string|null} 条目ID
+     * @private
+     */
+    _findEvictable(exceptId = null) {
+        for (const [id, entry] of this.entries) {
+            if (id !== exceptId && entry.expires !== null) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 超过容量或条目数时淘汰最久未使用的条目
+     * @param {string} [exceptId] - 不淘汰的条目ID（刚写入的条目）
+     * @returns {number} 淘汰的条目数
+     * @private
+     */
+    _evict(exceptId = null) {
+        let evicted = 0;
+        while (this.totalBytes > this.maxBytes || (this.maxEntries && this.entries.size > this.maxEntries)) {
+            const victim = this._findEvictable(exceptId);
+            if (!victim) break;
+
+            this._remove(victim, true);
+            evicted++;
+        }
+
+        if (evicted > 0) {
+            Logger.debug(`缓存超过容量，淘汰了 ${evicted} 个最久未使用的条目`);
+        }
+        return evicted;
+    }
+
+    /**
+     * 删除条目并保存
+     * @param {string} id - 条目ID
+     * @param {boolean} persist - 是否保存删除记录
+     * @private
+     */
+    _remove(id, persist = true) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.entries.delete(id);
+        this.touched.delete(id);
+        this.totalBytes -= entry.size;
+        if (persist) {
+            this._persist({ op: 'delete', scope: entry.scope, key: entry.key });
+        }
+    }
+
+    /**
+     * 通知条目变化
+     * @private
+     */
+    _changed() {
+        this.lastUpdated = Date.now();
+        if (typeof this.onChange === 'function') {
+            this.onChange(this);
+        }
+    }
+
+    /**
+     * 记录读取的条目，延迟保存最近使用时间
+     * @param {string} id - 条目ID
+     * @private
+     */
+    _touch(id) {
+        this.touched.add(id);
+        if (this.touchTimer) return;
+
+        this.touchTimer = setTimeout(() => this.flush(), Cache.TOUCH_DELAY);
+        // 在Node.js中不阻止进程退出
+        if (this.touchTimer && typeof this.touchTimer.unref === 'function') {
+            this.touchTimer.unref();
+        }
+    }
+
+    /**
+     * 立即保存读取过的条目的最近使用时间
+     */
+    flush() {
+        if (this.touchTimer) {
+            clearTimeout(this.touchTimer);
+            this.touchTimer = null;
         }
 
-        // 重建键数组
-        cacheData.keys = [...permanentKeys, ...temporaryKeys];
+        this.touched.forEach(id => {
+            const entry = this.entries.get(id);
+            if (entry) {
+                this._persist({ op: 'touch', scope: entry.scope, key: entry.key, lastAccess: entry.lastAccess, hits: entry.hits });
+            }
+        });
+        this.touched.clear();
+    }
+
+    /**
+     * 设置缓存项
+     * @param {string} key - 缓存键
+     * @param {any} value - 缓存值
+     * @param {number|null} ttl - 生存时间（毫秒），默认一周，null表示永不过期
+     * @param {string} [scope] - 作用域
+     */
+    set(key, value, ttl = Cache.DEFAULT_TTL, scope = Cache.DEFAULT_SCOPE) {
+        const id = this._id(scope, key);
+        const now = Date.now();
+        const existing = this.entries.get(id);
+
+        const entry = {
+            scope,
+            key,
+            value,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now,
+            lastAccess: this._accessTime(),
+            hits: existing ? existing.hits : 0,
+            expires: ttl ? now + ttl : null
+        };
+        entry.size = this._measure(entry);
+
+        if (existing) {
+            this.entries.delete(id);
+            this.totalBytes -= existing.size;
+        }
+        this.entries.set(id, entry);
+        this.totalBytes += entry.size;
+        this.touched.delete(id);
 
-        cacheData.lastUpdated = timestamp;
-        this._saveCacheData(cacheData);
+        this._evict(id);
+        this._persist(this._toRecord(entry));
+        this._changed();
     }
 
     /**
      * 获取缓存项
      * @param {string} key - 缓存键
+     * @param {string} [scope] - 作用域
      * @returns {any|null} 缓存值或null（如果不存在或已过期）
      */
-    get(key) {
-        const cacheData = this._getCacheData();
-        const item = cacheData.items[key];
+    get(key, scope = Cache.DEFAULT_SCOPE) {
+        const id = this._id(scope, key);
+        const entry = this.entries.get(id);
 
-        if (!item) {
+        if (!entry) {
             return null;
         }
 
         // 检查是否过期
-        if (item.expires && item.expires < Date.now()) {
+        if (this._isExpired(entry)) {
             // 自动删除过期项
-            this.delete(key);
+            this._remove(id);
+            this._changed();
             return null;
         }
 
-        return item.value;
+        // 移到最近使用的位置
+        this.entries.delete(id);
+        this.entries.set(id, entry);
+        entry.lastAccess = this._accessTime();
+        entry.hits = (entry.hits || 0) + 1;
+        this._touch(id);
+
+        return entry.value;
     }
 
     /**
      * 删除缓存项
      * @param {string} key - 缓存键
+     * @param {string} [scope] - 作用域
+     */
+    delete(key, scope = Cache.DEFAULT_SCOPE) {
+        const id = this._id(scope, key);
+        if (this.entries.has(id)) {
+            this._remove(id);
+            this._changed();
+        }
+    }
+
+    /**
+     * 修改缓存值，保留过期时间和使用记录
+     * @param {string} key - 缓存键
+     * @param {any} value - 新的缓存值
+     * @param {string} [scope] - 作用域
+     * @returns {boolean} 是否修改
+     */
+    update(key, value, scope = Cache.DEFAULT_SCOPE) {
+        const id = this._id(scope, key);
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return false;
+        }
+
+        this.totalBytes -= entry.size;
+        entry.value = value;
+        entry.updatedAt = Date.now();
+        entry.size = this._measure(entry);
+        this.totalBytes += entry.size;
+
+        this._evict(id);
+        this._persist(this._toRecord(entry));
+        this._changed();
+        return true;
+    }
+
+    /**
+     * 清除缓存
+     * @param {string} [scope] - 只清除该作用域的条目，省略时清除全部
      */
-    delete(key) {
-        const cacheData = this._getCacheData();
+    clear(scope = null) {
+        if (scope) {
+            [...this.entries.keys()].forEach(id => {
+                if (this.entries.get(id).scope === scope) this._remove(id, false);
+            });
+            this._persist({ op: 'clear', scope });
+        } else {
+            this.entries.clear();
+            this.touched.clear();
+            this.totalBytes = 0;
+
+            if (this.isDiskAvailable()) {
+                this.compact();
+            } else {
+                this._persist({ op: 'clear', scope: null });
+            }
+        }
 
-        if (cacheData.items[key]) {
-            delete cacheData.items[key];
+        this._changed();
+    }
 
-            const keyIndex = cacheData.keys.indexOf(key);
-            if (keyIndex !== -1) {
-                cacheData.keys.splice(keyIndex, 1);
+    /**
+     * 重写日志文件，只保留现有条目
+     */
+    compact() {
+        if (!this.isDiskAvailable()) return;
+
+        try {
+            if (!this.fs.existsSync(this.directory)) {
+                this.fs.mkdirSync(this.directory, { recursive: true });
             }
 
-            cacheData.lastUpdated = Date.now();
-            this._saveCacheData(cacheData);
+            const lines = [...this.entries.values()].map(entry => JSON.stringify(this._toRecord(entry)));
+            const tempPath = `${this.filePath}.tmp`;
+            this.fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '', 'utf8');
+            this.fs.renameSync(tempPath, this.filePath);
+            this.journalRecords = lines.length;
+            this.touched.clear();
+        } catch (error) {
+            Logger.error('重写缓存文件失败', error);
         }
     }
 
     /**
-     * 清除所有缓存
+     * 创建绑定作用域的缓存访问对象
+     * @param {string} scope - 作用域
+     * @returns {Object} 包含get、set、delete和clear方法，参数同Cache的方法（不含scope）
      */
-    clear() {
-        this._saveCacheData({
-            items: {},
-            keys: [],
-            lastUpdated: Date.now()
+    scope(scope) {
+        return {
+            name: scope,
+            get: key => this.get(key, scope),
+            set: (key, value, ttl = Cache.DEFAULT_TTL) => this.set(key, value, ttl, scope),
+            delete: key => this.delete(key, scope),
+            clear: () => this.clear(scope)
+        };
+    }
+
+    /**
+     * 获取所有作用域及其条目数和大小
+     * @returns {Array<Object>} 每项包含scope、count、bytes，按大小降序
+     */
+    getScopes() {
+        const scopes = new Map();
+        this.entries.forEach(entry => {
+            if (!scopes.has(entry.scope)) {
+                scopes.set(entry.scope, { scope: entry.scope, count: 0, bytes: 0 });
+            }
+            const item = scopes.get(entry.scope);
+            item.count++;
+            item.bytes += entry.size;
         });
+        return [...scopes.values()].sort((a, b) => b.bytes - a.bytes);
+    }
+
+    /**
+     * 查找条目，最近使用的在前
+     * @param {Object} [filter] - 筛选条件
+     * @param {string} [filter.scope] - 作用域
+     * @param {string} [filter.search] - 在缓存键和缓存值中搜索（不区分大小写）
+     * @param {boolean} [filter.expired] - 只返回已过期的条目
+     * @returns {Array<Object>} 条目（scope、key、value、size、createdAt、updatedAt、lastAccess、hits、expires）
+     */
+    query(filter = {}) {
+        const search = filter.search ? String(filter.search).toLowerCase() : '';
+        const now = Date.now();
+
+        return [...this.entries.values()]
+            .filter(entry => !filter.scope || entry.scope === filter.scope)
+            .filter(entry => !filter.expired || this._isExpired(entry, now))
+            .filter(entry => !search || entry.key.toLowerCase().includes(search) ||
+                JSON.stringify(entry.value).toLowerCase().includes(search))
+            .reverse()
+            .map(entry => ({ ...entry }));
+    }
+
+    /**
+     * 删除符合条件的条目
+     * @param {Object} [filter] - 筛选条件，同query
+     * @returns {number} 删除的条目数
+     */
+    purge(filter = {}) {
+        const matched = this.query(filter);
+        matched.forEach(entry => this._remove(this._id(entry.scope, entry.key)));
+
+        if (matched.length > 0) {
+            this._changed();
+        }
+        return matched.length;
+    }
+
+    /**
+     * 设置容量，超过时立即淘汰最久未使用的条目
+     * @param {number} maxBytes - 容量（字节）
+     */
+    setMaxBytes(maxBytes) {
+        if (!(maxBytes > 0)) {
+            throw new Error('缓存容量必须大于0');
+        }
+
+        this.maxBytes = maxBytes;
+        try {
+            this.storage.setItem(this.settingsKey, JSON.stringify({ maxBytes }));
+        } catch (error) {
+            Logger.error('保存缓存设置失败', error);
+        }
+
+        this._evict();
+        this._changed();
     }
 
     /**
@@ -176,14 +738,18 @@ class Cache {
      * @returns {Object} 缓存状态信息
      */
     getStats() {
-        const cacheData = this._getCacheData();
         return {
-            size: cacheData.keys.length,
-            maxSize: this.maxSize,
-            lastUpdated: new Date(cacheData.lastUpdated)
+            size: this.entries.size,
+            maxSize: this.maxEntries || null,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            scopes: this.getScopes().length,
+            storage: this.isDiskAvailable() ? 'disk' : 'localStorage',
+            filePath: this.filePath,
+            lastUpdated: new Date(this.lastUpdated)
         };
     }
 }
 
 // 导出Cache
-window.Cache = Cache;
\ No newline at end of file
+window.Cache = Cache;
@@ -3,13 +3,28 @@
  * 管理不同匹配方式的启用状态和优先级
  */
 class MatchingStrategyConfig {
+    /**
+     * 按名称保存的匹配策略配置在本地存储中的键
+     */
+    static SAVED_CONFIGS_KEY = 'matching-strategy-saved-configs';
+
     /**
      * 构造函数
      * @param {Object} options - 配置选项
+     * @param {Object} options.strategies - 覆盖默认值的策略设置
+     * @param {boolean} options.persist - 是否保存到本地存储，默认true；评估已保存的配置时为false，不影响当前配置
      */
     constructor(options = {}) {
+        this.persist = options.persist !== false;
+
         // 匹配策略配置 - AI分类在更早阶段处理，不在此配置中
         this.strategies = {
+            // 0. 用户纠正学习到的规则 (用户确认过的结果最可靠)
+            learnedCorrectionMatch: {
+                enabled: true,
+                priority: 0,
+                description: '纠正记忆匹配 - 使用在预览中选择其他匹配后学习到的词组 -> CatID规则'
+            },
             // 1. 双语文本匹配 (对中文文件至关重要)
             bilingualTextMatch: {
                 enabled: true,
@@ -144,6 +159,10 @@ class MatchingStrategyConfig {
      * 保存配置到本地存储
      */
     saveToLocalStorage() {
+        if (!this.persist) {
+            return false;
+        }
+
         try {
             localStorage.setItem('matching-strategy-config', JSON.stringify(this.strategies));
             return true;
@@ -168,6 +187,73 @@ class MatchingStrategyConfig {
         }
         return new MatchingStrategyConfig();
     }
+
+    /**
+     * 获取保存的配置
+     * @returns {Object} 配置名称 -> {strategies, savedAt}
+     */
+    static getSavedConfigs() {
+        try {
+            const saved = localStorage.getItem(MatchingStrategyConfig.SAVED_CONFIGS_KEY);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('读取保存的匹配策略配置失败:', error);
+            return {};
+        }
+    }
+
+    /**
+     * 以指定名称保存当前配置，同名配置会被覆盖
+     * @param {string} name - 配置名称
+     */
+    saveAs(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('配置名称不能为空');
+        }
+
+        const saved = MatchingStrategyConfig.getSavedConfigs();
+        saved[trimmed] = {
+            strategies: JSON.parse(JSON.stringify(this.strategies)),
+            savedAt: new Date().toISOString()
+        };
+
+        try {
+            localStorage.setItem(MatchingStrategyConfig.SAVED_CONFIGS_KEY, JSON.stringify(saved));
+        } catch (error) {
+            throw new Error(`保存匹配策略配置失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除保存的配置
+     * @param {string} name - 配置名称
+     * @returns {boolean} 是否删除
+     */
+    static deleteSavedConfig(name) {
+        const saved = MatchingStrategyConfig.getSavedConfigs();
+        if (!saved[name]) {
+            return false;
+        }
+
+        delete saved[name];
+        localStorage.setItem(MatchingStrategyConfig.SAVED_CONFIGS_KEY, JSON.stringify(saved));
+        return true;
+    }
+
+    /**
+     * 创建保存的配置的实例，不会替换当前配置
+     * @param {string} name - 配置名称
+     * @returns {MatchingStrategyConfig|null} 配置实例，配置不存在时返回null
+     */
+    static fromSavedConfig(name) {
+        const saved = MatchingStrategyConfig.getSavedConfigs()[name];
+        if (!saved) {
+            return null;
+        }
+
+        return new MatchingStrategyConfig({ strategies: saved.strategies, persist: false });
+    }
 }
 
 // 导出类
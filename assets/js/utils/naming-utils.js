@@ -3,6 +3,14 @@
  * 集中处理所有与命名相关的逻辑
  */
 class NamingUtils {
+    /**
+     * 截断时优先去掉的停用词（英文不区分大小写，中文为单字）
+     */
+    static STOP_WORDS = [
+        'a', 'an', 'the', 'of', 'and', 'or', 'with', 'in', 'on', 'at', 'to', 'for', 'from', 'by', 'into', 'onto',
+        '的', '地', '得', '了', '着', '之'
+    ];
+
     /**
      * 从文本中提取数字序号
      * @param {string} text - 要处理的文本
@@ -164,6 +172,78 @@ class NamingUtils {
         return chineseChars.length / text.length > 0.4;
     }
 
+    /**
+     * 按单词和中文字符的边界截断文本
+     * 先从后往前去掉停用词，仍然过长时从末尾整词去掉，只剩一个词时才按字符截断；保留原有的分隔符和大小写
+     * @param {string} text - 要截断的文本
+     * @param {number} maxLength - 最多字符数（中文和emoji都算一个字符），不大于0时不截断
+     * @returns {string} 截断后的文本
+     */
+    static truncateText(text, maxLength) {
+        const limit = parseInt(maxLength, 10);
+        if (!text || !(limit > 0) || Array.from(text).length <= limit) {
+            return text || '';
+        }
+
+        const units = this._splitIntoUnits(text);
+        const join = () => units.map(unit => unit.prefix + unit.word).join('');
+        const fits = () => Array.from(join()).length <= limit;
+
+        // 从后往前去掉停用词，第一个词保留
+        for (let i = units.length - 1; i > 0 && !fits(); i--) {
+            if (this.STOP_WORDS.includes(units[i].word.toLowerCase())) {
+                units.splice(i, 1);
+            }
+        }
+
+        // 从末尾整词去掉
+        while (units.length > 1 && !fits()) {
+            units.pop();
+        }
+
+        // 只剩一个词时按字符截断
+        let result = join();
+        if (!fits()) {
+            result = Array.from(result).slice(0, limit).join('');
+        }
+
+        return result.replace(/[\s_\-.]+$/, '');
+    }
+
+    /**
+     * 获取文本的第一个截断单位（第一个英文单词或中文字符），即按单词截断时保留的最短结果
+     * @param {string} text - 文本
+     * @returns {string} 第一个单位，文本为空时为空字符串
+     */
+    static getFirstUnit(text) {
+        const [first] = this._splitIntoUnits(text || '');
+        return first ? first.prefix + first.word : '';
+    }
+
+    /**
+     * 将文本拆分为截断单位：英文单词（包括驼峰命名中的单词）、数字、单个中文字符，
+     * 单位前的分隔符随单位保留
+     * @param {string} text - 要拆分的文本
+     * @returns {Array<Object>} 单位列表，包含prefix（前面的分隔符）和word
+     * @private
+     */
+    static _splitIntoUnits(text) {
+        const tokenPattern = /[\s_\-.]+|[\u4e00-\u9fa5]|[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+|./gu;
+        const units = [];
+        let prefix = '';
+
+        for (const [token] of text.matchAll(tokenPattern)) {
+            if (/^[\s_\-.]+$/.test(token)) {
+                prefix += token;
+            } else {
+                units.push({ prefix, word: token });
+                prefix = '';
+            }
+        }
+
+        return units;
+    }
+
     /**
      * 获取不带扩展名的文件名
      * @param {string} filename - 文件名
@@ -0,0 +1,188 @@
+/**
+ * 预览报告工具
+ * 将预览结果导出为CSV/JSON，并将编辑后的表格导入回文件列表
+ */
+class PreviewReport {
+    /**
+     * 报告列定义（字段名 -> 表头）
+     */
+    static COLUMNS = [
+        { key: 'id', header: 'ID' },
+        { key: 'originalName', header: 'OriginalName' },
+        { key: 'catID', header: 'CatID' },
+        { key: 'matchRank', header: 'MatchRank' },
+        { key: 'fxName', header: 'FXName' },
+        { key: 'translatedName', header: 'TranslatedName' },
+        { key: 'formattedName', header: 'FormattedName' },
+        { key: 'status', header: 'Status' },
+        { key: 'matchSource', header: 'MatchSource' }
+    ];
+
+    /**
+     * 将文件对象转换为报告行
+     * @param {Object} file - 文件对象
+     * @returns {Object} 报告行
+     */
+    static toRow(file) {
+        const rank = typeof file.currentMatchRank === 'number' ? file.currentMatchRank : 0;
+        const match = Array.isArray(file.matchResults) ? file.matchResults[rank] : null;
+
+        return {
+            id: file.id,
+            originalName: file.originalName || file.name || '',
+            catID: file.catID || '',
+            // 替代匹配序号从1开始，与预览下拉菜单一致
+            matchRank: match ? rank + 1 : '',
+            fxName: file.standardizedName || file.nameWithoutNumber || '',
+            translatedName: file.translatedName || '',
+            formattedName: file.formattedName || '',
+            status: file.status || 'pending',
+            matchSource: (match && match.matchSource) || ''
+        };
+    }
+
+    /**
+     * 导出为CSV文本
+     * @param {Array<Object>} files - 文件列表
+     * @returns {string} CSV文本
+     */
+    static toCSV(files) {
+        const rows = files.map(file => {
+            const row = PreviewReport.toRow(file);
+            return PreviewReport.COLUMNS.map(column => row[column.key]);
+        });
+
+        return Papa.unparse({
+            fields: PreviewReport.COLUMNS.map(column => column.header),
+            data: rows
+        });
+    }
+
+    /**
+     * 导出为JSON文本
+     * @param {Array<Object>} files - 文件列表
+     * @returns {string} JSON文本
+     */
+    static toJSON(files) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            files: files.map(file => PreviewReport.toRow(file))
+        }, null, 2);
+    }
+
+    /**
+     * 解析导入的报告
+     * @param {string} text - 文件内容
+     * @param {string} format - 格式（'csv' 或 'json'）
+     * @returns {Array<Object>} 报告行
+     */
+    static parse(text, format) {
+        if (format === 'json') {
+            const data = JSON.parse(text);
+            const rows = Array.isArray(data) ? data : data.files;
+            if (!Array.isArray(rows)) {
+                throw new Error('JSON中缺少files数组');
+            }
+            return rows.map(row => PreviewReport._normalizeRow(row));
+        }
+
+        // 去掉表格软件可能写入的BOM
+        const parsed = Papa.parse(text.replace(/^\uFEFF/, ''), {
+            header: true,
+            skipEmptyLines: true
+        });
+
+        if (parsed.errors && parsed.errors.length > 0 && parsed.data.length === 0) {
+            throw new Error(`CSV解析失败: ${parsed.errors[0].message}`);
+        }
+
+        const headerToKey = {};
+        PreviewReport.COLUMNS.forEach(column => {
+            headerToKey[column.header] = column.key;
+        });
+
+        const fields = parsed.meta.fields || [];
+        if (!fields.includes('ID') || !fields.includes('FormattedName')) {
+            throw new Error('CSV缺少必需的列: ID, FormattedName');
+        }
+
+        return parsed.data.map(record => {
+            const row = {};
+            Object.keys(record).forEach(header => {
+                const key = headerToKey[header.trim()];
+                if (key) {
+                    row[key] = record[header];
+                }
+            });
+            return PreviewReport._normalizeRow(row);
+        });
+    }
+
+    /**
+     * 规范化报告行
+     * @param {Object} row - 报告行
+     * @returns {Object} 规范化后的报告行
+     * @private
+     */
+    static _normalizeRow(row) {
+        const normalized = {};
+        PreviewReport.COLUMNS.forEach(column => {
+            const value = row[column.key];
+            normalized[column.key] = value === undefined || value === null ? '' : String(value).trim();
+        });
+        return normalized;
+    }
+
+    /**
+     * 将报告行合并到文件列表
+     * 已在列表中的文件更新其字段，不在列表中的文件根据报告行新建
+     * @param {Array<Object>} files - 当前文件列表
+     * @param {Array<Object>} rows - 报告行
+     * @returns {Object} 合并结果，包含files、updated、added、skipped
+     */
+    static applyRows(files, rows) {
+        const result = { files: [...files], updated: 0, added: 0, skipped: 0 };
+        const fileMap = new Map(result.files.map(file => [file.id, file]));
+
+        rows.forEach(row => {
+            if (!row.id || !row.formattedName) {
+                result.skipped++;
+                return;
+            }
+
+            const formattedName = Validator.sanitizeFilename(row.formattedName);
+            let file = fileMap.get(row.id);
+
+            if (!file) {
+                const extension = Validator.getExtension(row.originalName);
+                file = {
+                    id: row.id,
+                    name: Validator.getNameWithoutExtension(row.originalName),
+                    originalName: row.originalName,
+                    extension,
+                    matchResults: [],
+                    currentMatchRank: 0,
+                    availableMatchCount: 0,
+                    selected: true
+                };
+                fileMap.set(row.id, file);
+                result.files.push(file);
+                result.added++;
+            } else {
+                result.updated++;
+            }
+
+            if (row.catID) file.catID = row.catID;
+            if (row.fxName) file.standardizedName = row.fxName;
+            if (row.translatedName) file.translatedName = row.translatedName;
+            file.formattedName = formattedName;
+            file.status = 'success';
+            file.imported = true;
+        });
+
+        return result;
+    }
+}
+
+// 导出PreviewReport
+window.PreviewReport = PreviewReport;
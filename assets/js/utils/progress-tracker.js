@@ -0,0 +1,201 @@
+/**
+ * 进度跟踪工具
+ * 记录分阶段任务的当前阶段、完成数、错误数和进行中的请求数，并按当前阶段的速度估算剩余时间
+ */
+class ProgressTracker {
+    /**
+     * 没有进度变化时定时通知的间隔（毫秒），用于更新进行中的请求数和已用时间
+     */
+    static TICK_INTERVAL = 1000;
+
+    /**
+     * 构造函数
+     * @param {Array<Object>} phases - 阶段定义（id、label）
+     * @param {Object} [options] - 选项
+     * @param {Function} [options.onProgress] - 进度回调，参数为getSnapshot的结果
+     * @param {Function} [options.getRequestStatus] - 获取请求状态的函数，返回active（进行中）和queued（排队中）
+     */
+    constructor(phases, options = {}) {
+        this.phases = phases.map(phase => ({ ...phase, total: 0, done: 0, errors: 0, startedAt: null, finishedAt: null }));
+        this.onProgress = options.onProgress || null;
+        this.getRequestStatus = options.getRequestStatus || null;
+        this.current = -1;
+        this.status = 'running';
+        this.startedAt = Date.now();
+        this.finishedAt = null;
+        this.timer = null;
+
+        if (this.onProgress) {
+            this._scheduleTick();
+        }
+    }
+
+    /**
+     * 格式化时长
+     * @param {number} ms - 毫秒数
+     * @returns {string} 格式化后的时长，例如“1分20秒”
+     */
+    static formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds}秒`;
+
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}分${seconds % 60}秒`;
+
+        return `${Math.floor(minutes / 60)}小时${minutes % 60}分`;
+    }
+
+    /**
+     * 生成进度说明文字
+     * @param {Object} snapshot - getSnapshot的结果
+     * @returns {string} 说明文字，例如“第2/4步 AI分类 12/40（30%），3 个请求进行中，剩余约 1分20秒”
+     */
+    static describe(snapshot) {
+        if (!snapshot.phase) {
+            return '准备中';
+        }
+
+        const parts = [`第${snapshot.phaseIndex}/${snapshot.phaseCount}步 ${snapshot.label} ${snapshot.done}/${snapshot.total}（${snapshot.percent}%）`];
+        if (snapshot.inFlight > 0 || snapshot.queued > 0) {
+            parts.push(snapshot.queued > 0
+                ? `${snapshot.inFlight} 个请求进行中，${snapshot.queued} 个排队`
+                : `${snapshot.inFlight} 个请求进行中`);
+        }
+        if (snapshot.errors > 0) {
+            parts.push(`${snapshot.errors} 个错误`);
+        }
+        if (snapshot.eta !== null) {
+            parts.push(`剩余约 ${ProgressTracker.formatDuration(snapshot.eta)}`);
+        }
+        return parts.join('，');
+    }
+
+    /**
+     * 开始一个阶段，之前的阶段视为完成
+     * @param {string} id - 阶段ID
+     * @param {number} total - 本阶段的项目数
+     */
+    startPhase(id, total) {
+        const index = this.phases.findIndex(phase => phase.id === id);
+        if (index === -1) {
+            throw new Error(`未知的进度阶段: ${id}`);
+        }
+
+        const now = Date.now();
+        this.phases.slice(0, index).forEach(phase => {
+            phase.finishedAt = phase.finishedAt || now;
+        });
+
+        const phase = this.phases[index];
+        phase.total = Math.max(0, total || 0);
+        phase.done = 0;
+        phase.startedAt = now;
+        this.current = index;
+        this._notify();
+    }
+
+    /**
+     * 当前阶段完成若干项
+     * @param {number} [count=1] - 完成数
+     * @param {number} [errors=0] - 其中出错的项数
+     */
+    advance(count = 1, errors = 0) {
+        const phase = this.phases[this.current];
+        if (!phase) return;
+
+        phase.done = Math.min(phase.total, phase.done + count);
+        phase.errors += errors;
+        this._notify();
+    }
+
+    /**
+     * 结束任务并停止定时通知
+     * @param {string} [status='completed'] - 结束状态（completed、cancelled或failed）
+     */
+    finish(status = 'completed') {
+        if (this.status !== 'running') return;
+
+        this.status = status;
+        this.finishedAt = Date.now();
+        this._clearTick();
+        this._notify();
+    }
+
+    /**
+     * 获取当前进度
+     * @returns {Object} 进度，包含phase、label、phaseIndex（从1开始）、phaseCount、done、total、percent、
+     *     errors（所有阶段的错误数）、inFlight、queued、elapsed、eta（当前阶段剩余毫秒数，无法估算时为null）和status
+     */
+    getSnapshot() {
+        const phase = this.phases[this.current] || null;
+        const now = this.finishedAt || Date.now();
+        const requests = this.getRequestStatus ? this.getRequestStatus() : null;
+
+        let eta = null;
+        if (phase && this.status === 'running' && phase.done > 0 && phase.done < phase.total) {
+            eta = Math.round((now - phase.startedAt) / phase.done * (phase.total - phase.done));
+        }
+
+        return {
+            phase: phase ? phase.id : null,
+            label: phase ? phase.label : '',
+            phaseIndex: this.current + 1,
+            phaseCount: this.phases.length,
+            done: phase ? phase.done : 0,
+            total: phase ? phase.total : 0,
+            percent: phase && phase.total > 0 ? Math.floor(phase.done / phase.total * 100) : 0,
+            errors: this.phases.reduce((sum, item) => sum + item.errors, 0),
+            inFlight: requests ? requests.active : 0,
+            queued: requests ? requests.queued : 0,
+            elapsed: now - this.startedAt,
+            eta,
+            status: this.status
+        };
+    }
+
+    /**
+     * 调用进度回调，回调中的错误不影响任务
+     * @private
+     */
+    _notify() {
+        if (!this.onProgress) return;
+
+        try {
+            this.onProgress(this.getSnapshot());
+        } catch (error) {
+            Logger.warn('进度回调失败', error);
+        }
+    }
+
+    /**
+     * 定时通知，直到任务结束
+     * @private
+     */
+    _scheduleTick() {
+        this.timer = setTimeout(() => {
+            this._notify();
+            if (this.status === 'running') {
+                this._scheduleTick();
+            }
+        }, ProgressTracker.TICK_INTERVAL);
+
+        // 在Node.js中不阻止进程退出
+        if (this.timer && typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * 停止定时通知
+     * @private
+     */
+    _clearTick() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// 导出ProgressTracker
+window.ProgressTracker = ProgressTracker;
@@ -0,0 +1,208 @@
+/**
+ * 正则表达式执行工具
+ * 验证用户输入的正则表达式，在后台线程中测试匹配结果，执行超时（灾难性回溯）时终止而不是让插件卡死
+ */
+
+/**
+ * 对每段文本执行正则表达式，返回匹配和替换结果
+ * 同时在主线程和后台线程中使用，后台线程中通过源代码加载，因此不能引用其他变量
+ * @param {string} pattern - 正则表达式
+ * @param {string} flags - 标志
+ * @param {string} replacement - 替换文本，支持$1、$<name>等反向引用
+ * @param {Array<string>} texts - 文本列表
+ * @param {number} maxMatches - 每段文本最多返回的匹配数
+ * @returns {Array<Object>} 结果，包含text、matches（index、text、groups、named）和output
+ */
+function evaluateRegex(pattern, flags, replacement, texts, maxMatches) {
+    const replacer = new RegExp(pattern, flags);
+    const finder = new RegExp(pattern, flags.includes('g') ? flags : flags + 'g');
+
+    return texts.map(text => {
+        const matches = [];
+        for (const match of text.matchAll(finder)) {
+            matches.push({
+                index: match.index,
+                text: match[0],
+                groups: match.slice(1),
+                named: match.groups ? { ...match.groups } : null
+            });
+            if (matches.length >= maxMatches) break;
+        }
+
+        return { text, matches, output: text.replace(replacer, replacement) };
+    });
+}
+
+class RegexRunner {
+    /**
+     * 在后台线程中执行的超时时间（毫秒）
+     */
+    static TIMEOUT = 1000;
+
+    /**
+     * 允许的标志
+     */
+    static ALLOWED_FLAGS = 'gimsuy';
+
+    /**
+     * 每段文本最多返回的匹配数
+     */
+    static MAX_MATCHES = 50;
+
+    /**
+     * 查找会导致灾难性回溯的嵌套量词，例如 (a+)+、(\w*\s?)*
+     * 只是启发式检查，检查不到的情况由测试超时发现
+     * @param {string} pattern - 正则表达式
+     * @returns {string|null} 有问题的片段，没有时为null
+     */
+    static findNestedQuantifier(pattern) {
+        const quantifier = '(?:[+*]|\\{\\d+,\\d*\\})';
+        const groupBody = '(?:\\\\.|\\[(?:\\\\.|[^\\]\\\\])*\\]|[^()\\\\])*';
+        const nested = new RegExp(`\\(${groupBody}${quantifier}${groupBody}\\)${quantifier}`);
+        const match = String(pattern).match(nested);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * 验证并创建正则表达式
+     * @param {string} pattern - 正则表达式
+     * @param {string} [flags=''] - 标志
+     * @returns {RegExp} 正则表达式
+     */
+    static compile(pattern, flags = '') {
+        if (!pattern) {
+            throw new Error('正则表达式不能为空');
+        }
+
+        const invalidFlag = [...flags].find((flag, index) => !RegexRunner.ALLOWED_FLAGS.includes(flag) || flags.indexOf(flag) !== index);
+        if (invalidFlag) {
+            throw new Error(`正则表达式标志无效: ${invalidFlag}（可用 ${RegexRunner.ALLOWED_FLAGS}，每个只能出现一次）`);
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(pattern, flags);
+        } catch (error) {
+            throw new Error(`正则表达式无效: ${error.message}`);
+        }
+
+        const nested = RegexRunner.findNestedQuantifier(pattern);
+        if (nested) {
+            throw new Error(`正则表达式包含嵌套量词 ${nested}，可能导致灾难性回溯，请改写为不重复嵌套的形式`);
+        }
+
+        return regex;
+    }
+
+    /**
+     * 在当前线程中执行（不能中断）
+     * @param {string} pattern - 正则表达式
+     * @param {string} flags - 标志
+     * @param {string} replacement - 替换文本
+     * @param {Array<string>} texts - 文本列表
+     * @returns {Array<Object>} 结果，见evaluateRegex
+     */
+    static evaluate(pattern, flags, replacement, texts) {
+        RegexRunner.compile(pattern, flags);
+        return evaluateRegex(pattern, flags, replacement, texts, RegexRunner.MAX_MATCHES);
+    }
+
+    /**
+     * 在后台线程中测试正则表达式，超时时终止线程
+     * 没有Worker时在当前线程中执行，只能在执行结束后报告耗时过长
+     * @param {string} pattern - 正则表达式
+     * @param {string} flags - 标志
+     * @param {string} replacement - 替换文本
+     * @param {Array<string>} texts - 文本列表
+     * @param {Object} [options] - 选项
+     * @param {number} [options.timeout] - 超时时间（毫秒）
+     * @param {Function} [options.createWorker] - 根据脚本源代码创建Worker的函数，默认使用浏览器的Worker
+     * @returns {Promise<Array<Object>>} 结果，见evaluateRegex
+     */
+    static async test(pattern, flags, replacement, texts, options = {}) {
+        RegexRunner.compile(pattern, flags);
+
+        const timeout = options.timeout || RegexRunner.TIMEOUT;
+        const createWorker = options.createWorker || RegexRunner._getDefaultWorkerFactory();
+        const timeoutMessage = `正则表达式执行超过 ${timeout} 毫秒，可能存在灾难性回溯，已终止`;
+
+        if (!createWorker) {
+            const startedAt = Date.now();
+            const results = evaluateRegex(pattern, flags, replacement, texts, RegexRunner.MAX_MATCHES);
+            if (Date.now() - startedAt > timeout) {
+                throw new Error(timeoutMessage);
+            }
+            return results;
+        }
+
+        const source = `${evaluateRegex.toString()}
+self.onmessage = function (event) {
+    var data = event.data;
+    try {
+        self.postMessage({ results: evaluateRegex(data.pattern, data.flags, data.replacement, data.texts, data.maxMatches) });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};`;
+
+        return new Promise((resolve, reject) => {
+            const worker = createWorker(source);
+            const timer = setTimeout(() => {
+                worker.terminate();
+                reject(new Error(timeoutMessage));
+            }, timeout);
+
+            worker.onmessage = (event) => {
+                clearTimeout(timer);
+                worker.terminate();
+                if (event.data.error) {
+                    reject(new Error(`正则表达式执行失败: ${event.data.error}`));
+                } else {
+                    resolve(event.data.results);
+                }
+            };
+            worker.onerror = (error) => {
+                clearTimeout(timer);
+                worker.terminate();
+                reject(new Error(`正则表达式执行失败: ${error.message}`));
+            };
+
+            worker.postMessage({ pattern, flags, replacement, texts, maxMatches: RegexRunner.MAX_MATCHES });
+        });
+    }
+
+    /**
+     * 是否可以在后台线程中执行（浏览器支持Worker）
+     * @returns {boolean} 是否可以在后台线程中执行
+     */
+    static canTestInBackground() {
+        return !!RegexRunner._getDefaultWorkerFactory();
+    }
+
+    /**
+     * 浏览器中通过Blob URL创建Worker
+     * @returns {Function|null} Worker工厂函数，不支持时为null
+     * @private
+     */
+    static _getDefaultWorkerFactory() {
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined' || !URL.createObjectURL) {
+            return null;
+        }
+
+        return (source) => {
+            const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+            const worker = new Worker(url);
+
+            // Worker加载脚本是异步的，结束后再释放URL
+            const terminate = worker.terminate.bind(worker);
+            worker.terminate = () => {
+                terminate();
+                URL.revokeObjectURL(url);
+            };
+            return worker;
+        };
+    }
+}
+
+// 导出RegexRunner
+window.RegexRunner = RegexRunner;
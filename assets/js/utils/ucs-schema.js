@@ -0,0 +1,300 @@
+/**
+ * UCS术语表结构映射工具
+ * 将不同版本或本地化的UCS CSV列映射到匹配器使用的术语字段，并比较两个术语表的CatID差异
+ */
+class UCSSchema {
+    /**
+     * 本地存储键名（保存用户选择的UCS文件及列映射）
+     */
+    static STORAGE_KEY = 'ucs-database';
+
+    /**
+     * 内置UCS术语表路径
+     */
+    static DEFAULT_PATH = './assets/data/UCSv8.2.1.csv';
+
+    /**
+     * 术语字段定义
+     * candidates为可自动识别的列名，prefix用于识别本地化列（如SubCategory_ja、Category_de）
+     */
+    static FIELDS = [
+        { key: 'category', label: '主分类', required: true, candidates: ['Category'] },
+        { key: 'source', label: '子分类', required: true, candidates: ['SubCategory', 'Sub Category'] },
+        { key: 'catID', label: 'CatID', required: true, candidates: ['CatID', 'Cat ID', 'CategoryID'] },
+        { key: 'catShort', label: 'CatShort', required: false, candidates: ['CatShort', 'Cat Short'] },
+        { key: 'synonyms', label: '同义词', required: false, candidates: ['Synonyms - Comma Separated', 'Synonyms'] },
+        { key: 'categoryNameZh', label: '主分类（本地化）', required: false, candidates: ['Category_zh'], prefix: 'category' },
+        { key: 'target', label: '子分类（本地化）', required: false, candidates: ['SubCategory_zh'], prefix: 'subcategory' },
+        { key: 'synonymsZh', label: '同义词（本地化）', required: false, candidates: ['Synonyms_zh'], prefix: 'synonyms' }
+    ];
+
+    /**
+     * 内置UCSv8.2.1的列映射
+     */
+    static DEFAULT_MAPPING = {
+        category: 'Category',
+        source: 'SubCategory',
+        catID: 'CatID',
+        catShort: 'CatShort',
+        synonyms: 'Synonyms - Comma Separated',
+        categoryNameZh: 'Category_zh',
+        target: 'SubCategory_zh',
+        synonymsZh: 'Synonyms_zh'
+    };
+
+    /**
+     * 规范化列名，便于不区分大小写和分隔符地比较
+     * @param {string} header - 列名
+     * @returns {string} 规范化后的列名
+     * @private
+     */
+    static _normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[\s_\-]/g, '');
+    }
+
+    /**
+     * 根据表头自动识别列映射
+     * @param {Array<string>} headers - CSV表头
+     * @returns {Object} 列映射（字段名 -> 列名，未识别的字段为空字符串）
+     */
+    static detectMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+        const normalized = headers.map(header => UCSSchema._normalizeHeader(header));
+
+        // 先匹配已知列名
+        UCSSchema.FIELDS.forEach(field => {
+            mapping[field.key] = '';
+            for (const candidate of field.candidates) {
+                const index = normalized.indexOf(UCSSchema._normalizeHeader(candidate));
+                if (index !== -1 && !used.has(index)) {
+                    mapping[field.key] = headers[index];
+                    used.add(index);
+                    break;
+                }
+            }
+        });
+
+        // 再为本地化字段查找带语言后缀的列，如SubCategory_ja、Synonyms_de
+        UCSSchema.FIELDS.forEach(field => {
+            if (mapping[field.key] || !field.prefix) return;
+
+            const index = normalized.findIndex((header, i) =>
+                !used.has(i) && header.startsWith(field.prefix) && header.length > field.prefix.length &&
+                // "Synonyms - Comma Separated"之类的列不是本地化列
+                !header.includes('comma')
+            );
+            if (index !== -1) {
+                mapping[field.key] = headers[index];
+                used.add(index);
+            }
+        });
+
+        return mapping;
+    }
+
+    /**
+     * 验证列映射和数据
+     * @param {Object} mapping - 列映射
+     * @param {Array<string>} headers - CSV表头
+     * @param {Array<Object>} rows - CSV数据行
+     * @returns {Object} 验证结果，包含valid、errors、warnings
+     */
+    static validate(mapping, headers, rows = []) {
+        const errors = [];
+        const warnings = [];
+
+        UCSSchema.FIELDS.forEach(field => {
+            const header = mapping[field.key];
+            if (!header) {
+                if (field.required) {
+                    errors.push(`必需字段"${field.label}"未映射到任何列`);
+                }
+                return;
+            }
+            if (!headers.includes(header)) {
+                errors.push(`字段"${field.label}"映射的列 ${header} 不存在`);
+            }
+        });
+
+        if (errors.length > 0) {
+            return { valid: false, errors, warnings };
+        }
+
+        // 检查必需字段缺失和重复CatID
+        const seen = new Set();
+        const duplicates = new Set();
+        let incomplete = 0;
+
+        rows.forEach(row => {
+            const catID = UCSSchema._value(row, mapping.catID);
+            if (!catID || !UCSSchema._value(row, mapping.source)) {
+                incomplete++;
+                return;
+            }
+            if (seen.has(catID)) {
+                duplicates.add(catID);
+            }
+            seen.add(catID);
+        });
+
+        if (seen.size === 0) {
+            errors.push('没有任何包含子分类和CatID的有效行');
+        }
+        if (incomplete > 0) {
+            warnings.push(`${incomplete} 行缺少子分类或CatID，将被忽略`);
+        }
+        if (duplicates.size > 0) {
+            warnings.push(`存在重复的CatID: ${Array.from(duplicates).slice(0, 10).join(', ')}${duplicates.size > 10 ? ' 等' : ''}`);
+        }
+        if (!mapping.target) {
+            warnings.push('未映射本地化子分类，将使用英文子分类作为译名');
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * 读取行中某列的值
+     * @param {Object} row - 数据行
+     * @param {string} header - 列名
+     * @returns {string} 去除首尾空白后的值
+     * @private
+     */
+    static _value(row, header) {
+        if (!header) return '';
+        const value = row[header];
+        return value === undefined || value === null ? '' : String(value).trim();
+    }
+
+    /**
+     * 将CSV数据行转换为术语
+     * @param {Array<Object>} rows - CSV数据行（以表头为键）
+     * @param {Object} mapping - 列映射
+     * @returns {Array<Object>} 术语列表
+     */
+    static mapRows(rows, mapping = UCSSchema.DEFAULT_MAPPING) {
+        const terms = [];
+
+        rows.forEach(row => {
+            const source = UCSSchema._value(row, mapping.source);
+            const catID = UCSSchema._value(row, mapping.catID);
+
+            // 至少需要有 source 和 catID
+            if (!source || !catID) return;
+
+            const category = UCSSchema._value(row, mapping.category);
+            terms.push({
+                source: source,
+                target: UCSSchema._value(row, mapping.target) || source, // 如果没有 target，使用 source
+                catID: catID,
+                catShort: UCSSchema._value(row, mapping.catShort) || catID.substring(0, 4), // 如果没有 catShort，使用 catID 的前 4 个字符
+                category: category,
+                categoryNameZh: UCSSchema._value(row, mapping.categoryNameZh) || category,
+                synonyms: UCSSchema._value(row, mapping.synonyms),
+                synonymsZh: UCSSchema._value(row, mapping.synonymsZh)
+            });
+        });
+
+        return terms;
+    }
+
+    /**
+     * 解析CSV文本
+     * @param {string} text - CSV文本
+     * @returns {Object} 解析结果，包含headers和rows
+     */
+    static parse(text) {
+        const parsed = Papa.parse(String(text || '').replace(/^\uFEFF/, ''), {
+            header: true,
+            skipEmptyLines: true
+        });
+
+        if (parsed.errors && parsed.errors.length > 0 && parsed.data.length === 0) {
+            throw new Error(`CSV解析失败: ${parsed.errors[0].message}`);
+        }
+
+        return {
+            headers: (parsed.meta.fields || []).filter(header => header && header.trim()),
+            rows: parsed.data
+        };
+    }
+
+    /**
+     * 比较两个术语表的CatID差异
+     * 旧表中消失的CatID如果在新表中以相同的主分类/子分类出现，视为改名
+     * @param {Array<Object>} oldTerms - 当前术语
+     * @param {Array<Object>} newTerms - 新术语
+     * @returns {Object} 差异，包含added、removed、renamed（{from, to, category, subCategory}）和unchanged数量
+     */
+    static diff(oldTerms, newTerms) {
+        const oldMap = new Map(oldTerms.map(term => [term.catID, term]));
+        const newMap = new Map(newTerms.map(term => [term.catID, term]));
+        const nameKey = term => `${term.category}\u0000${term.source}`.toLowerCase();
+
+        let removed = oldTerms.filter(term => !newMap.has(term.catID));
+        let added = newTerms.filter(term => !oldMap.has(term.catID));
+
+        const addedByName = new Map(added.map(term => [nameKey(term), term]));
+        const renamed = [];
+        removed = removed.filter(term => {
+            const match = addedByName.get(nameKey(term));
+            if (!match) return true;
+
+            renamed.push({ from: term.catID, to: match.catID, category: term.category, subCategory: term.source });
+            addedByName.delete(nameKey(term));
+            return false;
+        });
+
+        const renamedTo = new Set(renamed.map(item => item.to));
+        added = added.filter(term => !renamedTo.has(term.catID));
+
+        return {
+            added: added.map(term => term.catID),
+            removed: removed.map(term => term.catID),
+            renamed,
+            unchanged: newTerms.length - added.length - renamed.length
+        };
+    }
+
+    /**
+     * 读取已保存的UCS文件选择
+     * @returns {Object|null} 保存的选择，包含name、content、mapping、savedAt
+     */
+    static loadSaved() {
+        try {
+            const saved = localStorage.getItem(UCSSchema.STORAGE_KEY);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            Logger.error('读取UCS术语表设置失败', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存UCS文件选择
+     * @param {Object} selection - 选择，包含name、content、mapping
+     */
+    static save(selection) {
+        try {
+            localStorage.setItem(UCSSchema.STORAGE_KEY, JSON.stringify({
+                name: selection.name,
+                content: selection.content,
+                mapping: selection.mapping,
+                savedAt: Date.now()
+            }));
+        } catch (error) {
+            throw new Error(`保存UCS术语表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 清除保存的选择，恢复使用内置术语表
+     */
+    static clearSaved() {
+        localStorage.removeItem(UCSSchema.STORAGE_KEY);
+    }
+}
+
+// 导出UCSSchema
+window.UCSSchema = UCSSchema;
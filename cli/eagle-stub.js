@@ -0,0 +1,135 @@
+/**
+ * Eagle API 替身
+ * 在Node.js中运行插件代码时代替Eagle提供的eagle对象，
+ * 文件项来自磁盘目录或文件名列表，重命名和写入元数据只修改内存中的文件项
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 根据文件路径创建Eagle文件项
+ * @param {string} filePath - 文件路径或文件名
+ * @param {Object} options - 选项
+ * @param {string} options.folder - 所属文件夹ID，默认不属于任何文件夹
+ * @returns {Object} 文件项，包含id、name、ext、path、tags、folders、annotation
+ */
+function createItem(filePath, options = {}) {
+    const ext = path.extname(filePath);
+
+    return {
+        id: filePath,
+        name: path.basename(filePath, ext),
+        ext: ext.replace(/^\./, ''),
+        path: filePath,
+        tags: [],
+        folders: options.folder ? [options.folder] : [],
+        annotation: ''
+    };
+}
+
+/**
+ * 读取目录中的文件，每个目录作为一个文件夹
+ * @param {string} directory - 目录路径
+ * @param {Object} options - 选项
+ * @param {boolean} options.recursive - 是否包含子目录
+ * @returns {Array<Object>} 文件项（包含非音频文件，便于检测重名）
+ */
+function readDirectoryItems(directory, options = {}) {
+    const items = [];
+
+    fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (options.recursive) {
+                    items.push(...readDirectoryItems(entryPath, options));
+                }
+            } else if (entry.isFile() && !entry.name.startsWith('.')) {
+                items.push(createItem(entryPath, { folder: directory }));
+            }
+        });
+
+    return items;
+}
+
+/**
+ * 创建Eagle API替身
+ * @param {Array<Object>} items - 文件项
+ * @param {Object} options - 选项
+ * @param {Array<string>} options.selected - 选中的文件项ID，默认全部选中
+ * @returns {Object} eagle对象，另外提供calls记录所有修改操作
+ */
+function createEagleStub(items = [], options = {}) {
+    const calls = [];
+    const folders = [];
+    const selected = options.selected ? new Set(options.selected) : null;
+
+    // 文件项附带save方法，与Eagle返回的对象一致
+    const store = items.map(item => attachSave({ ...item }));
+
+    function attachSave(item) {
+        Object.defineProperty(item, 'save', {
+            enumerable: false,
+            value: async () => {
+                calls.push({ method: 'item.save', id: item.id, name: item.name, tags: [...(item.tags || [])], folders: [...(item.folders || [])], annotation: item.annotation });
+                return true;
+            }
+        });
+        return item;
+    }
+
+    function matches(item, query = {}) {
+        if (query.folders && !query.folders.some(folder => (item.folders || []).includes(folder))) {
+            return false;
+        }
+        if (query.tags && !query.tags.every(tag => (item.tags || []).includes(tag))) {
+            return false;
+        }
+        return true;
+    }
+
+    return {
+        calls,
+        items: store,
+
+        item: {
+            async getSelected() {
+                return store.filter(item => !selected || selected.has(item.id));
+            },
+            async get(query = {}) {
+                return store.filter(item => matches(item, query));
+            },
+            async getById(id) {
+                return store.find(item => item.id === id) || null;
+            }
+        },
+
+        folder: {
+            async getAll() {
+                return folders;
+            },
+            async create(options = {}) {
+                const folder = { id: `folder-${folders.length + 1}`, name: options.name, children: [] };
+                const parent = options.parent ? folders.find(item => item.id === options.parent) : null;
+                (parent ? parent.children : folders).push(folder);
+                calls.push({ method: 'folder.create', ...options, id: folder.id });
+                return folder;
+            }
+        },
+
+        app: {
+            async getTheme() {
+                return 'light';
+            }
+        },
+
+        log() {}
+    };
+}
+
+module.exports = {
+    createItem,
+    readDirectoryItems,
+    createEagleStub
+};
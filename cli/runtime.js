@@ -0,0 +1,246 @@
+/**
+ * 无界面运行环境
+ * 在Node.js的独立上下文中按index.html的顺序加载插件脚本，
+ * 用Eagle API替身、内存localStorage和静默的console代替浏览器和Eagle环境
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createEagleStub } = require('./eagle-stub');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * 需要加载的插件脚本，顺序与index.html一致
+ * 不加载界面组件；segmentit通过CDN加载，这里不可用，中文分词使用Intl.Segmenter
+ */
+const PLUGIN_SCRIPTS = [
+    'assets/js/libs/compromise.js',
+    'assets/js/libs/intl-segmenter-adapter.js',
+    'assets/js/utils/logger.js',
+    'assets/js/utils/cache.js',
+    'assets/js/utils/validator.js',
+    'assets/js/utils/number-extractor.js',
+    'assets/js/utils/naming-utils.js',
+    'assets/js/utils/matching-strategy-config.js',
+    'assets/js/utils/regex-runner.js',
+    'assets/js/utils/preview-report.js',
+    'assets/js/utils/progress-tracker.js',
+    'assets/js/utils/ucs-schema.js',
+    'assets/js/core/translation/provider-interface.js',
+    'assets/js/core/translation/prompt-templates.js',
+    'assets/js/core/translation/request-limiter.js',
+    'assets/js/core/translation/providers/google-provider.js',
+    'assets/js/core/translation/providers/openrouter-provider.js',
+    'assets/js/core/translation/providers/zhipu-provider.js',
+    'assets/js/core/translation/providers/deepseek-provider.js',
+    'assets/js/core/translation/providers/bailian-provider.js',
+    'assets/js/core/translation/providers/openai-compatible-provider.js',
+    'assets/js/core/translation/providers/offline-dictionary-provider.js',
+    'assets/js/core/translation/translation-memory.js',
+    'assets/js/core/translation/translation-service.js',
+    'assets/js/core/ai-classifier.js',
+    'assets/js/libs/papaparse.min.js',
+    'assets/js/libs/fuse.min.js',
+    'assets/js/core/csv-matcher.js',
+    'assets/js/core/fuse-matcher.js',
+    'assets/js/core/smart-classifier.js',
+    'assets/js/core/classification-evaluator.js',
+    'assets/js/core/file-processor.js',
+    'assets/js/core/naming-template.js',
+    'assets/js/core/batch-renamer.js',
+    'assets/js/core/naming-rules.js',
+    'assets/js/core/naming-profiles.js',
+    'assets/js/core/user-glossary.js',
+    'assets/js/core/correction-memory.js'
+];
+
+/**
+ * 创建内存中的localStorage
+ * @returns {Object} 与浏览器localStorage接口一致的对象
+ */
+function createMemoryStorage() {
+    const data = new Map();
+
+    return {
+        get length() {
+            return data.size;
+        },
+        key(index) {
+            return Array.from(data.keys())[index] ?? null;
+        },
+        getItem(key) {
+            return data.has(key) ? data.get(key) : null;
+        },
+        setItem(key, value) {
+            data.set(key, String(value));
+        },
+        removeItem(key) {
+            data.delete(key);
+        },
+        clear() {
+            data.clear();
+        }
+    };
+}
+
+/**
+ * 创建插件使用的console
+ * 插件的日志很多，默认不输出；verbose时输出到stderr，避免混入stdout中的结果
+ * @param {boolean} verbose - 是否输出日志
+ * @returns {Object} console对象
+ */
+function createConsole(verbose) {
+    const write = verbose ? (...args) => console.error(...args) : () => {};
+
+    return {
+        log: write,
+        info: write,
+        debug: write,
+        warn: write,
+        error: write,
+        group: write,
+        groupEnd: () => {},
+        table: write,
+        time: () => {},
+        timeEnd: () => {}
+    };
+}
+
+/**
+ * 创建插件脚本的全局上下文
+ * @param {Object} eagle - Eagle API替身
+ * @param {Object} options - 选项
+ * @param {boolean} options.verbose - 是否输出插件日志
+ * @returns {Object} 上下文（同时作为window）
+ */
+function createContext(eagle, options = {}) {
+    const context = {
+        console: createConsole(options.verbose),
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        fetch: options.fetch || globalThis.fetch,
+        AbortController,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        TextDecoder,
+        Intl,
+        localStorage: createMemoryStorage(),
+        eagle
+    };
+
+    // 浏览器脚本通过window、self或globalThis访问全局对象
+    context.window = context;
+    context.self = context;
+    context.globalThis = context;
+
+    vm.createContext(context);
+
+    PLUGIN_SCRIPTS.forEach(script => {
+        const code = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        vm.runInContext(code, context, { filename: script });
+    });
+
+    return context;
+}
+
+/**
+ * 读取UCS术语表
+ * @param {Object} window - 插件上下文
+ * @param {string} ucsPath - UCS CSV文件路径，为空时使用内置术语表
+ * @returns {Object} 匹配器选项，包含csvText和columnMapping
+ */
+function loadUCSDatabase(window, ucsPath) {
+    if (!ucsPath) {
+        return {
+            csvText: fs.readFileSync(path.join(ROOT, window.UCSSchema.DEFAULT_PATH), 'utf8'),
+            columnMapping: window.UCSSchema.DEFAULT_MAPPING
+        };
+    }
+
+    const csvText = fs.readFileSync(ucsPath, 'utf8');
+    const { headers, rows } = window.UCSSchema.parse(csvText);
+    const columnMapping = window.UCSSchema.detectMapping(headers);
+    const validation = window.UCSSchema.validate(columnMapping, headers, rows);
+    if (!validation.valid) {
+        throw new Error(`UCS术语表无效: ${validation.errors.join('; ')}`);
+    }
+
+    return { csvText, columnMapping };
+}
+
+/**
+ * 创建运行环境，初始化顺序与main.js一致
+ * @param {Object} options - 选项
+ * @param {Array<Object>} options.items - Eagle文件项
+ * @param {Array<string>} options.selected - 选中的文件项ID，默认全部选中
+ * @param {Object} options.translation - 翻译设置，传给TranslationService.setSettings
+ * @param {Object} options.naming - 命名规则设置，传给NamingRules.setSettings
+ * @param {boolean} options.useCSV - 是否使用UCS术语表匹配分类，默认true
+ * @param {string} options.matcher - 匹配器：'fuse'（默认）或'csv'
+ * @param {string} options.ucsPath - UCS CSV文件路径，默认使用内置术语表
+ * @param {Function} options.fetch - 网络请求函数，默认使用Node.js的fetch
+ * @param {boolean} options.verbose - 是否输出插件日志
+ * @returns {Object} 运行环境，包含window、eagle、translationService、namingRules、matcher、fileProcessor
+ */
+function createRuntime(options = {}) {
+    const eagle = createEagleStub(options.items || [], { selected: options.selected });
+    const window = createContext(eagle, options);
+
+    const translationService = new window.TranslationService();
+    if (options.translation) {
+        translationService.setSettings(options.translation);
+    }
+
+    const namingRules = new window.NamingRules();
+    if (options.naming) {
+        namingRules.setSettings(options.naming);
+    }
+
+    const Matcher = options.matcher === 'csv' ? window.CSVMatcher : window.FuseMatcher;
+    const matcher = new Matcher(window.UCSSchema.DEFAULT_PATH, loadUCSDatabase(window, options.ucsPath));
+
+    const offlineProvider = translationService.providers['offline'];
+    if (offlineProvider) {
+        offlineProvider.setTermSource(matcher);
+    }
+
+    const fileProcessor = new window.FileProcessor(translationService, matcher, namingRules);
+    fileProcessor.setUseCSV(options.useCSV !== false);
+
+    return {
+        window,
+        eagle,
+        translationService,
+        namingRules,
+        matcher,
+        fileProcessor,
+
+        /**
+         * 翻译选中的音频文件并统一编号，与预览中"开始翻译"的结果一致
+         * @param {Function} onFileProcessed - 每个文件处理完成后的回调
+         * @returns {Promise<Array>} 处理后的文件对象
+         */
+        async proposeNames(onFileProcessed = null) {
+            const files = await fileProcessor.getCurrentSelection();
+            if (files.length === 0) {
+                return [];
+            }
+
+            // processTranslation结束时已统一编号并检测重名
+            await fileProcessor.processTranslation(files, onFileProcessed);
+            return files;
+        }
+    };
+}
+
+module.exports = {
+    PLUGIN_SCRIPTS,
+    createMemoryStorage,
+    createContext,
+    loadUCSDatabase,
+    createRuntime
+};
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * 命令行批量模式
+ * 不启动Eagle，对目录或文件名列表中的音频文件生成建议的文件名，以JSON或CSV输出
+ *
+ * 用法：node cli/translate.js [选项] <目录或文件名...>
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { createItem, readDirectoryItems } = require('./eagle-stub');
+const { createRuntime } = require('./runtime');
+
+const USAGE = `用法: node cli/translate.js [选项] <目录或文件名...>
+
+对目录中的音频文件（或只给出文件名）生成建议的文件名，不修改任何文件。
+
+选项:
+  -l, --list <文件>       从文件读取文件名列表，每行一个，"-"表示标准输入
+  -r, --recursive         包含子目录中的文件
+  -f, --format <格式>     输出格式：json（默认）或csv
+  -o, --output <文件>     输出到文件，默认输出到标准输出
+  -c, --config <文件>     设置文件（JSON），格式为 {"translation":{...},"naming":{...},"useCSV":true}，
+                          与翻译任务和重命名日志中保存的设置快照相同
+  -p, --provider <ID>     翻译服务，默认offline（离线词典，无需联网）
+  -k, --api-key <密钥>    翻译服务的API密钥
+      --matcher <类型>    匹配器：fuse（默认）或csv
+      --ucs <文件>        使用其他UCS CSV文件，默认使用内置UCSv8.2.1
+      --no-ucs            不使用UCS术语表匹配分类
+  -v, --verbose           将插件日志输出到标准错误
+  -h, --help              显示帮助
+`;
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 参数（不包括node和脚本路径）
+ * @returns {Object} 选项，包含values和positionals
+ */
+function parseOptions(argv) {
+    return parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            list: { type: 'string', short: 'l' },
+            recursive: { type: 'boolean', short: 'r' },
+            format: { type: 'string', short: 'f', default: 'json' },
+            output: { type: 'string', short: 'o' },
+            config: { type: 'string', short: 'c' },
+            provider: { type: 'string', short: 'p' },
+            'api-key': { type: 'string', short: 'k' },
+            matcher: { type: 'string', default: 'fuse' },
+            ucs: { type: 'string' },
+            'no-ucs': { type: 'boolean' },
+            verbose: { type: 'boolean', short: 'v' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+}
+
+/**
+ * 收集要处理的文件项
+ * 目录中的文件属于以目录路径为ID的文件夹，用于检测与已有文件重名；列表中的文件名不检测
+ * @param {Array<string>} inputs - 目录或文件名
+ * @param {Object} options - 选项
+ * @param {string} options.listText - 文件名列表内容
+ * @param {boolean} options.recursive - 是否包含子目录
+ * @returns {Object} 包含items（所有文件项）和selected（要处理的文件项ID）
+ */
+function collectItems(inputs, options = {}) {
+    const items = [];
+    const selected = [];
+
+    const addItem = item => {
+        if (!items.some(existing => existing.id === item.id)) {
+            items.push(item);
+        }
+        if (!selected.includes(item.id)) {
+            selected.push(item.id);
+        }
+    };
+
+    inputs.forEach(input => {
+        if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+            readDirectoryItems(input, { recursive: options.recursive }).forEach(addItem);
+        } else {
+            addItem(createItem(input));
+        }
+    });
+
+    if (options.listText) {
+        options.listText
+            .split(/\r?\n/)
+            .map(line => line.replace(/^\uFEFF/, '').trim())
+            .filter(Boolean)
+            .forEach(name => addItem(createItem(name)));
+    }
+
+    return { items, selected };
+}
+
+/**
+ * 读取设置文件
+ * @param {string} configPath - 设置文件路径
+ * @returns {Object} 设置，包含translation、naming、useCSV
+ */
+function readConfig(configPath) {
+    if (!configPath) {
+        return {};
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        // 也接受重命名日志中的上下文格式 {provider, settings}
+        return config.settings && !config.translation ? config.settings : config;
+    } catch (error) {
+        throw new Error(`读取设置文件失败: ${error.message}`);
+    }
+}
+
+/**
+ * 生成建议的文件名
+ * @param {Object} options - 选项
+ * @param {Array<string>} options.inputs - 目录或文件名
+ * @param {string} options.listText - 文件名列表内容
+ * @param {boolean} options.recursive - 是否包含子目录
+ * @param {Object} options.config - 设置，包含translation、naming、useCSV
+ * @param {string} options.provider - 翻译服务ID，覆盖设置中的provider
+ * @param {string} options.apiKey - 翻译服务的API密钥
+ * @param {string} options.matcher - 匹配器：'fuse'或'csv'
+ * @param {string} options.ucsPath - UCS CSV文件路径
+ * @param {boolean} options.useCSV - 是否使用UCS术语表，覆盖设置中的useCSV
+ * @param {Function} options.fetch - 网络请求函数
+ * @param {boolean} options.verbose - 是否输出插件日志
+ * @returns {Promise<Object>} 包含files（处理后的文件对象）和runtime
+ */
+async function proposeNames(options = {}) {
+    const config = options.config || {};
+    const { items, selected } = collectItems(options.inputs || [], options);
+
+    const translation = {
+        provider: 'offline',
+        ...(config.translation || {})
+    };
+    if (options.provider) {
+        translation.provider = options.provider;
+    }
+    if (options.apiKey) {
+        translation.apiKeys = { ...(translation.apiKeys || {}), [translation.provider]: options.apiKey };
+    }
+
+    const runtime = createRuntime({
+        items,
+        selected,
+        translation,
+        naming: config.naming,
+        useCSV: options.useCSV !== undefined ? options.useCSV : config.useCSV,
+        matcher: options.matcher,
+        ucsPath: options.ucsPath,
+        fetch: options.fetch,
+        verbose: options.verbose
+    });
+
+    const files = await runtime.proposeNames();
+    return { files, runtime };
+}
+
+/**
+ * 格式化输出
+ * @param {Object} window - 插件上下文
+ * @param {Array} files - 处理后的文件对象
+ * @param {string} format - 'json'或'csv'
+ * @returns {string} 输出内容
+ */
+function formatOutput(window, files, format) {
+    if (format === 'csv') {
+        return window.PreviewReport.toCSV(files) + '\n';
+    }
+    return window.PreviewReport.toJSON(files) + '\n';
+}
+
+/**
+ * 命令行入口
+ * @param {Array<string>} argv - 参数（不包括node和脚本路径）
+ * @param {Object} io - 输入输出，便于测试
+ * @returns {Promise<number>} 退出码
+ */
+async function main(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseOptions(argv));
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (values.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+
+    if (!['json', 'csv'].includes(values.format)) {
+        stderr.write(`不支持的输出格式: ${values.format}\n`);
+        return 2;
+    }
+
+    if (!['fuse', 'csv'].includes(values.matcher)) {
+        stderr.write(`不支持的匹配器: ${values.matcher}\n`);
+        return 2;
+    }
+
+    if (positionals.length === 0 && !values.list) {
+        stderr.write(USAGE);
+        return 2;
+    }
+
+    try {
+        let listText = '';
+        if (values.list) {
+            listText = values.list === '-'
+                ? (io.stdin !== undefined ? io.stdin : fs.readFileSync(0, 'utf8'))
+                : fs.readFileSync(values.list, 'utf8');
+        }
+
+        const { files, runtime } = await proposeNames({
+            inputs: positionals,
+            listText,
+            recursive: values.recursive,
+            config: readConfig(values.config),
+            provider: values.provider,
+            apiKey: values['api-key'],
+            matcher: values.matcher,
+            ucsPath: values.ucs,
+            useCSV: values['no-ucs'] ? false : undefined,
+            fetch: io.fetch,
+            verbose: values.verbose
+        });
+
+        if (files.length === 0) {
+            stderr.write('没有找到音频文件\n');
+            return 1;
+        }
+
+        const output = formatOutput(runtime.window, files, values.format);
+        if (values.output) {
+            fs.mkdirSync(path.dirname(path.resolve(values.output)), { recursive: true });
+            fs.writeFileSync(values.output, output, 'utf8');
+        } else {
+            stdout.write(output);
+        }
+
+        // 有文件处理失败时返回非零退出码，便于CI检查
+        return files.some(file => file.status === 'error') ? 1 : 0;
+    } catch (error) {
+        stderr.write(`处理失败: ${error.message}\n`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    collectItems,
+    proposeNames,
+    formatOutput,
+    main
+};
@@ -0,0 +1,248 @@
+/**
+ * 批量重命名规则测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { Worker } = require('worker_threads');
+const { createRuntime } = require('../cli/runtime');
+const { createItem } = require('../cli/eagle-stub');
+const { plain, createFileRuntime } = require('./helpers');
+
+test('按列表顺序执行操作，调整顺序和停用后结果随之变化', () => {
+    const { window } = createRuntime({ items: [] });
+    const renamer = new window.BatchRenamer(null);
+
+    const suffix = renamer.addOperation({ type: 'suffix', suffix: '_v2', options: { target: 'filename' } });
+    const upper = renamer.addOperation({ type: 'case', caseType: 'upper', options: { target: 'filename' } });
+    assert.strictEqual(renamer.applyToName('door_slam'), 'DOOR_SLAM_V2');
+
+    renamer.moveOperation(upper.id, -1);
+    assert.deepStrictEqual(plain(renamer.getOperations().map(operation => operation.type)), ['case', 'suffix']);
+    assert.strictEqual(renamer.applyToName('door_slam'), 'DOOR_SLAM_v2');
+    assert.strictEqual(renamer.moveOperation(upper.id, -1), false);
+
+    renamer.updateOperation(suffix.id, { enabled: false });
+    assert.strictEqual(renamer.applyToName('door_slam'), 'DOOR_SLAM');
+    assert.strictEqual(window.BatchRenamer.describeOperation(suffix), '添加后缀 "_v2"');
+
+    renamer.setSettings({ enabled: false });
+    assert.strictEqual(renamer.isActive(), false);
+    assert.strictEqual(renamer.applyToName('door_slam'), 'door_slam');
+
+    assert.throws(() => renamer.addOperation({ type: 'rotate' }), /未知的操作类型/);
+    assert.throws(() => renamer.addOperation({ type: 'replace', searchText: '' }), /查找文本不能为空/);
+});
+
+test('在命名规则生成文件名之后执行，描述上的操作在生成之前执行', async () => {
+    const runtime = createFileRuntime(['Door Slam 01.wav', 'Glass Break 02.wav']);
+    const { window, namingRules, fileProcessor } = runtime;
+
+    const files = await fileProcessor.getCurrentSelection();
+    await fileProcessor.processTranslation(files);
+    const originals = files.map(file => file.formattedName);
+
+    const renamer = new window.BatchRenamer(null);
+    namingRules.setBatchRenamer(renamer);
+    renamer.addSuffixOperation('_final', { target: 'filename' });
+    renamer.addReplaceOperation('Slam', 'Bang', { target: 'fxName' });
+
+    const [door, glass] = files.map(file => namingRules.formatFilename(file));
+    assert.ok(originals[0].includes('DoorSlam_'), originals[0]);
+    assert.strictEqual(door, originals[0].replace('DoorSlam_', 'DoorBang_').replace(/\.wav$/, '_final.wav'));
+    assert.strictEqual(glass, originals[1].replace(/\.wav$/, '_final.wav'));
+
+    // 原文件对象不变，停用后恢复原来的文件名
+    assert.ok(files[0].standardizedName.includes('Slam'));
+    renamer.setSettings({ enabled: false });
+    assert.deepStrictEqual(plain(files.map(file => namingRules.formatFilename(file))), originals);
+});
+
+test('不翻译时对原文件名执行操作', async () => {
+    const items = [createItem('Door Slam 01.wav'), createItem('雷声 远.wav')];
+    const { window, namingRules, fileProcessor, eagle } = createRuntime({ items, selected: items.map(item => item.id) });
+    const renamer = new window.BatchRenamer(null);
+    namingRules.setBatchRenamer(renamer);
+    renamer.addRemoveNumbersOperation({ target: 'fxName' });
+    renamer.addCaseOperation('upper', { target: 'fxName' });
+    renamer.addReplaceOperation(' ', '_', { target: 'filename' });
+    renamer.addPrefixOperation('SFX_', { target: 'filename' });
+
+    const files = await fileProcessor.getCurrentSelection();
+    files.forEach(file => {
+        file.renameOnly = true;
+        file.status = 'success';
+        file.formattedName = namingRules.formatFilename(file);
+    });
+    assert.deepStrictEqual(plain(files.map(file => file.formattedName)), ['SFX_DOOR_SLAM.wav', 'SFX_雷声_远.wav']);
+
+    const results = await fileProcessor.executeRename(files);
+    assert.ok(results.every(result => result.success));
+    assert.deepStrictEqual(plain(eagle.calls.filter(call => call.method === 'item.save').length), 2);
+});
+
+/**
+ * 用worker_threads模拟浏览器的Worker，供RegexRunner.test在后台线程中执行
+ * @param {string} source - Worker脚本源代码
+ * @returns {Object} 与浏览器Worker接口一致的对象
+ */
+function createNodeWorker(source) {
+    const worker = new Worker(`const { parentPort } = require('worker_threads');
+const self = { postMessage: message => parentPort.postMessage(message) };
+${source}
+parentPort.on('message', data => self.onmessage({ data }));`, { eval: true });
+
+    const wrapper = {
+        postMessage: message => worker.postMessage(message),
+        terminate: () => worker.terminate()
+    };
+    worker.on('message', data => wrapper.onmessage({ data }));
+    worker.on('error', error => wrapper.onerror(error));
+    return wrapper;
+}
+
+test('正则替换支持标志、反向引用、命名分组和指定字段', () => {
+    const { window } = createRuntime({ items: [] });
+    const renamer = new window.BatchRenamer(null);
+
+    renamer.addRegexOperation('(?<word>[a-z]+)_(\\d+)', '$2-$<word>', 'gi', { target: 'formattedName' });
+    renamer.addRegexOperation('^(\\w+) (\\w+)$', '$2 $1', '', { target: 'standardizedName' });
+    renamer.addRegexOperation('\\s*\\(copy\\)', '', 'i', { target: 'name' });
+
+    const targets = renamer.getOperations().map(operation => operation.options.target);
+    assert.deepStrictEqual(plain(targets), ['filename', 'fxName', 'name']);
+    assert.strictEqual(renamer.applyToName('Door_01 Slam_02'), '01-Door 02-Slam');
+
+    const fields = renamer.applyToFields({ name: 'Door Slam (Copy)', standardizedName: 'Door Slam', translatedName: '摔门' });
+    assert.deepStrictEqual(plain(fields), { name: 'Door Slam', standardizedName: 'Slam Door', translatedName: '摔门' });
+    assert.strictEqual(window.BatchRenamer.describeOperation(renamer.getOperations()[2]), '正则移除 /\\s*\\(copy\\)/i');
+
+    // 不翻译时原文件名的操作先执行
+    assert.strictEqual(renamer.renameOriginal({ name: 'Door_01 (copy)', extension: 'wav' }), '01-Door.wav');
+
+    assert.throws(() => renamer.addRegexOperation('(door', ''), /正则表达式无效/);
+    assert.throws(() => renamer.addRegexOperation('door', '', 'gx'), /正则表达式标志无效: x/);
+    assert.throws(() => renamer.addRegexOperation('(\\w+\\s?)+$', ''), /嵌套量词/);
+    assert.throws(() => renamer.addReplaceOperation('[', '', { useRegex: true }), /正则表达式无效/);
+    assert.strictEqual(renamer.getOperationCount(), 3);
+});
+
+test('在后台线程中测试正则表达式，灾难性回溯时超时终止', async () => {
+    const { window } = createRuntime({ items: [] });
+    const { RegexRunner } = window;
+
+    const results = await RegexRunner.test('(?<cat>[A-Z]+)_(\\d+)', 'g', '$<cat>$2', ['DOOR_01 GLASS_2', 'none'], {
+        createWorker: createNodeWorker
+    });
+    assert.deepStrictEqual(plain(results[0].matches.map(match => [match.text, match.groups, match.named])), [
+        ['DOOR_01', ['DOOR', '01'], { cat: 'DOOR' }],
+        ['GLASS_2', ['GLASS', '2'], { cat: 'GLASS' }]
+    ]);
+    assert.strictEqual(results[0].output, 'DOOR01 GLASS2');
+    assert.strictEqual(results[1].matches.length, 0);
+
+    // 嵌套量词检查不到的回溯由超时发现
+    const startedAt = Date.now();
+    await assert.rejects(RegexRunner.test('^(a|a)*$', '', '', ['a'.repeat(40) + 'b'], {
+        timeout: 200,
+        createWorker: createNodeWorker
+    }), /灾难性回溯/);
+    assert.ok(Date.now() - startedAt < 5000);
+
+    await assert.rejects(RegexRunner.test('(', '', '', ['a']), /正则表达式无效/);
+});
+
+test('添加或载入前在文件上测试操作中的正则表达式，超时的操作被拒绝', async () => {
+    const { window } = createRuntime({ items: [] });
+    const renamer = new window.BatchRenamer(null);
+    const files = [{ name: 'a'.repeat(40) + '!', standardizedName: 'Door Slam', formattedName: 'DOORWood_DoorSlam.wav', extension: 'wav' }];
+    const options = { timeout: 200, createWorker: createNodeWorker };
+
+    await renamer.checkRegexOperations([
+        { type: 'regex', pattern: '^(a|a)*$', options: { target: 'fxName' } },
+        { type: 'regex', pattern: 'Slam$', replacement: 'Bang', options: { target: 'filename' } },
+        { type: 'case', caseType: 'upper' }
+    ], files, options);
+
+    await assert.rejects(renamer.checkRegexOperations([
+        { type: 'regex', pattern: '^(a|a)*$', options: { target: 'name' } }
+    ], files, options), /正则移除 \/\^\(a\|a\)\*\$\/g: .*灾难性回溯/);
+    await assert.rejects(renamer.checkRegexOperations([
+        { type: 'replace', searchText: '^(a|aa)+$', options: { target: 'name', useRegex: true } }
+    ], files, options), /灾难性回溯/);
+    await assert.rejects(renamer.checkRegexOperations([{ type: 'rotate' }], files, options), /未知的操作类型/);
+    assert.strictEqual(renamer.getOperationCount(), 0);
+});
+
+test('生成文件名时正则操作只在后台线程中执行，超时的操作被跳过', async () => {
+    const { window, namingRules } = createRuntime({ items: [] });
+    const renamer = new window.BatchRenamer(null);
+    renamer.regexRunnerOptions = { timeout: 200, createWorker: createNodeWorker };
+    namingRules.setBatchRenamer(renamer);
+    namingRules.setSettings({ useUCS: false, format: 'custom', template: '{catID}_{fxName}' });
+
+    // 后一个操作处理前一个操作的结果
+    renamer.addRegexOperation('Slam', 'Bang', 'g', { target: 'fxName' });
+    renamer.addRegexOperation('Bang$', 'Boom', '', { target: 'filename' });
+    const file = { status: 'success', catID: 'DOORWood', standardizedName: 'Door Slam', extension: 'wav' };
+
+    // 没有在后台线程中执行过的文本不在主线程中执行
+    assert.strictEqual(namingRules.formatFilename(file), 'DOORWood_DoorSlam.wav');
+
+    let name;
+    await namingRules.runFormatting(() => {
+        name = namingRules.formatFilename(file);
+    });
+    assert.strictEqual(name, 'DOORWood_DoorBoom.wav');
+    assert.strictEqual(namingRules.formatFilename(file), 'DOORWood_DoorBoom.wav');
+
+    // 添加时没有文件可以测试的操作不算通过，生成文件名时超时而被跳过
+    const slow = { type: 'regex', pattern: '^(a|a)*$', options: { target: 'fxName' } };
+    const untested = await renamer.checkRegexOperations([slow, { type: 'case', caseType: 'upper' }], []);
+    assert.deepStrictEqual(plain(untested.map(operation => operation.type)), ['regex']);
+    const added = renamer.addOperation(slow);
+
+    const stuck = { ...file, standardizedName: 'a'.repeat(40) + '!' };
+    const startedAt = Date.now();
+    await namingRules.runFormatting(() => {
+        name = namingRules.formatFilename(stuck);
+    });
+    assert.ok(Date.now() - startedAt < 5000);
+    assert.match(renamer.getOperationError(added.id), /灾难性回溯/);
+    assert.strictEqual(name, `DOORWood_${'a'.repeat(40)}.wav`);
+});
+
+test('保存、载入和导入导出预设', () => {
+    const { window } = createRuntime({ items: [] });
+    const storage = window.localStorage;
+    const renamer = new window.BatchRenamer('batch-renamer-test');
+
+    renamer.addRemoveOperation('_final', { target: 'filename' });
+    renamer.addCaseOperation('title');
+    renamer.savePreset('清理');
+    renamer.clearOperations();
+    assert.strictEqual(renamer.getOperationCount(), 0);
+
+    // 重新加载后保留预设
+    const reloaded = new window.BatchRenamer('batch-renamer-test');
+    assert.deepStrictEqual(plain(reloaded.getPresets().map(preset => preset.name)), ['清理']);
+    reloaded.loadPreset('清理');
+    assert.deepStrictEqual(plain(reloaded.getOperations().map(operation => operation.type)), ['replace', 'case']);
+    assert.throws(() => reloaded.loadPreset('不存在'), /找不到预设/);
+
+    const exported = JSON.parse(reloaded.exportJSON('清理'));
+    assert.strictEqual(exported.version, window.BatchRenamer.EXPORT_VERSION);
+    assert.strictEqual(exported.presets[0].operations[0].id, undefined);
+
+    exported.presets.push({ name: '无效', operations: [{ type: 'rotate' }] });
+    const other = new window.BatchRenamer(null);
+    const result = other.importJSON('\uFEFF' + JSON.stringify(exported));
+    assert.deepStrictEqual(plain(result), { imported: 1, skipped: 1 });
+    other.loadPreset('清理');
+    assert.strictEqual(other.applyToName('Door Slam_final'), 'Door Slam');
+    assert.throws(() => other.importJSON('{'), /批量重命名预设JSON格式错误/);
+
+    reloaded.deletePreset('清理');
+    assert.strictEqual(new window.BatchRenamer('batch-renamer-test').getPresets().length, 0);
+    assert.ok(storage.getItem('batch-renamer-test'));
+});
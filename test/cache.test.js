@@ -0,0 +1,224 @@
+/**
+ * 翻译缓存测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRuntime } = require('../cli/runtime');
+const { plain } = require('./helpers');
+
+/**
+ * 让插件上下文可以访问磁盘，缓存保存到临时目录
+ * @param {Object} window - 插件上下文
+ * @returns {string} 临时目录（插件目录）
+ */
+function enableDisk(window) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eagle-cache-'));
+    window.require = require;
+    window.eagle.plugin = { path: directory };
+    return directory;
+}
+
+test('按最近使用淘汰，永不过期的条目保留', () => {
+    const { window } = createRuntime({ items: [] });
+    const cache = new window.Cache('lru-test', { maxEntries: 3 });
+
+    cache.set('a', 'A');
+    cache.set('b', 'B');
+    cache.set('keep', 'K', null);
+    assert.strictEqual(cache.get('a'), 'A');
+
+    cache.set('c', 'C');
+    assert.strictEqual(cache.get('b'), null);
+    assert.strictEqual(cache.get('a'), 'A');
+    assert.strictEqual(cache.get('keep'), 'K');
+
+    // 按字节数限制容量
+    cache.setMaxBytes(cache.getStats().bytes);
+    cache.set('d', 'D'.repeat(20));
+    assert.ok(cache.getStats().bytes <= cache.maxBytes);
+    assert.strictEqual(cache.get('c'), null);
+    assert.strictEqual(cache.get('d'), 'D'.repeat(20));
+    assert.strictEqual(cache.get('keep'), 'K');
+    assert.strictEqual(window.Cache.byteLength('摔门a'), 7);
+
+    // 过期的条目读取时删除
+    cache.set('old', 'O', 1);
+    cache.entries.get(cache._id('default', 'old')).expires = Date.now() - 1;
+    assert.strictEqual(cache.get('old'), null);
+});
+
+test('作用域、查找、修改和删除', () => {
+    const { window } = createRuntime({ items: [] });
+    const cache = new window.Cache('scope-test');
+    const zhipu = cache.scope('zhipu/glm-4/default');
+    const google = cache.scope('google/-/default');
+
+    zhipu.set('en:zh-CN:Door Slam', '摔门');
+    zhipu.set('en:zh-CN:Glass Break', '玻璃破碎');
+    google.set('en:zh-CN:Door Slam', '门砰地关上');
+
+    assert.strictEqual(zhipu.get('en:zh-CN:Door Slam'), '摔门');
+    assert.strictEqual(google.get('en:zh-CN:Door Slam'), '门砰地关上');
+    assert.deepStrictEqual(plain(cache.getScopes().map(item => [item.scope, item.count])),
+        [['zhipu/glm-4/default', 2], ['google/-/default', 1]]);
+
+    assert.deepStrictEqual(plain(cache.query({ search: '摔门' }).map(entry => entry.scope)), ['zhipu/glm-4/default']);
+    assert.strictEqual(cache.query({ search: 'door' }).length, 2);
+
+    assert.strictEqual(cache.update('en:zh-CN:Door Slam', '关门', 'zhipu/glm-4/default'), true);
+    assert.strictEqual(zhipu.get('en:zh-CN:Door Slam'), '关门');
+
+    assert.strictEqual(cache.purge({ scope: 'zhipu/glm-4/default', search: 'glass' }), 1);
+    google.clear();
+    assert.strictEqual(cache.getStats().size, 1);
+});
+
+test('每次写入只保存一个条目，重新加载后保留最近使用顺序', () => {
+    const first = createRuntime({ items: [] });
+    const storage = first.window.localStorage;
+    storage.setItem('persist-test', JSON.stringify({ items: { old: {} }, keys: ['old'] }));
+
+    const cache = new first.window.Cache('persist-test', { maxEntries: 2 });
+    assert.strictEqual(storage.getItem('persist-test'), null, '旧格式的缓存被删除');
+
+    cache.set('a', 'A', null, 'scope-1');
+    cache.set('b', 'B', undefined, 'scope-1');
+    cache.get('a', 'scope-1');
+    cache.flush();
+    assert.strictEqual(cache.getStats().storage, 'localStorage');
+
+    const reloaded = new first.window.Cache('persist-test', { maxEntries: 2 });
+    assert.deepStrictEqual(plain(reloaded.query().map(entry => entry.key)), ['a', 'b']);
+    assert.strictEqual(reloaded.query()[0].hits, 1);
+
+    reloaded.set('c', 'C', undefined, 'scope-1');
+    assert.strictEqual(reloaded.get('b', 'scope-1'), null);
+    const storageKeys = Array.from({ length: storage.length }, (_, i) => storage.key(i));
+    assert.strictEqual(storageKeys.filter(key => key.startsWith('persist-test:')).length, 2);
+});
+
+test('在插件目录中以日志文件保存，并重写过长的日志', () => {
+    const { window } = createRuntime({ items: [] });
+    const directory = enableDisk(window);
+
+    try {
+        const cache = new window.Cache('disk-test');
+        assert.strictEqual(cache.getStats().storage, 'disk');
+
+        for (let i = 0; i < 60; i++) {
+            cache.set('Door Slam', `摔门${i}`, undefined, 'zhipu/glm-4/default');
+            cache.set(`key-${i % 5}`, i);
+        }
+        cache.delete('key-0');
+
+        const filePath = path.join(directory, 'data', 'cache', 'disk-test.jsonl');
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        assert.ok(lines.length < 121, '日志被重写');
+
+        const reloaded = new window.Cache('disk-test');
+        assert.strictEqual(reloaded.get('Door Slam', 'zhipu/glm-4/default'), '摔门59');
+        assert.strictEqual(reloaded.get('key-4'), 59);
+        assert.strictEqual(reloaded.get('key-0'), null);
+        assert.strictEqual(reloaded.getStats().size, 5);
+
+        reloaded.clear();
+        assert.strictEqual(new window.Cache('disk-test').getStats().size, 0);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('影响结果的设置都写入缓存作用域', async () => {
+    let requests = 0;
+    const runtime = createRuntime({
+        items: [],
+        translation: { provider: 'offline', useCache: true, targetLanguage: 'zh-CN' }
+    });
+    const service = runtime.translationService;
+    const provider = service.activeProvider;
+
+    // 离线词典的结果不缓存，用一个可缓存的替身代替
+    provider.isCacheable = () => true;
+    const translate = provider.translate.bind(provider);
+    provider.translate = async (...args) => {
+        requests++;
+        return translate(...args);
+    };
+
+    assert.strictEqual(service.getCacheScope(), 'offline/-/translate');
+    assert.strictEqual(service.getCacheScope('standardize'), 'offline/-/standardize/style-none');
+    await service.translate('Door Slam', 'en', 'zh-CN');
+    await service.translate('Door Slam', 'en', 'zh-CN');
+    assert.strictEqual(requests, 1);
+
+    // 使用提示词的提供者：提示风格、自定义模板和字符限制
+    provider.promptTemplates = new runtime.window.PromptTemplates();
+    assert.strictEqual(service.getCacheScope(), 'offline/-/translate/default/limit-7');
+    assert.strictEqual(service.getCacheScope('translate', provider, 'en'), 'offline/-/translate/default/limit-30');
+    await service.translate('Door Slam', 'en', 'zh-CN');
+    assert.strictEqual(requests, 2);
+
+    service.setCustomPrompt('audio');
+    assert.strictEqual(service.getCacheScope(), 'offline/-/translate/audio/limit-7');
+    provider.promptTemplates.setDefaultCharLimit('zh', 10);
+    assert.strictEqual(service.getCacheScope(), 'offline/-/translate/audio/limit-10');
+
+    service.setPromptTemplate('Translate {text} to {to}');
+    const templateScope = service.getCacheScope();
+    assert.match(templateScope, /^offline\/-\/translate\/template-\w+\/limit-10$/);
+    service.setPromptTemplate('Translate {text} into {to}');
+    assert.notStrictEqual(service.getCacheScope(), templateScope);
+
+    provider.getModel = () => 'dictionary-v2';
+    assert.match(service.getCacheScope(), /^offline\/dictionary-v2\/translate\//);
+
+    service.setSettings({ namingStyle: 'snake_case' });
+    assert.strictEqual(service.getCacheScope('standardize'), 'offline/dictionary-v2/standardize/limit-30/style-snake_case');
+    service.setSettings({ namingStyle: 'custom', customSeparator: '.' });
+    const customScope = service.getCacheScope('standardize');
+    service.setSettings({ customSeparator: '-' });
+    assert.notStrictEqual(service.getCacheScope('standardize'), customScope);
+
+    // 只清除当前设置的条目
+    await service.translate('Door Slam', 'en', 'zh-CN');
+    await service.translate('Glass Break', 'en', 'zh-CN');
+    assert.strictEqual(requests, 4);
+    assert.strictEqual(service.cache.getStats().size, 4);
+    assert.strictEqual(service.invalidateCurrentCache(), 2);
+    assert.deepStrictEqual(plain(service.cache.getScopes().map(item => item.scope).sort()),
+        ['offline/-/translate', 'offline/-/translate/default/limit-7']);
+
+    await service.translate('Door Slam', 'en', 'zh-CN');
+    assert.strictEqual(requests, 5);
+});
+
+test('OpenAI兼容接口的接口地址和请求参数写入缓存作用域', () => {
+    const runtime = createRuntime({
+        items: [],
+        translation: {
+            provider: 'openaiCompatible',
+            useCache: true,
+            targetLanguage: 'zh-CN',
+            openaiCompatible: { baseUrl: 'http://a/v1', model: 'llama3', requestOptions: { temperature: 0.1 } }
+        }
+    });
+    const service = runtime.translationService;
+    const scope = service.getCacheScope();
+    assert.match(scope, /^openaiCompatible\/llama3\/translate\/default\/limit-7\/config-\w+$/);
+
+    // 结尾的斜杠不影响接口地址
+    service.setSettings({ openaiCompatible: { baseUrl: 'http://a/v1/', model: 'llama3', requestOptions: { temperature: 0.1 } } });
+    assert.strictEqual(service.getCacheScope(), scope);
+
+    service.setSettings({ openaiCompatible: { baseUrl: 'http://b/v1', model: 'llama3', requestOptions: { temperature: 0.1 } } });
+    const otherServer = service.getCacheScope();
+    assert.notStrictEqual(otherServer, scope);
+
+    service.setSettings({ openaiCompatible: { baseUrl: 'http://b/v1', model: 'llama3', requestOptions: { temperature: 1.5 } } });
+    assert.notStrictEqual(service.getCacheScope(), otherServer);
+    assert.match(service.getCacheScope('standardize'), /^openaiCompatible\/llama3\/standardize\/limit-30\/style-none\/config-\w+$/);
+});
@@ -0,0 +1,120 @@
+/**
+ * 分类准确率评估测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../cli/runtime');
+const { plain } = require('./helpers');
+
+const runtime = createRuntime({ matcher: 'fuse' });
+const { window } = runtime;
+const { ClassificationEvaluator, MatchingStrategyConfig } = window;
+
+const LABELLED_SET = [
+    'filename,CatID,translation',
+    'Cough Male.wav,HMNCough,男性咳嗽',
+    'Ice Crack Break.wav,ICEBrk,冰裂开',
+    'Keyboard Typing Fast.wav,CMPTKey,快速敲键盘',
+    'Dog Bark Angry 01.wav,ANMLDog,愤怒的狗叫',
+    'Unknown.wav,NOTACATID'
+].join('\n');
+
+test('解析CSV和JSON格式的标注集', () => {
+    const csv = ClassificationEvaluator.parseLabelledSet('\uFEFF"Door, Wood 01.wav",DOORWood\n雷声 远.wav,THUN,Distant Thunder\nmissing.wav,\n');
+    assert.deepStrictEqual(plain(csv.entries), [
+        { filename: 'Door, Wood 01.wav', catID: 'DOORWood', translation: '' },
+        { filename: '雷声 远.wav', catID: 'THUN', translation: 'Distant Thunder' }
+    ]);
+    assert.deepStrictEqual(plain(csv.errors), ['第 3 行: 缺少文件名或CatID']);
+
+    const header = ClassificationEvaluator.parseLabelledSet(LABELLED_SET);
+    assert.strictEqual(header.entries.length, 5);
+
+    const object = ClassificationEvaluator.parseLabelledSet('{"Wind Howl.wav": "WIND"}');
+    assert.deepStrictEqual(plain(object.entries), [{ filename: 'Wind Howl.wav', catID: 'WIND', translation: '' }]);
+
+    const corpus = ClassificationEvaluator.parseLabelledSet('{"files": [{"name": "Rain.wav", "catID": "RAIN", "translation": "雨"}]}');
+    assert.deepStrictEqual(plain(corpus.entries), [{ filename: 'Rain.wav', catID: 'RAIN', translation: '雨' }]);
+
+    assert.throws(() => ClassificationEvaluator.parseLabelledSet('{bad'), /标注集JSON格式错误/);
+});
+
+test('统计Top-1/Top-3、每个策略、每个分类的准确率和错误分类', async () => {
+    const evaluator = new ClassificationEvaluator(runtime.fileProcessor.smartClassifier, runtime.translationService);
+    const { entries } = ClassificationEvaluator.parseLabelledSet(LABELLED_SET);
+    const { samples, invalid } = await evaluator.prepare(entries, { translate: false });
+
+    assert.deepStrictEqual(plain(invalid.map(entry => entry.catID)), ['NOTACATID']);
+    assert.strictEqual(samples[3].text, 'Dog Bark Angry');
+
+    const progress = [];
+    const report = await evaluator.evaluate(samples, null, { onProgress: (done, total) => progress.push([done, total]) });
+
+    assert.strictEqual(report.total, 4);
+    assert.strictEqual(report.top1.total, 4);
+    assert.ok(report.top3.correct >= report.top1.correct);
+    assert.strictEqual(report.results.filter(result => result.correct).length, report.top1.correct);
+    assert.ok(report.results.every(result => result.candidates.length <= 3));
+
+    const strategyKeys = Object.keys(runtime.matcher.matchingStrategyConfig.strategies);
+    assert.deepStrictEqual(plain(report.byStrategy.map(stat => stat.key)), strategyKeys);
+    assert.deepStrictEqual(plain(progress[progress.length - 1]), [4 * (1 + strategyKeys.length), 4 * (1 + strategyKeys.length)]);
+
+    assert.strictEqual(report.byCategory.reduce((sum, group) => sum + group.total, 0), 4);
+    const wrong = report.results.filter(result => !result.correct).length;
+    assert.strictEqual(report.confusions.reduce((sum, confusion) => sum + confusion.count, 0), wrong);
+});
+
+test('对比两套配置时列出结果变化，不修改正在使用的匹配器', async () => {
+    const evaluator = new ClassificationEvaluator(runtime.fileProcessor.smartClassifier, runtime.translationService);
+    const { entries } = ClassificationEvaluator.parseLabelledSet(LABELLED_SET);
+    const { samples } = await evaluator.prepare(entries, { translate: false });
+
+    const original = runtime.matcher.matchingStrategyConfig;
+    const savedBefore = window.localStorage.getItem('matching-strategy-config');
+
+    // 关闭所有策略后只剩文件名第一部分的匹配
+    const strategies = {};
+    Object.keys(original.strategies).forEach(key => {
+        strategies[key] = { enabled: false };
+    });
+    const disabled = new MatchingStrategyConfig({ strategies, persist: false });
+
+    // 评估期间开始的翻译仍使用当前配置
+    const configsDuringEvaluation = new Set();
+    const comparison = await evaluator.compare(samples, null, disabled, {
+        onProgress: () => configsDuringEvaluation.add(runtime.matcher.matchingStrategyConfig)
+    });
+    assert.deepStrictEqual([...configsDuringEvaluation], [original]);
+    assert.strictEqual(runtime.matcher.matchingStrategyConfig, original);
+    assert.strictEqual(window.localStorage.getItem('matching-strategy-config'), savedBefore);
+
+    assert.ok(comparison.b.byStrategy.every(stat => !stat.enabled));
+    comparison.changes.forEach(change => {
+        const before = comparison.a.results.find(result => result.filename === change.filename);
+        assert.strictEqual(change.a, before.predicted);
+        assert.notStrictEqual(change.a, change.b);
+        if (change.change === 'broken') {
+            assert.strictEqual(change.a, change.expected);
+        }
+    });
+});
+
+test('以名称保存、读取和删除匹配策略配置', () => {
+    const config = new MatchingStrategyConfig({ strategies: { bilingualTextMatch: { threshold: 80 } }, persist: false });
+    const current = window.localStorage.getItem('matching-strategy-config');
+
+    config.saveAs(' 高阈值 ');
+    assert.deepStrictEqual(plain(Object.keys(MatchingStrategyConfig.getSavedConfigs())), ['高阈值']);
+    assert.strictEqual(window.localStorage.getItem('matching-strategy-config'), current, '不替换当前配置');
+
+    const loaded = MatchingStrategyConfig.fromSavedConfig('高阈值');
+    assert.strictEqual(loaded.strategies.bilingualTextMatch.threshold, 80);
+    assert.strictEqual(loaded.persist, false);
+    assert.strictEqual(MatchingStrategyConfig.fromSavedConfig('不存在'), null);
+
+    assert.throws(() => config.saveAs('  '), /配置名称不能为空/);
+    assert.strictEqual(MatchingStrategyConfig.deleteSavedConfig('高阈值'), true);
+    assert.deepStrictEqual(plain(MatchingStrategyConfig.getSavedConfigs()), {});
+});
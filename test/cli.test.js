@@ -0,0 +1,162 @@
+/**
+ * 命令行批量模式测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createItem, readDirectoryItems, createEagleStub } = require('../cli/eagle-stub');
+const { collectItems, proposeNames, main } = require('../cli/translate');
+
+const tempDirectories = [];
+
+test.after(() => {
+    tempDirectories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+/**
+ * 创建包含指定文件的临时目录
+ * @param {Array<string>} names - 文件名
+ * @returns {string} 目录路径
+ */
+function createTempDirectory(names) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'eagle-audio-translator-'));
+    tempDirectories.push(directory);
+    names.forEach(name => {
+        const filePath = path.join(directory, name);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, '');
+    });
+    return directory;
+}
+
+/**
+ * 收集写入的文本
+ * @returns {Object} 带write方法的输出对象，text为写入的内容
+ */
+function createOutput() {
+    return {
+        text: '',
+        write(chunk) {
+            this.text += chunk;
+        }
+    };
+}
+
+test('读取目录中的文件，子目录只在recursive时包含', () => {
+    const directory = createTempDirectory(['a.wav', 'b.txt', '.hidden.wav', 'sub/c.mp3']);
+
+    const names = readDirectoryItems(directory).map(item => `${item.name}.${item.ext}`);
+    assert.deepStrictEqual(names, ['a.wav', 'b.txt']);
+
+    const recursive = readDirectoryItems(directory, { recursive: true });
+    assert.deepStrictEqual(recursive.map(item => item.name), ['a', 'b', 'c']);
+    assert.deepStrictEqual(recursive[2].folders, [path.join(directory, 'sub')]);
+});
+
+test('合并目录、文件名参数和文件名列表，重复的文件只处理一次', () => {
+    const directory = createTempDirectory(['a.wav']);
+    const { items, selected } = collectItems([directory, 'Wind Howl.wav'], {
+        listText: '\uFEFFWind Howl.wav\r\n\r\n雷声 远.flac\n'
+    });
+
+    assert.deepStrictEqual(items.map(item => item.name), ['a', 'Wind Howl', '雷声 远']);
+    assert.deepStrictEqual(selected, items.map(item => item.id));
+    assert.deepStrictEqual(items[1].folders, []);
+});
+
+test('Eagle API替身按文件夹和标签筛选，保存时记录修改', async () => {
+    const item = { ...createItem('/x/a.wav', { folder: '/x' }), tags: ['SFX'] };
+    const eagle = createEagleStub([item, createItem('/y/b.wav', { folder: '/y' })], { selected: ['/y/b.wav'] });
+
+    assert.deepStrictEqual((await eagle.item.getSelected()).map(found => found.id), ['/y/b.wav']);
+    assert.deepStrictEqual((await eagle.item.get({ folders: ['/x'] })).map(found => found.id), ['/x/a.wav']);
+    assert.deepStrictEqual((await eagle.item.get({ tags: ['SFX'] })).map(found => found.id), ['/x/a.wav']);
+
+    const stored = await eagle.item.getById('/x/a.wav');
+    stored.name = 'renamed';
+    await stored.save();
+    assert.strictEqual(eagle.calls[0].method, 'item.save');
+    assert.strictEqual(eagle.calls[0].name, 'renamed');
+    assert.strictEqual(item.name, 'a', '不修改传入的文件项');
+});
+
+test('使用离线词典为目录中的音频文件生成文件名', async () => {
+    const directory = createTempDirectory(['雷声 远.flac', 'notes.txt']);
+    const { files } = await proposeNames({ inputs: [directory] });
+
+    assert.strictEqual(files.length, 1, '跳过非音频文件');
+    const [file] = files;
+    assert.strictEqual(file.status, 'success');
+    assert.strictEqual(file.catID, 'THUN');
+    assert.strictEqual(file.resultProviders.reverseTranslate, 'offline');
+    assert.match(file.formattedName, /^THUN_.+\.flac$/);
+});
+
+test('设置文件中的命名规则生效', async () => {
+    const { files } = await proposeNames({
+        inputs: ['雷声 远.flac'],
+        config: {
+            naming: {
+                separator: '-',
+                elements: { catID: true, fxName: true }
+            }
+        }
+    });
+
+    assert.strictEqual(files[0].formattedName, `THUN-${files[0].standardizedName.replace(/\s+/g, '')}.flac`);
+});
+
+test('在线翻译服务使用传入的fetch', async () => {
+    const prompts = [];
+    const fetch = async (url, options) => {
+        const prompt = JSON.parse(options.body).messages.pop().content;
+        prompts.push({ url, prompt });
+        return {
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            json: async () => ({ choices: [{ message: { content: 'Distant Thunder' } }] })
+        };
+    };
+
+    const { files } = await proposeNames({
+        inputs: ['雷声 远.flac'],
+        provider: 'openaiCompatible',
+        config: { translation: { useCache: false, openaiCompatible: { baseUrl: 'http://localhost:9/v1', model: 'test' } } },
+        fetch
+    });
+
+    assert.ok(prompts.length > 0);
+    assert.ok(prompts.every(request => request.url.startsWith('http://localhost:9/v1')));
+    assert.strictEqual(files[0].resultProviders.reverseTranslate, 'openaiCompatible');
+    assert.match(files[0].formattedName, /DistantThunder/);
+});
+
+test('命令行输出CSV并检查参数', async () => {
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const code = await main(['--format', 'csv', '--list', '-'], { stdout, stderr, stdin: '雷声 远.flac\n' });
+
+    assert.strictEqual(code, 0, stderr.text);
+    const lines = stdout.text.trim().split(/\r?\n/);
+    assert.strictEqual(lines[0], 'ID,OriginalName,CatID,MatchRank,FXName,TranslatedName,FormattedName,Status,MatchSource');
+    assert.strictEqual(lines.length, 2);
+
+    assert.strictEqual(await main(['--format', 'xml', 'a.wav'], { stdout: createOutput(), stderr: createOutput() }), 2);
+    assert.strictEqual(await main([], { stdout: createOutput(), stderr: createOutput() }), 2);
+
+    const help = createOutput();
+    assert.strictEqual(await main(['--help'], { stdout: help, stderr: createOutput() }), 0);
+    assert.match(help.text, /--format/);
+});
+
+test('没有音频文件时返回错误', async () => {
+    const stderr = createOutput();
+    const code = await main(['readme.md'], { stdout: createOutput(), stderr });
+
+    assert.strictEqual(code, 1);
+    assert.match(stderr.text, /没有找到音频文件/);
+});
@@ -0,0 +1,124 @@
+/**
+ * 纠正记忆测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain, createFileRuntime } = require('./helpers');
+
+/**
+ * 创建使用离线词典、包含纠正记忆的运行环境
+ * @param {Array<string>} names - 文件名
+ * @returns {Object} 运行环境，memory为纠正记忆
+ */
+function createMemoryRuntime(names = []) {
+    const runtime = createFileRuntime(names);
+    const memory = new runtime.window.CorrectionMemory();
+    runtime.matcher.setCorrectionMemory(memory);
+    runtime.translationService.setCorrectionMemory(memory);
+    return { ...runtime, memory };
+}
+
+test('按词组记住分类，完全相同的词组优先，其次是包含的词组', () => {
+    const { memory, window } = createMemoryRuntime();
+
+    assert.deepStrictEqual(plain(window.CorrectionMemory.tokenize('Door_Slam heavyDoor 02')), ['door', 'heavy', 'slam']);
+
+    memory.learnCategory('Door Slam', 'DOORWood');
+    memory.learnCategory('slam door', 'DOORWood');
+    memory.learnCategory('Door Slam Metal', 'DOORMetl');
+
+    const rules = memory.getRules('category');
+    assert.strictEqual(rules.length, 2);
+    assert.strictEqual(rules.find(rule => rule.key === 'door slam').count, 2);
+
+    assert.strictEqual(memory.findCategory('Door Slam').catID, 'DOORWood');
+    assert.strictEqual(memory.findCategory('Heavy Metal Door Slam').catID, 'DOORMetl');
+    assert.strictEqual(memory.findCategory('Door Slam Hard').catID, 'DOORWood');
+    assert.strictEqual(memory.findCategory('Door Creak'), null);
+
+    // 选择其他CatID时替换结果并重新计数
+    memory.learnCategory('Door Slam', 'DOORMisc');
+    const changed = memory.getRules('category').find(rule => rule.key === 'door slam');
+    assert.strictEqual(changed.catID, 'DOORMisc');
+    assert.strictEqual(changed.count, 1);
+
+    memory.setSettings({ enabled: false });
+    assert.strictEqual(memory.findCategory('Door Slam'), null);
+});
+
+test('学习到的分类作为最高优先级的匹配策略，排在替代匹配第一位', async () => {
+    const { memory, matcher, fileProcessor } = createMemoryRuntime();
+    const classifier = fileProcessor.smartClassifier;
+
+    const before = await classifier.classifyFile('Cough Male', null, { matchStrategy: 'auto' });
+    assert.notStrictEqual(before.catID, 'ICEBrk');
+
+    memory.learnCategory('Cough Male', 'ICEBrk');
+    const after = await classifier.classifyFile('Cough Male', null, { matchStrategy: 'auto' });
+    assert.strictEqual(after.catID, 'ICEBrk');
+    assert.strictEqual(after.matchResults[0].matchSource, 'learned');
+    assert.strictEqual(after.matchResults.filter(match => match.term.catID === 'ICEBrk').length, 1);
+
+    // 规则优先于AI分类结果
+    const withAI = await classifier.classifyFile('Cough Male', { catID: 'HMNCough' }, { matchStrategy: 'auto' });
+    assert.strictEqual(withAI.catID, 'ICEBrk');
+
+    // 匹配策略配置中关闭后不再使用
+    matcher.matchingStrategyConfig.strategies.learnedCorrectionMatch.enabled = false;
+    const disabled = await classifier.classifyFile('Cough Male', null, { matchStrategy: 'auto' });
+    assert.strictEqual(disabled.catID, before.catID);
+    matcher.matchingStrategyConfig.strategies.learnedCorrectionMatch.enabled = true;
+
+    // 不在术语表中的CatID不使用
+    memory.learnCategory('Wind Howl', 'NOTACATID');
+    assert.strictEqual(matcher.matchLearnedCorrection('Wind Howl'), null);
+});
+
+test('确认过的译文优先于翻译服务', async () => {
+    const { memory, translationService } = createMemoryRuntime();
+
+    memory.learnTranslation('Door Slam', 'zh-CN', '摔门');
+    memory.learnTranslation('关门', 'en', 'Door Close');
+
+    const translated = await translationService.translateDetailed('door  slam', 'en', 'zh-CN');
+    assert.deepStrictEqual(plain(translated), { result: '摔门', provider: 'memory', failures: [] });
+    assert.strictEqual(translationService.getProviderName('memory'), '纠正记忆');
+    assert.deepStrictEqual(plain(translationService.getUntranslatedWords('door slam', null, null, 'memory')), []);
+
+    const reversed = await translationService.reverseTranslateDetailed('关门');
+    assert.strictEqual(reversed.result, 'Door Close');
+
+    const batch = await translationService.translateBatch(['Door Slam', 'Door Slam'], 'en', 'zh-CN');
+    assert.deepStrictEqual(plain(batch.map(item => [item.result, item.provider])), [['摔门', 'memory'], ['摔门', 'memory']]);
+
+    // 其他目标语言不使用（离线词典不支持日语）
+    await assert.rejects(translationService.translateDetailed('Door Slam', 'en', 'ja'), /不支持目标语言/);
+});
+
+test('应用后记住文件上的纠正，下次翻译时使用', async () => {
+    const first = createMemoryRuntime(['Glass Break Small 01.wav']);
+    const [file] = await first.proposeNames();
+    assert.ok(file.formattedName);
+
+    file.corrections = { catID: 'ICEBrk', fxNameZh: `碎玻璃${file.numberPart}` };
+    assert.strictEqual(first.memory.learnFromFiles([file], { targetLanguage: 'zh-CN' }), 2);
+    assert.strictEqual(first.memory.findTranslation('Glass Break Small', 'zh-CN').translation, '碎玻璃');
+
+    // 中文文件名的中文描述不是翻译结果，不记住
+    assert.strictEqual(first.memory.learnFromFile({ isChinese: true, nameWithoutNumber: '爆炸', corrections: { fxNameZh: '大爆炸' } }), 0);
+
+    // 导出后在新的运行环境中导入
+    const second = createMemoryRuntime(['Glass Break Small 02.wav']);
+    const imported = second.memory.importJSON(first.memory.exportJSON());
+    assert.deepStrictEqual(plain(imported), { imported: 2, skipped: 0 });
+
+    const [next] = await second.proposeNames();
+    assert.strictEqual(next.catID, 'ICEBrk');
+    assert.strictEqual(next.translatedName, `碎玻璃${next.numberPart}`);
+    assert.strictEqual(next.resultProviders.translate, 'memory');
+
+    assert.throws(() => second.memory.importJSON('{bad'), /纠正记忆JSON格式错误/);
+    second.memory.removeRule(second.memory.getRules('category')[0].id);
+    assert.strictEqual(second.memory.getRules().length, 1);
+});
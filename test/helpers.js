@@ -0,0 +1,35 @@
+/**
+ * 测试共用的辅助函数
+ */
+const { createRuntime } = require('../cli/runtime');
+const { createItem } = require('../cli/eagle-stub');
+
+/**
+ * 转换为当前上下文中的普通对象，插件上下文中创建的对象原型不同，deepStrictEqual无法直接比较
+ * @param {*} value - 值
+ * @returns {*} 普通对象
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * 创建使用离线词典、不使用缓存并选中给定文件的运行环境
+ * @param {Array<string>} names - 文件名
+ * @param {Object} options - createRuntime的其他选项
+ * @returns {Object} 运行环境
+ */
+function createFileRuntime(names = [], options = {}) {
+    const items = names.map(name => createItem(name));
+    return createRuntime({
+        items,
+        selected: items.map(item => item.id),
+        translation: { provider: 'offline', useCache: false },
+        ...options
+    });
+}
+
+module.exports = {
+    plain,
+    createFileRuntime
+};
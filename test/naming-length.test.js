@@ -0,0 +1,69 @@
+/**
+ * 命名长度上限和截断测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../cli/runtime');
+
+test('按单词和中文字符边界截断，先去掉停用词', () => {
+    const { window } = createRuntime({ items: [] });
+    const { NamingUtils } = window;
+
+    assert.strictEqual(NamingUtils.truncateText('DoorSlamOfWood', 12), 'DoorSlamWood');
+    assert.strictEqual(NamingUtils.truncateText('door_slam_of_the_wooden_house', 16), 'door_slam_wooden');
+    assert.strictEqual(NamingUtils.truncateText('XMLHttpRequest', 10), 'XMLHttp');
+    assert.strictEqual(NamingUtils.truncateText('木门被用力地关上了', 6), '木门被用力关');
+    // 只剩一个词时按字符截断
+    assert.strictEqual(NamingUtils.truncateText('Supercalifragilistic', 5), 'Super');
+    assert.strictEqual(NamingUtils.truncateText('Door Slam', 20), 'Door Slam');
+    assert.strictEqual(NamingUtils.truncateText('Door Slam', 0), 'Door Slam');
+    assert.strictEqual(NamingUtils.getFirstUnit('HeavyDoorSlam'), 'Heavy');
+    assert.strictEqual(NamingUtils.getFirstUnit('老木屋'), '老');
+});
+
+test('UCS命名按元素和总长度截断描述，CatID和序号保持不变', () => {
+    const { namingRules } = createRuntime({ items: [] });
+    const file = {
+        status: 'success',
+        catID: 'DOORWood',
+        categoryNameZh: '门',
+        standardizedName: 'Heavy Door Slam Of The Old Wooden House',
+        translatedName: '老木屋的沉重木门被用力关上',
+        numberPart: '012',
+        extension: 'wav'
+    };
+
+    const unlimited = namingRules.formatFilename(file);
+    assert.strictEqual(unlimited, 'DOORWood_门_HeavyDoorSlamOfTheOldWoodenHouse_老木屋的沉重木门被用力关上_012.wav');
+
+    namingRules.setSettings({ lengthLimits: { fxName: 16, fxName_zh: 7, total: 0 } });
+    assert.strictEqual(namingRules.formatFilename(file), 'DOORWood_门_HeavyDoorSlamOld_老木屋沉重木门_012.wav');
+
+    namingRules.setSettings({ lengthLimits: { fxName: 0, fxName_zh: 0, total: 30 } });
+    // 每次把最长的描述截断到与第二长的相近，两个描述都保留开头的词
+    assert.strictEqual(namingRules.formatFilename(file), 'DOORWood_门_Heavy_老木屋沉重木门被用_012.wav');
+
+    // 描述最短保留第一个单词或中文字符，仍超过上限时由长度检查报告
+    namingRules.setSettings({ lengthLimits: { fxName: 0, fxName_zh: 0, total: 10 } });
+    file.formattedName = namingRules.formatFilename(file);
+    assert.strictEqual(file.formattedName, 'DOORWood_门_Heavy_老_012.wav');
+    assert.strictEqual(namingRules.detectLengthIssues([file]), 1);
+    assert.match(file.lengthWarnings[0], /超过总长度上限 10/);
+});
+
+test('检查Windows完整路径长度', () => {
+    const { namingRules } = createRuntime({ items: [] });
+    const directory = 'C:\\Users\\sound\\Eagle\\SFX.library\\images\\' + 'K'.repeat(150) + '.info\\';
+    const files = [
+        { status: 'success', path: directory + 'old.wav', formattedName: 'DOORWood_' + 'A'.repeat(60) + '.wav', extension: 'wav' },
+        { status: 'success', path: directory + 'old.wav', formattedName: 'DOORWood_Slam.wav', extension: 'wav' },
+        { status: 'success', path: '/Users/sound/SFX.library/images/' + 'K'.repeat(150) + '.info/old.wav', formattedName: 'DOORWood_' + 'A'.repeat(60) + '.wav', extension: 'wav' },
+        { status: 'error', path: directory + 'old.wav', formattedName: '' }
+    ];
+
+    assert.strictEqual(namingRules.detectLengthIssues(files), 1);
+    assert.match(files[0].lengthWarnings[0], /完整路径有 2\d\d 个字符，超过Windows的路径长度限制（最多 259 个字符）/);
+    assert.strictEqual(files[1].lengthWarnings.length, 0);
+    assert.strictEqual(files[2].lengthWarnings.length, 0);
+});
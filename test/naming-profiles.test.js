@@ -0,0 +1,141 @@
+/**
+ * 命名配置方案测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../cli/runtime');
+const { plain } = require('./helpers');
+
+/**
+ * 创建方案使用的设置对象
+ * @returns {Object} 运行环境和设置对象
+ */
+function createSetup() {
+    const runtime = createRuntime({ items: [] });
+    const { window, namingRules, translationService } = runtime;
+    const batchRenamer = new window.BatchRenamer(null);
+    const matchingStrategyConfig = new window.MatchingStrategyConfig({ persist: false });
+    namingRules.setBatchRenamer(batchRenamer);
+
+    const objects = { namingRules, batchRenamer, matchingStrategyConfig };
+    return {
+        window,
+        namingRules,
+        batchRenamer,
+        matchingStrategyConfig,
+        translationService,
+        sources: () => ({ ...objects, translationSettings: translationService.settings }),
+        targets: () => ({ ...objects, translation: translationService })
+    };
+}
+
+test('保存方案后一键切换命名规则、翻译设置、匹配策略和批量重命名操作', () => {
+    const { window, namingRules, batchRenamer, matchingStrategyConfig, translationService, sources, targets } = createSetup();
+    const profiles = new window.NamingProfiles(null);
+    const file = { status: 'success', catID: 'DOORWood', standardizedName: 'Door Slam', translatedName: '摔门', extension: 'wav' };
+
+    // 客户A：UCS命名，只保留CatID和英文描述
+    namingRules.setSettings({ useUCS: true, elements: { ...namingRules.settings.elements, fxName_zh: false, category_zh: false } });
+    translationService.setSettings({ namingStyle: 'none', charLimitEn: 20, apiKeys: { zhipu: 'secret' } });
+    const clientA = namingRules.formatFilename(file);
+    profiles.saveProfile('客户A', sources());
+    assert.strictEqual(profiles.getActiveProfile().name, '客户A');
+    assert.strictEqual(JSON.stringify(profiles.getProfile('客户A')).includes('secret'), false);
+
+    // 客户B：自定义模板、禁用一个匹配策略、添加批量重命名操作
+    namingRules.setSettings({ useUCS: false, format: 'custom', template: '{catID}-{fxName|upper}' });
+    translationService.setSettings({ charLimitEn: 40 });
+    matchingStrategyConfig.setStrategyEnabled('enhancedTextMatch', false);
+    batchRenamer.addPrefixOperation('B_', { target: 'filename' });
+    batchRenamer.savePreset('B前缀');
+    profiles.saveProfile('客户B', sources());
+    const clientB = namingRules.formatFilename(file);
+    assert.strictEqual(clientB, 'B_DOORWood-DOORSLAM.wav');
+    assert.strictEqual(profiles.isModified('客户B', sources()), false);
+
+    profiles.applyProfile('客户A', targets());
+    assert.strictEqual(namingRules.formatFilename(file), clientA);
+    assert.strictEqual(translationService.settings.charLimitEn, 20);
+    assert.strictEqual(matchingStrategyConfig.strategies.enhancedTextMatch.enabled, true);
+    assert.strictEqual(batchRenamer.getOperationCount(), 0);
+    // 切换不删除其他预设
+    assert.deepStrictEqual(plain(batchRenamer.getPresets().map(preset => preset.name)), ['B前缀']);
+    assert.strictEqual(translationService.settings.apiKeys.zhipu, 'secret');
+
+    profiles.applyProfile('客户B', targets());
+    assert.strictEqual(namingRules.formatFilename(file), clientB);
+    assert.strictEqual(profiles.getActiveProfile().name, '客户B');
+
+    // 修改后与方案不同，保存后相同
+    namingRules.setSettings({ template: '{catID}_{fxName}' });
+    assert.strictEqual(profiles.isModified('客户B', sources()), true);
+    profiles.saveProfile('客户B', sources());
+    assert.strictEqual(profiles.isModified('客户B', sources()), false);
+
+    assert.throws(() => profiles.applyProfile('不存在', targets()), /找不到命名配置方案/);
+    assert.throws(() => profiles.saveProfile(' ', sources()), /方案名称不能为空/);
+    assert.strictEqual(profiles.deleteProfile('客户B'), true);
+    assert.strictEqual(profiles.getActiveProfile(), null);
+});
+
+test('保存到本地存储并导入导出方案', () => {
+    const { window, namingRules, sources } = createSetup();
+    const profiles = new window.NamingProfiles('naming-profiles-test');
+
+    namingRules.setSettings({ creatorID: 'ACME', sourceID: 'GAME1' });
+    profiles.saveProfile('ACME', sources());
+
+    const reloaded = new window.NamingProfiles('naming-profiles-test');
+    assert.deepStrictEqual(plain(reloaded.getProfiles().map(profile => profile.name)), ['ACME']);
+    assert.strictEqual(reloaded.getActiveProfile().name, 'ACME');
+
+    const exported = JSON.parse(reloaded.exportJSON());
+    assert.strictEqual(exported.version, window.NamingProfiles.EXPORT_VERSION);
+    assert.strictEqual(exported.profiles[0].naming.creatorID, 'ACME');
+
+    exported.profiles.push({ name: '模板错误', naming: { template: '{catID}_{fxNme}' } });
+    exported.profiles.push({ name: '操作错误', batchRenamer: { operations: [{ type: 'rotate' }] } });
+    exported.profiles.push({ name: '空方案' });
+    exported.profiles.push({ name: '策略开关错误', matchingStrategies: { enhancedTextMatch: { enabled: 'no', priority: 2 } } });
+    exported.profiles.push({ name: '策略优先级错误', matchingStrategies: { enhancedTextMatch: { enabled: true, priority: 'high' } } });
+    exported.profiles.push({ name: '策略阈值错误', matchingStrategies: { enhancedTextMatch: { enabled: true, priority: 2, threshold: '0.3' } } });
+    exported.profiles.push({ name: '未知策略', matchingStrategies: { magicMatch: { enabled: true, priority: 1 } } });
+    exported.profiles.push({ name: '元素类型错误', naming: { elements: null } });
+    exported.profiles.push({ name: '未知元素', naming: { elements: { catID: true, color: true } } });
+    exported.profiles.push({ name: '元素开关错误', naming: { elements: { catID: 'yes' } } });
+    exported.profiles.push({ name: 'UCS开关错误', naming: { useUCS: 'false' } });
+    exported.profiles.push({ name: '序号错误', naming: { serialPadding: 1.5 } });
+    exported.profiles.push({ name: '长度错误', naming: { lengthLimits: { total: -1 } } });
+    exported.profiles.push({ name: '分隔符错误', naming: { separator: 1 } });
+    exported.profiles.push({
+        name: '只改策略',
+        matchingStrategies: { enhancedTextMatch: { enabled: false, priority: 3, threshold: 0.3, color: 'red', description: '说明' } }
+    });
+
+    const other = createSetup();
+    const imported = new other.window.NamingProfiles(null);
+    const result = imported.importJSON('\uFEFF' + JSON.stringify(exported));
+    assert.deepStrictEqual(plain(result), { imported: 2, skipped: 14 });
+    // 默认配置中没有的参数和说明文字不导入
+    assert.deepStrictEqual(plain(imported.getProfile('只改策略').matchingStrategies), {
+        enhancedTextMatch: { enabled: false, priority: 3, threshold: 0.3 }
+    });
+
+    imported.applyProfile('ACME', other.targets());
+    assert.strictEqual(other.namingRules.settings.creatorID, 'ACME');
+    assert.strictEqual(other.namingRules.settings.sourceID, 'GAME1');
+    assert.throws(() => imported.importJSON('{'), /命名配置方案JSON格式错误/);
+    assert.throws(() => imported.importJSON('[]'), /没有profiles列表/);
+
+    // 本地存储中类型错误的方案不加载，切换后也不会让formatFilename出错
+    const stored = JSON.parse(window.localStorage.getItem('naming-profiles-test'));
+    stored.profiles.push({ name: '损坏', naming: { elements: null } });
+    window.localStorage.setItem('naming-profiles-test', JSON.stringify(stored));
+    assert.deepStrictEqual(plain(new window.NamingProfiles('naming-profiles-test').getProfiles().map(profile => profile.name)), ['ACME']);
+
+    // 只提供命名规则时只恢复命名规则，例如启动时
+    namingRules.setSettings({ creatorID: 'OTHER' });
+    reloaded.applyProfile('ACME', { namingRules });
+    assert.strictEqual(namingRules.settings.creatorID, 'ACME');
+});
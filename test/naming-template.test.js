@@ -0,0 +1,76 @@
+/**
+ * 自定义命名模板测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../cli/runtime');
+
+test('变量、过滤器、备选和可选部分', () => {
+    const { window } = createRuntime({ items: [] });
+    const { NamingTemplate } = window;
+    const values = { catID: 'DOORWood', fxName: 'Door Slam', fxName_zh: '木门被用力关上', subCategory_zh: '', serial: '7' };
+
+    assert.strictEqual(new NamingTemplate('{catID}_{fxName|upper}_{fxName_zh|trunc:4}_{serial|pad:3}').render(values),
+        'DOORWood_DOOR SLAM_木门被用_007');
+    assert.strictEqual(new NamingTemplate('{fxName|style:snake_case}').render(values), 'door_slam');
+    assert.strictEqual(new NamingTemplate('{catID}[_{subCategory_zh}]_{fxName}').render(values), 'DOORWood_Door Slam');
+    assert.strictEqual(new NamingTemplate('{catID}[_{fxName_zh}[ ({subCategory_zh})]]').render(values), 'DOORWood_木门被用力关上');
+    assert.strictEqual(new NamingTemplate('{subCategory_zh||fxName_zh|trunc:2}').render(values), '木门');
+    assert.strictEqual(new NamingTemplate('{subCategory||"MISC"|lower}').render(values), 'misc');
+    assert.strictEqual(new NamingTemplate('\\[{catID}\\]').render(values), '[DOORWood]');
+    assert.deepStrictEqual([...new NamingTemplate('{catID}[_{serial}]{fxName||name}').variables], ['catID', 'serial', 'fxName', 'name']);
+});
+
+test('语法错误和未知变量报告位置', () => {
+    const { window } = createRuntime({ items: [] });
+    const { NamingTemplate } = window;
+    const error = template => NamingTemplate.validate(template).error;
+
+    assert.strictEqual(NamingTemplate.validate('{catID}_{fxName}').valid, true);
+    assert.match(error('{catID}_{fxname}'), /第9个字符.*未知变量 \{fxname\}/);
+    assert.match(error('{catID'), /第1个字符.*缺少 \}/);
+    assert.match(error('{catID}[_{fxName}'), /第8个字符.*缺少 \]/);
+    assert.match(error('{catID}]'), /多余的 \]/);
+    assert.match(error('{}'), /变量名为空/);
+    assert.match(error('{fxName|shout}'), /未知过滤器 shout/);
+    assert.match(error('{fxName|trunc}'), /trunc 需要正整数参数/);
+    assert.match(error('{fxName|upper:2}'), /upper 不需要参数/);
+    assert.match(error('{fxName|style:Title}'), /style 需要/);
+});
+
+test('命名规则使用模板格式化、预览和编号', () => {
+    const { namingRules } = createRuntime({ items: [] });
+    namingRules.setSettings({ useUCS: false, format: 'custom', template: '{catID}_{fxName}[_{subCategory_zh}]_{serial|pad:2}' });
+
+    // 序号已按设置补零，pad只补到不少于指定位数
+    assert.strictEqual(namingRules.getPreviewFormat(), 'DOORWood_DoorWoodSlam_木门_001');
+
+    const files = [
+        { status: 'success', catID: 'DOORWood', standardizedName: 'Door Slam', extension: 'wav' },
+        { status: 'success', catID: 'DOORWood', standardizedName: 'Door Slam', extension: 'wav' },
+        { status: 'success', catID: 'DOORWood', standardizedName: 'Door Slam', numberPart: '09', extension: 'wav' }
+    ];
+    files.forEach(file => {
+        file.formattedName = namingRules.formatFilename(file);
+    });
+    namingRules.applyBatchNumbering(files);
+    assert.deepStrictEqual(files.map(file => file.formattedName),
+        ['DOORWood_DoorSlam_001.wav', 'DOORWood_DoorSlam_002.wav', 'DOORWood_DoorSlam_09.wav']);
+
+    // 旧版模板仍然可用，变量为空时不留下多余的分隔符
+    namingRules.setSettings({ template: '{category}_{name}' });
+    assert.strictEqual(namingRules.formatFilename({ name: 'door', translatedName: '摔门', extension: 'wav' }), '摔门.wav');
+    assert.strictEqual(namingRules.formatFilename({ category: 'DOOR', categoryName: 'DOORS', translatedName: '摔门', extension: 'wav' }), 'DOOR_摔门.wav');
+    namingRules.setSettings({ includeCategory: false });
+    assert.strictEqual(namingRules.formatFilename({ category: 'DOOR', translatedName: '摔门', extension: 'wav' }), '摔门.wav');
+
+    // 中间的变量为空时不留下连续的分隔符
+    namingRules.setSettings({ includeCategory: true, separator: '_', template: '{name}_{category}_{tags}' });
+    assert.strictEqual(namingRules.formatFilename({ translatedName: '摔门', tags: ['Door', 'Wood'], extension: 'wav' }), '摔门_Door_Wood.wav');
+    assert.strictEqual(namingRules.formatFilename({ translatedName: '摔门', category: 'DOOR', extension: 'wav' }), '摔门_DOOR.wav');
+
+    namingRules.setSettings({ template: '{catID}_{fxNme}' });
+    assert.match(namingRules.getPreviewFormat(), /^模板错误: .*未知变量 \{fxNme\}/);
+    assert.throws(() => namingRules.formatFilename(files[0]), /自定义模板无效/);
+});
@@ -0,0 +1,129 @@
+/**
+ * 翻译和重命名进度测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../cli/runtime');
+const { plain, createFileRuntime } = require('./helpers');
+
+test('按阶段报告完成数和错误数，结束时报告状态', async () => {
+    const { window, fileProcessor } = createFileRuntime(['Door Slam 01.wav', 'Glass Break 02.wav', '雷声 远.wav']);
+    const files = await fileProcessor.getCurrentSelection();
+    const snapshots = [];
+    const processed = [];
+
+    await fileProcessor.processTranslation(files, (list, index) => processed.push(index), {
+        onProgress: progress => snapshots.push(progress)
+    });
+
+    assert.deepStrictEqual(processed, [0, 1, 2]);
+    const phases = [...new Set(snapshots.map(progress => progress.phase))];
+    assert.deepStrictEqual(phases, ['preprocess', 'prefetch', 'process']);
+
+    const last = snapshots[snapshots.length - 1];
+    assert.strictEqual(last.status, 'completed');
+    assert.strictEqual(last.phaseIndex, 4);
+    assert.strictEqual(last.phaseCount, 4);
+    assert.strictEqual(last.done, 3);
+    assert.strictEqual(last.percent, 100);
+    assert.strictEqual(last.errors, 0);
+    assert.strictEqual(last.eta, null);
+
+    assert.strictEqual(window.ProgressTracker.describe({ ...last, status: 'running', inFlight: 2, queued: 1, errors: 1, eta: 80000 }),
+        '第4/4步 匹配和翻译 3/3（100%），2 个请求进行中，1 个排队，1 个错误，剩余约 1分20秒');
+});
+
+test('剩余时间按当前阶段的速度估算', () => {
+    const { window } = createRuntime({ items: [] });
+    const tracker = new window.ProgressTracker([{ id: 'rename', label: '应用文件名' }]);
+
+    tracker.startPhase('rename', 10);
+    assert.strictEqual(tracker.getSnapshot().eta, null);
+
+    tracker.phases[0].startedAt = Date.now() - 4000;
+    tracker.advance(4, 1);
+    const eta = tracker.getSnapshot().eta;
+    assert.ok(eta >= 5900 && eta <= 6100, String(eta));
+    assert.strictEqual(tracker.getSnapshot().errors, 1);
+    assert.throws(() => tracker.startPhase('unknown', 1), /未知的进度阶段/);
+});
+
+test('取消时中止进行中的网络请求', async () => {
+    const signals = [];
+    let requested;
+    const firstRequest = new Promise(resolve => {
+        requested = resolve;
+    });
+
+    // 请求一直等待，直到被中止
+    const fetch = (url, options) => new Promise((resolve, reject) => {
+        signals.push(options.signal);
+        requested();
+        options.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    });
+
+    const { fileProcessor, translationService } = createFileRuntime(['Door Slam 01.wav', 'Glass Break 02.wav'], {
+        translation: {
+            provider: 'openaiCompatible',
+            useCache: false,
+            openaiCompatible: { baseUrl: 'http://localhost:9/v1', model: 'test' }
+        },
+        fetch
+    });
+    const files = await fileProcessor.getCurrentSelection();
+    const controller = new AbortController();
+    let last = null;
+
+    const running = fileProcessor.processTranslation(files, null, {
+        signal: controller.signal,
+        onProgress: progress => {
+            last = progress;
+        }
+    });
+
+    await firstRequest;
+    assert.ok(translationService.getRequestStatus().active > 0);
+    controller.abort();
+    await running;
+
+    assert.ok(signals.length > 0);
+    assert.ok(signals.every(signal => signal.aborted), '进行中的请求被中止');
+    assert.strictEqual(last.status, 'cancelled');
+    assert.ok(files.every(file => file.status !== 'success'));
+    assert.deepStrictEqual(plain(translationService.getRequestStatus()), { active: 0, queued: 0 });
+});
+
+test('重命名报告进度，取消后剩余的文件不处理', async () => {
+    const { eagle, fileProcessor } = createFileRuntime(['Door Slam 01.wav', 'Glass Break 02.wav', 'Wind Howl 03.wav']);
+    const files = await fileProcessor.getCurrentSelection();
+    await fileProcessor.processTranslation(files);
+
+    files[1].status = 'error';
+    const controller = new AbortController();
+    const snapshots = [];
+    const results = await fileProcessor.executeRename(files, {
+        signal: controller.signal,
+        onProgress: progress => {
+            snapshots.push(progress);
+            if (progress.done === 2) {
+                controller.abort();
+            }
+        }
+    });
+
+    assert.deepStrictEqual(plain(results.map(result => result.success)), [true, false, false]);
+    assert.strictEqual(results[2].cancelled, true);
+    assert.strictEqual(eagle.calls.filter(call => call.method === 'item.save').length, 1);
+
+    const last = snapshots[snapshots.length - 1];
+    assert.strictEqual(last.phase, 'rename');
+    assert.strictEqual(last.status, 'cancelled');
+    assert.strictEqual(last.done, 2);
+    assert.strictEqual(last.total, 3);
+    assert.strictEqual(last.errors, 1);
+});
@@ -0,0 +1,46 @@
+/**
+ * 匹配和命名回归测试
+ * 运行：npm test；匹配或命名的变化符合预期时，运行 npm run test:golden 更新golden文件
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { GOLDEN_PATH, readJSON, runCorpus, compareWithGolden, formatReport } = require('./regression/harness');
+
+test('语料的分类和命名结果与golden文件一致', async t => {
+    const golden = readJSON(GOLDEN_PATH);
+    assert.ok(golden, '缺少golden文件，请运行 npm run test:golden 生成');
+
+    const report = await runCorpus();
+    const comparison = compareWithGolden(report, golden);
+    formatReport(comparison).split('\n').forEach(line => t.diagnostic(line));
+
+    assert.deepStrictEqual(comparison.missing, [], '语料中有golden文件没有的条目，请运行 npm run test:golden 更新');
+    assert.deepStrictEqual(
+        comparison.changes,
+        [],
+        '分类或命名结果发生变化，确认符合预期后运行 npm run test:golden 更新golden文件'
+    );
+});
+
+test('与golden比较时报告准确率变化和不同的结果', () => {
+    const golden = {
+        accuracy: { classifyFile: { correct: 1, total: 2 }, csvFindMatch: { correct: 1, total: 2 }, fuseFindMatch: { correct: 0, total: 2 } },
+        results: {
+            'a.wav': { classifyFile: 'THUN', csvFindMatch: 'THUN', fuseFindMatch: null, formatFilename: 'THUN_a.wav' }
+        }
+    };
+    const report = {
+        accuracy: { classifyFile: { correct: 2, total: 2 }, csvFindMatch: { correct: 1, total: 2 }, fuseFindMatch: { correct: 0, total: 2 } },
+        results: {
+            'a.wav': { classifyFile: 'WIND', csvFindMatch: 'THUN', fuseFindMatch: null, formatFilename: 'WIND_a.wav' },
+            'b.wav': { classifyFile: 'RAIN', csvFindMatch: null, fuseFindMatch: null, formatFilename: 'RAIN_b.wav' }
+        }
+    };
+
+    const comparison = compareWithGolden(report, golden);
+    assert.deepStrictEqual(comparison.missing, ['b.wav']);
+    assert.deepStrictEqual(comparison.changes.map(change => change.check), ['classifyFile', 'formatFilename']);
+    assert.strictEqual(comparison.accuracy.classifyFile.before, 0.5);
+    assert.strictEqual(comparison.accuracy.classifyFile.after, 1);
+    assert.match(formatReport(comparison), /classifyFile: 2\/2 \(100\.0%\)，golden为 50\.0%，\+50\.0%/);
+});
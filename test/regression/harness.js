@@ -0,0 +1,278 @@
+#!/usr/bin/env node
+/**
+ * 匹配和命名回归测试
+ * 用语料中的真实音效文件名依次运行SmartClassifier.classifyFile、CSVMatcher.findMatch、
+ * FuseMatcher.findMatch和NamingRules.formatFilename，与golden文件比较结果并统计准确率变化
+ *
+ * 用法：node test/regression/harness.js [--update]
+ *   --update  用当前结果更新golden文件（确认匹配或命名的变化符合预期后使用）
+ */
+const fs = require('fs');
+const path = require('path');
+const { createRuntime, loadUCSDatabase } = require('../../cli/runtime');
+const { createStubProvider } = require('./stub-provider');
+
+const CORPUS_PATH = path.join(__dirname, 'corpus.json');
+const GOLDEN_PATH = path.join(__dirname, 'golden.json');
+
+/**
+ * 检查的函数，前三项返回CatID并统计准确率
+ */
+const CHECKS = ['classifyFile', 'csvFindMatch', 'fuseFindMatch', 'formatFilename'];
+const ACCURACY_CHECKS = ['classifyFile', 'csvFindMatch', 'fuseFindMatch'];
+
+/**
+ * 读取JSON文件
+ * @param {string} filePath - 文件路径
+ * @returns {Object|null} 内容，文件不存在时返回null
+ */
+function readJSON(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * 创建回归测试环境：翻译和AI分类使用替身，同时创建两种匹配器
+ * SmartClassifier使用Fuse匹配器，与插件的默认配置一致
+ * @param {Array<Object>} entries - 语料条目
+ * @returns {Object} 环境，包含window、translationService、namingRules、csvMatcher、fuseMatcher、smartClassifier、aiClassifier、fileProcessor、provider
+ */
+function createHarness(entries) {
+    const runtime = createRuntime({ matcher: 'fuse' });
+    const { window, translationService } = runtime;
+
+    const translations = {};
+    const classifications = {};
+    entries.forEach(entry => {
+        const { nameWithoutNumber } = window.NamingUtils.processFileName(splitName(entry.name));
+        translations[nameWithoutNumber] = entry.translation;
+        if (entry.ai) {
+            classifications[nameWithoutNumber] = entry.ai;
+        }
+    });
+
+    const provider = createStubProvider(window, { translations, classifications });
+    translationService.registerProvider(provider);
+    translationService.setSettings({ provider: 'stub', useCache: false });
+
+    const csvMatcher = new window.CSVMatcher(window.UCSSchema.DEFAULT_PATH, loadUCSDatabase(window));
+
+    return {
+        window,
+        translationService,
+        namingRules: runtime.namingRules,
+        csvMatcher,
+        fuseMatcher: runtime.matcher,
+        smartClassifier: runtime.fileProcessor.smartClassifier,
+        aiClassifier: new window.AIClassifier().init(true),
+        fileProcessor: runtime.fileProcessor,
+        provider
+    };
+}
+
+/**
+ * 将文件名拆分为名称和扩展名
+ * @param {string} filename - 文件名
+ * @returns {Object} 包含name和extension
+ */
+function splitName(filename) {
+    const extension = path.extname(filename);
+    return {
+        name: path.basename(filename, extension),
+        extension: extension.replace(/^\./, '').toLowerCase()
+    };
+}
+
+/**
+ * 对一个语料条目运行所有检查
+ * 文件对象的准备方式与FileProcessor一致：先提取序号，再翻译，再分类，最后格式化文件名
+ * @param {Object} harness - 回归测试环境
+ * @param {Object} entry - 语料条目
+ * @param {Object|null} aiClassification - AI分类结果
+ * @returns {Promise<Object>} 各检查的结果
+ */
+async function runEntry(harness, entry, aiClassification) {
+    const { window, translationService } = harness;
+    const file = window.NamingUtils.processFileName(splitName(entry.name));
+    const text = file.nameWithoutNumber;
+
+    const translated = file.isChinese
+        ? await translationService.reverseTranslate(text)
+        : await translationService.translate(text, 'en', 'zh-CN');
+
+    // auto策略先使用AI分类，无效时再用原文和译文双语匹配
+    const classification = await harness.smartClassifier.classifyFile(text, aiClassification, {
+        matchStrategy: 'auto',
+        translatedText: translated,
+        isChinese: file.isChinese
+    });
+
+    const csvMatch = harness.csvMatcher.findMatch(text);
+    const fuseMatch = harness.fuseMatcher.findMatch(text);
+
+    if (file.isChinese) {
+        file.translatedName = window.NamingUtils.normalizeChineseText(text, false) + (file.numberPart || '');
+        file.standardizedName = window.NamingUtils.normalizeEnglishText(translated, false);
+    } else {
+        file.translatedName = translated;
+    }
+    harness.fileProcessor._applyMatchResult(file, classification);
+
+    return {
+        classifyFile: classification ? classification.catID : null,
+        csvFindMatch: csvMatch ? csvMatch.catID : null,
+        fuseFindMatch: fuseMatch && fuseMatch.matched ? fuseMatch.catID : null,
+        formatFilename: harness.namingRules.formatFilename(file)
+    };
+}
+
+/**
+ * 运行语料
+ * @param {Object} options - 选项
+ * @param {Array<Object>} options.entries - 语料条目，默认读取corpus.json
+ * @returns {Promise<Object>} 报告，包含accuracy（各检查的正确数和总数）和results（文件名 -> 各检查结果）
+ */
+async function runCorpus(options = {}) {
+    const entries = options.entries || readJSON(CORPUS_PATH).files;
+    const harness = createHarness(entries);
+
+    // AI分类按批次请求，一次提交全部有预设结果的文件
+    const aiEntries = entries.filter(entry => entry.ai);
+    const aiResults = await Promise.all(aiEntries.map(entry => {
+        const { nameWithoutNumber } = harness.window.NamingUtils.processFileName(splitName(entry.name));
+        return harness.aiClassifier.getClassification(nameWithoutNumber, harness.translationService);
+    }));
+    const aiByName = new Map(aiEntries.map((entry, index) => [entry.name, aiResults[index]]));
+
+    const results = {};
+    const accuracy = {};
+    ACCURACY_CHECKS.forEach(check => {
+        accuracy[check] = { correct: 0, total: entries.length };
+    });
+
+    for (const entry of entries) {
+        const result = await runEntry(harness, entry, aiByName.get(entry.name) || null);
+        results[entry.name] = result;
+
+        ACCURACY_CHECKS.forEach(check => {
+            if (result[check] === entry.catID) {
+                accuracy[check].correct++;
+            }
+        });
+    }
+
+    return { accuracy, results };
+}
+
+/**
+ * 与golden文件比较
+ * @param {Object} report - runCorpus的报告
+ * @param {Object|null} golden - golden文件内容
+ * @returns {Object} 比较结果，包含changes（变化的结果）、missing（golden中没有的文件）、accuracy（各检查的准确率变化）
+ */
+function compareWithGolden(report, golden) {
+    const goldenResults = (golden && golden.results) || {};
+    const changes = [];
+    const missing = [];
+
+    Object.keys(report.results).forEach(name => {
+        const expected = goldenResults[name];
+        if (!expected) {
+            missing.push(name);
+            return;
+        }
+
+        CHECKS.forEach(check => {
+            const actual = report.results[name][check];
+            if (actual !== expected[check]) {
+                changes.push({ name, check, expected: expected[check], actual });
+            }
+        });
+    });
+
+    const accuracy = {};
+    ACCURACY_CHECKS.forEach(check => {
+        const current = report.accuracy[check];
+        const previous = golden && golden.accuracy && golden.accuracy[check];
+        accuracy[check] = {
+            before: previous ? previous.correct / previous.total : null,
+            after: current.total > 0 ? current.correct / current.total : 0,
+            correct: current.correct,
+            total: current.total
+        };
+    });
+
+    return { changes, missing, accuracy };
+}
+
+/**
+ * 格式化比较结果
+ * @param {Object} comparison - compareWithGolden的结果
+ * @returns {string} 报告文本
+ */
+function formatReport(comparison) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const lines = ['准确率（与人工标注的CatID比较）:'];
+
+    ACCURACY_CHECKS.forEach(check => {
+        const { before, after, correct, total } = comparison.accuracy[check];
+        let line = `  ${check}: ${correct}/${total} (${percent(after)})`;
+        if (before !== null && Math.abs(after - before) > 1e-9) {
+            const delta = (after - before) * 100;
+            line += `，golden为 ${percent(before)}，${delta > 0 ? '+' : ''}${delta.toFixed(1)}%`;
+        }
+        lines.push(line);
+    });
+
+    if (comparison.changes.length > 0) {
+        lines.push(`与golden不同的结果（${comparison.changes.length}）:`);
+        comparison.changes.forEach(change => {
+            lines.push(`  ${change.name} [${change.check}]: ${change.expected} -> ${change.actual}`);
+        });
+    }
+
+    if (comparison.missing.length > 0) {
+        lines.push(`golden中没有的文件（${comparison.missing.length}）: ${comparison.missing.join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * 写入golden文件
+ * @param {Object} report - runCorpus的报告
+ */
+function writeGolden(report) {
+    fs.writeFileSync(GOLDEN_PATH, JSON.stringify(report, null, 2) + '\n', 'utf8');
+}
+
+if (require.main === module) {
+    const update = process.argv.includes('--update');
+
+    runCorpus().then(report => {
+        const comparison = compareWithGolden(report, readJSON(GOLDEN_PATH));
+        console.log(formatReport(comparison));
+
+        if (update) {
+            writeGolden(report);
+            console.log(`已更新 ${path.relative(process.cwd(), GOLDEN_PATH)}`);
+        } else if (comparison.changes.length > 0 || comparison.missing.length > 0) {
+            process.exitCode = 1;
+        }
+    }).catch(error => {
+        console.error(`回归测试失败: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = {
+    CORPUS_PATH,
+    GOLDEN_PATH,
+    readJSON,
+    runCorpus,
+    compareWithGolden,
+    formatReport,
+    writeGolden
+};
@@ -0,0 +1,84 @@
+/**
+ * 回归测试使用的AI提供者替身
+ * 翻译和AI分类都返回语料中预先写好的结果，不访问网络，结果固定
+ */
+
+/**
+ * 创建提供者替身
+ * 提供者类需要继承插件上下文中的TranslationProvider，因此在函数内定义
+ * @param {Object} window - 插件上下文
+ * @param {Object} responses - 预设结果
+ * @param {Object} responses.translations - 文本 -> 翻译结果（中英两个方向共用）
+ * @param {Object} responses.classifications - 文件名 -> AI分类选项数组
+ * @returns {TranslationProvider} 提供者实例，requests记录收到的请求
+ */
+function createStubProvider(window, responses = {}) {
+    const translations = responses.translations || {};
+    const classifications = responses.classifications || {};
+
+    class StubProvider extends window.TranslationProvider {
+        constructor(settings = {}) {
+            super(settings);
+            this.requests = [];
+        }
+
+        getId() {
+            return 'stub';
+        }
+
+        getName() {
+            return '回归测试替身';
+        }
+
+        requiresApiKey() {
+            return false;
+        }
+
+        isCacheable() {
+            return false;
+        }
+
+        // 逐个翻译，保证每个文本都按预设返回
+        supportsBatch() {
+            return false;
+        }
+
+        async getSupportedLanguages() {
+            return [];
+        }
+
+        async translate(text, from, to) {
+            this.requests.push({ type: 'translate', text, from, to });
+            return Object.prototype.hasOwnProperty.call(translations, text) ? translations[text] : text;
+        }
+
+        async standardize(text) {
+            this.requests.push({ type: 'standardize', text });
+            return Object.prototype.hasOwnProperty.call(translations, text) ? translations[text] : text;
+        }
+
+        /**
+         * 返回提示词中出现的文件名的预设分类，格式与AIClassifier要求的JSON一致
+         * @param {string} prompt - 提示词
+         * @param {string} from - 源语言
+         * @param {string} to - 目标语言
+         * @param {string} type - 请求类型
+         * @returns {Promise<string>} JSON响应
+         */
+        async sendRequest(prompt, from, to, type) {
+            this.requests.push({ type, prompt });
+
+            const results = Object.keys(classifications)
+                .filter(filename => prompt.includes(filename))
+                .map(filename => ({ filename, classifications: classifications[filename] }));
+
+            return JSON.stringify({ results });
+        }
+    }
+
+    return new StubProvider();
+}
+
+module.exports = {
+    createStubProvider
+};
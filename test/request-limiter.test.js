@@ -0,0 +1,169 @@
+/**
+ * 请求限制器测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../cli/runtime');
+
+/**
+ * 创建使用给定fetch的请求限制器
+ * @param {Function} fetch - 网络请求函数
+ * @param {Object} limits - 限制设置
+ * @returns {RequestLimiter} 请求限制器
+ */
+function createLimiter(fetch, limits = {}) {
+    const { window } = createRuntime({ items: [], fetch });
+    return new window.RequestLimiter({ requestsPerMinute: 0, baseDelay: 10, ...limits });
+}
+
+/**
+ * 记录监听器数量的取消信号
+ * @returns {Object} 取消控制器和当前的abort监听器数量
+ */
+function createCountingSignal() {
+    const controller = new AbortController();
+    const { signal } = controller;
+    const counter = { controller, listeners: 0 };
+
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    const registered = new Set();
+    signal.addEventListener = (type, listener, options) => {
+        if (!registered.has(listener)) {
+            registered.add(listener);
+            counter.listeners++;
+        }
+        add(type, listener, options);
+    };
+    signal.removeEventListener = (type, listener, options) => {
+        if (registered.delete(listener)) {
+            counter.listeners--;
+        }
+        remove(type, listener, options);
+    };
+    return counter;
+}
+
+test('429和5xx时退避重试，其他状态码和用完重试次数时返回响应', async () => {
+    const statuses = [503, 500, 200];
+    let calls = 0;
+    const limiter = createLimiter(async () => new Response(null, { status: statuses[calls++] }));
+
+    const response = await limiter.request('http://example.test');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(calls, 3);
+
+    calls = 0;
+    const notFound = createLimiter(async () => {
+        calls++;
+        return new Response(null, { status: 404 });
+    });
+    assert.strictEqual((await notFound.request('http://example.test')).status, 404);
+    assert.strictEqual(calls, 1);
+
+    calls = 0;
+    const failing = createLimiter(async () => {
+        calls++;
+        return new Response(null, { status: 502 });
+    }, { maxRetries: 2 });
+    assert.strictEqual((await failing.request('http://example.test')).status, 502);
+    assert.strictEqual(calls, 3);
+
+    // 网络错误重试后仍失败时抛出最后的错误
+    calls = 0;
+    const offline = createLimiter(async () => {
+        calls++;
+        throw new Error('connect ECONNREFUSED');
+    }, { maxRetries: 1 });
+    await assert.rejects(offline.request('http://example.test'), /ECONNREFUSED/);
+    assert.strictEqual(calls, 2);
+
+    // 指数退避：第n次重试等待baseDelay×2^n的一半到全部（加入随机抖动），不超过maxDelay
+    const delays = createLimiter(null, { baseDelay: 1000, maxDelay: 3000 });
+    [[0, 500, 1000], [1, 1000, 2000], [2, 1500, 3000], [5, 1500, 3000]].forEach(([attempt, min, max]) => {
+        const delay = delays._getRetryDelay(attempt, null);
+        assert.ok(delay >= min && delay <= max, `第${attempt}次重试等待${delay}毫秒`);
+    });
+});
+
+test('遵循Retry-After，429时暂停所有请求', async () => {
+    let calls = 0;
+    const limiter = createLimiter(async () => {
+        calls++;
+        return calls === 1
+            ? new Response(null, { status: 429, headers: { 'Retry-After': '0.05' } })
+            : new Response(null, { status: 200 });
+    }, { baseDelay: 60000 });
+
+    const startedAt = Date.now();
+    const response = await limiter.request('http://example.test');
+    assert.strictEqual(response.status, 200);
+    assert.ok(Date.now() - startedAt < 5000, '使用Retry-After而不是基础等待时间');
+    assert.ok(limiter.getStatus().pausedUntil >= startedAt + 50);
+
+    // HTTP日期格式，超过maxDelay时取maxDelay
+    const delays = createLimiter(null, { maxDelay: 10000 });
+    const later = new Response(null, { status: 429, headers: { 'Retry-After': new Date(Date.now() + 5000).toUTCString() } });
+    const delay = delays._getRetryDelay(0, later);
+    assert.ok(delay > 3000 && delay <= 5000, `等待${delay}毫秒`);
+    assert.strictEqual(delays._getRetryDelay(0, new Response(null, { status: 429, headers: { 'Retry-After': '120' } })), 10000);
+});
+
+test('同时进行的请求不超过并发限制', async () => {
+    const pending = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const limiter = createLimiter(() => new Promise(resolve => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        pending.push(() => {
+            inFlight--;
+            resolve(new Response(null, { status: 200 }));
+        });
+    }), { maxConcurrent: 2 });
+
+    const requests = Array.from({ length: 5 }, () => limiter.request('http://example.test'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(limiter.getStatus().active, 2);
+    assert.strictEqual(limiter.getStatus().queued, 3);
+
+    while (pending.length > 0 || limiter.getStatus().active > 0) {
+        const next = pending.shift();
+        if (next) next();
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    await Promise.all(requests);
+    assert.strictEqual(maxInFlight, 2);
+    assert.strictEqual(limiter.getStatus().queued, 0);
+});
+
+test('放行和完成后移除调用方信号上的监听器，排队时取消被移出队列', async () => {
+    let release;
+    const limiter = createLimiter(() => new Promise(resolve => {
+        release = () => resolve(new Response(null, { status: 200 }));
+    }), { maxConcurrent: 1 });
+
+    // 同一个信号用于许多请求时不累积监听器
+    const shared = createCountingSignal();
+    for (let i = 0; i < 3; i++) {
+        const running = limiter.request('http://example.test', { signal: shared.controller.signal });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        release();
+        await running;
+    }
+    assert.strictEqual(shared.listeners, 0);
+
+    // 第一个请求占用名额，第二个请求排队后被调用方取消
+    const first = limiter.request('http://example.test');
+    const queued = createCountingSignal();
+    const second = limiter.request('http://example.test', { signal: queued.controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.strictEqual(limiter.getStatus().queued, 1);
+
+    queued.controller.abort();
+    await assert.rejects(second, error => error.cancelled === true);
+    assert.strictEqual(limiter.getStatus().queued, 0);
+    release();
+    assert.strictEqual((await first).status, 200);
+});
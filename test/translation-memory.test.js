@@ -0,0 +1,136 @@
+/**
+ * 翻译记忆测试
+ * 运行：npm test
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { plain, createFileRuntime } = require('./helpers');
+
+/**
+ * 创建使用离线词典、包含翻译记忆的运行环境
+ * @param {Array<string>} names - 文件名
+ * @returns {Object} 运行环境，memory为翻译记忆
+ */
+function createMemoryRuntime(names = []) {
+    const runtime = createFileRuntime(names);
+    const memory = new runtime.window.TranslationMemory();
+    runtime.translationService.setTranslationMemory(memory);
+    return { ...runtime, memory };
+}
+
+test('精确和模糊查找，语言代码只比较主语言', () => {
+    const { memory, window } = createMemoryRuntime();
+
+    memory.add('Door Slam', '摔门', 'en', 'zh-CN');
+    memory.add('Glass Break Small', '小玻璃破碎', 'en', 'zh-CN');
+    memory.add('DoorSlam', '关门声', 'en', 'zh-CN');
+
+    // 规范化后相同的原文更新同一条目
+    assert.strictEqual(memory.getEntries().length, 2);
+    assert.strictEqual(memory.lookup('DOOR SLAM', 'en', 'zh-CN').entry.target, '关门声');
+    assert.strictEqual(memory.lookup('Door Slam', 'en-US', 'zh').exact, true);
+    assert.strictEqual(memory.lookup('Door Slam', 'en', 'zh-TW'), null);
+    assert.strictEqual(memory.lookup('Door Slam', 'en', 'ja'), null);
+
+    const fuzzy = memory.lookup('Door Slams', 'en', 'zh-CN');
+    assert.strictEqual(fuzzy.exact, false);
+    assert.strictEqual(fuzzy.entry.target, '关门声');
+    assert.ok(fuzzy.similarity > 0.8 && fuzzy.similarity < 1);
+
+    assert.strictEqual(memory.lookup('Glass Break Large', 'en', 'zh-CN').entry.target, '小玻璃破碎');
+    assert.strictEqual(memory.lookup('Thunder Rumble', 'en', 'zh-CN'), null);
+    assert.strictEqual(memory.lookup('Glass Break Large', 'en', 'zh-CN', { minSimilarity: 0.95 }), null);
+
+    assert.strictEqual(window.TranslationMemory.similarity('abc', 'abd'), 1 - 1 / 3);
+    assert.deepStrictEqual(plain(memory.getLanguagePairs()), [{ sourceLanguage: 'en', targetLanguage: 'zh-CN', count: 2 }]);
+
+    memory.setSettings({ enabled: false });
+    assert.strictEqual(memory.lookup('Door Slam', 'en', 'zh-CN'), null);
+});
+
+test('精确匹配不依赖翻译服务，纠正记忆优先', async () => {
+    const { memory, translationService, window } = createMemoryRuntime();
+
+    memory.add('Door Slam', '摔门', 'en', 'zh-CN');
+    memory.add('关门', 'Door Close', 'zh-CN', 'en');
+
+    const translated = await translationService.translateDetailed('door slam', 'en', 'zh-CN');
+    assert.deepStrictEqual(plain(translated), { result: '摔门', provider: 'tm', failures: [] });
+    assert.strictEqual(translationService.getProviderName('tm'), '翻译记忆');
+    assert.deepStrictEqual(plain(translationService.getUntranslatedWords('door slam', null, null, 'tm')), []);
+    assert.strictEqual((await translationService.reverseTranslateDetailed('关门')).result, 'Door Close');
+
+    const batch = await translationService.translateBatch(['Door Slam', 'Door Slam'], 'en', 'zh-CN');
+    assert.deepStrictEqual(plain(batch.map(item => item.provider)), ['tm', 'tm']);
+
+    // 关闭直接使用后只提供模糊提示
+    memory.setSettings({ useExactMatches: false });
+    assert.notStrictEqual((await translationService.translateDetailed('Door Slam', 'en', 'zh-CN')).provider, 'tm');
+    assert.strictEqual(translationService.findMemoryMatch('Door Slam', 'en', 'zh-CN').target, '摔门');
+    memory.setSettings({ useExactMatches: true });
+
+    const corrections = new window.CorrectionMemory();
+    corrections.learnTranslation('Door Slam', 'zh-CN', '重重关门');
+    translationService.setCorrectionMemory(corrections);
+    assert.strictEqual((await translationService.translateDetailed('Door Slam', 'en', 'zh-CN')).provider, 'memory');
+});
+
+test('应用后保存原文和译文，相似的文件名显示记忆中的译文', async () => {
+    const first = createMemoryRuntime(['Glass Break Small 01.wav', '玻璃爆炸 01.wav']);
+    const files = await first.proposeNames();
+    const english = files.find(file => !file.isChinese);
+    english.translatedName = `碎玻璃${english.numberPart}`;
+
+    assert.strictEqual(first.memory.addFromFiles(files, { sourceLanguage: 'en', targetLanguage: 'zh-CN' }), 2);
+    assert.strictEqual(first.memory.lookup('Glass Break Small', 'en', 'zh-CN').entry.target, '碎玻璃');
+    assert.strictEqual(first.memory.lookup('玻璃爆炸', 'zh-CN', 'en').entry.target, files.find(file => file.isChinese).reversedEnglishName);
+
+    const second = createMemoryRuntime(['Glass Break Smaller 02.wav', 'Glass Break Small 03.wav']);
+    second.memory.importTMX(first.memory.exportTMX());
+    const [similar, same] = await second.proposeNames();
+
+    assert.strictEqual(similar.tmMatch.exact, false);
+    assert.strictEqual(similar.tmMatch.field, 'translatedName');
+    assert.strictEqual(similar.tmMatch.value, `碎玻璃${similar.numberPart}`);
+    assert.ok(similar.tmMatch.similarity >= 0.6);
+
+    assert.strictEqual(same.resultProviders.translate, 'tm');
+    assert.strictEqual(same.translatedName, `碎玻璃${same.numberPart}`);
+    assert.strictEqual(same.tmMatch, null);
+});
+
+test('TMX导出和导入', () => {
+    const { memory, window } = createMemoryRuntime();
+
+    memory.add('Rock & Roll <Loud>', '摇滚 "大声"', 'en', 'zh-CN');
+    const tmx = memory.exportTMX();
+    assert.match(tmx, /<tmx version="1\.4">/);
+    assert.match(tmx, /srclang="en"/);
+    assert.match(tmx, /<seg>Rock &amp; Roll &lt;Loud&gt;<\/seg>/);
+
+    const other = new window.TranslationMemory('translation-memory-other');
+    assert.deepStrictEqual(plain(other.importTMX(tmx)), { imported: 1, skipped: 0 });
+    assert.strictEqual(other.getEntries()[0].target, '摇滚 "大声"');
+
+    // 其他工具导出的TMX：header指定原文语言，多个译文，内联标记和缺少译文的翻译单元
+    const result = other.importTMX(`<?xml version="1.0"?>
+<tmx version="1.4"><header srclang="en-US" segtype="sentence"/><body>
+  <tu usagecount="3"><tuv lang="en-US"><seg>Wind <ph x="1">{1}</ph>Howl</seg></tuv>
+    <tuv xml:lang="zh-CN"><seg>风声呼啸</seg></tuv><tuv xml:lang="ja"><seg>風のうなり</seg></tuv></tu>
+  <tu><tuv xml:lang="en-US"><seg>Orphan</seg></tuv></tu>
+</body></tmx>`);
+    assert.deepStrictEqual(plain(result), { imported: 2, skipped: 1 });
+    assert.strictEqual(other.lookup('Wind Howl', 'en', 'zh-CN').entry.target, '风声呼啸');
+    assert.strictEqual(other.lookup('Wind Howl', 'en', 'ja').entry.usageCount, 3);
+
+    // 字符引用可以是BMP以外的字符，CDATA中的内容原样保留
+    other.importTMX(`<tmx version="1.4"><header srclang="en"/><body>
+  <tu><tuv xml:lang="en"><seg>Speaker &#128266; &#x1F50A; &amp;lt;</seg></tuv><tuv xml:lang="zh-CN"><seg>扬声器</seg></tuv></tu>
+  <tu><tuv xml:lang="en"><seg>Bell</seg></tuv><tuv xml:lang="zh-CN"><seg><![CDATA[铃 <b>&amp;</b>]]> &amp; 钟</seg></tuv></tu>
+</body></tmx>`);
+    const imported = other.getEntries();
+    assert.strictEqual(imported.find(entry => entry.target === '扬声器').source, 'Speaker \u{1F50A} \u{1F50A} &lt;');
+    assert.strictEqual(imported.find(entry => entry.source === 'Bell').target, '铃 <b>&amp;</b> & 钟');
+
+    assert.throws(() => other.importTMX('{"rules": []}'), /不是有效的TMX文件/);
+});